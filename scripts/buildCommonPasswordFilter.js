@@ -0,0 +1,42 @@
+// Builds src/wordlists/commonPasswords.js, the Bloom filter used by the common-password check.
+//
+// Usage: node scripts/buildCommonPasswordFilter.js <passwords.txt|passwords.json> [count]
+//
+// The input is a list ordered from most to least common, either one password per line or a
+// JSON array. The bundled filter was built from the top 10,000 entries of passwords.json in
+// @zxcvbn-ts/language-common 4.1.3 (MIT licence).
+import { readFileSync, writeFileSync } from 'node:fs';
+import { addToBloomFilter, createBloomFilter, serializeBloomFilter } from '../src/lib/bloomFilter.js';
+
+const FALSE_POSITIVE_RATE = 1e-6;
+const OUTPUT_PATH = new URL('../src/wordlists/commonPasswords.js', import.meta.url);
+
+const [inputPath, countArgument = '10000'] = process.argv.slice(2);
+if (!inputPath) {
+  console.error('Usage: node scripts/buildCommonPasswordFilter.js <passwords.txt|passwords.json> [count]');
+  process.exit(1);
+}
+
+const raw = readFileSync(inputPath, 'utf8');
+const entries = inputPath.endsWith('.json') ? JSON.parse(raw) : raw.split(/\r?\n/);
+// Lowercase to match the case-insensitive check; keep the first (most common) occurrence
+const passwords = [...new Set(entries.map(entry => entry.trim().toLowerCase()).filter(Boolean))]
+  .slice(0, parseInt(countArgument, 10));
+
+const filter = createBloomFilter(passwords.length, FALSE_POSITIVE_RATE);
+passwords.forEach(password => addToBloomFilter(filter, password));
+const { bitCount, hashCount, bits } = serializeBloomFilter(filter);
+
+writeFileSync(OUTPUT_PATH, `// Bloom filter of the ${passwords.length.toLocaleString('en-US')} most common passwords (lowercased).
+// Generated by scripts/buildCommonPasswordFilter.js (see there for the source list).
+// False-positive rate: ${FALSE_POSITIVE_RATE}. Loaded on demand by passwordCheck.js.
+const COMMON_PASSWORDS_FILTER = Object.freeze({
+  itemCount: ${passwords.length},
+  bitCount: ${bitCount},
+  hashCount: ${hashCount},
+  bits: '${bits}',
+});
+
+export default COMMON_PASSWORDS_FILTER;
+`);
+console.log(`Wrote ${passwords.length} passwords (${bits.length} base64 characters) to ${OUTPUT_PATH.pathname}`);
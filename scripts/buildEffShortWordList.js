@@ -0,0 +1,58 @@
+// Builds src/wordlists/effShort.js, the EFF Short Wordlist #1 in dice order.
+//
+// Usage: node scripts/buildEffShortWordList.js <eff_short_wordlist_1.txt>
+//
+// The input is the file published at https://www.eff.org/dice
+// (https://www.eff.org/files/2016/09/08/eff_short_wordlist_1.txt): 1,296 lines of
+// "<four dice> <word>", from 1111 to 6666. Its SHA-256 is written to the output header so the
+// bundled copy can be checked against the source.
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const DICE_COUNT = 4;
+const WORD_COUNT = 6 ** DICE_COUNT;
+const OUTPUT_PATH = new URL('../src/wordlists/effShort.js', import.meta.url);
+
+const [inputPath] = process.argv.slice(2);
+if (!inputPath) {
+  console.error('Usage: node scripts/buildEffShortWordList.js <eff_short_wordlist_1.txt>');
+  process.exit(1);
+}
+
+const raw = readFileSync(inputPath);
+const lines = raw.toString('utf8').split(/\r?\n/).filter(line => line.trim());
+
+// Check that line i holds the i-th roll in base-6 order with a lowercase word
+const words = lines.map((line, index) => {
+  const [roll, word] = line.trim().split(/\s+/);
+  const expectedRoll = [...index.toString(6).padStart(DICE_COUNT, '0')].map(digit => Number(digit) + 1).join('');
+  if (roll !== expectedRoll || !/^[a-z-]+$/.test(word ?? '')) {
+    console.error(`Line ${index + 1} should be "${expectedRoll} <word>" but is "${line}".`);
+    process.exit(1);
+  }
+  return word;
+});
+if (words.length !== WORD_COUNT || new Set(words).size !== WORD_COUNT) {
+  console.error(`Expected ${WORD_COUNT} distinct words, found ${words.length} lines and ${new Set(words).size} distinct words.`);
+  process.exit(1);
+}
+
+const sha256 = createHash('sha256').update(raw).digest('hex');
+const rows = [];
+for (let i = 0; i < words.length; i += 8) {
+  rows.push(`  ${words.slice(i, i + 8).map(word => JSON.stringify(word)).join(', ')},`);
+}
+
+writeFileSync(OUTPUT_PATH, `// EFF Short Wordlist #1 for Passphrases (${WORD_COUNT} words, one per four-dice roll).
+// Words are in dice order: index 0 is roll 1111, index ${WORD_COUNT - 1} is roll 6666.
+// Source: https://www.eff.org/dice (eff_short_wordlist_1.txt,
+// SHA-256 ${sha256}).
+// Published by the Electronic Frontier Foundation under CC BY 3.0 US.
+// Generated by scripts/buildEffShortWordList.js. Loaded lazily, so it stays out of the initial bundle.
+const EFF_SHORT_WORD_LIST = Object.freeze([
+${rows.join('\n')}
+]);
+
+export default EFF_SHORT_WORD_LIST;
+`);
+console.log(`Wrote ${words.length} words to ${OUTPUT_PATH.pathname} (source SHA-256 ${sha256})`);
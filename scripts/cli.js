@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Command-line interface to the password generators (see src/lib/cli.js).
+//
+// Usage: node scripts/cli.js <random|word-chain> [options]
+//    or: npx a_password_generator random --length 24 --no-symbols
+//
+// Randomness comes from node:crypto, with the same unbiased sampling as the browser app.
+import { randomBytes } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { runCli } from '../src/lib/cli.js';
+import { createRandomInt } from '../src/lib/random.js';
+
+const randomInt = createRandomInt(() => randomBytes(4).readUInt32BE(0));
+
+const { exitCode, output, errorOutput } = await runCli(process.argv.slice(2), {
+  readTextFile: (path) => readFile(path, 'utf8'),
+  randomInt,
+});
+process.stdout.write(output);
+process.stderr.write(errorOutput);
+process.exitCode = exitCode;
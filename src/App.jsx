@@ -1,70 +1,56 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import BatchControls from './components/BatchControls.jsx';
+import BatchResults from './components/BatchResults.jsx';
+import CustomAlphabetEditor from './components/CustomAlphabetEditor.jsx';
+import DerivedPasswordGenerator from './components/DerivedPasswordGenerator.jsx';
+import ExportPanel from './components/ExportPanel.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import OfflineIndicator from './components/OfflineIndicator.jsx';
+import PasswordCheckSettings from './components/PasswordCheckSettings.jsx';
+import PasswordPolicyEditor from './components/PasswordPolicyEditor.jsx';
+import PinGenerator from './components/PinGenerator.jsx';
+import ProfileManager from './components/ProfileManager.jsx';
+import PronounceablePasswordGenerator from './components/PronounceablePasswordGenerator.jsx';
+import SpellOutView from './components/SpellOutView.jsx';
+import StrengthMeter from './components/StrengthMeter.jsx';
+import TokenGenerator from './components/TokenGenerator.jsx';
+import WordListFilters from './components/WordListFilters.jsx';
+import WordListLibrary from './components/WordListLibrary.jsx';
+import { Checkbox, RangeSlider } from './components/controls.jsx';
+import { generateBatch } from './lib/batch.js';
+import { DEFAULT_CLIPBOARD_CLEAR_SECONDS, clearClipboardIfUnchanged, copyToClipboard } from './lib/clipboard.js';
+import { parseDiceRolls, selectDicewareWords } from './lib/dice.js';
+import { calculateRandomEntropy, calculateWordChainEntropy } from './lib/entropy.js';
+import { addHistoryEntry, createHistoryEntry } from './lib/history.js';
+import { CAPITALIZATION_STRATEGIES, generateRandom, generateWordChain, getActiveCharClasses } from './lib/generators.js';
+import {
+  DEFAULT_PASSWORD_CHECK,
+  createPasswordChecker,
+  createScreenedGenerator,
+  loadCommonPasswordFilter,
+  parseBlocklist,
+} from './lib/passwordCheck.js';
+import { SETTING_RANGES, getActiveSettings, getRandomOptions, getWordFilters, loadProfileStore, saveProfileStore, updateActiveSettings } from './lib/profiles.js';
+import { WORD_LIST_FETCH_DEBOUNCE_MS, fetchWordList, formatBytes, isWordListUrl } from './lib/remoteWordList.js';
+import { applySharedSettings, buildShareLink, decodeSettingsHash } from './lib/shareLink.js';
+import { BUILT_IN_WORD_LISTS, NO_BUILT_IN_LIST, loadBuiltInWordList, parseWordList, prepareWordList } from './lib/wordList.js';
+import { CASING_LOCALES } from './lib/unicode.js';
+import { getEnabledWords, loadWordLists } from './lib/wordListLibrary.js';
 
 // Lucide React icons are removed as they don't fit the barebone aesthetic.
 // We'll use plain text or simple characters instead.
 
 // --- Constants ---
-// Default word list for the word chain generator.
-// Object.freeze ensures this array cannot be modified, which can sometimes allow minor engine optimizations.
-const DEFAULT_WORD_LIST = Object.freeze([
-  "apple", "banana", "orange", "grape", "strawberry", "blueberry", "raspberry", "pineapple",
-  "kiwi", "mango", "peach", "plum", "cherry", "lemon", "lime", "coconut", "avocado",
-  "pear", "apricot", "fig", "date", "melon", "watermelon", "cantaloupe", "honeydew",
-  "pomegranate", "guava", "papaya", "lychee", "dragonfruit", "passionfruit", "persimmon",
-  "tangerine", "clementine", "nectarine", "blackberry", "cranberry", "currant", "gooseberry",
-  "quince", "rhubarb", "starfruit", "ugli", "zucchini", "cucumber", "tomato", "potato",
-  "carrot", "broccoli", "spinach", "kale", "lettuce", "cabbage", "onion", "garlic",
-  "ginger", "pepper", "chili", "eggplant", "pumpkin", "squash", "bean", "pea", "corn",
-  "rice", "wheat", "oat", "barley", "rye", "bread", "pasta", "noodle", "pizza", "burger",
-  "sushi", "taco", "burrito", "sandwich", "soup", "salad", "stew", "curry", "fry", "bake",
-  "roast", "grill", "steam", "boil", "simmer", "blend", "chop", "slice", "dice", "mince",
-  // Expanded word list
-  "forest", "mountain", "river", "ocean", "desert", "valley", "glacier", "volcano",
-  "sunrise", "sunset", "moonlight", "starlight", "thunder", "lightning", "rainbow", "blizzard",
-  "whisper", "giggle", "shimmer", "sparkle", "twinkle", "breeze", "melody", "harmony",
-  "journey", "adventure", "explore", "discover", "wander", "travel", "expedition", "pilgrim",
-  "ancient", "modern", "future", "present", "past", "timeless", "eternal", "moment",
-  "brave", "courage", "heroic", "valiant", "fearless", "daring", "bold", "gallant",
-  "gentle", "kindness", "compassion", "empathy", "tender", "softly", "peaceful", "calmness",
-  "wisdom", "knowledge", "insight", "enlighten", "learn", "study", "thoughtful", "clever",
-  "freedom", "liberty", "sovereign", "unbound", "release", "escape", "openness", "wildness",
-  "mystery", "secret", "puzzle", "enigma", "riddle", "hidden", "unknown", "unseen",
-  "dreamer", "imagine", "create", "invent", "design", "build", "artist", "writer",
-  "speaker", "listen", "communicate", "converse", "dialogue", "express", "narrate", "recite",
-  "runner", "jumper", "swimmer", "climber", "dancer", "singer", "player", "athlete",
-  "garden", "flower", "tree", "plant", "bloom", "petal", "leafy", "rooting",
-  "library", "bookish", "reader", "chapter", "story", "novel", "poetry", "script",
-  "keyboard", "monitor", "mousepad", "speaker", "webcam", "printer", "scanner", "router",
-  "cloudy", "sunny", "rainy", "windy", "snowing", "stormy", "foggy", "misty",
-  "laughter", "smiling", "joyful", "happy", "blissful", "cheerful", "gleeful", "merry",
-  "serene", "tranquil", "placid", "untroubled", "undisturbed", "relaxed", "composed", "stillness",
-  "vibrant", "luminous", "radiant", "brilliant", "sparkling", "gleaming", "shining", "glowing",
-  "whiskey", "bourbon", "scotch", "vodka", "gin", "rum", "tequila", "brandy",
-  "coffee", "tea", "latte", "espresso", "cappuccino", "mocha", "chai", "matcha",
-  "bicycle", "caravan", "airplane", "trains", "shipment", "rocket", "balloon", "submarine",
-  "diamond", "emerald", "ruby", "sapphire", "pearl", "topaz", "amethyst", "garnet",
-  "guitar", "piano", "violin", "trumpet", "drummer", "flute", "cello", "saxophone",
-  "chocolate", "vanilla", "caramel", "strawberry", "minty", "cookie", "brownie", "fudge"
+// Generator modes shown in the mode switcher, in display order.
+const MODE_OPTIONS = Object.freeze([
+  { value: 'random', label: 'RANDOM' },
+  { value: 'word-chain', label: 'WORD CHAIN' },
+  { value: 'pronounceable', label: 'PRONOUNCEABLE' },
+  { value: 'pin', label: 'PIN' },
+  { value: 'token', label: 'TOKEN' },
+  { value: 'derived', label: 'DERIVED' },
 ]);
 
-// Character sets for random password generation.
-// Object.freeze ensures these objects cannot be modified.
-const CHAR_SETS = Object.freeze({
-  lowercase: 'abcdefghijklmnopqrstuvwxyz',
-  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-  numbers: '0123456789',
-  symbols: '!@#$%^&*()_+-=[]{}|;:\'",.<>?/',
-});
-
-// Separator options for word chain generation.
-// Object.freeze ensures these objects cannot be modified.
-const SEPARATORS = Object.freeze({
-  hyphen: '-',
-  space: ' ',
-  underscore: '_',
-  none: '',
-});
-
 // Options for the separator type dropdown.
 const SEPARATOR_OPTIONS = Object.freeze([
   { value: 'hyphen', label: 'Hyphen (-)' },
@@ -74,211 +60,78 @@ const SEPARATOR_OPTIONS = Object.freeze([
   { value: 'random', label: 'Random Separator' },
 ]);
 
-// --- Utility Functions ---
-
-/**
- * Generates a cryptographically secure random integer within a specified range.
- * @param {number} max - The exclusive upper bound for the random number (e.g., 100 for 0-99).
- * @returns {number} - A cryptographically secure random integer.
- */
-const getRandomCryptoInt = (max) => {
-  // Defensive check: ensure max is a positive number to prevent errors with crypto.getRandomValues
-  if (max <= 0) {
-    console.error("getRandomCryptoInt: 'max' must be a positive number.");
-    return 0; // Return a safe default or handle as an error
-  }
-  const randomBytes = new Uint32Array(1);
-  window.crypto.getRandomValues(randomBytes);
-  // Max value of a Uint32 is 2^32 - 1.
-  // We need to ensure the random number is within a range that doesn't cause modulo bias.
-  // This approach ensures uniform distribution by re-rolling if the number is too high.
-  const randomNumber = randomBytes[0];
-  const ceiling = Math.floor(0xFFFFFFFF / max) * max; // Largest multiple of 'max' that fits in Uint32
-  let result = randomNumber;
-  while (result >= ceiling) {
-    window.crypto.getRandomValues(randomBytes);
-    result = randomBytes[0];
-  }
-  return result % max;
-};
-
-/**
- * Copies text to the clipboard.
- * Uses document.execCommand('copy') for broader compatibility in sandboxed environments
- * where navigator.clipboard might be restricted (e.g., iframes).
- * @param {string} text - The text to copy.
- * @returns {boolean} - True if copy was successful, false otherwise.
- */
-const copyToClipboard = (text) => {
-  const textarea = document.createElement('textarea');
-  textarea.value = text;
-  // Append to document body to make it selectable
-  document.body.appendChild(textarea);
-  textarea.select();
-  try {
-    document.execCommand('copy');
-    return true;
-  } catch (err) {
-    console.error('Failed to copy text: ', err);
-    return false;
-  } finally {
-    // Clean up: remove the temporary textarea
-    document.body.removeChild(textarea);
-  }
-};
-
-/**
- * Shuffles an array using the Fisher-Yates (Knuth) algorithm.
- * This ensures a truly random permutation of the array elements,
- * using the cryptographically secure random number generator.
- * @param {Array} array - The array to shuffle.
- * @returns {Array} - The shuffled array.
- */
-const shuffleArray = (array) => {
-  // Create a shallow copy to avoid modifying the original array directly if it's passed by reference
-  const newArray = [...array];
-  for (let i = newArray.length - 1; i > 0; i--) {
-    const j = getRandomCryptoInt(i + 1); // Use CSPRNG for shuffling
-    [newArray[i], newArray[j]] = [newArray[j], newArray[i]]; // ES6 destructuring for swap
-  }
-  return newArray;
-};
-
-/**
- * Custom Checkbox component for consistent styling and reusability.
- * Reverts to browser default styling.
- * @param {object} props - Component props.
- * @param {string} props.id - Unique ID for the checkbox.
- * @param {string} props.label - Label text for the checkbox.
- * @param {boolean} props.checked - Current checked state.
- * @param {function} props.onChange - Callback for when the checked state changes.
- */
-const Checkbox = ({ id, label, checked, onChange }) => (
-  <div style={{ marginBottom: '5px' }}>
-    <input
-      type="checkbox"
-      id={id}
-      checked={checked}
-      onChange={onChange}
-      style={{ marginRight: '5px' }}
-    />
-    <label htmlFor={id} style={{ fontSize: '14px' }}>
-      {label}
-    </label>
-  </div>
-);
-
-/**
- * Custom Range Slider component for consistent styling, accessibility, and reusability.
- * Provides a clear label and current value display. Reverts to browser default styling.
- * @param {object} props - Component props.
- * @param {string} props.label - Label text for the slider.
- * @param {number} props.min - Minimum value of the slider.
- * @param {number} props.max - Maximum value of the slider.
- * @param {number} props.value - Current value of the slider.
- * @param {function} props.onChange - Callback for when the slider value changes.
- */
-const RangeSlider = ({ label, min, max, value, onChange }) => (
-  <div style={{ marginBottom: '15px' }}>
-    <label htmlFor={label} style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
-      {label}: <span style={{ fontWeight: 'bold' }}>{value}</span>
-    </label>
-    <input
-      type="range"
-      id={label}
-      min={min}
-      max={max}
-      value={value}
-      onChange={onChange}
-      style={{ width: '100%' }} // Basic width for functionality
-      aria-valuemin={min}
-      aria-valuemax={max}
-      aria-valuenow={value}
-      aria-label={label}
-    />
-  </div>
-);
-
 // --- Components ---
 
 /**
  * Component for the Random Password Generation mode.
  * Manages settings and logic for generating random character-based passwords.
- * Settings are persisted in localStorage.
+ * Settings belong to the active profile (see profiles.js).
  * @param {object} props - Component props.
+ * @param {object} props.settings - The random section of the active profile's settings.
+ * @param {function} props.onSettingsChange - Callback receiving changed settings fields.
  * @param {function} props.onGenerate - Callback to pass the generated password to the parent.
+ * @param {function} props.onEntropyChange - Callback receiving the entropy (bits) of the current settings.
+ * @param {function} props.onGenerateBatch - Callback to pass a batch of generated rows to the parent.
+ * @param {function} props.screenGenerator - Wraps a single-password generator with the common-password check.
  */
-const RandomPasswordGenerator = ({ onGenerate }) => {
-  // State for password generation settings, loaded from local storage
-  const [passwordLength, setPasswordLength] = useState(() => {
-    const savedLength = localStorage.getItem('randomPasswordLength');
-    return savedLength ? parseInt(savedLength, 10) : 16;
-  });
-  const [includeSymbols, setIncludeSymbols] = useState(() => {
-    const saved = localStorage.getItem('includeSymbols');
-    return saved ? JSON.parse(saved) : true;
-  });
-  const [includeNumbers, setIncludeNumbers] = useState(() => {
-    const saved = localStorage.getItem('includeNumbers');
-    return saved ? JSON.parse(saved) : true;
-  });
-  const [includeUppercase, setIncludeUppercase] = useState(() => {
-    const saved = localStorage.getItem('includeUppercase');
-    return saved ? JSON.parse(saved) : true;
-  });
-  const [includeLowercase, setIncludeLowercase] = useState(() => {
-    const saved = localStorage.getItem('includeLowercase');
-    return saved ? JSON.parse(saved) : true;
-  });
+const RandomPasswordGenerator = ({ settings, onSettingsChange, onGenerate, onEntropyChange, onGenerateBatch, screenGenerator }) => {
+  // Settings of the active profile; every change is reported back through onSettingsChange
+  const {
+    length: passwordLength,
+    lowercase: includeLowercase,
+    uppercase: includeUppercase,
+    numbers: includeNumbers,
+    symbols: includeSymbols,
+    showCustomAlphabet,
+    symbolSet,
+    excludeChars,
+    excludeAmbiguous,
+    extraChars,
+    enforcePolicy,
+    policy,
+  } = settings;
 
-  // Save settings to local storage whenever they change
+  // Generator options derived from the current settings, shared by generation, batches and entropy estimation
+  const randomOptions = useMemo(() => getRandomOptions(settings), [settings]);
+  const poolSize = useMemo(
+    () => getActiveCharClasses(randomOptions).reduce((sum, { chars }) => sum + chars.length, 0),
+    [randomOptions],
+  );
+  const entropyBits = useMemo(() => calculateRandomEntropy(randomOptions), [randomOptions]);
+
+  // Report the entropy of the current settings so it can be shown before generating
   useEffect(() => {
-    localStorage.setItem('randomPasswordLength', passwordLength);
-    localStorage.setItem('includeSymbols', includeSymbols);
-    localStorage.setItem('includeNumbers', includeNumbers);
-    localStorage.setItem('includeUppercase', includeUppercase);
-    localStorage.setItem('includeLowercase', includeLowercase);
-  }, [passwordLength, includeSymbols, includeNumbers, includeUppercase, includeLowercase]);
+    onEntropyChange(entropyBits);
+  }, [entropyBits, onEntropyChange]);
 
   /**
-   * Generates a random password based on current settings.
-   * Uses cryptographically secure random numbers and guarantees inclusion of selected types.
+   * Generates a random password based on current settings via the headless generator library.
    * useCallback is used to memoize this function, preventing unnecessary re-creations.
    */
   const generatePassword = useCallback(() => {
-    const activeCharSets = [];
-    if (includeLowercase) activeCharSets.push(CHAR_SETS.lowercase);
-    if (includeUppercase) activeCharSets.push(CHAR_SETS.uppercase);
-    if (includeNumbers) activeCharSets.push(CHAR_SETS.numbers);
-    if (includeSymbols) activeCharSets.push(CHAR_SETS.symbols);
-
-    // Provide feedback if no character type is selected
-    if (activeCharSets.length === 0) {
-      onGenerate('Error: Please select at least one character type.');
-      return;
+    try {
+      onGenerate(screenGenerator(() => generateRandom(randomOptions))());
+    } catch (error) {
+      // Provide feedback when the settings can't produce a password
+      onGenerate(`Error: ${error.message}`);
     }
+  }, [randomOptions, onGenerate, screenGenerator]);
 
-    let passwordChars = [];
-    let allCharacters = activeCharSets.join('');
-
-    // Ensure at least one character from each selected type is included
-    activeCharSets.forEach(charSet => {
-      const randomIndex = getRandomCryptoInt(charSet.length);
-      passwordChars.push(charSet[randomIndex]);
-    });
-
-    // Generate the remaining characters to meet the desired length
-    for (let i = passwordChars.length; i < passwordLength; i++) {
-      const randomIndex = getRandomCryptoInt(allCharacters.length);
-      passwordChars.push(allCharacters[randomIndex]);
+  /**
+   * Generates a batch of random passwords with the current settings.
+   * @param {number} count - Number of passwords to generate.
+   */
+  const generatePasswordBatch = useCallback((count) => {
+    try {
+      onGenerateBatch(generateBatch(count, screenGenerator(() => generateRandom(randomOptions)), {
+        mode: 'random',
+        settings: randomOptions,
+        entropyBits,
+      }));
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
     }
-
-    // Shuffle the array to randomize the position of the guaranteed characters,
-    // enhancing randomness and preventing predictable patterns.
-    const finalPasswordChars = shuffleArray(passwordChars);
-
-    onGenerate(finalPasswordChars.join(''));
-  }, [passwordLength, includeSymbols, includeNumbers, includeUppercase, includeLowercase, onGenerate]);
+  }, [randomOptions, entropyBits, onGenerate, onGenerateBatch, screenGenerator]);
 
   return (
     <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
@@ -286,10 +139,10 @@ const RandomPasswordGenerator = ({ onGenerate }) => {
 
       <RangeSlider
         label="Password Length"
-        min={1}
-        max={64}
+        min={SETTING_RANGES.random.length.min}
+        max={SETTING_RANGES.random.length.max}
         value={passwordLength}
-        onChange={(e) => setPasswordLength(parseInt(e.target.value, 10))}
+        onChange={(e) => onSettingsChange({ length: parseInt(e.target.value, 10) })}
       />
 
       <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: '5px' }}>
@@ -297,34 +150,67 @@ const RandomPasswordGenerator = ({ onGenerate }) => {
           id="includeLowercase"
           label="Include Lowercase Letters (a-z)"
           checked={includeLowercase}
-          onChange={() => setIncludeLowercase(!includeLowercase)}
+          onChange={() => onSettingsChange({ lowercase: !includeLowercase })}
         />
         <Checkbox
           id="includeUppercase"
           label="Include Uppercase Letters (A-Z)"
           checked={includeUppercase}
-          onChange={() => setIncludeUppercase(!includeUppercase)}
+          onChange={() => onSettingsChange({ uppercase: !includeUppercase })}
         />
         <Checkbox
           id="includeNumbers"
           label="Include Numbers (0-9)"
           checked={includeNumbers}
-          onChange={() => setIncludeNumbers(!includeNumbers)}
+          onChange={() => onSettingsChange({ numbers: !includeNumbers })}
         />
         <Checkbox
           id="includeSymbols"
           label="Include Symbols (!@#$%)"
           checked={includeSymbols}
-          onChange={() => setIncludeSymbols(!includeSymbols)}
+          onChange={() => onSettingsChange({ symbols: !includeSymbols })}
         />
       </div>
 
+      <div style={{ marginTop: '15px' }}>
+        <Checkbox
+          id="showCustomAlphabet"
+          label="Custom Alphabet"
+          checked={showCustomAlphabet}
+          onChange={() => onSettingsChange({ showCustomAlphabet: !showCustomAlphabet })}
+        />
+        {showCustomAlphabet && (
+          <CustomAlphabetEditor
+            symbolSet={symbolSet}
+            onSymbolSetChange={(value) => onSettingsChange({ symbolSet: value })}
+            excludeChars={excludeChars}
+            onExcludeCharsChange={(value) => onSettingsChange({ excludeChars: value })}
+            excludeAmbiguous={excludeAmbiguous}
+            onExcludeAmbiguousChange={(value) => onSettingsChange({ excludeAmbiguous: value })}
+            extraChars={extraChars}
+            onExtraCharsChange={(value) => onSettingsChange({ extraChars: value })}
+            poolSize={poolSize}
+          />
+        )}
+      </div>
+
+      <div style={{ marginTop: '15px' }}>
+        <Checkbox
+          id="enforcePasswordPolicy"
+          label="Enforce Password Policy"
+          checked={enforcePolicy}
+          onChange={() => onSettingsChange({ enforcePolicy: !enforcePolicy })}
+        />
+        {enforcePolicy && <PasswordPolicyEditor policy={policy} onChange={(value) => onSettingsChange({ policy: value })} />}
+      </div>
+
       <button
         onClick={generatePassword}
         style={{ marginTop: '20px', padding: '8px 15px', fontSize: '14px' }}
       >
         Generate Random Password
       </button>
+      <BatchControls onGenerateBatch={generatePasswordBatch} />
     </div>
   );
 };
@@ -332,172 +218,197 @@ const RandomPasswordGenerator = ({ onGenerate }) => {
 /**
  * Component for the Word Chain Generation mode.
  * Manages settings and logic for generating word-based passwords.
- * Settings are persisted in localStorage.
+ * Settings belong to the active profile (see profiles.js).
  * @param {object} props - Component props.
+ * @param {object} props.settings - The wordChain section of the active profile's settings.
+ * @param {function} props.onSettingsChange - Callback receiving changed settings fields.
  * @param {function} props.onGenerate - Callback to pass the generated password to the parent.
+ * @param {function} props.onEntropyChange - Callback receiving the entropy (bits) of the current settings.
+ * @param {function} props.onGenerateBatch - Callback to pass a batch of generated rows to the parent.
+ * @param {function} props.screenGenerator - Wraps a single-password generator with the common-password check.
  */
-const WordChainPasswordGenerator = ({ onGenerate }) => {
-  // State for word chain generation settings
-  const [wordCount, setWordCount] = useState(() => {
-    const savedCount = localStorage.getItem('wordChainWordCount');
-    return savedCount ? parseInt(savedCount, 10) : 4;
-  });
-  const [useDefaultList, setUseDefaultList] = useState(() => {
-    const saved = localStorage.getItem('useDefaultWordList');
-    return saved ? JSON.parse(saved) : true;
-  });
-  const [customWordListInput, setCustomWordListInput] = useState(() => {
-    const saved = localStorage.getItem('customWordListInput');
-    return saved || '';
-  });
+const WordChainPasswordGenerator = ({ settings, onSettingsChange, onGenerate, onEntropyChange, onGenerateBatch, screenGenerator }) => {
+  // Settings of the active profile; every change is reported back through onSettingsChange
+  const {
+    wordCount,
+    wordList: wordListId,
+    diceEntry,
+    customWordListInput,
+    enabledWordLists,
+    separator: separatorType,
+    capitalization,
+    numbersBetweenWords: includeNumbersBetweenWords,
+    symbolsBetweenWords: includeSymbolsBetweenWords,
+    locale,
+    transliterate,
+  } = settings;
+  const [baseWords, setBaseWords] = useState([]);
+  const [loadingBaseList, setLoadingBaseList] = useState(false);
+  // Typed dice rolls are the secret itself, so they are never saved
+  const [diceRollsInput, setDiceRollsInput] = useState('');
   const [customWords, setCustomWords] = useState([]);
+  // Where the custom words box content came from, recorded when it is saved to the library
+  const [customWordSource, setCustomWordSource] = useState({ source: 'pasted', detail: '' });
+  const [libraryLists, setLibraryLists] = useState([]);
+  const [libraryError, setLibraryError] = useState(null);
   const [loadingWords, setLoadingWords] = useState(false);
   const [wordListError, setWordListError] = useState(null);
-  const [separatorType, setSeparatorType] = useState(() => {
-    const saved = localStorage.getItem('wordChainSeparatorType');
-    return saved || 'hyphen';
-  });
-  const [randomCapitalization, setRandomCapitalization] = useState(() => {
-    const saved = localStorage.getItem('wordChainRandomCapitalization');
-    return saved ? JSON.parse(saved) : false;
-  });
-  const [includeNumbersBetweenWords, setIncludeNumbersBetweenWords] = useState(() => {
-    const saved = localStorage.getItem('wordChainIncludeNumbersBetweenWords');
-    return saved ? JSON.parse(saved) : false;
-  });
-  const [includeSymbolsBetweenWords, setIncludeSymbolsBetweenWords] = useState(() => {
-    const saved = localStorage.getItem('wordChainIncludeSymbolsBetweenWords');
-    return saved ? JSON.parse(saved) : false;
-  });
+  // Download progress, or a note that a URL's list came from the cache
+  const [wordListStatus, setWordListStatus] = useState(null);
+  // Bumped by the reload button to fetch a URL again
+  const [reloadCount, setReloadCount] = useState(0);
 
+  // Load the selected built-in list; large lists are fetched as a separate chunk on first use
+  useEffect(() => {
+    let cancelled = false;
+    setLoadingBaseList(true);
+    setWordListError(null);
+    loadBuiltInWordList(wordListId)
+      .then(words => {
+        if (!cancelled) setBaseWords(words);
+      })
+      .catch(error => {
+        console.error("Error loading built-in word list:", error);
+        if (!cancelled) {
+          setBaseWords([]);
+          setWordListError("Failed to load the selected word list.");
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingBaseList(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [wordListId]);
 
-  // Save settings to local storage whenever they change
+  // Load the saved word lists once
   useEffect(() => {
-    localStorage.setItem('wordChainWordCount', wordCount);
-    localStorage.setItem('useDefaultList', useDefaultList);
-    localStorage.setItem('customWordListInput', customWordListInput);
-    localStorage.setItem('wordChainSeparatorType', separatorType);
-    localStorage.setItem('wordChainRandomCapitalization', randomCapitalization);
-    localStorage.setItem('wordChainIncludeNumbersBetweenWords', includeNumbersBetweenWords);
-    localStorage.setItem('wordChainIncludeSymbolsBetweenWords', includeSymbolsBetweenWords);
-  }, [wordCount, useDefaultList, customWordListInput, separatorType, randomCapitalization, includeNumbersBetweenWords, includeSymbolsBetweenWords]);
+    loadWordLists()
+      .then(setLibraryLists)
+      .catch(error => setLibraryError(error.message));
+  }, []);
 
-  /**
-   * Processes the custom word list input, handling URLs and plain text.
-   * Uses useCallback to memoize this async function.
-   */
-  const processCustomWordList = useCallback(async () => {
+  // Parse pasted words right away; load URLs once typing pauses, cancelling stale downloads
+  useEffect(() => {
+    if (!isWordListUrl(customWordListInput)) {
+      const words = parseWordList(customWordListInput);
+      setCustomWords(words);
+      setWordListError(words.length === 0 && customWordListInput.trim().length > 0 ? "No valid words found in the custom input." : null);
+      setWordListStatus(null);
+      setLoadingWords(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
     setLoadingWords(true);
     setWordListError(null);
-    let words = [];
-
-    if (customWordListInput.startsWith('http://') || customWordListInput.startsWith('https://')) {
+    setWordListStatus(null);
+    const timer = setTimeout(async () => {
       try {
-        const response = await fetch(customWordListInput);
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const text = await response.text();
-        words = text.split(/\s+/).filter(word => word.length > 0);
-        if (words.length === 0) {
-          setWordListError("The provided URL did not contain any valid words.");
-        }
+        const { words, fromCache } = await fetchWordList(customWordListInput.trim(), {
+          signal: controller.signal,
+          onProgress: ({ loaded, total }) => setWordListStatus(
+            `DOWNLOADING ${formatBytes(loaded)}${total ? ` OF ${formatBytes(total)} (${Math.round((loaded / total) * 100)}%)` : ''}...`,
+          ),
+        });
+        setCustomWords(words);
+        setWordListStatus(fromCache ? 'USING THE CACHED COPY OF THIS LIST.' : null);
       } catch (error) {
+        if (controller.signal.aborted) return; // Superseded by newer input
         console.error("Error fetching word list from URL:", error);
-        setWordListError("Failed to load words from URL. Please check the URL and CORS policy.");
+        setCustomWords([]);
+        setWordListStatus(null);
+        setWordListError(error.message);
       }
-    } else {
-      words = customWordListInput.split(/\s+/).filter(word => word.length > 0);
-      if (words.length === 0 && customWordListInput.trim().length > 0) {
-        setWordListError("No valid words found in the custom input.");
-      }
-    }
-    setCustomWords(words);
-    setLoadingWords(false);
-  }, [customWordListInput]);
+      setLoadingWords(false);
+    }, WORD_LIST_FETCH_DEBOUNCE_MS);
 
-  // Effect to re-process custom word list when input changes.
-  // This useEffect depends on the memoized processCustomWordList function.
-  useEffect(() => {
-    if (customWordListInput) {
-      processCustomWordList();
-    } else {
-      setCustomWords([]); // Clear custom words if input is empty
-      setWordListError(null); // Clear error if input is cleared
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [customWordListInput, reloadCount]);
+
+  // In dice entry mode, the words picked by the typed rolls (or why they can't be used yet)
+  const diceSelection = useMemo(() => {
+    if (!diceEntry) return null;
+    const diceCount = BUILT_IN_WORD_LISTS[wordListId]?.diceCount;
+    if (!diceCount) {
+      return { words: [], error: 'Dice entry needs a diceware list. Please choose one above.' };
+    }
+    try {
+      return { words: selectDicewareWords(parseDiceRolls(diceRollsInput, diceCount), baseWords, diceCount), error: null };
+    } catch (error) {
+      return { words: [], error: error.message };
     }
-  }, [customWordListInput, processCustomWordList]);
+  }, [diceEntry, wordListId, diceRollsInput, baseWords]);
 
-  /**
-   * Applies random capitalization to a word based on the 'randomCapitalization' setting.
-   * @param {string} word - The word to capitalize.
-   * @returns {string} - The capitalized word.
-   */
-  const applyRandomCapitalization = (word) => {
-    if (!randomCapitalization) return word;
-
-    const rand = getRandomCryptoInt(3); // 0: lowercase, 1: uppercase, 2: title case, 3: random char case
-    if (rand === 0) return word.toLowerCase();
-    if (rand === 1) return word.toUpperCase();
-    if (rand === 2) return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
-    // Random character case: iterate through each character and randomly capitalize it
-    return word.split('').map(char => {
-      return getRandomCryptoInt(2) === 0 ? char.toLowerCase() : char.toUpperCase();
-    }).join('');
-  };
+  // The combined word list after the hygiene filters, with a count of what they removed
+  const wordFilters = useMemo(() => getWordFilters(settings), [settings]);
+  const libraryWords = useMemo(() => getEnabledWords(libraryLists, enabledWordLists), [libraryLists, enabledWordLists]);
+  const preparedWordList = useMemo(
+    () => prepareWordList({ baseWords, customWords: [...customWords, ...libraryWords], filters: wordFilters }),
+    [baseWords, customWords, libraryWords, wordFilters],
+  );
+
+  // Generator options derived from the current settings, shared by generation and entropy estimation.
+  // Dice-selected words replace random word selection entirely; custom words are not mixed in.
+  const wordChainOptions = useMemo(() => ({
+    wordCount: diceSelection ? diceSelection.words.length : wordCount,
+    words: diceSelection ? baseWords : preparedWordList.words,
+    selectedWords: diceSelection?.words,
+    separator: separatorType,
+    capitalization,
+    numbersBetweenWords: includeNumbersBetweenWords,
+    symbolsBetweenWords: includeSymbolsBetweenWords,
+    locale,
+    transliterate,
+  }), [wordCount, diceSelection, baseWords, preparedWordList, separatorType, capitalization, includeNumbersBetweenWords, includeSymbolsBetweenWords, locale, transliterate]);
+
+  const entropyBits = useMemo(() => calculateWordChainEntropy(wordChainOptions), [wordChainOptions]);
+
+  // Report the entropy of the current settings so it can be shown before generating
+  useEffect(() => {
+    onEntropyChange(entropyBits);
+  }, [entropyBits, onEntropyChange]);
 
   /**
-   * Generates a word chain password based on current settings.
+   * Generates a word chain password based on current settings via the headless generator library.
    * Uses useCallback to memoize this function.
    */
-  const generateWordChain = useCallback(() => {
-    let combinedWords = [];
-    if (useDefaultList) {
-      combinedWords = [...DEFAULT_WORD_LIST];
-    }
-
-    if (customWords.length > 0) {
-      // Use Set to ensure unique words when combining lists, avoiding duplicates
-      combinedWords = Array.from(new Set([...combinedWords, ...customWords]));
-    }
-
-    if (combinedWords.length === 0) {
-      onGenerate('Error: No words available. Please enable default list or provide a valid custom list.');
+  const generateWordChainPassword = useCallback(() => {
+    if (diceSelection?.error) {
+      onGenerate(`Error: ${diceSelection.error}`);
       return;
     }
+    try {
+      const generateOne = () => generateWordChain(wordChainOptions);
+      // Dice-selected words are fixed, so regenerating a listed password would only repeat it;
+      // it is still flagged in the output panel
+      onGenerate(diceSelection ? generateOne() : screenGenerator(generateOne)());
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
+    }
+  }, [diceSelection, wordChainOptions, onGenerate, screenGenerator]);
 
-    let generatedParts = [];
-    // Filter out 'random' from available separators as it's a selection option, not a separator character.
-    const availableSeparators = Object.values(SEPARATORS).filter(s => s !== 'random');
-
-    for (let i = 0; i < wordCount; i++) {
-      // Pick a random word from the combined list
-      const wordIndex = getRandomCryptoInt(combinedWords.length);
-      let word = combinedWords[wordIndex];
-
-      // Apply capitalization based on settings
-      word = applyRandomCapitalization(word);
-      generatedParts.push(word);
-
-      // Add separator and optional numbers/symbols if it's not the last word
-      if (i < wordCount - 1) {
-        let currentSeparator = SEPARATORS[separatorType];
-        if (separatorType === 'random') {
-          // If 'random' separator is chosen, pick one randomly from the available separators
-          currentSeparator = availableSeparators[getRandomCryptoInt(availableSeparators.length)];
-        }
-        generatedParts.push(currentSeparator);
-
-        if (includeNumbersBetweenWords) {
-          generatedParts.push(getRandomCryptoInt(10)); // Append a single digit number (0-9)
-        }
-        if (includeSymbolsBetweenWords) {
-          const randomIndex = getRandomCryptoInt(CHAR_SETS.symbols.length);
-          generatedParts.push(CHAR_SETS.symbols[randomIndex]); // Append a random symbol
-        }
-      }
+  /**
+   * Generates a batch of word chain passwords with the current settings.
+   * The exported settings record the word list size rather than the words themselves.
+   * @param {number} count - Number of passwords to generate.
+   */
+  const generateWordChainBatch = useCallback((count) => {
+    const { words, ...settings } = wordChainOptions;
+    try {
+      onGenerateBatch(generateBatch(count, screenGenerator(() => generateWordChain(wordChainOptions)), {
+        mode: 'word-chain',
+        settings: { ...settings, wordList: wordListId, wordListSize: new Set(words).size },
+        entropyBits,
+      }));
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
     }
-    onGenerate(generatedParts.join(''));
-  }, [wordCount, useDefaultList, customWords, separatorType, randomCapitalization, includeNumbersBetweenWords, includeSymbolsBetweenWords, onGenerate]);
+  }, [wordChainOptions, wordListId, entropyBits, onGenerate, onGenerateBatch, screenGenerator]);
 
   /**
    * Handles file upload for custom word lists.
@@ -509,10 +420,10 @@ const WordChainPasswordGenerator = ({ onGenerate }) => {
     if (file) {
       const reader = new FileReader();
       reader.onload = (e) => {
-        setCustomWordListInput(e.target.result);
-        // Automatically switch to not using default list if a file is uploaded,
+        // Automatically switch to not using a built-in list if a file is uploaded,
         // as the user is explicitly providing their own.
-        setUseDefaultList(false);
+        onSettingsChange({ customWordListInput: e.target.result, wordList: NO_BUILT_IN_LIST });
+        setCustomWordSource({ source: 'file', detail: file.name });
       };
       reader.readAsText(file);
     }
@@ -522,21 +433,71 @@ const WordChainPasswordGenerator = ({ onGenerate }) => {
     <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
       <h2>Word Chain Generation</h2>
 
-      <RangeSlider
-        label="Number of Words"
-        min={1}
-        max={64}
-        value={wordCount}
-        onChange={(e) => setWordCount(parseInt(e.target.value, 10))}
-      />
+      {!diceEntry && (
+        <RangeSlider
+          label="Number of Words"
+          min={SETTING_RANGES.wordChain.wordCount.min}
+          max={SETTING_RANGES.wordChain.wordCount.max}
+          value={wordCount}
+          onChange={(e) => onSettingsChange({ wordCount: parseInt(e.target.value, 10) })}
+        />
+      )}
+
+      <div style={{ marginBottom: '15px' }}>
+        <label htmlFor="wordListId" style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
+          Word List:
+        </label>
+        <select
+          id="wordListId"
+          value={wordListId}
+          onChange={(e) => onSettingsChange({ wordList: e.target.value })}
+          style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        >
+          {Object.entries(BUILT_IN_WORD_LISTS).map(([id, { label, size }]) => (
+            <option key={id} value={id}>
+              {label} ({size.toLocaleString()} words, {Math.log2(size).toFixed(1)} bits/word)
+            </option>
+          ))}
+          <option value={NO_BUILT_IN_LIST}>None (custom words only)</option>
+        </select>
+        {loadingBaseList && (
+          <p style={{ fontSize: '12px', marginTop: '5px' }}>LOADING WORD LIST...</p>
+        )}
+      </div>
 
       <div style={{ marginBottom: '15px' }}>
         <Checkbox
-          id="useDefaultList"
-          label="Use Default Word List"
-          checked={useDefaultList}
-          onChange={() => setUseDefaultList(!useDefaultList)}
+          id="diceEntry"
+          label="Enter Physical Dice Rolls"
+          checked={diceEntry}
+          onChange={() => onSettingsChange({ diceEntry: !diceEntry })}
         />
+        {diceEntry && (
+          <div style={{ padding: '10px', border: '1px solid black', marginTop: '5px' }}>
+            <p style={{ fontSize: '14px', marginBottom: '10px' }}>
+              Roll five dice per word and type each roll as a group of digits 1-6 (e.g. 43263 15321 52411).
+            </p>
+            <label htmlFor="diceRolls" style={{ display: 'none' }}>Dice Rolls</label>
+            <textarea
+              id="diceRolls"
+              style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px', boxSizing: 'border-box' }}
+              rows="3"
+              autoComplete="off"
+              spellCheck={false}
+              value={diceRollsInput}
+              onChange={(e) => setDiceRollsInput(e.target.value)}
+            ></textarea>
+            {diceSelection.error && diceRollsInput.trim() && !loadingBaseList && (
+              <p style={{ color: 'red', fontSize: '12px', marginTop: '5px' }}>{diceSelection.error}</p>
+            )}
+            {diceSelection.words.length > 0 && (
+              <p style={{ color: 'green', fontSize: '12px', marginTop: '5px' }}>{diceSelection.words.length} WORDS FROM YOUR ROLLS.</p>
+            )}
+            <p style={{ fontSize: '12px', marginTop: '5px' }}>
+              WORDS COME ONLY FROM YOUR ROLLS. RANDOM SEPARATORS, CAPITALIZATION, NUMBERS AND SYMBOLS STILL USE THE BROWSER&apos;S GENERATOR.
+            </p>
+          </div>
+        )}
       </div>
 
       <div style={{ marginBottom: '15px' }}>
@@ -546,7 +507,8 @@ const WordChainPasswordGenerator = ({ onGenerate }) => {
         <select
           id="separatorType"
           value={separatorType}
-          onChange={(e) => setSeparatorType(e.target.value)}
+          onChange={(e) => onSettingsChange({ separator: e.target.value })}
+          disabled={capitalization === 'camel'} // camelCase joins the words without a separator
           style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px' }}
         >
           {SEPARATOR_OPTIONS.map(option => (
@@ -555,70 +517,136 @@ const WordChainPasswordGenerator = ({ onGenerate }) => {
         </select>
       </div>
 
+      <div style={{ marginBottom: '15px' }}>
+        <label htmlFor="capitalization" style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
+          Capitalization:
+        </label>
+        <select
+          id="capitalization"
+          value={capitalization}
+          onChange={(e) => onSettingsChange({ capitalization: e.target.value })}
+          style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        >
+          {Object.entries(CAPITALIZATION_STRATEGIES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
       <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: '5px' }}>
-        <Checkbox
-          id="randomCapitalization"
-          label="Random Capitalization"
-          checked={randomCapitalization}
-          onChange={() => setRandomCapitalization(!randomCapitalization)}
-        />
         <Checkbox
           id="includeNumbersBetweenWords"
           label="Include Numbers Between Words"
           checked={includeNumbersBetweenWords}
-          onChange={() => setIncludeNumbersBetweenWords(!includeNumbersBetweenWords)}
+          onChange={() => onSettingsChange({ numbersBetweenWords: !includeNumbersBetweenWords })}
         />
         <Checkbox
           id="includeSymbolsBetweenWords"
           label="Include Symbols Between Words"
           checked={includeSymbolsBetweenWords}
-          onChange={() => setIncludeSymbolsBetweenWords(!includeSymbolsBetweenWords)}
+          onChange={() => onSettingsChange({ symbolsBetweenWords: !includeSymbolsBetweenWords })}
+        />
+        <Checkbox
+          id="transliterateWords"
+          label="ASCII Transliteration (é → e, ß → ss, Ж → Zh)"
+          checked={transliterate}
+          onChange={() => onSettingsChange({ transliterate: !transliterate })}
         />
       </div>
 
+      <div style={{ margin: '15px 0' }}>
+        <label htmlFor="casingLocale" style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
+          Capitalization Language:
+        </label>
+        <select
+          id="casingLocale"
+          value={locale}
+          onChange={(e) => onSettingsChange({ locale: e.target.value })}
+          style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        >
+          {CASING_LOCALES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
 
-      <div style={{ marginBottom: '15px', padding: '10px', border: '1px solid black', marginTop: '20px' }}>
-        <p style={{ fontSize: '14px', marginBottom: '10px' }}>
-          Add Custom Words (one word per line, or space-separated, or URL):
-        </p>
-        <label htmlFor="customWordList" style={{ display: 'none' }}>Custom Word List Input</label>
-        <textarea
-          id="customWordList"
-          style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px', boxSizing: 'border-box' }}
-          rows="5"
-          placeholder="Enter words here, or paste a URL (e.g., https://example.com/words.txt)"
-          value={customWordListInput}
-          onChange={(e) => setCustomWordListInput(e.target.value)}
-        ></textarea>
-        <div style={{ marginTop: '10px', fontSize: '12px' }}>
-          <button
-            onClick={processCustomWordList}
-            style={{ padding: '5px 10px', fontSize: '12px', marginRight: '10px' }}
-            disabled={loadingWords}
-          >
-            {loadingWords ? 'LOADING...' : 'PROCESS INPUT'}
-          </button>
+
+      {!diceEntry && (
+        <div style={{ marginBottom: '15px', padding: '10px', border: '1px solid black', marginTop: '20px' }}>
+          <p style={{ fontSize: '14px', marginBottom: '10px' }}>
+            Add Custom Words (one word per line, or space-separated, or URL):
+          </p>
+          <label htmlFor="customWordList" style={{ display: 'none' }}>Custom Word List Input</label>
+          <textarea
+            id="customWordList"
+            style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px', boxSizing: 'border-box' }}
+            rows="5"
+            placeholder="Enter words here, or paste a URL (e.g., https://example.com/words.txt)"
+            value={customWordListInput}
+            onChange={(e) => {
+              onSettingsChange({ customWordListInput: e.target.value });
+              setCustomWordSource({ source: 'pasted', detail: '' });
+            }}
+          ></textarea>
+          <div style={{ marginTop: '10px', fontSize: '12px' }}>
+            {isWordListUrl(customWordListInput) && (
+              <button
+                onClick={() => setReloadCount(count => count + 1)}
+                style={{ padding: '5px 10px', fontSize: '12px', marginRight: '10px' }}
+                disabled={loadingWords}
+              >
+                {loadingWords ? 'LOADING...' : 'RELOAD URL'}
+              </button>
+            )}
+            <label htmlFor="customWordListFile" style={{ marginRight: '5px' }}>OR UPLOAD FILE:</label>
+            <input
+              type="file"
+              id="customWordListFile"
+              accept=".txt,text/plain"
+              onChange={handleFileUpload}
+            />
+          </div>
+          {wordListStatus && (
+            <p style={{ fontSize: '12px', marginTop: '5px' }}>{wordListStatus}</p>
+          )}
+          {wordListError && (
+            <p style={{ color: 'red', fontSize: '12px', marginTop: '5px' }}>{wordListError}</p>
+          )}
+          {customWords.length > 0 && !loadingWords && !wordListError && (
+            <p style={{ color: 'green', fontSize: '12px', marginTop: '5px' }}>LOADED {customWords.length} CUSTOM WORDS.</p>
+          )}
+          <WordListLibrary
+            lists={libraryLists}
+            onListsChange={setLibraryLists}
+            enabledIds={enabledWordLists}
+            onEnabledChange={(ids) => onSettingsChange({ enabledWordLists: ids })}
+            customWords={customWords}
+            customSource={isWordListUrl(customWordListInput) ? { source: 'url', detail: customWordListInput.trim() } : customWordSource}
+            loadError={libraryError}
+          />
+          <WordListFilters
+            filters={wordFilters}
+            onChange={onSettingsChange}
+            removed={preparedWordList.removed}
+            wordCount={new Set(preparedWordList.words).size}
+          />
+          {wordListId !== NO_BUILT_IN_LIST && customWords.length > 0 && (
+            <p style={{ color: 'blue', fontSize: '12px', marginTop: '5px' }}>BUILT-IN WORDS AND CUSTOM WORDS WILL BE COMBINED.</p>
+          )}
+          {wordListId === NO_BUILT_IN_LIST && customWords.length === 0 && libraryWords.length === 0 && (
+            <p style={{ color: 'orange', fontSize: '12px', marginTop: '5px' }}>NO WORDS SELECTED. PLEASE CHOOSE A WORD LIST OR PROVIDE CUSTOM WORDS.</p>
+          )}
         </div>
-        {wordListError && (
-          <p style={{ color: 'red', fontSize: '12px', marginTop: '5px' }}>{wordListError}</p>
-        )}
-        {customWords.length > 0 && !loadingWords && !wordListError && (
-          <p style={{ color: 'green', fontSize: '12px', marginTop: '5px' }}>LOADED {customWords.length} CUSTOM WORDS.</p>
-        )}
-        {useDefaultList && customWords.length > 0 && (
-          <p style={{ color: 'blue', fontSize: '12px', marginTop: '5px' }}>DEFAULT WORDS AND CUSTOM WORDS WILL BE COMBINED.</p>
-        )}
-        {!useDefaultList && customWords.length === 0 && (
-          <p style={{ color: 'orange', fontSize: '12px', marginTop: '5px' }}>NO WORDS SELECTED. PLEASE ENABLE DEFAULT LIST OR PROVIDE CUSTOM WORDS.</p>
-        )}
-      </div>
+      )}
 
       <button
-        onClick={generateWordChain}
+        onClick={generateWordChainPassword}
         style={{ marginTop: '20px', padding: '8px 15px', fontSize: '14px' }}
       >
         GENERATE WORD CHAIN PASSWORD
       </button>
+      {/* A set of dice rolls describes exactly one password, so there is nothing to batch */}
+      {!diceEntry && <BatchControls onGenerateBatch={generateWordChainBatch} />}
     </div>
   );
 };
@@ -632,17 +660,167 @@ const App = () => {
   // "homepage": "https://yourusername.github.io/your-repo-name/",
   // This helps React's build process correctly resolve asset paths.
 
-  const [currentMode, setCurrentMode] = useState(() => {
-    const savedMode = localStorage.getItem('passwordGeneratorMode');
-    return savedMode || 'random'; // Default to 'random'
+  // Named settings profiles; the active one holds the mode and the options of every generator.
+  // Settings from a shared link take precedence over the saved ones.
+  const [profileStore, setProfileStore] = useState(() => {
+    const store = loadProfileStore(localStorage);
+    const linkedSettings = decodeSettingsHash(window.location.hash, getActiveSettings(store));
+    return linkedSettings ? applySharedSettings(store, linkedSettings) : store;
   });
+  const settings = getActiveSettings(profileStore);
+  const currentMode = settings.mode;
   const [generatedPassword, setGeneratedPassword] = useState('');
   const [copyStatus, setCopyStatus] = useState('');
+  const [linkStatus, setLinkStatus] = useState('');
+  // Seconds after which a copied password is wiped from the clipboard (0 = never)
+  const [clipboardClearSeconds, setClipboardClearSeconds] = useState(() => {
+    const saved = localStorage.getItem('clipboardClearSeconds');
+    return saved !== null ? parseInt(saved, 10) : DEFAULT_CLIPBOARD_CLEAR_SECONDS;
+  });
+  // The last copied password and the seconds left until it is cleared, while a clear is pending
+  const [pendingClear, setPendingClear] = useState(null);
+  const [clipboardStatus, setClipboardStatus] = useState('');
+  // Show new passwords masked until revealed
+  const [startMasked, setStartMasked] = useState(() => {
+    const saved = localStorage.getItem('startMasked');
+    return saved ? JSON.parse(saved) : false;
+  });
+  const [revealed, setRevealed] = useState(!startMasked);
+  // Seconds of inactivity after which the password is removed from the page (0 = never)
+  const [autoHideSeconds, setAutoHideSeconds] = useState(() => {
+    const saved = localStorage.getItem('autoHideSeconds');
+    return saved !== null ? parseInt(saved, 10) : 0;
+  });
+  const [autoHidden, setAutoHidden] = useState(false);
+  const [showSpellOut, setShowSpellOut] = useState(false);
+  // Passwords generated in this session, newest first
+  const [historyEntries, setHistoryEntries] = useState([]);
+  // Entropy of the active generator's current settings, reported by the generator component
+  const [entropyBits, setEntropyBits] = useState(0);
+  // Rows of the most recent batch generation, if any
+  const [batchRows, setBatchRows] = useState([]);
+  const [passwordCheck, setPasswordCheck] = useState(() => {
+    const saved = localStorage.getItem('passwordCheckSettings');
+    return saved ? { ...DEFAULT_PASSWORD_CHECK, ...JSON.parse(saved) } : DEFAULT_PASSWORD_CHECK;
+  });
+  const [commonPasswords, setCommonPasswords] = useState(null);
+  const [commonPasswordsStatus, setCommonPasswordsStatus] = useState(null);
 
-  // Save current mode to local storage
+  // Save profiles to local storage whenever they change
   useEffect(() => {
-    localStorage.setItem('passwordGeneratorMode', currentMode);
-  }, [currentMode]);
+    saveProfileStore(localStorage, profileStore);
+  }, [profileStore]);
+
+  useEffect(() => {
+    localStorage.setItem('clipboardClearSeconds', clipboardClearSeconds);
+    localStorage.setItem('startMasked', startMasked);
+    localStorage.setItem('autoHideSeconds', autoHideSeconds);
+  }, [clipboardClearSeconds, startMasked, autoHideSeconds]);
+
+  // Remove the password from the page after a period without keyboard, pointer or scroll activity
+  useEffect(() => {
+    if (!generatedPassword || generatedPassword.startsWith('Error:') || autoHideSeconds <= 0) return;
+    const activityEvents = ['keydown', 'pointerdown', 'pointermove', 'scroll'];
+    let timer;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        setGeneratedPassword('');
+        setAutoHidden(true);
+      }, autoHideSeconds * 1000);
+    };
+    restartTimer();
+    activityEvents.forEach(type => window.addEventListener(type, restartTimer, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      activityEvents.forEach(type => window.removeEventListener(type, restartTimer));
+    };
+  }, [generatedPassword, autoHideSeconds]);
+
+  // Count down once per second, then clear the clipboard if it still holds the copied password
+  useEffect(() => {
+    if (!pendingClear) return;
+    if (pendingClear.remaining <= 0) {
+      clearClipboardIfUnchanged(pendingClear.text).then(result => {
+        const messages = {
+          cleared: 'Clipboard cleared.',
+          changed: 'Clipboard was left alone: it no longer holds the password.',
+          unverified: 'This browser does not allow checking the clipboard. Please clear it yourself.',
+          failed: 'Failed to clear the clipboard. Please clear it yourself.',
+        };
+        setClipboardStatus(messages[result]);
+      });
+      setPendingClear(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      setPendingClear(pending => pending && { ...pending, remaining: pending.remaining - 1 });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [pendingClear]);
+
+  // Once a shared link's settings are applied, drop them from the address bar so that a reload
+  // doesn't undo later changes
+  useEffect(() => {
+    if (decodeSettingsHash(window.location.hash)) {
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, '', `${pathname}${search}`);
+    }
+  }, []);
+
+  /**
+   * Updates settings of the active profile.
+   * @param {object} patch - Fields to replace.
+   * @param {string} [section] - Settings section the fields belong to (e.g. 'random').
+   */
+  const updateSettings = useCallback((patch, section) => {
+    setProfileStore(store => updateActiveSettings(store, patch, section));
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem('passwordCheckSettings', JSON.stringify(passwordCheck));
+  }, [passwordCheck]);
+
+  // Load the common-password filter the first time the check is enabled
+  useEffect(() => {
+    if (!passwordCheck.checkCommon || commonPasswords) return;
+    let cancelled = false;
+    setCommonPasswordsStatus('LOADING COMMON PASSWORD LIST...');
+    loadCommonPasswordFilter()
+      .then(loaded => {
+        if (cancelled) return;
+        setCommonPasswords(loaded);
+        setCommonPasswordsStatus(null);
+      })
+      .catch(error => {
+        console.error("Error loading common password list:", error);
+        if (!cancelled) setCommonPasswordsStatus('FAILED TO LOAD THE COMMON PASSWORD LIST.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [passwordCheck.checkCommon, commonPasswords]);
+
+  // Returns why a password is listed, or null
+  const checkPassword = useMemo(() => createPasswordChecker({
+    commonPasswords: passwordCheck.checkCommon ? commonPasswords : null,
+    blocklist: parseBlocklist(passwordCheck.blocklist),
+  }), [passwordCheck.checkCommon, passwordCheck.blocklist, commonPasswords]);
+
+  /**
+   * Wraps a generator so that listed passwords are regenerated, when that option is enabled.
+   * Passed to every generator component and used for both single and batch generation.
+   * @param {function(): string} generateOne - Produces one password.
+   * @returns {function(): string} - The (possibly) screened generator.
+   */
+  const screenGenerator = useCallback((generateOne) => (
+    passwordCheck.autoRegenerate ? createScreenedGenerator(generateOne, checkPassword) : generateOne
+  ), [passwordCheck.autoRegenerate, checkPassword]);
+
+  // Why the current password is on a list, if it is
+  const listedReason = generatedPassword && !generatedPassword.startsWith('Error:')
+    ? checkPassword(generatedPassword)
+    : null;
 
   /**
    * Callback function to receive the generated password from child components.
@@ -651,19 +829,49 @@ const App = () => {
   const handleGeneratePassword = (password) => {
     setGeneratedPassword(password);
     setCopyStatus(''); // Clear copy status on new generation
+    setRevealed(!startMasked);
+    setAutoHidden(false);
+    if (password && !password.startsWith('Error:')) {
+      setHistoryEntries(entries => addHistoryEntry(entries, createHistoryEntry(password, currentMode)));
+    }
+  };
+
+  /**
+   * Copies a link that opens the generator with the current mode and options.
+   * Only settings are encoded; the generated password is never part of the link.
+   */
+  const handleCopyLink = async () => {
+    const copied = await copyToClipboard(buildShareLink(settings, window.location));
+    setLinkStatus(copied ? 'Link copied!' : 'Failed to copy link.');
+    setTimeout(() => setLinkStatus(''), 2000);
+  };
+
+  /**
+   * Copies a password and, if enabled, schedules the clipboard to be cleared.
+   * Copying again restarts the countdown for the new password.
+   * @param {string} password - The password to copy.
+   * @returns {Promise<boolean>} - True if copy was successful, false otherwise.
+   */
+  const copySecret = async (password) => {
+    const copied = await copyToClipboard(password);
+    if (copied) {
+      setClipboardStatus('');
+      setPendingClear(clipboardClearSeconds > 0 ? { text: password, remaining: clipboardClearSeconds } : null);
+    }
+    return copied;
   };
 
   /**
    * Handles copying the generated password to the clipboard.
    * Prevents copying error messages.
    */
-  const handleCopy = () => {
+  const handleCopy = async () => {
     if (generatedPassword.startsWith('Error:')) { // Prevent copying error messages
       setCopyStatus('Cannot copy error message.');
       setTimeout(() => setCopyStatus(''), 2000);
       return;
     }
-    if (copyToClipboard(generatedPassword)) {
+    if (await copySecret(generatedPassword)) {
       setCopyStatus('Copied!');
       setTimeout(() => setCopyStatus(''), 2000); // Clear after 2 seconds
     } else {
@@ -675,39 +883,112 @@ const App = () => {
     <div style={{ fontFamily: 'serif', margin: '20px', color: 'black', backgroundColor: 'white' }}>
       <h1 style={{ fontSize: '24px', marginBottom: '20px' }}>My HTML Password Generator</h1>
 
+      <OfflineIndicator />
+
+      <ProfileManager store={profileStore} onStoreChange={setProfileStore} />
+
       <div style={{ marginBottom: '20px' }}>
+        {MODE_OPTIONS.map(({ value, label }) => (
+          <button
+            key={value}
+            onClick={() => updateSettings({ mode: value })}
+            style={{ padding: '8px 15px', fontSize: '14px', marginRight: '10px', fontWeight: currentMode === value ? 'bold' : 'normal' }}
+          >
+            {label}
+          </button>
+        ))}
         <button
-          onClick={() => setCurrentMode('random')}
-          style={{ padding: '8px 15px', fontSize: '14px', marginRight: '10px', fontWeight: currentMode === 'random' ? 'bold' : 'normal' }}
-        >
-          RANDOM
-        </button>
-        <button
-          onClick={() => setCurrentMode('word-chain')}
-          style={{ padding: '8px 15px', fontSize: '14px', fontWeight: currentMode === 'word-chain' ? 'bold' : 'normal' }}
+          onClick={handleCopyLink}
+          style={{ padding: '8px 15px', fontSize: '14px' }}
         >
-          WORD CHAIN
+          {linkStatus.toUpperCase() || 'COPY LINK TO THESE SETTINGS'}
         </button>
       </div>
 
       <div style={{ marginBottom: '20px' }}>
-        {currentMode === 'random' ? (
-          <RandomPasswordGenerator onGenerate={handleGeneratePassword} />
-        ) : (
-          <WordChainPasswordGenerator onGenerate={handleGeneratePassword} />
+        {currentMode === 'random' && (
+          <RandomPasswordGenerator
+            settings={settings.random}
+            onSettingsChange={(patch) => updateSettings(patch, 'random')}
+            onGenerate={handleGeneratePassword}
+            onEntropyChange={setEntropyBits}
+            onGenerateBatch={setBatchRows}
+            screenGenerator={screenGenerator}
+          />
+        )}
+        {currentMode === 'word-chain' && (
+          <WordChainPasswordGenerator
+            settings={settings.wordChain}
+            onSettingsChange={(patch) => updateSettings(patch, 'wordChain')}
+            onGenerate={handleGeneratePassword}
+            onEntropyChange={setEntropyBits}
+            onGenerateBatch={setBatchRows}
+            screenGenerator={screenGenerator}
+          />
+        )}
+        {currentMode === 'pronounceable' && (
+          <PronounceablePasswordGenerator
+            settings={settings.pronounceable}
+            onSettingsChange={(patch) => updateSettings(patch, 'pronounceable')}
+            onGenerate={handleGeneratePassword}
+            onEntropyChange={setEntropyBits}
+            onGenerateBatch={setBatchRows}
+            screenGenerator={screenGenerator}
+          />
+        )}
+        {currentMode === 'pin' && (
+          <PinGenerator
+            settings={settings.pin}
+            onSettingsChange={(patch) => updateSettings(patch, 'pin')}
+            onGenerate={handleGeneratePassword}
+            onEntropyChange={setEntropyBits}
+            onGenerateBatch={setBatchRows}
+            screenGenerator={screenGenerator}
+          />
+        )}
+        {currentMode === 'token' && (
+          <TokenGenerator
+            settings={settings.token}
+            onSettingsChange={(patch) => updateSettings(patch, 'token')}
+            onGenerate={handleGeneratePassword}
+            onEntropyChange={setEntropyBits}
+            onGenerateBatch={setBatchRows}
+            screenGenerator={screenGenerator}
+          />
+        )}
+        {currentMode === 'derived' && (
+          <DerivedPasswordGenerator
+            settings={settings.derived}
+            randomSettings={settings.random}
+            wordChainSettings={settings.wordChain}
+            onSettingsChange={(patch) => updateSettings(patch, 'derived')}
+            onGenerate={handleGeneratePassword}
+            onEntropyChange={setEntropyBits}
+          />
         )}
       </div>
 
       <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
         <h3 style={{ fontSize: '16px', marginBottom: '10px' }}>GENERATED PASSWORD</h3>
         <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-          <input
-            type="text"
-            readOnly
-            value={generatedPassword}
-            style={{ flexGrow: 1, padding: '5px', border: '1px solid black', fontSize: '14px', color: generatedPassword.startsWith('Error:') ? 'red' : 'black' }}
-            placeholder="YOUR PASSWORD WILL APPEAR HERE..."
-          />
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <input
+              // Errors are never masked; masked passwords are rendered as bullets by the browser
+              type={revealed || generatedPassword.startsWith('Error:') ? 'text' : 'password'}
+              readOnly
+              value={generatedPassword}
+              autoComplete="off"
+              style={{ flexGrow: 1, padding: '5px', border: '1px solid black', fontSize: '14px', color: generatedPassword.startsWith('Error:') ? 'red' : 'black' }}
+              placeholder={autoHidden ? 'PASSWORD HIDDEN AFTER INACTIVITY.' : 'YOUR PASSWORD WILL APPEAR HERE...'}
+            />
+            <button
+              onClick={() => setRevealed(!revealed)}
+              style={{ padding: '5px 10px', fontSize: '12px' }}
+              aria-pressed={revealed}
+            >
+              {revealed ? 'HIDE' : 'SHOW'}
+            </button>
+          </div>
           <button
             onClick={handleCopy}
             style={{ padding: '8px 15px', fontSize: '14px' }}
@@ -721,8 +1002,92 @@ const App = () => {
             {copyStatus.toUpperCase()}
           </p>
         )}
+        <div style={{ fontSize: '12px', marginTop: '5px' }}>
+          <label htmlFor="clipboardClearSeconds" style={{ marginRight: '5px' }}>Clear Clipboard After (seconds, 0 = never):</label>
+          <input
+            type="number"
+            id="clipboardClearSeconds"
+            min={0}
+            max={3600}
+            value={clipboardClearSeconds}
+            onChange={(e) => setClipboardClearSeconds(Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), 3600))}
+            style={{ width: '60px', padding: '2px', border: '1px solid black', fontSize: '12px' }}
+          />
+          {pendingClear && (
+            <span style={{ marginLeft: '10px' }}>
+              CLIPBOARD CLEARS IN {pendingClear.remaining}S{' '}
+              <button onClick={() => setPendingClear(null)} style={{ padding: '2px 8px', fontSize: '12px' }}>
+                KEEP
+              </button>
+            </span>
+          )}
+          {clipboardStatus && (
+            <p style={{ marginTop: '5px', color: clipboardStatus === 'Clipboard cleared.' ? 'green' : 'orange' }}>
+              {clipboardStatus.toUpperCase()}
+            </p>
+          )}
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: '5px', marginTop: '10px' }}>
+          <Checkbox
+            id="startMasked"
+            label="Start Masked"
+            checked={startMasked}
+            onChange={() => setStartMasked(!startMasked)}
+          />
+          <Checkbox
+            id="showSpellOut"
+            label="Spell It Out"
+            checked={showSpellOut}
+            onChange={() => setShowSpellOut(!showSpellOut)}
+          />
+          <div style={{ fontSize: '12px' }}>
+            <label htmlFor="autoHideSeconds" style={{ marginRight: '5px' }}>Hide Password After Inactivity (seconds, 0 = never):</label>
+            <input
+              type="number"
+              id="autoHideSeconds"
+              min={0}
+              max={3600}
+              value={autoHideSeconds}
+              onChange={(e) => setAutoHideSeconds(Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), 3600))}
+              style={{ width: '60px', padding: '2px', border: '1px solid black', fontSize: '12px' }}
+            />
+          </div>
+        </div>
+        {showSpellOut && revealed && generatedPassword && !generatedPassword.startsWith('Error:') && (
+          <SpellOutView password={generatedPassword} />
+        )}
+        {listedReason && (
+          <p style={{ fontSize: '12px', marginTop: '5px', color: 'red' }}>
+            WARNING: THIS PASSWORD {listedReason.toUpperCase()}. PLEASE GENERATE ANOTHER ONE.
+          </p>
+        )}
+        <StrengthMeter bits={entropyBits} />
       </div>
 
+      {/* Snippets hold the password in plain text, so they are only offered while it is shown */}
+      {revealed && generatedPassword && !generatedPassword.startsWith('Error:') && (
+        <ExportPanel password={generatedPassword} onCopy={copySecret} />
+      )}
+
+      <PasswordCheckSettings settings={passwordCheck} onChange={setPasswordCheck} status={commonPasswordsStatus} />
+
+      {batchRows.length > 0 && (
+        <BatchResults
+          rows={batchRows}
+          onClear={() => setBatchRows([])}
+          checkPassword={checkPassword}
+          onCopy={copySecret}
+          startMasked={startMasked}
+        />
+      )}
+
+      <HistoryPanel
+        entries={historyEntries}
+        onEntriesChange={setHistoryEntries}
+        onCopy={copySecret}
+        modeOptions={MODE_OPTIONS}
+      />
+
       <div style={{ fontSize: '12px', marginTop: '30px' }}>
         © 1991-2004 Old-School Web Designs
       </div>
@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from 'react';
+import { MAX_BATCH_SIZE } from '../lib/batch.js';
+
+/**
+ * Batch size input and button, shown inside each generator.
+ * The batch size is persisted in localStorage and shared between modes.
+ * @param {object} props - Component props.
+ * @param {function} props.onGenerateBatch - Called with the requested number of passwords.
+ */
+const BatchControls = ({ onGenerateBatch }) => {
+  const [batchSize, setBatchSize] = useState(() => {
+    const saved = localStorage.getItem('batchSize');
+    return saved ? parseInt(saved, 10) : 10;
+  });
+
+  // Save batch size to local storage whenever it changes
+  useEffect(() => {
+    localStorage.setItem('batchSize', batchSize);
+  }, [batchSize]);
+
+  return (
+    <div style={{ marginTop: '10px', fontSize: '14px' }}>
+      <label htmlFor="batchSize" style={{ marginRight: '5px' }}>Batch Size:</label>
+      <input
+        type="number"
+        id="batchSize"
+        min={1}
+        max={MAX_BATCH_SIZE}
+        value={batchSize}
+        onChange={(e) => setBatchSize(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), MAX_BATCH_SIZE))}
+        style={{ width: '80px', padding: '5px', border: '1px solid black', fontSize: '14px', marginRight: '10px' }}
+      />
+      <button
+        onClick={() => onGenerateBatch(batchSize)}
+        style={{ padding: '8px 15px', fontSize: '14px' }}
+      >
+        GENERATE BATCH
+      </button>
+    </div>
+  );
+};
+
+export default BatchControls;
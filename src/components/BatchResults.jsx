@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { EXPORT_FORMATS, serializeBatch } from '../lib/batch.js';
+import { downloadFile } from '../lib/download.js';
+
+/**
+ * Lists a batch of generated passwords with per-row copy buttons and export downloads.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.rows - Rows produced by generateBatch.
+ * @param {function} props.onClear - Callback to discard the batch.
+ * @param {function(string): (string|null)} props.checkPassword - Flags rows found on a common-password list or blocklist.
+ * @param {function(string): Promise<boolean>} props.onCopy - Copies a password (with the app's auto-clear).
+ * @param {boolean} props.startMasked - Whether new batches are masked until revealed, like the main password.
+ */
+const BatchResults = ({ rows, onClear, checkPassword, onCopy, startMasked }) => {
+  const [copiedIndex, setCopiedIndex] = useState(null);
+  const [showPasswords, setShowPasswords] = useState(!startMasked);
+
+  // Each new batch starts masked or shown according to the setting
+  useEffect(() => {
+    setShowPasswords(!startMasked);
+  }, [rows, startMasked]);
+
+  /**
+   * Copies a single row's password and briefly marks it as copied.
+   * @param {number} index - Row index.
+   */
+  const handleCopyRow = async (index) => {
+    if (await onCopy(rows[index].password)) {
+      setCopiedIndex(index);
+      setTimeout(() => setCopiedIndex(null), 2000); // Clear after 2 seconds
+    }
+  };
+
+  /**
+   * Downloads the whole batch in the given format.
+   * @param {string} format - A key of EXPORT_FORMATS.
+   */
+  const handleDownload = (format) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadFile(`passwords-${rows[0].mode}-${rows.length}.${extension}`, serializeBatch(rows, format), mimeType);
+  };
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
+      <h3 style={{ fontSize: '16px', marginBottom: '10px' }}>BATCH ({rows.length} PASSWORDS)</h3>
+      <div style={{ marginBottom: '10px' }}>
+        {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+          <button
+            key={format}
+            onClick={() => handleDownload(format)}
+            style={{ padding: '5px 10px', fontSize: '12px', marginRight: '10px' }}
+          >
+            DOWNLOAD {label}
+          </button>
+        ))}
+        <button
+          onClick={() => setShowPasswords(!showPasswords)}
+          style={{ padding: '5px 10px', fontSize: '12px', marginRight: '10px' }}
+        >
+          {showPasswords ? 'HIDE PASSWORDS' : 'SHOW PASSWORDS'}
+        </button>
+        <button onClick={onClear} style={{ padding: '5px 10px', fontSize: '12px' }}>
+          CLEAR
+        </button>
+        <p style={{ fontSize: '12px', marginTop: '5px' }}>
+          .CSV keeps every password exactly as generated. .CSV (SPREADSHEET-SAFE) is for opening in a spreadsheet:
+          values starting with =, +, - or @ get a leading &apos; so they are not run as formulas, which changes those
+          passwords for scripts reading the file.
+        </p>
+      </div>
+      <ol style={{ maxHeight: '300px', overflowY: 'auto', fontSize: '14px', paddingLeft: '40px' }}>
+        {rows.map((row, index) => (
+          <li key={index} style={{ marginBottom: '5px' }}>
+            <code style={{ marginRight: '10px', wordBreak: 'break-all' }}>
+              {showPasswords ? row.password : '•'.repeat(Math.min([...row.password].length, 24))}
+            </code>
+            <button onClick={() => handleCopyRow(index)} style={{ padding: '2px 8px', fontSize: '12px' }}>
+              {copiedIndex === index ? 'COPIED!' : 'COPY'}
+            </button>
+            {checkPassword(row.password) && (
+              <span style={{ color: 'red', fontSize: '12px', marginLeft: '10px' }}>LISTED</span>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default BatchResults;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { AMBIGUOUS_CHARACTERS, CHAR_SETS } from '../lib/constants.js';
+import { Checkbox } from './controls.jsx';
+
+/**
+ * Editor for the custom alphabet of the random generator: symbol set, exclusions,
+ * look-alike filtering and extra characters. Fully controlled by the parent.
+ * @param {object} props - Component props.
+ * @param {string} props.symbolSet - Characters used for the symbols class.
+ * @param {function} props.onSymbolSetChange - Callback receiving the new symbol set.
+ * @param {string} props.excludeChars - Characters never to use.
+ * @param {function} props.onExcludeCharsChange - Callback receiving the new exclusions.
+ * @param {boolean} props.excludeAmbiguous - Whether look-alike characters are dropped.
+ * @param {function} props.onExcludeAmbiguousChange - Callback receiving the new flag.
+ * @param {string} props.extraChars - Additional characters to include.
+ * @param {function} props.onExtraCharsChange - Callback receiving the new extra characters.
+ * @param {number} props.poolSize - Number of distinct characters currently available.
+ */
+const CustomAlphabetEditor = ({
+  symbolSet,
+  onSymbolSetChange,
+  excludeChars,
+  onExcludeCharsChange,
+  excludeAmbiguous,
+  onExcludeAmbiguousChange,
+  extraChars,
+  onExtraCharsChange,
+  poolSize,
+}) => {
+  const inputStyle = { width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px', boxSizing: 'border-box', fontFamily: 'monospace' };
+  const labelStyle = { display: 'block', marginTop: '10px', marginBottom: '5px' };
+
+  return (
+    <div style={{ padding: '10px', border: '1px solid black', marginTop: '10px', fontSize: '14px' }}>
+      <label htmlFor="customSymbolSet" style={{ ...labelStyle, marginTop: 0 }}>Symbol Set:</label>
+      <div style={{ display: 'flex', gap: '5px' }}>
+        <input
+          type="text"
+          id="customSymbolSet"
+          value={symbolSet}
+          onChange={(e) => onSymbolSetChange(e.target.value)}
+          style={inputStyle}
+        />
+        <button
+          onClick={() => onSymbolSetChange(CHAR_SETS.symbols)}
+          disabled={symbolSet === CHAR_SETS.symbols}
+          style={{ padding: '5px 10px', fontSize: '12px' }}
+        >
+          RESET
+        </button>
+      </div>
+
+      <label htmlFor="excludeChars" style={labelStyle}>Exclude Characters:</label>
+      <input
+        type="text"
+        id="excludeChars"
+        value={excludeChars}
+        placeholder={'e.g. "\'<>/'}
+        onChange={(e) => onExcludeCharsChange(e.target.value)}
+        style={inputStyle}
+      />
+
+      <div style={{ marginTop: '10px' }}>
+        <Checkbox
+          id="excludeAmbiguous"
+          label={`Exclude Ambiguous Characters (${AMBIGUOUS_CHARACTERS.split('').join(' ')})`}
+          checked={excludeAmbiguous}
+          onChange={() => onExcludeAmbiguousChange(!excludeAmbiguous)}
+        />
+      </div>
+
+      <label htmlFor="extraChars" style={labelStyle}>Extra Characters (any Unicode, at least one is used):</label>
+      <input
+        type="text"
+        id="extraChars"
+        value={extraChars}
+        placeholder="e.g. €£§äöü"
+        onChange={(e) => onExtraCharsChange(e.target.value)}
+        style={inputStyle}
+      />
+
+      <p style={{ fontSize: '12px', marginTop: '10px' }}>CHARACTER POOL: {poolSize} CHARACTERS.</p>
+    </div>
+  );
+};
+
+export default CustomAlphabetEditor;
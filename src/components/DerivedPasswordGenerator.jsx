@@ -0,0 +1,181 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { DERIVED_STYLES, derivePassword, findDerivedWordListProblem } from '../lib/derived.js';
+import { calculateRandomEntropy, calculateWordChainEntropy } from '../lib/entropy.js';
+import { getRandomOptions, getWordChainOptions, getWordFilters } from '../lib/profiles.js';
+import { isWordListUrl } from '../lib/remoteWordList.js';
+import { NO_BUILT_IN_LIST, loadBuiltInWordList, parseWordList, prepareWordList } from '../lib/wordList.js';
+import { getEnabledWords, loadWordLists } from '../lib/wordListLibrary.js';
+
+/**
+ * Component for the Derived Password mode.
+ * Derives a repeatable password from a master passphrase, a site name and a counter, using the
+ * options of the Random or Word Chain mode. The inputs only live in this component's state.
+ * @param {object} props - Component props.
+ * @param {object} props.settings - The derived section of the active profile's settings.
+ * @param {object} props.randomSettings - The random section, used for the character rules.
+ * @param {object} props.wordChainSettings - The wordChain section, used for the word list and separators.
+ * @param {function} props.onSettingsChange - Callback receiving changed settings fields.
+ * @param {function} props.onGenerate - Callback to pass the derived password to the parent.
+ * @param {function} props.onEntropyChange - Callback receiving the entropy (bits) of the current settings.
+ */
+const DerivedPasswordGenerator = ({ settings, randomSettings, wordChainSettings, onSettingsChange, onGenerate, onEntropyChange }) => {
+  const { style } = settings;
+  const [masterPassword, setMasterPassword] = useState('');
+  const [site, setSite] = useState('');
+  const [counter, setCounter] = useState(1);
+  // The loaded built-in list, with its id so a list that is still loading is never used
+  const [baseList, setBaseList] = useState({ id: null, words: [], error: null });
+  const [libraryLists, setLibraryLists] = useState(null); // null while loading
+  const [libraryError, setLibraryError] = useState(null);
+  const [deriving, setDeriving] = useState(false);
+
+  // Enabled lists of the word list library are part of the word chain's words
+  useEffect(() => {
+    loadWordLists()
+      .then(setLibraryLists)
+      .catch(error => setLibraryError(error.message));
+  }, []);
+
+  // Load the word chain's built-in list; derived word chains can't depend on lists fetched from a URL
+  useEffect(() => {
+    let cancelled = false;
+    const id = wordChainSettings.wordList;
+    loadBuiltInWordList(id)
+      .then(words => {
+        if (!cancelled) setBaseList({ id, words, error: null });
+      })
+      .catch(error => {
+        console.error("Error loading built-in word list:", error);
+        if (!cancelled) setBaseList({ id: null, words: [], error: error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [wordChainSettings.wordList]);
+
+  const { customWordListInput } = wordChainSettings;
+  const usesUrlList = isWordListUrl(customWordListInput);
+
+  // Generator options for the chosen style, taken from the Random or Word Chain settings
+  const options = useMemo(() => {
+    if (style === 'random') return getRandomOptions(randomSettings);
+    const { words } = prepareWordList({
+      baseWords: baseList.words,
+      customWords: [
+        ...(usesUrlList ? [] : parseWordList(customWordListInput)),
+        ...getEnabledWords(libraryLists ?? [], wordChainSettings.enabledWordLists),
+      ],
+      filters: getWordFilters(wordChainSettings),
+    });
+    return getWordChainOptions(wordChainSettings, words);
+  }, [style, randomSettings, wordChainSettings, baseList, libraryLists, usesUrlList, customWordListInput]);
+
+  // Why a word chain can't be derived yet (lists still loading or unavailable)
+  const wordListProblem = style === 'word-chain'
+    ? findDerivedWordListProblem({
+      wordList: wordChainSettings.wordList,
+      loadedWordList: baseList.id,
+      wordListError: baseList.error,
+      enabledWordLists: wordChainSettings.enabledWordLists,
+      libraryLists,
+      libraryError,
+    })
+    : null;
+
+  const entropyBits = useMemo(
+    () => (style === 'random' ? calculateRandomEntropy(options) : calculateWordChainEntropy(options)),
+    [style, options],
+  );
+
+  // Report the entropy of the current settings so it can be shown before generating
+  useEffect(() => {
+    onEntropyChange(entropyBits);
+  }, [entropyBits, onEntropyChange]);
+
+  /**
+   * Derives the password for the entered site. Key derivation is deliberately slow.
+   */
+  const handleDerive = async () => {
+    if (wordListProblem) {
+      onGenerate(`Error: ${wordListProblem}`);
+      return;
+    }
+    setDeriving(true);
+    try {
+      onGenerate(await derivePassword({ masterPassword, site, counter }, style, options));
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
+    } finally {
+      setDeriving(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
+      <h2>Derived Password</h2>
+      <p style={{ fontSize: '12px', marginBottom: '10px' }}>
+        THE SAME MASTER PASSPHRASE, SITE AND COUNTER ALWAYS GIVE THE SAME PASSWORD. NOTHING IS STORED.
+        THE PASSWORD IS NEVER STRONGER THAN YOUR MASTER PASSPHRASE.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '5px 10px', alignItems: 'center', fontSize: '14px' }}>
+        <label htmlFor="derivedMasterPassword">Master Passphrase:</label>
+        <input
+          type="password"
+          id="derivedMasterPassword"
+          autoComplete="off"
+          value={masterPassword}
+          onChange={(e) => setMasterPassword(e.target.value)}
+          style={{ padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        />
+        <label htmlFor="derivedSite">Site:</label>
+        <input
+          type="text"
+          id="derivedSite"
+          autoComplete="off"
+          value={site}
+          onChange={(e) => setSite(e.target.value)}
+          placeholder="example.com"
+          style={{ padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        />
+        <label htmlFor="derivedCounter">Counter:</label>
+        <input
+          type="number"
+          id="derivedCounter"
+          min={1}
+          value={counter}
+          onChange={(e) => setCounter(Math.max(parseInt(e.target.value, 10) || 1, 1))}
+          style={{ width: '80px', padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        />
+        <label htmlFor="derivedStyle">Password Style:</label>
+        <select
+          id="derivedStyle"
+          value={style}
+          onChange={(e) => onSettingsChange({ style: e.target.value })}
+          style={{ padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        >
+          {Object.entries(DERIVED_STYLES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <p style={{ fontSize: '12px', marginTop: '10px' }}>
+        USES THE {style === 'random' ? 'RANDOM' : 'WORD CHAIN'} MODE OPTIONS OF THIS PROFILE. CHANGING THEM CHANGES EVERY DERIVED PASSWORD.
+        {style === 'word-chain' && usesUrlList && ' WORD LISTS LOADED FROM A URL ARE NOT USED.'}
+        {wordListProblem && ` ${wordListProblem.toUpperCase()}`}
+        {style === 'word-chain' && wordChainSettings.wordList === NO_BUILT_IN_LIST && !customWordListInput && ' NO WORD LIST IS SELECTED.'}
+      </p>
+
+      <button
+        onClick={handleDerive}
+        disabled={deriving || Boolean(wordListProblem)}
+        style={{ marginTop: '20px', padding: '8px 15px', fontSize: '14px' }}
+      >
+        {deriving ? 'DERIVING...' : 'DERIVE PASSWORD'}
+      </button>
+    </div>
+  );
+};
+
+export default DerivedPasswordGenerator;
@@ -0,0 +1,120 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { PASSWORD_EXPORT_FORMATS, exportPassword } from '../lib/passwordExport.js';
+
+/**
+ * Exports the generated password as a hash (htpasswd, /etc/shadow, PBKDF2) or a configuration
+ * snippet (.env, YAML, JSON). Everything is computed in the browser.
+ * @param {object} props - Component props.
+ * @param {string} props.password - The generated password.
+ * @param {function(string): Promise<boolean>} props.onCopy - Copies text (with the app's auto-clear).
+ */
+const ExportPanel = ({ password, onCopy }) => {
+  const [format, setFormat] = useState('htpasswd');
+  const [name, setName] = useState('');
+  const [output, setOutput] = useState('');
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+  // Incremented whenever the inputs change, so a slow export that finishes afterwards is dropped
+  const exportIdRef = useRef(0);
+
+  // An export of a previous password must not be copied by mistake
+  useEffect(() => {
+    exportIdRef.current += 1;
+    setOutput('');
+    setStatus('');
+    setBusy(false);
+  }, [password, format, name]);
+
+  const { nameLabel } = PASSWORD_EXPORT_FORMATS[format];
+
+  /**
+   * Computes the export; hashing takes a moment at the chosen work factors.
+   */
+  const handleExport = async () => {
+    const exportId = ++exportIdRef.current;
+    setBusy(true);
+    setStatus('');
+    try {
+      const exported = await exportPassword(password, format, { name });
+      if (exportId === exportIdRef.current) setOutput(exported);
+    } catch (error) {
+      console.error("Error exporting password:", error);
+      if (exportId === exportIdRef.current) {
+        setOutput('');
+        setStatus(`Error: ${error.message}`);
+      }
+    } finally {
+      if (exportId === exportIdRef.current) setBusy(false);
+    }
+  };
+
+  /**
+   * Copies the export; it contains the password or a hash of it, so it gets the same auto-clear.
+   */
+  const handleCopy = async () => {
+    if (await onCopy(output)) {
+      setStatus('Copied!');
+      setTimeout(() => setStatus(''), 2000); // Clear after 2 seconds
+    }
+  };
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
+      <h3 style={{ fontSize: '16px', marginBottom: '10px' }}>EXPORT AS</h3>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', fontSize: '12px', marginBottom: '10px' }}>
+        <label htmlFor="exportFormat">Format:</label>
+        <select
+          id="exportFormat"
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          style={{ padding: '2px', border: '1px solid black', fontSize: '12px' }}
+        >
+          {Object.entries(PASSWORD_EXPORT_FORMATS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {nameLabel && (
+          <>
+            <label htmlFor="exportName">{nameLabel}:</label>
+            <input
+              type="text"
+              id="exportName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              autoComplete="off"
+              spellCheck={false}
+              style={{ padding: '2px', border: '1px solid black', fontSize: '12px' }}
+            />
+          </>
+        )}
+        <button onClick={handleExport} disabled={busy} style={{ padding: '5px 10px', fontSize: '12px' }}>
+          {busy ? 'HASHING...' : 'EXPORT'}
+        </button>
+      </div>
+      {output && (
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <textarea
+            readOnly
+            value={output}
+            rows={output.split('\n').length - 1}
+            aria-label="Exported password"
+            style={{ flexGrow: 1, padding: '5px', border: '1px solid black', fontSize: '12px', fontFamily: 'monospace', wordBreak: 'break-all' }}
+          />
+          <button onClick={handleCopy} style={{ padding: '5px 10px', fontSize: '12px' }}>
+            COPY
+          </button>
+        </div>
+      )}
+      {status && (
+        <p style={{ fontSize: '12px', marginTop: '5px', color: status === 'Copied!' ? 'green' : 'red' }}>
+          {status.toUpperCase()}
+        </p>
+      )}
+      <p style={{ fontSize: '12px', marginTop: '5px' }}>
+        Hashes use a fresh random salt each time. Snippets contain the password in plain text.
+      </p>
+    </div>
+  );
+};
+
+export default ExportPanel;
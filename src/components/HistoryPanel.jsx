@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import { HISTORY_STORAGE_KEY, decryptHistory, encryptHistory } from '../lib/history.js';
+import { Checkbox } from './controls.jsx';
+
+/**
+ * Lists the passwords generated in this session, newest first, with copy buttons.
+ * Optionally remembers the history in localStorage, encrypted with a passphrase that is only
+ * ever held in memory: after a reload the saved history stays locked until it is entered again.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.entries - History entries (see createHistoryEntry), newest first.
+ * @param {function(Array<object>): void} props.onEntriesChange - Callback receiving the updated entries.
+ * @param {function(string): Promise<boolean>} props.onCopy - Copies a password (with the app's auto-clear).
+ * @param {Array<{value: string, label: string}>} props.modeOptions - Labels for the generator modes.
+ */
+const HistoryPanel = ({ entries, onEntriesChange, onCopy, modeOptions }) => {
+  const [remember, setRemember] = useState(() => localStorage.getItem(HISTORY_STORAGE_KEY) !== null);
+  // The passphrase is set once the saved history has been unlocked (or a new one chosen)
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseInput, setPassphraseInput] = useState('');
+  const [status, setStatus] = useState('');
+  const [showPasswords, setShowPasswords] = useState(false);
+  const [copiedIndex, setCopiedIndex] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Re-encrypt the whole history whenever it changes; a newer save supersedes a pending one
+  useEffect(() => {
+    if (!remember || !passphrase) return;
+    let cancelled = false;
+    encryptHistory(entries, passphrase)
+      .then(stored => {
+        if (!cancelled) localStorage.setItem(HISTORY_STORAGE_KEY, stored);
+      })
+      .catch(error => setStatus(`Could not save the history: ${error.message}`));
+    return () => { cancelled = true; };
+  }, [entries, remember, passphrase]);
+
+  /**
+   * Unlocks the saved history with the entered passphrase and merges it below this session's
+   * entries, or starts remembering with a new passphrase if nothing is saved yet.
+   */
+  const handleUnlock = async () => {
+    const stored = localStorage.getItem(HISTORY_STORAGE_KEY);
+    if (stored === null) {
+      setPassphrase(passphraseInput);
+      setPassphraseInput('');
+      setStatus('History will be saved encrypted in this browser.');
+      return;
+    }
+    setBusy(true);
+    try {
+      const saved = await decryptHistory(stored, passphraseInput);
+      const seen = new Set(entries.map(({ password, timestamp }) => `${timestamp}:${password}`));
+      onEntriesChange([...entries, ...saved.filter(({ password, timestamp }) => !seen.has(`${timestamp}:${password}`))]);
+      setPassphrase(passphraseInput);
+      setPassphraseInput('');
+      setStatus(`Unlocked ${saved.length} saved password(s).`);
+    } catch (error) {
+      setStatus(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Turns persistence on, or off after confirming that the saved history will be deleted.
+   */
+  const handleRememberChange = () => {
+    if (!remember) {
+      setRemember(true);
+      setStatus('');
+      return;
+    }
+    if (localStorage.getItem(HISTORY_STORAGE_KEY) !== null
+      && !window.confirm('Delete the saved history from this browser?')) return;
+    localStorage.removeItem(HISTORY_STORAGE_KEY);
+    setRemember(false);
+    setPassphrase('');
+    setStatus('');
+  };
+
+  /**
+   * Clears the history in memory and, if remembered, in storage.
+   */
+  const handleClearAll = () => {
+    if (!window.confirm('Clear the whole password history?')) return;
+    onEntriesChange([]);
+    // A locked saved history cannot be rewritten, so it is removed instead
+    if (remember && !passphrase) localStorage.removeItem(HISTORY_STORAGE_KEY);
+    setStatus('');
+  };
+
+  /**
+   * Copies one entry's password and briefly marks it as copied.
+   * @param {number} index - Entry index.
+   */
+  const handleCopyEntry = async (index) => {
+    if (await onCopy(entries[index].password)) {
+      setCopiedIndex(index);
+      setTimeout(() => setCopiedIndex(null), 2000); // Clear after 2 seconds
+    }
+  };
+
+  const modeLabel = (mode) => modeOptions.find(({ value }) => value === mode)?.label ?? mode;
+  const hasSavedHistory = localStorage.getItem(HISTORY_STORAGE_KEY) !== null;
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
+      <h3 style={{ fontSize: '16px', marginBottom: '10px' }}>HISTORY ({entries.length})</h3>
+      <Checkbox
+        id="rememberHistory"
+        label="Remember History (encrypted with a passphrase)"
+        checked={remember}
+        onChange={handleRememberChange}
+      />
+      {remember && !passphrase && (
+        <div style={{ display: 'flex', gap: '10px', margin: '5px 0' }}>
+          <input
+            type="password"
+            aria-label="History passphrase"
+            value={passphraseInput}
+            onChange={(e) => setPassphraseInput(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter' && passphraseInput) handleUnlock(); }}
+            placeholder={hasSavedHistory ? 'PASSPHRASE FOR SAVED HISTORY' : 'CHOOSE A PASSPHRASE'}
+            style={{ padding: '5px', border: '1px solid black', fontSize: '14px' }}
+          />
+          <button
+            onClick={handleUnlock}
+            disabled={!passphraseInput || busy}
+            style={{ padding: '5px 10px', fontSize: '12px' }}
+          >
+            {hasSavedHistory ? 'UNLOCK' : 'SET PASSPHRASE'}
+          </button>
+        </div>
+      )}
+      {status && (
+        <p style={{ fontSize: '12px', margin: '5px 0' }}>{status}</p>
+      )}
+      <div style={{ margin: '10px 0' }}>
+        <button
+          onClick={() => setShowPasswords(!showPasswords)}
+          style={{ padding: '5px 10px', fontSize: '12px', marginRight: '10px' }}
+        >
+          {showPasswords ? 'HIDE PASSWORDS' : 'SHOW PASSWORDS'}
+        </button>
+        <button
+          onClick={handleClearAll}
+          disabled={entries.length === 0 && !hasSavedHistory}
+          style={{ padding: '5px 10px', fontSize: '12px' }}
+        >
+          CLEAR ALL
+        </button>
+      </div>
+      {entries.length === 0 ? (
+        <p style={{ fontSize: '12px' }}>NO PASSWORDS GENERATED YET.</p>
+      ) : (
+        <ol style={{ maxHeight: '300px', overflowY: 'auto', fontSize: '14px', paddingLeft: '40px' }}>
+          {entries.map((entry, index) => (
+            <li key={`${entry.timestamp}-${index}`} style={{ marginBottom: '5px' }}>
+              <span style={{ fontSize: '12px', marginRight: '10px' }}>
+                {new Date(entry.timestamp).toLocaleString()} · {modeLabel(entry.mode)}
+              </span>
+              <code style={{ marginRight: '10px', wordBreak: 'break-all' }}>
+                {showPasswords ? entry.password : '•'.repeat(Math.min([...entry.password].length, 24))}
+              </code>
+              <button onClick={() => handleCopyEntry(index)} style={{ padding: '2px 8px', fontSize: '12px' }}>
+                {copiedIndex === index ? 'COPIED!' : 'COPY'}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { isOffline } from '../lib/offline.js';
+
+/**
+ * Shows whether the app is running offline, and whether it is ready to.
+ * "Fully offline" means there is no network and the page is served by the service worker's cache.
+ */
+const OfflineIndicator = () => {
+  const [offline, setOffline] = useState(() => isOffline());
+  const [cached, setCached] = useState(() => Boolean(globalThis.navigator?.serviceWorker?.controller));
+
+  // Follow the connection state
+  useEffect(() => {
+    const update = () => setOffline(isOffline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // The page is cached once a service worker controls it (after the first visit)
+  useEffect(() => {
+    const { serviceWorker } = navigator;
+    if (!serviceWorker) return undefined;
+    const update = () => setCached(Boolean(serviceWorker.controller));
+    serviceWorker.addEventListener('controllerchange', update);
+    return () => serviceWorker.removeEventListener('controllerchange', update);
+  }, []);
+
+  let message = null;
+  if (offline && cached) message = 'RUNNING FULLY OFFLINE FROM THE LOCAL CACHE.';
+  else if (offline) message = 'OFFLINE. RELOADING THIS PAGE WILL NOT WORK UNTIL IT HAS BEEN CACHED ONLINE ONCE.';
+  else if (cached) message = 'READY FOR OFFLINE USE.';
+  if (!message) return null;
+
+  return (
+    <p
+      role="status"
+      style={{
+        fontSize: '12px',
+        marginBottom: '20px',
+        padding: offline ? '5px' : 0,
+        border: offline ? '1px solid black' : 'none',
+        fontWeight: offline ? 'bold' : 'normal',
+      }}
+    >
+      {message}
+    </p>
+  );
+};
+
+export default OfflineIndicator;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Checkbox } from './controls.jsx';
+
+/**
+ * Settings for the offline common-password and blocklist check.
+ * Fully controlled: every edit is reported as a new settings object.
+ * @param {object} props - Component props.
+ * @param {object} props.settings - The current check settings (see DEFAULT_PASSWORD_CHECK).
+ * @param {function} props.onChange - Callback receiving the updated settings.
+ * @param {string|null} props.status - Loading or error message for the common-password list, if any.
+ */
+const PasswordCheckSettings = ({ settings, onChange, status }) => {
+  /**
+   * Reports settings with one field replaced.
+   * @param {string} field - Settings field name.
+   * @param {*} value - New value.
+   */
+  const updateField = (field, value) => onChange({ ...settings, [field]: value });
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
+      <h3 style={{ fontSize: '16px', marginBottom: '10px' }}>COMMON PASSWORD CHECK</h3>
+      <Checkbox
+        id="checkCommonPasswords"
+        label="Check Against Common Passwords (offline)"
+        checked={settings.checkCommon}
+        onChange={() => updateField('checkCommon', !settings.checkCommon)}
+      />
+      <Checkbox
+        id="autoRegenerateListed"
+        label="Regenerate Listed Passwords Automatically"
+        checked={settings.autoRegenerate}
+        onChange={() => updateField('autoRegenerate', !settings.autoRegenerate)}
+      />
+      {status && (
+        <p style={{ fontSize: '12px', marginTop: '5px' }}>{status}</p>
+      )}
+      <label htmlFor="passwordBlocklist" style={{ display: 'block', margin: '10px 0 5px', fontSize: '14px' }}>
+        Your Blocklist (one password per line, case-insensitive):
+      </label>
+      <textarea
+        id="passwordBlocklist"
+        style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px', boxSizing: 'border-box' }}
+        rows="3"
+        placeholder="e.g. company name, old passwords"
+        value={settings.blocklist}
+        onChange={(e) => updateField('blocklist', e.target.value)}
+      ></textarea>
+    </div>
+  );
+};
+
+export default PasswordCheckSettings;
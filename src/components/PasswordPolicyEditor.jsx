@@ -0,0 +1,83 @@
+import React from 'react';
+import { Checkbox } from './controls.jsx';
+
+// Minimum-count inputs, one per character class.
+const MIN_COUNT_FIELDS = Object.freeze([
+  { name: 'lowercase', label: 'Min Lowercase' },
+  { name: 'uppercase', label: 'Min Uppercase' },
+  { name: 'numbers', label: 'Min Numbers' },
+  { name: 'symbols', label: 'Min Symbols' },
+]);
+
+/**
+ * Editor for the declarative password policy of the random generator.
+ * Fully controlled: every edit is reported as a new policy object.
+ * @param {object} props - Component props.
+ * @param {object} props.policy - The current (normalized) policy.
+ * @param {function} props.onChange - Callback receiving the updated policy.
+ */
+const PasswordPolicyEditor = ({ policy, onChange }) => {
+  /**
+   * Reports a policy with one field replaced.
+   * @param {string} field - Policy field name.
+   * @param {*} value - New value.
+   */
+  const updateField = (field, value) => onChange({ ...policy, [field]: value });
+
+  return (
+    <div style={{ padding: '10px', border: '1px solid black', marginTop: '10px', fontSize: '14px' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '5px', marginBottom: '10px' }}>
+        {MIN_COUNT_FIELDS.map(({ name, label }) => (
+          <label key={name} htmlFor={`policyMin-${name}`}>
+            {label}:{' '}
+            <input
+              type="number"
+              id={`policyMin-${name}`}
+              min={0}
+              max={64}
+              value={policy.minCounts[name]}
+              onChange={(e) => updateField('minCounts', { ...policy.minCounts, [name]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              style={{ width: '50px', padding: '2px', border: '1px solid black', fontSize: '14px' }}
+            />
+          </label>
+        ))}
+      </div>
+      <label htmlFor="policyMaxConsecutive" style={{ display: 'block', marginBottom: '10px' }}>
+        Max Identical Characters In A Row (0 = no limit):{' '}
+        <input
+          type="number"
+          id="policyMaxConsecutive"
+          min={0}
+          max={64}
+          value={policy.maxConsecutive}
+          onChange={(e) => updateField('maxConsecutive', Math.max(0, parseInt(e.target.value, 10) || 0))}
+          style={{ width: '50px', padding: '2px', border: '1px solid black', fontSize: '14px' }}
+        />
+      </label>
+      <Checkbox
+        id="policyNoSequential"
+        label='No Sequential Runs (e.g. "abc", "321")'
+        checked={policy.noSequential}
+        onChange={() => updateField('noSequential', !policy.noSequential)}
+      />
+      <Checkbox
+        id="policyStartWithLetter"
+        label="Must Start With A Letter"
+        checked={policy.startWithLetter}
+        onChange={() => updateField('startWithLetter', !policy.startWithLetter)}
+      />
+      <label htmlFor="policyForbiddenSubstrings" style={{ display: 'block', marginTop: '10px', marginBottom: '5px' }}>
+        Forbidden Substrings (one per line, case-insensitive):
+      </label>
+      <textarea
+        id="policyForbiddenSubstrings"
+        rows="3"
+        value={policy.forbiddenSubstrings.join('\n')}
+        onChange={(e) => updateField('forbiddenSubstrings', e.target.value.split('\n'))}
+        style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px', boxSizing: 'border-box' }}
+      ></textarea>
+    </div>
+  );
+};
+
+export default PasswordPolicyEditor;
@@ -0,0 +1,93 @@
+import React, { useEffect, useCallback, useMemo } from 'react';
+import { generateBatch } from '../lib/batch.js';
+import { calculatePinEntropy } from '../lib/entropy.js';
+import { PIN_MAX_LENGTH, PIN_MIN_LENGTH, countPinKeyspace, generatePin } from '../lib/pin.js';
+import BatchControls from './BatchControls.jsx';
+import { Checkbox, RangeSlider } from './controls.jsx';
+
+/**
+ * Component for the PIN / numeric code Generation mode.
+ * Optionally rejects weak patterns and reports the keyspace that remains.
+ * Settings belong to the active profile (see profiles.js).
+ * @param {object} props - Component props.
+ * @param {object} props.settings - The pin section of the active profile's settings.
+ * @param {function} props.onSettingsChange - Callback receiving changed settings fields.
+ * @param {function} props.onGenerate - Callback to pass the generated PIN to the parent.
+ * @param {function} props.onEntropyChange - Callback receiving the entropy (bits) of the current settings.
+ * @param {function} props.onGenerateBatch - Callback to pass a batch of generated rows to the parent.
+ * @param {function} props.screenGenerator - Wraps a single-password generator with the common-password check.
+ */
+const PinGenerator = ({ settings, onSettingsChange, onGenerate, onEntropyChange, onGenerateBatch, screenGenerator }) => {
+  const { length: pinLength, rejectWeak } = settings;
+
+  const pinOptions = useMemo(() => ({ length: pinLength, rejectWeak }), [pinLength, rejectWeak]);
+  const { keyspace, exact } = useMemo(() => countPinKeyspace(pinLength, rejectWeak), [pinLength, rejectWeak]);
+  const entropyBits = useMemo(() => calculatePinEntropy(pinOptions), [pinOptions]);
+
+  // Report the entropy of the current settings so it can be shown before generating
+  useEffect(() => {
+    onEntropyChange(entropyBits);
+  }, [entropyBits, onEntropyChange]);
+
+  /**
+   * Generates a PIN based on current settings.
+   */
+  const generatePinCode = useCallback(() => {
+    try {
+      onGenerate(screenGenerator(() => generatePin(pinOptions))());
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
+    }
+  }, [pinOptions, onGenerate, screenGenerator]);
+
+  /**
+   * Generates a batch of PINs with the current settings.
+   * @param {number} count - Number of PINs to generate.
+   */
+  const generatePinBatch = useCallback((count) => {
+    try {
+      onGenerateBatch(generateBatch(count, screenGenerator(() => generatePin(pinOptions)), {
+        mode: 'pin',
+        settings: pinOptions,
+        entropyBits,
+      }));
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
+    }
+  }, [pinOptions, entropyBits, onGenerate, onGenerateBatch, screenGenerator]);
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
+      <h2>PIN Generation</h2>
+
+      <RangeSlider
+        label="PIN Length"
+        min={PIN_MIN_LENGTH}
+        max={PIN_MAX_LENGTH}
+        value={pinLength}
+        onChange={(e) => onSettingsChange({ length: parseInt(e.target.value, 10) })}
+      />
+
+      <Checkbox
+        id="pinRejectWeak"
+        label="Reject Weak Patterns (repeats, runs like 1234/9876, dates, common PINs)"
+        checked={rejectWeak}
+        onChange={() => onSettingsChange({ rejectWeak: !rejectWeak })}
+      />
+
+      <p style={{ fontSize: '12px', marginTop: '10px' }}>
+        EFFECTIVE KEYSPACE: {exact ? '' : 'AT LEAST '}{keyspace.toLocaleString()} OF {(10n ** BigInt(pinLength)).toLocaleString()} PINS.
+      </p>
+
+      <button
+        onClick={generatePinCode}
+        style={{ marginTop: '20px', padding: '8px 15px', fontSize: '14px' }}
+      >
+        GENERATE PIN
+      </button>
+      <BatchControls onGenerateBatch={generatePinBatch} />
+    </div>
+  );
+};
+
+export default PinGenerator;
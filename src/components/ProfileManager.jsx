@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { downloadFile } from '../lib/download.js';
+import {
+  addProfile,
+  deleteProfile,
+  getActiveSettings,
+  importProfiles,
+  parseProfileFile,
+  serializeProfiles,
+} from '../lib/profiles.js';
+
+/**
+ * Profile picker with save-as, delete, export and import.
+ * Fully controlled: every change is reported as a new profile store.
+ * @param {object} props - Component props.
+ * @param {{activeProfile: string, profiles: Array<{name: string, settings: object}>}} props.store - The profile store.
+ * @param {function} props.onStoreChange - Callback receiving the updated store.
+ */
+const ProfileManager = ({ store, onStoreChange }) => {
+  const [newProfileName, setNewProfileName] = useState('');
+  const [status, setStatus] = useState(null);
+
+  /**
+   * Applies a store update, reporting errors (invalid names, unreadable files) as a status message.
+   * @param {function(): {store: object, message: string}} update - Produces the updated store and a
+   *   success message; may throw.
+   * @returns {boolean} - Whether the update succeeded.
+   */
+  const applyUpdate = (update) => {
+    try {
+      const { store: updatedStore, message } = update();
+      onStoreChange(updatedStore);
+      setStatus({ error: false, message });
+      return true;
+    } catch (error) {
+      setStatus({ error: true, message: error.message });
+      return false;
+    }
+  };
+
+  /**
+   * Saves the current settings as a new profile, which becomes active.
+   */
+  const handleSaveAs = () => {
+    const saved = applyUpdate(() => ({
+      store: addProfile(store, newProfileName, getActiveSettings(store)),
+      message: `SAVED PROFILE "${newProfileName.trim()}".`,
+    }));
+    if (saved) setNewProfileName('');
+  };
+
+  /**
+   * Deletes the active profile after confirmation.
+   */
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the profile "${store.activeProfile}"?`)) return;
+    applyUpdate(() => ({
+      store: deleteProfile(store, store.activeProfile),
+      message: `DELETED PROFILE "${store.activeProfile}".`,
+    }));
+  };
+
+  /**
+   * Downloads every profile as a versioned JSON file.
+   */
+  const handleExport = () => {
+    downloadFile('password-generator-profiles.json', serializeProfiles(store.profiles), 'application/json');
+  };
+
+  /**
+   * Imports profiles from a JSON file chosen by the user.
+   * @param {Event} event - The file input change event.
+   */
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        applyUpdate(() => {
+          const imported = parseProfileFile(e.target.result);
+          return { store: importProfiles(store, imported), message: `IMPORTED ${imported.length} PROFILE(S).` };
+        });
+      };
+      reader.readAsText(file);
+    }
+    event.target.value = ''; // Allow importing the same file again
+  };
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px', fontSize: '14px' }}>
+      <label htmlFor="activeProfile" style={{ display: 'block', marginBottom: '5px' }}>
+        Settings Profile:
+      </label>
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+        <select
+          id="activeProfile"
+          value={store.activeProfile}
+          onChange={(e) => onStoreChange({ ...store, activeProfile: e.target.value })}
+          style={{ flexGrow: 1, padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        >
+          {store.profiles.map(({ name }) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleDelete}
+          style={{ padding: '5px 10px', fontSize: '12px' }}
+          disabled={store.profiles.length <= 1}
+        >
+          DELETE
+        </button>
+      </div>
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+        <label htmlFor="newProfileName" style={{ display: 'none' }}>New Profile Name</label>
+        <input
+          type="text"
+          id="newProfileName"
+          value={newProfileName}
+          onChange={(e) => setNewProfileName(e.target.value)}
+          placeholder="New profile name"
+          style={{ flexGrow: 1, padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        />
+        <button onClick={handleSaveAs} style={{ padding: '5px 10px', fontSize: '12px' }}>
+          SAVE AS NEW PROFILE
+        </button>
+      </div>
+      <div style={{ fontSize: '12px' }}>
+        <button onClick={handleExport} style={{ padding: '5px 10px', fontSize: '12px', marginRight: '10px' }}>
+          EXPORT PROFILES
+        </button>
+        <label htmlFor="importProfiles" style={{ marginRight: '5px' }}>IMPORT PROFILES:</label>
+        <input type="file" id="importProfiles" accept=".json,application/json" onChange={handleImport} />
+      </div>
+      {status && (
+        <p style={{ fontSize: '12px', marginTop: '5px', color: status.error ? 'red' : 'green' }}>{status.message}</p>
+      )}
+      <p style={{ fontSize: '12px', marginTop: '5px' }}>CHANGES ARE SAVED TO THE SELECTED PROFILE AUTOMATICALLY.</p>
+    </div>
+  );
+};
+
+export default ProfileManager;
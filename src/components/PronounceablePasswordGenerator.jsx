@@ -0,0 +1,101 @@
+import React, { useEffect, useCallback, useMemo } from 'react';
+import { generateBatch } from '../lib/batch.js';
+import { calculatePronounceableEntropy } from '../lib/entropy.js';
+import { generatePronounceable } from '../lib/generators.js';
+import { SETTING_RANGES } from '../lib/profiles.js';
+import BatchControls from './BatchControls.jsx';
+import { Checkbox, RangeSlider } from './controls.jsx';
+
+/**
+ * Component for the Pronounceable Password Generation mode.
+ * Builds pseudo-words from consonant-vowel syllables that are easy to read aloud.
+ * Settings belong to the active profile (see profiles.js).
+ * @param {object} props - Component props.
+ * @param {object} props.settings - The pronounceable section of the active profile's settings.
+ * @param {function} props.onSettingsChange - Callback receiving changed settings fields.
+ * @param {function} props.onGenerate - Callback to pass the generated password to the parent.
+ * @param {function} props.onEntropyChange - Callback receiving the entropy (bits) of the current settings.
+ * @param {function} props.onGenerateBatch - Callback to pass a batch of generated rows to the parent.
+ * @param {function} props.screenGenerator - Wraps a single-password generator with the common-password check.
+ */
+const PronounceablePasswordGenerator = ({ settings, onSettingsChange, onGenerate, onEntropyChange, onGenerateBatch, screenGenerator }) => {
+  const { length: passwordLength, includeDigits, capitalize } = settings;
+
+  const pronounceableOptions = useMemo(() => ({
+    length: passwordLength,
+    includeDigits,
+    capitalize,
+  }), [passwordLength, includeDigits, capitalize]);
+  const entropyBits = useMemo(() => calculatePronounceableEntropy(pronounceableOptions), [pronounceableOptions]);
+
+  // Report the entropy of the current settings so it can be shown before generating
+  useEffect(() => {
+    onEntropyChange(entropyBits);
+  }, [entropyBits, onEntropyChange]);
+
+  /**
+   * Generates a pronounceable password based on current settings.
+   */
+  const generatePassword = useCallback(() => {
+    try {
+      onGenerate(screenGenerator(() => generatePronounceable(pronounceableOptions))());
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
+    }
+  }, [pronounceableOptions, onGenerate, screenGenerator]);
+
+  /**
+   * Generates a batch of pronounceable passwords with the current settings.
+   * @param {number} count - Number of passwords to generate.
+   */
+  const generatePasswordBatch = useCallback((count) => {
+    try {
+      onGenerateBatch(generateBatch(count, screenGenerator(() => generatePronounceable(pronounceableOptions)), {
+        mode: 'pronounceable',
+        settings: pronounceableOptions,
+        entropyBits,
+      }));
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
+    }
+  }, [pronounceableOptions, entropyBits, onGenerate, onGenerateBatch, screenGenerator]);
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
+      <h2>Pronounceable Generation</h2>
+
+      <RangeSlider
+        label="Password Length"
+        min={SETTING_RANGES.pronounceable.length.min}
+        max={SETTING_RANGES.pronounceable.length.max}
+        value={passwordLength}
+        onChange={(e) => onSettingsChange({ length: parseInt(e.target.value, 10) })}
+      />
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: '5px' }}>
+        <Checkbox
+          id="pronounceableIncludeDigits"
+          label="End With Two Digits"
+          checked={includeDigits}
+          onChange={() => onSettingsChange({ includeDigits: !includeDigits })}
+        />
+        <Checkbox
+          id="pronounceableCapitalize"
+          label="Random Syllable Capitalization"
+          checked={capitalize}
+          onChange={() => onSettingsChange({ capitalize: !capitalize })}
+        />
+      </div>
+
+      <button
+        onClick={generatePassword}
+        style={{ marginTop: '20px', padding: '8px 15px', fontSize: '14px' }}
+      >
+        GENERATE PRONOUNCEABLE PASSWORD
+      </button>
+      <BatchControls onGenerateBatch={generatePasswordBatch} />
+    </div>
+  );
+};
+
+export default PronounceablePasswordGenerator;
@@ -0,0 +1,63 @@
+import React, { useMemo, useState } from 'react';
+import { spellOut } from '../lib/phonetic.js';
+import { Checkbox } from './controls.jsx';
+
+// Colour of each character type, also shown as a legend.
+const TYPE_COLORS = Object.freeze({
+  lowercase: 'black',
+  uppercase: 'black',
+  digit: 'blue',
+  symbol: 'red',
+  other: 'purple',
+});
+
+/**
+ * Character-by-character view of a password, colour-coded by character type, with optional
+ * NATO phonetic words for dictating it.
+ * @param {object} props - Component props.
+ * @param {string} props.password - The password to spell out.
+ */
+const SpellOutView = ({ password }) => {
+  const [showPhonetic, setShowPhonetic] = useState(false);
+  const characters = useMemo(() => spellOut(password), [password]);
+
+  return (
+    <div style={{ padding: '10px', border: '1px solid black', marginTop: '10px', fontSize: '14px' }}>
+      <p style={{ fontSize: '12px', marginBottom: '10px' }}>
+        <span style={{ color: TYPE_COLORS.lowercase }}>LETTERS</span>{' / '}
+        <span style={{ color: TYPE_COLORS.digit }}>DIGITS</span>{' / '}
+        <span style={{ color: TYPE_COLORS.symbol }}>SYMBOLS</span>{' / '}
+        <span style={{ color: TYPE_COLORS.other }}>OTHER</span>
+      </p>
+      <ol style={{ display: 'flex', flexWrap: 'wrap', gap: '5px', listStyle: 'none', padding: 0, margin: 0 }}>
+        {characters.map(({ char, type, spoken }, index) => (
+          <li
+            key={index}
+            title={spoken}
+            style={{ border: '1px solid black', padding: '2px 6px', textAlign: 'center', minWidth: '20px' }}
+          >
+            <div style={{ fontFamily: 'monospace', fontSize: '18px', color: TYPE_COLORS[type], whiteSpace: 'pre' }}>{char}</div>
+            <div style={{ fontSize: '10px' }}>{index + 1}</div>
+          </li>
+        ))}
+      </ol>
+      <div style={{ marginTop: '10px' }}>
+        <Checkbox
+          id="showPhonetic"
+          label="Show NATO Phonetic Words"
+          checked={showPhonetic}
+          onChange={() => setShowPhonetic(!showPhonetic)}
+        />
+      </div>
+      {showPhonetic && (
+        <ol style={{ fontSize: '14px', paddingLeft: '30px', margin: '5px 0 0' }}>
+          {characters.map(({ type, spoken }, index) => (
+            <li key={index} style={{ color: TYPE_COLORS[type] }}>{spoken}</li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default SpellOutView;
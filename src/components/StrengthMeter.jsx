@@ -0,0 +1,42 @@
+import React from 'react';
+import { estimateCrackTimeSeconds, formatDuration, getStrengthLabel } from '../lib/entropy.js';
+
+// Colours for each strength label, from weakest to strongest.
+const STRENGTH_COLORS = Object.freeze({
+  'Very weak': 'red',
+  'Weak': 'orange',
+  'Reasonable': 'olive',
+  'Strong': 'green',
+  'Very strong': 'darkgreen',
+});
+
+/**
+ * Displays the entropy of the current generator settings with a strength label
+ * and an estimated offline crack time.
+ * @param {object} props - Component props.
+ * @param {number} props.bits - Entropy in bits for the current settings.
+ */
+const StrengthMeter = ({ bits }) => {
+  const label = getStrengthLabel(bits);
+  return (
+    <div style={{ fontSize: '12px', marginTop: '10px' }}>
+      <meter
+        min={0}
+        max={128}
+        low={36}
+        high={80}
+        optimum={128}
+        value={Math.min(bits, 128)}
+        style={{ width: '100%' }}
+        aria-label="Password strength"
+      />
+      <p style={{ marginTop: '5px' }}>
+        ENTROPY: <span style={{ fontWeight: 'bold' }}>{bits.toFixed(1)} BITS</span>
+        {' '}(<span style={{ color: STRENGTH_COLORS[label] }}>{label.toUpperCase()}</span>)
+        {' '}— EST. CRACK TIME: {formatDuration(estimateCrackTimeSeconds(bits)).toUpperCase()}
+      </p>
+    </div>
+  );
+};
+
+export default StrengthMeter;
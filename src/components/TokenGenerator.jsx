@@ -0,0 +1,194 @@
+import React, { useEffect, useCallback, useMemo, useState } from 'react';
+import { generateBatch } from '../lib/batch.js';
+import { calculateTokenEntropy } from '../lib/entropy.js';
+import { getTokenOptions } from '../lib/profiles.js';
+import {
+  MAX_TOKEN_PREFIX_LENGTH,
+  TOKEN_ENCODINGS,
+  TOKEN_MAX_BYTES,
+  TOKEN_MIN_BYTES,
+  TOKEN_SIZE_UNITS,
+  findTokenProblem,
+  generateToken,
+} from '../lib/token.js';
+import BatchControls from './BatchControls.jsx';
+import { Checkbox, RangeSlider } from './controls.jsx';
+
+/**
+ * Component for the Machine Token Generation mode: webhook secrets, session keys and API tokens.
+ * Also verifies pasted tokens against the prefix, checksum and encoding of the current settings.
+ * Settings belong to the active profile (see profiles.js).
+ * @param {object} props - Component props.
+ * @param {object} props.settings - The token section of the active profile's settings.
+ * @param {function} props.onSettingsChange - Callback receiving changed settings fields.
+ * @param {function} props.onGenerate - Callback to pass the generated token to the parent.
+ * @param {function} props.onEntropyChange - Callback receiving the entropy (bits) of the current settings.
+ * @param {function} props.onGenerateBatch - Callback to pass a batch of generated rows to the parent.
+ * @param {function} props.screenGenerator - Wraps a single-password generator with the common-password check.
+ */
+const TokenGenerator = ({ settings, onSettingsChange, onGenerate, onEntropyChange, onGenerateBatch, screenGenerator }) => {
+  const { encoding, sizeUnit, size, padding, prefix, checksum } = settings;
+  const [tokenToVerify, setTokenToVerify] = useState('');
+
+  const tokenOptions = useMemo(() => getTokenOptions(settings), [settings]);
+  const entropyBits = useMemo(() => calculateTokenEntropy(tokenOptions), [tokenOptions]);
+  const verifyProblem = useMemo(
+    () => (tokenToVerify.trim() ? findTokenProblem(tokenToVerify, tokenOptions) : null),
+    [tokenToVerify, tokenOptions],
+  );
+
+  // Report the entropy of the current settings so it can be shown before generating
+  useEffect(() => {
+    onEntropyChange(entropyBits);
+  }, [entropyBits, onEntropyChange]);
+
+  /**
+   * Switches the size unit, keeping the token size.
+   * @param {string} unit - A key of TOKEN_SIZE_UNITS.
+   */
+  const handleUnitChange = (unit) => {
+    if (unit === sizeUnit) return;
+    onSettingsChange({ sizeUnit: unit, size: unit === 'bits' ? size * 8 : Math.ceil(size / 8) });
+  };
+
+  /**
+   * Generates a token based on current settings.
+   */
+  const generateTokenCode = useCallback(() => {
+    try {
+      onGenerate(screenGenerator(() => generateToken(tokenOptions))());
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
+    }
+  }, [tokenOptions, onGenerate, screenGenerator]);
+
+  /**
+   * Generates a batch of tokens with the current settings.
+   * @param {number} count - Number of tokens to generate.
+   */
+  const generateTokenBatch = useCallback((count) => {
+    try {
+      onGenerateBatch(generateBatch(count, screenGenerator(() => generateToken(tokenOptions)), {
+        mode: 'token',
+        settings: tokenOptions,
+        entropyBits,
+      }));
+    } catch (error) {
+      onGenerate(`Error: ${error.message}`);
+    }
+  }, [tokenOptions, entropyBits, onGenerate, onGenerateBatch, screenGenerator]);
+
+  const isUuid = encoding === 'uuid';
+  const scale = sizeUnit === 'bits' ? 8 : 1;
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid black', marginBottom: '20px' }}>
+      <h2>Machine Token Generation</h2>
+
+      <div style={{ marginBottom: '15px' }}>
+        <label htmlFor="tokenEncoding" style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
+          Encoding:
+        </label>
+        <select
+          id="tokenEncoding"
+          value={encoding}
+          onChange={(e) => onSettingsChange({ encoding: e.target.value })}
+          style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        >
+          {Object.entries(TOKEN_ENCODINGS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* A UUID always carries 122 random bits */}
+      {!isUuid && (
+        <>
+          <div style={{ marginBottom: '10px', fontSize: '14px' }}>
+            <label htmlFor="tokenSizeUnit" style={{ marginRight: '5px' }}>Size In:</label>
+            <select
+              id="tokenSizeUnit"
+              value={sizeUnit}
+              onChange={(e) => handleUnitChange(e.target.value)}
+              style={{ padding: '2px', border: '1px solid black', fontSize: '14px' }}
+            >
+              {Object.entries(TOKEN_SIZE_UNITS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <RangeSlider
+            label={sizeUnit === 'bits' ? 'Token Strength (bits, rounded up to whole bytes)' : 'Random Bytes'}
+            min={TOKEN_MIN_BYTES * scale}
+            max={TOKEN_MAX_BYTES * scale}
+            value={size}
+            onChange={(e) => onSettingsChange({ size: parseInt(e.target.value, 10) })}
+          />
+        </>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: '5px' }}>
+        {(encoding === 'base64' || encoding === 'base64url') && (
+          <Checkbox
+            id="tokenPadding"
+            label='Keep "=" Padding'
+            checked={padding}
+            onChange={() => onSettingsChange({ padding: !padding })}
+          />
+        )}
+        <Checkbox
+          id="tokenChecksum"
+          label="Append Checksum (CRC-32, 6 characters)"
+          checked={checksum}
+          onChange={() => onSettingsChange({ checksum: !checksum })}
+        />
+      </div>
+
+      <div style={{ margin: '10px 0', fontSize: '14px' }}>
+        <label htmlFor="tokenPrefix" style={{ marginRight: '5px' }}>Prefix (e.g. whsec_):</label>
+        <input
+          type="text"
+          id="tokenPrefix"
+          value={prefix}
+          maxLength={MAX_TOKEN_PREFIX_LENGTH}
+          onChange={(e) => onSettingsChange({ prefix: e.target.value })}
+          autoComplete="off"
+          spellCheck={false}
+          style={{ padding: '2px', border: '1px solid black', fontSize: '14px' }}
+        />
+      </div>
+
+      <button
+        onClick={generateTokenCode}
+        style={{ marginTop: '10px', padding: '8px 15px', fontSize: '14px' }}
+      >
+        GENERATE TOKEN
+      </button>
+      <BatchControls onGenerateBatch={generateTokenBatch} />
+
+      <div style={{ marginTop: '15px', fontSize: '14px' }}>
+        <label htmlFor="tokenToVerify" style={{ display: 'block', marginBottom: '5px' }}>
+          Verify A Token (prefix, checksum and encoding of these settings):
+        </label>
+        <input
+          type="text"
+          id="tokenToVerify"
+          value={tokenToVerify}
+          onChange={(e) => setTokenToVerify(e.target.value)}
+          autoComplete="off"
+          spellCheck={false}
+          style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px' }}
+        />
+        {tokenToVerify.trim() && (
+          <p style={{ fontSize: '12px', marginTop: '5px', color: verifyProblem ? 'red' : 'green' }}>
+            {/* The problem is not uppercased: it may quote the case-sensitive prefix */}
+            {verifyProblem && `INVALID: THE TOKEN ${verifyProblem}.`}
+            {!verifyProblem && (checksum ? 'VALID: PREFIX, CHECKSUM AND ENCODING MATCH.' : 'WELL-FORMED (NO CHECKSUM TO CHECK).')}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TokenGenerator;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { MAX_WORD_LENGTH, MIN_WORD_LENGTH } from '../lib/wordList.js';
+import { Checkbox } from './controls.jsx';
+
+// Report lines for each removal reason counted by prepareWordList.
+const REMOVAL_LABELS = Object.freeze({
+  empty: 'EMPTY AFTER STRIPPING',
+  tooShort: 'TOO SHORT',
+  tooLong: 'TOO LONG',
+  blocked: 'ON THE BLOCKLIST',
+  duplicates: 'DUPLICATES',
+  prefixes: 'PREFIXES OF OTHER WORDS',
+});
+
+/**
+ * Word list hygiene options and a report of what they removed.
+ * @param {object} props - Component props.
+ * @param {object} props.filters - The current options (see DEFAULT_WORD_FILTERS).
+ * @param {function} props.onChange - Callback receiving changed option fields.
+ * @param {object} props.removed - Removal counts from prepareWordList.
+ * @param {number} props.wordCount - Number of distinct words in the final list.
+ */
+const WordListFilters = ({ filters, onChange, removed, wordCount }) => {
+  const { minWordLength, maxWordLength, lowercaseWords, lettersOnly, wordBlocklist, removePrefixes } = filters;
+  const removals = Object.entries(REMOVAL_LABELS).filter(([reason]) => removed[reason] > 0);
+
+  /**
+   * Reads a length bound from a number input, clamped to the allowed range.
+   * @param {string} value - The input value.
+   * @returns {number} - The length.
+   */
+  const parseLength = (value) => Math.min(Math.max(parseInt(value, 10) || MIN_WORD_LENGTH, MIN_WORD_LENGTH), MAX_WORD_LENGTH);
+
+  return (
+    <div style={{ marginTop: '10px', fontSize: '14px' }}>
+      <p style={{ marginBottom: '5px' }}>Word List Hygiene (applies to custom words; prefix removal to the whole list):</p>
+      <div style={{ marginBottom: '5px' }}>
+        <label htmlFor="minWordLength" style={{ marginRight: '5px' }}>Word Length From</label>
+        <input
+          type="number"
+          id="minWordLength"
+          min={MIN_WORD_LENGTH}
+          max={maxWordLength}
+          value={minWordLength}
+          onChange={(e) => onChange({ minWordLength: Math.min(parseLength(e.target.value), maxWordLength) })}
+          style={{ width: '50px', padding: '2px', border: '1px solid black', fontSize: '12px' }}
+        />
+        <label htmlFor="maxWordLength" style={{ margin: '0 5px' }}>To</label>
+        <input
+          type="number"
+          id="maxWordLength"
+          min={minWordLength}
+          max={MAX_WORD_LENGTH}
+          value={maxWordLength}
+          onChange={(e) => onChange({ maxWordLength: Math.max(parseLength(e.target.value), minWordLength) })}
+          style={{ width: '50px', padding: '2px', border: '1px solid black', fontSize: '12px' }}
+        />
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: '5px' }}>
+        <Checkbox
+          id="lowercaseWords"
+          label="Lowercase Words (merges Apple and apple)"
+          checked={lowercaseWords}
+          onChange={() => onChange({ lowercaseWords: !lowercaseWords })}
+        />
+        <Checkbox
+          id="lettersOnly"
+          label="Strip Non-Letters (digits, punctuation)"
+          checked={lettersOnly}
+          onChange={() => onChange({ lettersOnly: !lettersOnly })}
+        />
+        <Checkbox
+          id="removePrefixes"
+          label="Remove Words That Are Prefixes of Other Words (for chains without separators)"
+          checked={removePrefixes}
+          onChange={() => onChange({ removePrefixes: !removePrefixes })}
+        />
+      </div>
+      <label htmlFor="wordBlocklist" style={{ display: 'block', margin: '10px 0 5px' }}>
+        Blocked Words (e.g. profanity; one per line, case-insensitive):
+      </label>
+      <textarea
+        id="wordBlocklist"
+        style={{ width: '100%', padding: '5px', border: '1px solid black', fontSize: '14px', boxSizing: 'border-box' }}
+        rows="3"
+        value={wordBlocklist}
+        onChange={(e) => onChange({ wordBlocklist: e.target.value })}
+      ></textarea>
+      <p style={{ fontSize: '12px', marginTop: '5px' }}>
+        {removals.length > 0
+          ? `REMOVED ${removals.map(([reason, label]) => `${removed[reason]} ${label}`).join(', ')}. `
+          : 'NOTHING REMOVED. '}
+        {wordCount > 0
+          ? `${wordCount.toLocaleString()} WORDS LEFT, ${Math.log2(wordCount).toFixed(2)} BITS PER WORD.`
+          : 'NO WORDS LEFT.'}
+      </p>
+    </div>
+  );
+};
+
+export default WordListFilters;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { parseWordList } from '../lib/wordList.js';
+import { WORD_LIST_SOURCES, createWordListRecord, deleteWordList, saveWordList } from '../lib/wordListLibrary.js';
+import { Checkbox } from './controls.jsx';
+
+/**
+ * Saved custom word lists that can be switched on and off individually. Enabled lists are
+ * combined with the built-in list and the custom words box.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.lists - Library records (see createWordListRecord), sorted by name.
+ * @param {function(Array<object>): void} props.onListsChange - Callback receiving the updated records.
+ * @param {string[]} props.enabledIds - Ids of the enabled lists.
+ * @param {function(string[]): void} props.onEnabledChange - Callback receiving the updated ids.
+ * @param {string[]} props.customWords - Words currently in the custom words box.
+ * @param {{source: string, detail: string}} props.customSource - Where the custom words came from.
+ * @param {string|null} props.loadError - Why the library couldn't be loaded, if it couldn't.
+ */
+const WordListLibrary = ({ lists, onListsChange, enabledIds, onEnabledChange, customWords, customSource, loadError }) => {
+  const [newListName, setNewListName] = useState('');
+  const [status, setStatus] = useState('');
+
+  /**
+   * Saves new lists, enables them and keeps the library sorted by name.
+   * @param {Array<object>} records - Records from createWordListRecord.
+   */
+  const addLists = async (records) => {
+    for (const record of records) await saveWordList(record);
+    onListsChange([...lists, ...records].sort((a, b) => a.name.localeCompare(b.name)));
+    onEnabledChange([...enabledIds, ...records.map(({ id }) => id)]);
+  };
+
+  /**
+   * Saves the words of the custom words box as a new list.
+   */
+  const handleSaveCustomWords = async () => {
+    try {
+      await addLists([createWordListRecord({
+        name: newListName,
+        words: customWords,
+        source: customSource.source,
+        sourceDetail: customSource.detail,
+      })]);
+      setStatus(`Saved "${newListName.trim()}" with ${customWords.length.toLocaleString()} words.`);
+      setNewListName('');
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  /**
+   * Adds every selected file as its own list, named after the file.
+   * @param {Event} event - The file input change event.
+   */
+  const handleAddFiles = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = ''; // Allow picking the same file again
+    try {
+      const records = await Promise.all(files.map(async (file) => createWordListRecord({
+        name: file.name.replace(/\.[^.]+$/, ''),
+        words: parseWordList(await file.text()),
+        source: 'file',
+        sourceDetail: file.name,
+      })));
+      await addLists(records);
+      setStatus(`Added ${records.length} list(s).`);
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  /**
+   * Deletes a list after confirmation.
+   * @param {object} list - The record to delete.
+   */
+  const handleDelete = async (list) => {
+    if (!window.confirm(`Delete the word list "${list.name}"?`)) return;
+    try {
+      await deleteWordList(list.id);
+      onListsChange(lists.filter(({ id }) => id !== list.id));
+      onEnabledChange(enabledIds.filter(id => id !== list.id));
+      setStatus('');
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  /**
+   * Switches a list on or off.
+   * @param {string} id - The list id.
+   */
+  const toggleList = (id) => {
+    onEnabledChange(enabledIds.includes(id) ? enabledIds.filter(enabledId => enabledId !== id) : [...enabledIds, id]);
+  };
+
+  if (loadError) {
+    return <p style={{ color: 'red', fontSize: '12px', marginTop: '10px' }}>{loadError}</p>;
+  }
+
+  return (
+    <div style={{ marginTop: '10px', fontSize: '14px' }}>
+      <p style={{ marginBottom: '5px' }}>Word List Library:</p>
+      {lists.length === 0 && (
+        <p style={{ fontSize: '12px', marginBottom: '5px' }}>NO SAVED WORD LISTS YET.</p>
+      )}
+      {lists.map(list => (
+        <div key={list.id} style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <Checkbox
+            id={`wordList-${list.id}`}
+            label={`${list.name} (${list.words.length.toLocaleString()} words, ${WORD_LIST_SOURCES[list.source]}${list.sourceDetail ? `: ${list.sourceDetail}` : ''})`}
+            checked={enabledIds.includes(list.id)}
+            onChange={() => toggleList(list.id)}
+          />
+          <button onClick={() => handleDelete(list)} style={{ padding: '2px 8px', fontSize: '12px' }}>
+            DELETE
+          </button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '10px', marginTop: '10px', flexWrap: 'wrap' }}>
+        <input
+          type="text"
+          aria-label="New word list name"
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          placeholder="LIST NAME"
+          style={{ padding: '5px', border: '1px solid black', fontSize: '12px' }}
+        />
+        <button
+          onClick={handleSaveCustomWords}
+          disabled={customWords.length === 0 || !newListName.trim()}
+          style={{ padding: '5px 10px', fontSize: '12px' }}
+        >
+          SAVE CUSTOM WORDS TO LIBRARY
+        </button>
+        <label htmlFor="wordListLibraryFiles" style={{ fontSize: '12px', alignSelf: 'center' }}>OR ADD FILES:</label>
+        <input
+          type="file"
+          id="wordListLibraryFiles"
+          accept=".txt,text/plain"
+          multiple
+          onChange={handleAddFiles}
+        />
+      </div>
+      {status && (
+        <p style={{ fontSize: '12px', marginTop: '5px' }}>{status}</p>
+      )}
+    </div>
+  );
+};
+
+export default WordListLibrary;
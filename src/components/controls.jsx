@@ -0,0 +1,59 @@
+import React from 'react';
+
+// --- Form Controls ---
+// Shared, barebones form controls used by every generator.
+
+/**
+ * Custom Checkbox component for consistent styling and reusability.
+ * Reverts to browser default styling.
+ * @param {object} props - Component props.
+ * @param {string} props.id - Unique ID for the checkbox.
+ * @param {string} props.label - Label text for the checkbox.
+ * @param {boolean} props.checked - Current checked state.
+ * @param {function} props.onChange - Callback for when the checked state changes.
+ */
+export const Checkbox = ({ id, label, checked, onChange }) => (
+  <div style={{ marginBottom: '5px' }}>
+    <input
+      type="checkbox"
+      id={id}
+      checked={checked}
+      onChange={onChange}
+      style={{ marginRight: '5px' }}
+    />
+    <label htmlFor={id} style={{ fontSize: '14px' }}>
+      {label}
+    </label>
+  </div>
+);
+
+/**
+ * Custom Range Slider component for consistent styling, accessibility, and reusability.
+ * Provides a clear label and current value display. Reverts to browser default styling.
+ * @param {object} props - Component props.
+ * @param {string} props.label - Label text for the slider.
+ * @param {number} props.min - Minimum value of the slider.
+ * @param {number} props.max - Maximum value of the slider.
+ * @param {number} props.value - Current value of the slider.
+ * @param {function} props.onChange - Callback for when the slider value changes.
+ */
+export const RangeSlider = ({ label, min, max, value, onChange }) => (
+  <div style={{ marginBottom: '15px' }}>
+    <label htmlFor={label} style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
+      {label}: <span style={{ fontWeight: 'bold' }}>{value}</span>
+    </label>
+    <input
+      type="range"
+      id={label}
+      min={min}
+      max={max}
+      value={value}
+      onChange={onChange}
+      style={{ width: '100%' }} // Basic width for functionality
+      aria-valuemin={min}
+      aria-valuemax={max}
+      aria-valuenow={value}
+      aria-label={label}
+    />
+  </div>
+);
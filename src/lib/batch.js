@@ -0,0 +1,126 @@
+// --- Batch Generation & Export ---
+
+// Upper bound on passwords per batch, keeping generation and rendering responsive.
+export const MAX_BATCH_SIZE = 5000;
+
+// Supported export formats: button label, file extension and MIME type for each. The
+// spreadsheet-safe CSV neutralizes formulas at the cost of changing some values (see toCsv).
+export const EXPORT_FORMATS = Object.freeze({
+  txt: { label: '.TXT', extension: 'txt', mimeType: 'text/plain' },
+  csv: { label: '.CSV', extension: 'csv', mimeType: 'text/csv' },
+  'csv-spreadsheet': { label: '.CSV (SPREADSHEET-SAFE)', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: '.JSON', extension: 'json', mimeType: 'application/json' },
+});
+
+/**
+ * Generates a batch of passwords with the same settings.
+ * @param {number} count - Number of passwords (clamped to 1..MAX_BATCH_SIZE).
+ * @param {function(): string} generateOne - Produces a single password; may throw.
+ * @param {object} metadata - Data attached to every row.
+ * @param {string} metadata.mode - Generator mode (e.g. 'random', 'word-chain').
+ * @param {object} metadata.settings - Export-friendly settings (flat, JSON-serializable).
+ * @param {number} metadata.entropyBits - Entropy of the settings in bits.
+ * @returns {Array<{password: string, mode: string, settings: object, entropyBits: number}>} - The rows.
+ */
+export const generateBatch = (count, generateOne, { mode, settings, entropyBits }) => {
+  const size = Math.min(Math.max(Math.floor(count) || 1, 1), MAX_BATCH_SIZE);
+  const rows = [];
+  for (let i = 0; i < size; i++) {
+    rows.push({ password: generateOne(), mode, settings, entropyBits });
+  }
+  return rows;
+};
+
+/**
+ * Rounds entropy for export so files don't carry floating point noise.
+ * @param {number} bits - Entropy in bits.
+ * @returns {number} - Entropy rounded to two decimals.
+ */
+const roundBits = (bits) => Math.round(bits * 100) / 100;
+
+/**
+ * Formats a setting value for the flat text and CSV exports; nested values are written as JSON.
+ * @param {*} value - The setting value.
+ * @returns {string} - The formatted value.
+ */
+const formatSettingValue = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+// Spreadsheets evaluate a cell starting with one of these as a formula ("CSV injection"). The
+// spreadsheet-safe CSV prefixes such fields with a single quote, as OWASP recommends.
+const CSV_FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV field when asked to or when it contains a delimiter, quote, line break or edge
+ * whitespace.
+ * @param {*} value - The field value.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.quote=false] - Always quote the field.
+ * @param {boolean} [options.spreadsheetSafe=false] - Prefix "'" when a spreadsheet would read the field as a formula.
+ * @returns {string} - The escaped field.
+ */
+const escapeCsvField = (value, { quote = false, spreadsheetSafe = false } = {}) => {
+  const text = spreadsheetSafe && CSV_FORMULA_PREFIX_PATTERN.test(String(value)) ? `'${value}` : String(value);
+  if (quote || /[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Serializes rows as plain text: one tab-separated line per password,
+ * followed by the mode, entropy and settings as key=value pairs.
+ * @param {Array<object>} rows - Rows produced by generateBatch.
+ * @returns {string} - The text file content.
+ */
+export const toText = (rows) => rows.map(({ password, mode, settings, entropyBits }) => [
+  password,
+  `mode=${mode}`,
+  `entropyBits=${roundBits(entropyBits)}`,
+  ...Object.entries(settings).map(([key, value]) => `${key}=${formatSettingValue(value)}`),
+].join('\t')).join('\n') + '\n';
+
+/**
+ * Serializes rows as CSV with one column per setting. Passwords are always quoted and written
+ * byte for byte, so any CSV reader gets them back exactly. With `spreadsheetSafe`, fields starting
+ * with =, +, -, @, a tab or a carriage return get a leading "'" so spreadsheets don't evaluate
+ * them; CSV readers then see that quote as part of the value.
+ * @param {Array<object>} rows - Rows produced by generateBatch.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.spreadsheetSafe=false] - Neutralize fields that look like formulas.
+ * @returns {string} - The CSV file content.
+ */
+export const toCsv = (rows, { spreadsheetSafe = false } = {}) => {
+  const settingKeys = Array.from(new Set(rows.flatMap(row => Object.keys(row.settings))));
+  const header = ['password', 'mode', 'entropyBits', ...settingKeys];
+  const lines = rows.map(({ password, mode, settings, entropyBits }) => [
+    password,
+    mode,
+    roundBits(entropyBits),
+    ...settingKeys.map(key => (key in settings ? formatSettingValue(settings[key]) : '')),
+  ].map((field, index) => escapeCsvField(field, { quote: index === 0, spreadsheetSafe })).join(','));
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+};
+
+/**
+ * Serializes rows as a pretty-printed JSON array.
+ * @param {Array<object>} rows - Rows produced by generateBatch.
+ * @returns {string} - The JSON file content.
+ */
+export const toJson = (rows) => JSON.stringify(
+  rows.map(row => ({ ...row, entropyBits: roundBits(row.entropyBits) })),
+  null,
+  2,
+) + '\n';
+
+/**
+ * Serializes rows in one of the EXPORT_FORMATS.
+ * @param {Array<object>} rows - Rows produced by generateBatch.
+ * @param {string} format - A key of EXPORT_FORMATS.
+ * @returns {string} - The file content.
+ */
+export const serializeBatch = (rows, format) => {
+  if (format === 'csv') return toCsv(rows);
+  if (format === 'csv-spreadsheet') return toCsv(rows, { spreadsheetSafe: true });
+  if (format === 'json') return toJson(rows);
+  return toText(rows);
+};
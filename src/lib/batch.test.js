@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_BATCH_SIZE, generateBatch, serializeBatch, toCsv, toJson, toText } from './batch.js';
+import { generateRandom } from './generators.js';
+import { createSeededRandomInt } from './random.js';
+
+const metadata = { mode: 'random', settings: { length: 8, symbols: false }, entropyBits: 47.6321 };
+
+describe('generateBatch', () => {
+  it('generates the requested number of rows with shared metadata', () => {
+    let i = 0;
+    const rows = generateBatch(3, () => `pw${i++}`, metadata);
+    expect(rows.map(row => row.password)).toEqual(['pw0', 'pw1', 'pw2']);
+    rows.forEach(row => {
+      expect(row.mode).toBe('random');
+      expect(row.settings).toEqual({ length: 8, symbols: false });
+      expect(row.entropyBits).toBe(47.6321);
+    });
+  });
+
+  it('clamps the count to 1..MAX_BATCH_SIZE', () => {
+    expect(generateBatch(0, () => 'x', metadata)).toHaveLength(1);
+    expect(generateBatch(MAX_BATCH_SIZE + 10, () => 'x', metadata)).toHaveLength(MAX_BATCH_SIZE);
+  });
+
+  it('propagates generator errors', () => {
+    expect(() => generateBatch(2, () => { throw new Error('nope'); }, metadata)).toThrow('nope');
+  });
+});
+
+describe('serializers', () => {
+  const rows = [
+    { password: 'a,b"c', ...metadata },
+    { password: ' lead', ...metadata },
+    { password: 'plain', ...metadata },
+  ];
+
+  it('writes text with one tab-separated row per password', () => {
+    expect(toText(rows.slice(2))).toBe('plain\tmode=random\tentropyBits=47.63\tlength=8\tsymbols=false\n');
+  });
+
+  it('writes CSV with a header, setting columns and escaped fields', () => {
+    expect(toCsv(rows)).toBe([
+      'password,mode,entropyBits,length,symbols',
+      '"a,b""c",random,47.63,8,false',
+      '" lead",random,47.63,8,false',
+      '"plain",random,47.63,8,false',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('writes every generated password to CSV exactly', () => {
+    const randomInt = createSeededRandomInt(3);
+    const generated = generateBatch(MAX_BATCH_SIZE, () => generateRandom({ length: 12 }, randomInt), metadata);
+    const risky = ['=1+1', '+cmd', '-2', '@SUM(A1)', '\tx', '"q",'].map(password => ({ password, ...metadata }));
+    const all = [...generated, ...risky];
+    // The password column is always quoted, with quotes doubled (RFC 4180)
+    const read = toCsv(all).split('\r\n').slice(1, -1).map(line => line.match(/^"((?:[^"]|"")*)",/)[1].replace(/""/g, '"'));
+    expect(read).toEqual(all.map(row => row.password));
+    expect(generated.some(row => /^[=+\-@]/.test(row.password))).toBe(true);
+  });
+
+  it('keeps spreadsheets from reading fields as formulas in the spreadsheet-safe CSV', () => {
+    const risky = ['=1+1', '+cmd', '-2', '@SUM(A1)', '\tx', 'plain'].map(password => ({ password, ...metadata }));
+    const lines = toCsv(risky, { spreadsheetSafe: true }).split('\r\n').slice(1, -1);
+    expect(lines.map(line => line.slice(0, line.indexOf(',random')))).toEqual([
+      `"'=1+1"`,
+      `"'+cmd"`,
+      `"'-2"`,
+      `"'@SUM(A1)"`,
+      `"'\tx"`,
+      '"plain"',
+    ]);
+    expect(toCsv([{ password: 'x', mode: 'random', settings: { separator: '-' }, entropyBits: 1 }], { spreadsheetSafe: true }).split('\r\n')[1])
+      .toBe(`"x",random,1,'-`);
+  });
+
+  it('writes JSON that round-trips', () => {
+    const parsed = JSON.parse(toJson(rows));
+    expect(parsed).toHaveLength(3);
+    expect(parsed[0]).toEqual({ password: 'a,b"c', mode: 'random', settings: { length: 8, symbols: false }, entropyBits: 47.63 });
+  });
+
+  it('writes nested settings as JSON in flat formats', () => {
+    const nested = [{ password: 'x', mode: 'random', settings: { policy: { maxConsecutive: 2 } }, entropyBits: 1 }];
+    expect(toText(nested)).toBe('x\tmode=random\tentropyBits=1\tpolicy={"maxConsecutive":2}\n');
+    expect(toCsv(nested).split('\r\n')[1]).toBe('"x",random,1,"{""maxConsecutive"":2}"');
+  });
+
+  it('dispatches on format', () => {
+    expect(serializeBatch(rows, 'json')).toBe(toJson(rows));
+    expect(serializeBatch(rows, 'csv')).toBe(toCsv(rows));
+    expect(serializeBatch(rows, 'csv-spreadsheet')).toBe(toCsv(rows, { spreadsheetSafe: true }));
+    expect(serializeBatch(rows, 'txt')).toBe(toText(rows));
+  });
+});
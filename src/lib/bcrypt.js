@@ -0,0 +1,195 @@
+import { BLOWFISH_P, BLOWFISH_S } from './blowfishConstants.js';
+import { ExportError } from './errors.js';
+
+// --- bcrypt ---
+// bcrypt (Provos & Mazières, "A Future-Adaptable Password Scheme") in plain JavaScript: Web Crypto
+// has no Blowfish. The output matches OpenBSD and Apache htpasswd -B, e.g. "$2y$10$<salt><hash>".
+
+// Work factor bounds: the number of key expansion rounds is 2^cost.
+export const BCRYPT_MIN_COST = 4;
+export const BCRYPT_MAX_COST = 31;
+export const BCRYPT_DEFAULT_COST = 10;
+
+// Salt length in bytes.
+export const BCRYPT_SALT_BYTES = 16;
+
+// Only the first 72 bytes of a password (including its terminating NUL) are used, so longer
+// passwords are silently truncated: any password sharing their first 72 bytes matches the hash.
+export const BCRYPT_MAX_PASSWORD_BYTES = 72;
+const MAX_KEY_BYTES = BCRYPT_MAX_PASSWORD_BYTES;
+
+// bcrypt's own base64 alphabet.
+const BCRYPT_ALPHABET = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// "OrpheanBeholderScryDoubt", the plaintext bcrypt encrypts, as big-endian words.
+const MAGIC_WORDS = Object.freeze([0x4F727068, 0x65616E42, 0x65686F6C, 0x64657253, 0x63727944, 0x6F756274]);
+
+// Versions that hash like "2b" (which fixed 2a's length wrap-around; "2y" is PHP's name for it).
+const BCRYPT_VERSIONS = Object.freeze(['2a', '2b', '2y']);
+
+/**
+ * Encodes bytes with bcrypt's base64 alphabet, without padding.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} - The encoded text.
+ */
+const encodeBcryptBase64 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    const charCount = Math.min(bytes.length - i, 3) + 1;
+    for (let j = 0; j < charCount; j++) text += BCRYPT_ALPHABET[(chunk >> (18 - 6 * j)) & 0x3F];
+  }
+  return text;
+};
+
+/**
+ * Decodes bcrypt base64.
+ * @param {string} text - The encoded text.
+ * @param {number} length - Number of bytes to decode.
+ * @returns {Uint8Array} - The bytes.
+ * @throws {ExportError} - If the text contains characters outside the alphabet.
+ */
+const decodeBcryptBase64 = (text, length) => {
+  const bytes = new Uint8Array(length);
+  let bits = 0;
+  let bitCount = 0;
+  let index = 0;
+  for (const char of text) {
+    const value = BCRYPT_ALPHABET.indexOf(char);
+    if (value < 0) throw new ExportError('The bcrypt hash contains invalid characters.');
+    bits = (bits << 6) | value;
+    bitCount += 6;
+    if (bitCount >= 8 && index < length) {
+      bitCount -= 8;
+      bytes[index++] = (bits >> bitCount) & 0xFF;
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Blowfish state with the key schedule of bcrypt's "expensive key setup".
+ */
+const createBlowfish = () => {
+  const p = Uint32Array.from(BLOWFISH_P);
+  const s = Uint32Array.from(BLOWFISH_S.flat());
+  const block = new Uint32Array(2);
+
+  /**
+   * Encrypts block[0..1] in place.
+   */
+  const encryptBlock = () => {
+    let left = block[0];
+    let right = block[1];
+    for (let i = 0; i < 16; i += 2) {
+      left ^= p[i];
+      right ^= (((s[left >>> 24] + s[0x100 | ((left >>> 16) & 0xFF)]) ^ s[0x200 | ((left >>> 8) & 0xFF)]) + s[0x300 | (left & 0xFF)]);
+      right ^= p[i + 1];
+      left ^= (((s[right >>> 24] + s[0x100 | ((right >>> 16) & 0xFF)]) ^ s[0x200 | ((right >>> 8) & 0xFF)]) + s[0x300 | (right & 0xFF)]);
+    }
+    block[0] = right ^ p[17];
+    block[1] = left ^ p[16];
+  };
+
+  /**
+   * Reads the next big-endian word of a byte string, wrapping around at its end.
+   * @param {Uint8Array} data - The bytes.
+   * @param {{offset: number}} cursor - Read position, advanced by 4.
+   * @returns {number} - The word.
+   */
+  const nextWord = (data, cursor) => {
+    let word = 0;
+    for (let i = 0; i < 4; i++) {
+      word = (word << 8) | data[cursor.offset];
+      cursor.offset = (cursor.offset + 1) % data.length;
+    }
+    return word;
+  };
+
+  /**
+   * Mixes a key (and optionally a salt) into the P-array and S-boxes.
+   * @param {Uint8Array} key - The key bytes.
+   * @param {Uint8Array|null} salt - The salt, or null for the plain Blowfish expansion.
+   */
+  const expandKey = (key, salt) => {
+    const keyCursor = { offset: 0 };
+    for (let i = 0; i < p.length; i++) p[i] ^= nextWord(key, keyCursor);
+    const saltCursor = { offset: 0 };
+    block[0] = 0;
+    block[1] = 0;
+    const fill = (table) => {
+      for (let i = 0; i < table.length; i += 2) {
+        if (salt) {
+          block[0] ^= nextWord(salt, saltCursor);
+          block[1] ^= nextWord(salt, saltCursor);
+        }
+        encryptBlock();
+        table[i] = block[0];
+        table[i + 1] = block[1];
+      }
+    };
+    fill(p);
+    fill(s);
+  };
+
+  return { block, encryptBlock, expandKey };
+};
+
+/**
+ * Hashes a password with bcrypt.
+ * @param {string} password - The password; only its first 72 UTF-8 bytes count.
+ * @param {object} options - Options.
+ * @param {Uint8Array} options.salt - BCRYPT_SALT_BYTES random bytes.
+ * @param {number} [options.cost=BCRYPT_DEFAULT_COST] - Work factor (BCRYPT_MIN_COST to BCRYPT_MAX_COST).
+ * @param {string} [options.version='2y'] - Version tag: '2a', '2b' or '2y'.
+ * @returns {string} - The hash, e.g. "$2y$10$" followed by 22 salt and 31 hash characters.
+ * @throws {ExportError} - If the salt, cost or version is invalid.
+ */
+export const bcryptHash = (password, { salt, cost = BCRYPT_DEFAULT_COST, version = '2y' }) => {
+  if (!(salt instanceof Uint8Array) || salt.length !== BCRYPT_SALT_BYTES) {
+    throw new ExportError(`bcrypt needs a salt of ${BCRYPT_SALT_BYTES} bytes.`);
+  }
+  if (!Number.isInteger(cost) || cost < BCRYPT_MIN_COST || cost > BCRYPT_MAX_COST) {
+    throw new ExportError(`The bcrypt cost must be a whole number from ${BCRYPT_MIN_COST} to ${BCRYPT_MAX_COST}.`);
+  }
+  if (!BCRYPT_VERSIONS.includes(version)) throw new ExportError(`Unknown bcrypt version "${version}".`);
+
+  const encoded = new TextEncoder().encode(password);
+  const key = new Uint8Array(Math.min(encoded.length + 1, MAX_KEY_BYTES)); // NUL-terminated
+  key.set(encoded.subarray(0, key.length));
+
+  const blowfish = createBlowfish();
+  blowfish.expandKey(key, salt);
+  for (let round = 2 ** cost; round > 0; round--) {
+    blowfish.expandKey(key, null);
+    blowfish.expandKey(salt, null);
+  }
+
+  const words = Uint32Array.from(MAGIC_WORDS);
+  for (let i = 0; i < words.length; i += 2) {
+    blowfish.block[0] = words[i];
+    blowfish.block[1] = words[i + 1];
+    for (let round = 0; round < 64; round++) blowfish.encryptBlock();
+    words[i] = blowfish.block[0];
+    words[i + 1] = blowfish.block[1];
+  }
+  const digest = new Uint8Array(words.length * 4);
+  words.forEach((word, i) => new DataView(digest.buffer).setUint32(i * 4, word));
+
+  // The last byte of the digest is dropped, as in the original implementation
+  return `$${version}$${String(cost).padStart(2, '0')}$${encodeBcryptBase64(salt)}${encodeBcryptBase64(digest.subarray(0, 23))}`;
+};
+
+/**
+ * Checks a password against a bcrypt hash.
+ * @param {string} password - The password.
+ * @param {string} hash - A hash from bcryptHash, htpasswd or another bcrypt implementation.
+ * @returns {boolean} - True if the password matches.
+ * @throws {ExportError} - If the hash is not a bcrypt hash.
+ */
+export const verifyBcrypt = (password, hash) => {
+  const match = /^\$(2[aby])\$(\d\d)\$([./A-Za-z0-9]{22})[./A-Za-z0-9]{31}$/.exec(hash);
+  if (!match) throw new ExportError('This is not a bcrypt hash.');
+  const [, version, cost, salt] = match;
+  return bcryptHash(password, { salt: decodeBcryptBase64(salt, BCRYPT_SALT_BYTES), cost: Number(cost), version }) === hash;
+};
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { BCRYPT_SALT_BYTES, bcryptHash, verifyBcrypt } from './bcrypt.js';
+import { ExportError } from './errors.js';
+
+// Reference hashes from OpenBSD's bcrypt (via crypt(3)), all with the salt "abcdefghijklmnopqrstuu"
+const SALTED = '$2b$04$abcdefghijklmnopqrstuu';
+const VECTORS = [
+  ['', `${SALTED}byCG3zY1GIXMyxfivm.ClDiInHzxjiq`],
+  ['U*U*', `${SALTED}BtzXFXMcxIslxJptQaoJYuU.xP21coS`],
+  ['pässwörd', `${SALTED}yx2n0Zzopyr9QuYTMCfOJJOj526QVoC`],
+  ['a'.repeat(71), `${SALTED}MCu.k1vM/ywQwiONaEn3oEMlZoCVBd6`],
+  ['a'.repeat(72), `${SALTED}BzzIgyKkz7xMWYSzkIjUSnxEQFQ0WNe`],
+];
+
+describe('verifyBcrypt', () => {
+  it('accepts the reference hashes', () => {
+    for (const [password, hash] of VECTORS) expect(verifyBcrypt(password, hash)).toBe(true);
+    expect(verifyBcrypt('U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW')).toBe(true);
+    expect(verifyBcrypt('secret', '$2y$04$abcdefghijklmnopqrstuu2r9OfJnfCsdneAXAGHnS4UpFFP8WIrW')).toBe(true);
+  });
+
+  it('rejects other passwords', () => {
+    expect(verifyBcrypt('U*U', VECTORS[1][1])).toBe(false);
+    expect(verifyBcrypt('a'.repeat(71), VECTORS[4][1])).toBe(false);
+  });
+
+  it('ignores everything after the first 72 bytes', () => {
+    expect(verifyBcrypt('a'.repeat(80), VECTORS[4][1])).toBe(true);
+  });
+
+  it('rejects strings that are not bcrypt hashes', () => {
+    expect(() => verifyBcrypt('x', '$6$saltstring$abc')).toThrow(ExportError);
+  });
+});
+
+describe('bcryptHash', () => {
+  const salt = Uint8Array.from({ length: BCRYPT_SALT_BYTES }, (_, i) => i * 13);
+
+  it('produces hashes in the modular crypt format that verify', () => {
+    const hash = bcryptHash('correct horse', { salt, cost: 4 });
+    expect(hash).toMatch(/^\$2y\$04\$[./A-Za-z0-9]{53}$/);
+    expect(verifyBcrypt('correct horse', hash)).toBe(true);
+    expect(bcryptHash('correct horse', { salt, cost: 4, version: '2b' })).toBe(hash.replace('$2y$', '$2b$'));
+  });
+
+  it('rejects invalid salts, costs and versions', () => {
+    expect(() => bcryptHash('x', { salt: new Uint8Array(8) })).toThrow(ExportError);
+    expect(() => bcryptHash('x', { salt, cost: 3 })).toThrow(ExportError);
+    expect(() => bcryptHash('x', { salt, cost: 4, version: '2x' })).toThrow(ExportError);
+  });
+});
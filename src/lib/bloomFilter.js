@@ -0,0 +1,92 @@
+// --- Bloom Filter ---
+// A compact, probabilistic set used to check passwords against large lists entirely offline.
+// Lookups never miss an item that was added; they may (rarely) report an item that wasn't,
+// at roughly the false-positive rate chosen when the filter was built.
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a over UTF-8 bytes, finished with the
+ * MurmurHash3 mixer so that every output bit depends on every input bit).
+ * @param {string} text - The text to hash.
+ * @param {number} seed - Seed that selects an independent hash function.
+ * @returns {number} - The hash.
+ */
+const hashString = (text, seed) => {
+  let hash = (0x811C9DC5 ^ seed) >>> 0;
+  for (const byte of textEncoder.encode(text)) {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85EBCA6B);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xC2B2AE35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+/**
+ * Computes the bit positions of an item (double hashing: h1 + i * h2).
+ * @param {{bitCount: number, hashCount: number}} filter - The filter.
+ * @param {string} item - The item.
+ * @returns {number[]} - hashCount bit positions.
+ */
+const getBitPositions = ({ bitCount, hashCount }, item) => {
+  const h1 = hashString(item, 0);
+  const h2 = (hashString(item, 0x9E3779B9) | 1) >>> 0; // Odd, so the positions don't collapse
+  return Array.from({ length: hashCount }, (_, i) => (h1 + i * h2) % bitCount);
+};
+
+/**
+ * Creates an empty Bloom filter sized for the expected number of items.
+ * @param {number} expectedItems - Number of items that will be added.
+ * @param {number} [falsePositiveRate=1e-6] - Target probability of a false positive.
+ * @returns {{bitCount: number, hashCount: number, bits: Uint8Array}} - The filter.
+ */
+export const createBloomFilter = (expectedItems, falsePositiveRate = 1e-6) => {
+  const bitCount = Math.ceil(-expectedItems * Math.log(falsePositiveRate) / Math.LN2 ** 2);
+  const hashCount = Math.max(1, Math.round((bitCount / expectedItems) * Math.LN2));
+  return { bitCount, hashCount, bits: new Uint8Array(Math.ceil(bitCount / 8)) };
+};
+
+/**
+ * Adds an item to a Bloom filter (in place).
+ * @param {{bitCount: number, hashCount: number, bits: Uint8Array}} filter - The filter.
+ * @param {string} item - The item to add.
+ */
+export const addToBloomFilter = (filter, item) => {
+  getBitPositions(filter, item).forEach(position => {
+    filter.bits[position >> 3] |= 1 << (position & 7);
+  });
+};
+
+/**
+ * Checks whether an item may be in a Bloom filter.
+ * @param {{bitCount: number, hashCount: number, bits: Uint8Array}} filter - The filter.
+ * @param {string} item - The item to look up.
+ * @returns {boolean} - False if the item is definitely absent, true if it is (probably) present.
+ */
+export const bloomFilterHas = (filter, item) =>
+  getBitPositions(filter, item).every(position => (filter.bits[position >> 3] & (1 << (position & 7))) !== 0);
+
+/**
+ * Serializes a Bloom filter to a plain object with base64-encoded bits, for bundling as a module.
+ * @param {{bitCount: number, hashCount: number, bits: Uint8Array}} filter - The filter.
+ * @returns {{bitCount: number, hashCount: number, bits: string}} - The serialized filter.
+ */
+export const serializeBloomFilter = ({ bitCount, hashCount, bits }) => {
+  let binary = '';
+  bits.forEach(byte => { binary += String.fromCharCode(byte); });
+  return { bitCount, hashCount, bits: btoa(binary) };
+};
+
+/**
+ * Restores a Bloom filter produced by serializeBloomFilter.
+ * @param {{bitCount: number, hashCount: number, bits: string}} serialized - The serialized filter.
+ * @returns {{bitCount: number, hashCount: number, bits: Uint8Array}} - The filter.
+ */
+export const deserializeBloomFilter = ({ bitCount, hashCount, bits }) => ({
+  bitCount,
+  hashCount,
+  bits: Uint8Array.from(atob(bits), char => char.charCodeAt(0)),
+});
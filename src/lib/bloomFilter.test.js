@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addToBloomFilter,
+  bloomFilterHas,
+  createBloomFilter,
+  deserializeBloomFilter,
+  serializeBloomFilter,
+} from './bloomFilter.js';
+
+const items = Array.from({ length: 2000 }, (_, i) => `item-${i}`);
+
+const buildFilter = (falsePositiveRate) => {
+  const filter = createBloomFilter(items.length, falsePositiveRate);
+  items.forEach(item => addToBloomFilter(filter, item));
+  return filter;
+};
+
+describe('Bloom filter', () => {
+  it('never misses an added item, including non-ASCII ones', () => {
+    const filter = buildFilter(1e-3);
+    addToBloomFilter(filter, 'pässwörd🔑');
+    expect(items.every(item => bloomFilterHas(filter, item))).toBe(true);
+    expect(bloomFilterHas(filter, 'pässwörd🔑')).toBe(true);
+  });
+
+  it('keeps false positives near the configured rate', () => {
+    const filter = buildFilter(1e-2);
+    let falsePositives = 0;
+    for (let i = 0; i < 10000; i++) {
+      if (bloomFilterHas(filter, `other-${i}`)) falsePositives++;
+    }
+    expect(falsePositives).toBeLessThan(200); // 1% of 10000 is 100
+  });
+
+  it('survives a serialization round trip', () => {
+    const filter = buildFilter(1e-3);
+    const restored = deserializeBloomFilter(JSON.parse(JSON.stringify(serializeBloomFilter(filter))));
+    expect(restored).toEqual(filter);
+    expect(bloomFilterHas(restored, 'item-1999')).toBe(true);
+  });
+});
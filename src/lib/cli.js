@@ -0,0 +1,355 @@
+import { MAX_BATCH_SIZE, generateBatch, toJson } from './batch.js';
+import { SEPARATORS } from './constants.js';
+import { parseDiceRolls, selectDicewareWords } from './dice.js';
+import { calculateRandomEntropy, calculateWordChainEntropy } from './entropy.js';
+import { UsageError } from './errors.js';
+import { CAPITALIZATION_STRATEGIES, generateRandom, generateWordChain } from './generators.js';
+import { getRandomOptions, getWordChainOptions, getWordFilters, normalizeSettings } from './profiles.js';
+import { getRandomCryptoInt } from './random.js';
+import { CASING_LOCALES } from './unicode.js';
+import { BUILT_IN_WORD_LISTS, MAX_WORD_LENGTH, MIN_WORD_LENGTH, NO_BUILT_IN_LIST, loadBuiltInWordList, parseWordList, prepareWordList } from './wordList.js';
+
+// --- Command-Line Interface ---
+// `scripts/cli.js` runs the same generators as the web app from a terminal. This module parses
+// the arguments into the settings sections the app stores in profiles and produces the output;
+// the script only supplies Node's file access and CSPRNG.
+
+// Exit codes of the CLI.
+export const CLI_EXIT_CODES = Object.freeze({
+  success: 0,
+  generationFailed: 1, // The settings are valid but cannot produce a password
+  invalidOptions: 2,
+});
+
+// Longest password or chain the CLI accepts, the same as the app's sliders.
+const MAX_LENGTH = 64;
+
+// Options shared by every command.
+const COMMON_OPTIONS = Object.freeze({
+  count: { type: 'integer', min: 1, max: MAX_BATCH_SIZE, description: 'Number of passwords (default 1)' },
+  json: { type: 'boolean', description: 'Print JSON rows with the settings and entropy' },
+  help: { type: 'boolean', description: 'Show this help' },
+});
+
+// Options of the random command, named after the Random mode's controls.
+const RANDOM_OPTIONS = Object.freeze({
+  length: { type: 'integer', min: 1, max: MAX_LENGTH, description: 'Password length (default 16)' },
+  lowercase: { type: 'boolean', description: 'Include a-z (default on; --no-lowercase)' },
+  uppercase: { type: 'boolean', description: 'Include A-Z (default on; --no-uppercase)' },
+  numbers: { type: 'boolean', description: 'Include 0-9 (default on; --no-numbers)' },
+  symbols: { type: 'boolean', description: 'Include symbols (default on; --no-symbols)' },
+  'symbol-set': { type: 'string', description: 'Symbols to draw from' },
+  exclude: { type: 'string', description: 'Characters never to use' },
+  'exclude-ambiguous': { type: 'boolean', description: 'Leave out look-alikes such as 0/O and 1/l' },
+  'extra-chars': { type: 'string', description: 'Extra characters, used as their own class' },
+  'min-lowercase': { type: 'integer', min: 0, max: MAX_LENGTH, description: 'Policy: at least N lowercase letters' },
+  'min-uppercase': { type: 'integer', min: 0, max: MAX_LENGTH, description: 'Policy: at least N uppercase letters' },
+  'min-numbers': { type: 'integer', min: 0, max: MAX_LENGTH, description: 'Policy: at least N digits' },
+  'min-symbols': { type: 'integer', min: 0, max: MAX_LENGTH, description: 'Policy: at least N symbols' },
+  'max-consecutive': { type: 'integer', min: 0, max: MAX_LENGTH, description: 'Policy: at most N identical characters in a row' },
+  sequential: { type: 'boolean', description: 'Policy: --no-sequential rejects runs such as "abc" or "321"' },
+  'start-with-letter': { type: 'boolean', description: 'Policy: start with a letter' },
+  forbid: { type: 'list', description: 'Policy: a substring the password may not contain (repeatable)' },
+});
+
+// Options of the word-chain command, named after the Word Chain mode's controls.
+const WORD_CHAIN_OPTIONS = Object.freeze({
+  words: { type: 'integer', min: 1, max: MAX_LENGTH, description: 'Number of words (default 4)' },
+  wordlist: {
+    type: 'list',
+    description: `Built-in list (${Object.keys(BUILT_IN_WORD_LISTS).join(', ')}) or a word list file (repeatable)`,
+  },
+  dice: { type: 'string', description: 'Physical dice rolls choosing the words, e.g. "43263 15321"' },
+  separator: { type: 'choice', choices: [...Object.keys(SEPARATORS), 'random'], description: 'Separator (default hyphen)' },
+  capitalization: { type: 'choice', choices: Object.keys(CAPITALIZATION_STRATEGIES), description: 'Capitalization (default none)' },
+  'numbers-between': { type: 'boolean', description: 'Add a digit after each separator' },
+  'symbols-between': { type: 'boolean', description: 'Add a symbol after each separator' },
+  locale: { type: 'choice', choices: CASING_LOCALES.map(({ value }) => value).filter(Boolean), description: 'Casing language' },
+  transliterate: { type: 'boolean', description: 'Transliterate the result to ASCII' },
+  'min-word-length': { type: 'integer', min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH, description: 'Drop shorter words from list files' },
+  'max-word-length': { type: 'integer', min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH, description: 'Drop longer words from list files' },
+  'lowercase-words': { type: 'boolean', description: 'Lowercase the words of list files' },
+  'letters-only': { type: 'boolean', description: 'Strip non-letters from the words of list files' },
+  block: { type: 'list', description: 'A word to leave out of list files (repeatable)' },
+  'remove-prefixes': { type: 'boolean', description: 'Remove words that are prefixes of other words' },
+});
+
+// Options of each command.
+export const CLI_COMMANDS = Object.freeze({
+  random: RANDOM_OPTIONS,
+  'word-chain': WORD_CHAIN_OPTIONS,
+});
+
+/**
+ * Formats the help text.
+ * @returns {string} - The usage of every command and option.
+ */
+export const formatUsage = () => {
+  /**
+   * Formats one option line.
+   * @param {[string, object]} entry - The option name and definition.
+   * @returns {string} - The line.
+   */
+  const formatOption = ([name, { type, choices, description }]) => {
+    const argument = type === 'choice' ? ` <${choices.join('|')}>` : { integer: ' <n>', string: ' <text>', list: ' <text>' }[type] ?? '';
+    return `  --${name}${argument}\n      ${description}`;
+  };
+  return [
+    'Usage: a_password_generator <random|word-chain> [options]',
+    '',
+    ...Object.entries(CLI_COMMANDS).flatMap(([command, options]) => [
+      `${command} options:`,
+      ...Object.entries(options).map(formatOption),
+      '',
+    ]),
+    'Common options:',
+    ...Object.entries(COMMON_OPTIONS).map(formatOption),
+    '',
+    `Exit codes: ${CLI_EXIT_CODES.success} success, ${CLI_EXIT_CODES.generationFailed} the options cannot produce a password, ${CLI_EXIT_CODES.invalidOptions} invalid options.`,
+  ].join('\n') + '\n';
+};
+
+/**
+ * Converts an option value from its text form.
+ * @param {string} name - The option name.
+ * @param {object} definition - The option definition.
+ * @param {string} text - The value as given.
+ * @returns {*} - The typed value.
+ * @throws {UsageError} - If the value is not valid for the option.
+ */
+const parseOptionValue = (name, definition, text) => {
+  if (definition.type === 'integer') {
+    const value = /^\d+$/.test(text) ? Number(text) : NaN;
+    if (!(value >= definition.min && value <= definition.max)) {
+      throw new UsageError(`--${name} must be a whole number from ${definition.min} to ${definition.max}.`);
+    }
+    return value;
+  }
+  if (definition.type === 'choice' && !definition.choices.includes(text)) {
+    throw new UsageError(`--${name} must be one of ${definition.choices.join(', ')}.`);
+  }
+  return text;
+};
+
+/**
+ * Parses command-line arguments. Options are written `--name value` or `--name=value`; switches
+ * `--name` or `--no-name`; list options may be repeated.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {{command: string|null, values: object}} - The command (null if only --help was given)
+ *   and the option values by option name; options that weren't given are left out.
+ * @throws {UsageError} - If the command or an option is unknown or has an invalid value.
+ */
+export const parseCliArguments = (args) => {
+  const [first, ...rest] = args;
+  if (first === undefined || first === '--help' || first === '-h') return { command: null, values: { help: true } };
+  if (!(first in CLI_COMMANDS)) {
+    throw new UsageError(`Unknown command "${first}". Use ${Object.keys(CLI_COMMANDS).join(' or ')}.`);
+  }
+  const definitions = { ...CLI_COMMANDS[first], ...COMMON_OPTIONS };
+  const values = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const argument = rest[i];
+    if (argument === '-h') {
+      values.help = true;
+      continue;
+    }
+    const match = argument.match(/^--([a-z-]+?)(?:=(.*))?$/s);
+    if (!match) throw new UsageError(`Unexpected argument "${argument}".`);
+    const [, flag, inlineValue] = match;
+
+    const negated = !(flag in definitions) && flag.startsWith('no-');
+    const name = negated ? flag.slice(3) : flag;
+    const definition = definitions[name];
+    if (!definition || (negated && definition.type !== 'boolean')) throw new UsageError(`Unknown option "--${flag}".`);
+
+    if (definition.type === 'boolean') {
+      if (inlineValue !== undefined) throw new UsageError(`--${flag} does not take a value.`);
+      values[name] = !negated;
+      continue;
+    }
+    let text = inlineValue;
+    if (text === undefined) {
+      if (i + 1 >= rest.length) throw new UsageError(`--${name} needs a value.`);
+      text = rest[++i];
+    }
+    const value = parseOptionValue(name, definition, text);
+    values[name] = definition.type === 'list' ? [...(values[name] ?? []), value] : value;
+  }
+  return { command: first, values };
+};
+
+/**
+ * Keeps the fields of an object whose values are defined.
+ * @param {object} fields - The fields.
+ * @returns {object} - The defined fields.
+ */
+const definedFields = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+/**
+ * Builds the random section of the settings from random command options. The custom alphabet
+ * and the policy are switched on as soon as one of their options is given.
+ * @param {object} values - Option values from parseCliArguments.
+ * @returns {object} - A partial random settings section (see DEFAULT_SETTINGS.random).
+ */
+export const getCliRandomSettings = (values) => {
+  const customAlphabet = definedFields({
+    symbolSet: values['symbol-set'],
+    excludeChars: values.exclude,
+    excludeAmbiguous: values['exclude-ambiguous'],
+    extraChars: values['extra-chars'],
+  });
+  const minCounts = definedFields({
+    lowercase: values['min-lowercase'],
+    uppercase: values['min-uppercase'],
+    numbers: values['min-numbers'],
+    symbols: values['min-symbols'],
+  });
+  const policy = definedFields({
+    minCounts: Object.keys(minCounts).length > 0 ? minCounts : undefined,
+    maxConsecutive: values['max-consecutive'],
+    noSequential: values.sequential === undefined ? undefined : !values.sequential,
+    startWithLetter: values['start-with-letter'],
+    forbiddenSubstrings: values.forbid,
+  });
+  return definedFields({
+    length: values.length,
+    lowercase: values.lowercase,
+    uppercase: values.uppercase,
+    numbers: values.numbers,
+    symbols: values.symbols,
+    ...customAlphabet,
+    showCustomAlphabet: Object.keys(customAlphabet).length > 0 || undefined,
+    enforcePolicy: Object.keys(policy).length > 0 || undefined,
+    policy: Object.keys(policy).length > 0 ? policy : undefined,
+  });
+};
+
+/**
+ * Builds the wordChain section of the settings from word-chain command options. The word list
+ * is the built-in list named by --wordlist, or 'default' when only files (or nothing) are given;
+ * with files but no built-in list, only the files' words are used.
+ * @param {object} values - Option values from parseCliArguments.
+ * @returns {{settings: object, wordListFiles: string[]}} - A partial wordChain settings section
+ *   (see DEFAULT_SETTINGS.wordChain) and the word list files to read.
+ * @throws {UsageError} - If more than one built-in list is named.
+ */
+export const getCliWordChainSettings = (values) => {
+  const wordLists = values.wordlist ?? [];
+  const builtInLists = wordLists.filter(name => name in BUILT_IN_WORD_LISTS);
+  const wordListFiles = wordLists.filter(name => !(name in BUILT_IN_WORD_LISTS));
+  if (builtInLists.length > 1) throw new UsageError('Only one built-in word list can be used at a time.');
+
+  let wordList = builtInLists[0];
+  if (wordList === undefined) wordList = wordListFiles.length > 0 ? NO_BUILT_IN_LIST : 'default';
+
+  const settings = definedFields({
+    wordCount: values.words,
+    wordList,
+    diceEntry: values.dice !== undefined || undefined,
+    separator: values.separator,
+    capitalization: values.capitalization,
+    numbersBetweenWords: values['numbers-between'],
+    symbolsBetweenWords: values['symbols-between'],
+    locale: values.locale,
+    transliterate: values.transliterate,
+    minWordLength: values['min-word-length'],
+    maxWordLength: values['max-word-length'],
+    lowercaseWords: values['lowercase-words'],
+    lettersOnly: values['letters-only'],
+    wordBlocklist: values.block?.join('\n'),
+    removePrefixes: values['remove-prefixes'],
+  });
+  return { settings, wordListFiles };
+};
+
+/**
+ * Prepares the word chain generator options, reading list files and looking up dice rolls.
+ * @param {object} values - Option values from parseCliArguments.
+ * @param {function(string): Promise<string>} readTextFile - Reads a file as UTF-8 text.
+ * @returns {Promise<{options: object, settings: object}>} - Options for generateWordChain and
+ *   the export-friendly settings.
+ * @throws {UsageError} - If a list file can't be read, the list is empty or the dice rolls are invalid.
+ */
+const prepareWordChain = async (values, readTextFile) => {
+  const { settings: partialSettings, wordListFiles } = getCliWordChainSettings(values);
+  const { wordChain } = normalizeSettings({ wordChain: partialSettings });
+  if (wordChain.minWordLength > wordChain.maxWordLength) {
+    throw new UsageError('--min-word-length cannot be greater than --max-word-length.');
+  }
+
+  const texts = await Promise.all(wordListFiles.map(async (path) => {
+    try {
+      return await readTextFile(path);
+    } catch (error) {
+      throw new UsageError(`Cannot read the word list "${path}": ${error.message}`);
+    }
+  }));
+  const baseWords = await loadBuiltInWordList(wordChain.wordList);
+  const { words } = prepareWordList({
+    baseWords,
+    customWords: texts.flatMap(parseWordList),
+    filters: getWordFilters(wordChain),
+  });
+  if (words.length === 0) throw new UsageError('The word list is empty.');
+  const options = getWordChainOptions(wordChain, words);
+  const settings = { ...wordChain, wordListSize: words.length };
+
+  if (values.dice === undefined) return { options, settings };
+
+  // Dice choose the words from the built-in diceware list, like the app's dice entry
+  const { diceCount } = BUILT_IN_WORD_LISTS[wordChain.wordList] ?? {};
+  if (!diceCount || wordListFiles.length > 0) {
+    throw new UsageError('--dice needs a built-in diceware list (e.g. --wordlist eff-large) and no list files.');
+  }
+  try {
+    const selectedWords = selectDicewareWords(parseDiceRolls(values.dice, diceCount), baseWords, diceCount);
+    return { options: { ...options, wordCount: selectedWords.length, selectedWords, words: baseWords }, settings };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+};
+
+/**
+ * Runs the CLI.
+ * @param {string[]} args - The arguments after the script name.
+ * @param {object} io - Environment access.
+ * @param {function(string): Promise<string>} io.readTextFile - Reads a file as UTF-8 text.
+ * @param {function(number): number} [io.randomInt=getRandomCryptoInt] - Random source.
+ * @returns {Promise<{exitCode: number, output: string, errorOutput: string}>} - What to print
+ *   to stdout and stderr, and the exit code (see CLI_EXIT_CODES).
+ */
+export const runCli = async (args, { readTextFile, randomInt = getRandomCryptoInt }) => {
+  let command;
+  let values;
+  let prepared;
+  try {
+    ({ command, values } = parseCliArguments(args));
+    if (values.help) return { exitCode: CLI_EXIT_CODES.success, output: formatUsage(), errorOutput: '' };
+    if (command === 'random') {
+      const { random } = normalizeSettings({ random: getCliRandomSettings(values) });
+      const options = getRandomOptions(random);
+      prepared = { options, settings: options };
+    } else {
+      prepared = await prepareWordChain(values, readTextFile);
+    }
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    return { exitCode: CLI_EXIT_CODES.invalidOptions, output: '', errorOutput: `${error.message}\nRun with --help for the options.\n` };
+  }
+
+  const { options, settings } = prepared;
+  try {
+    const generate = command === 'random' ? generateRandom : generateWordChain;
+    const calculateEntropy = command === 'random' ? calculateRandomEntropy : calculateWordChainEntropy;
+    const rows = generateBatch(values.count ?? 1, () => generate(options, randomInt), {
+      mode: command,
+      settings,
+      entropyBits: calculateEntropy(options),
+    });
+    const output = values.json ? toJson(rows) : rows.map(({ password }) => `${password}\n`).join('');
+    return { exitCode: CLI_EXIT_CODES.success, output, errorOutput: '' };
+  } catch (error) {
+    return { exitCode: CLI_EXIT_CODES.generationFailed, output: '', errorOutput: `Error: ${error.message}\n` };
+  }
+};
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { CLI_EXIT_CODES, getCliRandomSettings, getCliWordChainSettings, parseCliArguments, runCli } from './cli.js';
+import { UsageError } from './errors.js';
+import { createSeededRandomInt } from './random.js';
+
+// Minimal file reader over an in-memory set of files
+const createFiles = (files = {}) => async (path) => {
+  if (!(path in files)) throw new Error('no such file');
+  return files[path];
+};
+
+describe('parseCliArguments', () => {
+  it('reads values, switches and repeated list options', () => {
+    const { command, values } = parseCliArguments(['random', '--length', '24', '--no-symbols', '--forbid=ab', '--forbid', 'cd', '--json']);
+    expect(command).toBe('random');
+    expect(values).toEqual({ length: 24, symbols: false, forbid: ['ab', 'cd'], json: true });
+  });
+
+  it('asks for help without a command', () => {
+    expect(parseCliArguments([])).toEqual({ command: null, values: { help: true } });
+    expect(parseCliArguments(['word-chain', '-h']).values.help).toBe(true);
+  });
+
+  it('rejects unknown commands, unknown options and invalid values', () => {
+    expect(() => parseCliArguments(['pin'])).toThrow(UsageError);
+    expect(() => parseCliArguments(['random', '--words', '5'])).toThrow('Unknown option "--words".');
+    expect(() => parseCliArguments(['random', '--no-length'])).toThrow('Unknown option "--no-length".');
+    expect(() => parseCliArguments(['random', '--length', '1.5'])).toThrow('--length must be a whole number from 1 to 64.');
+    expect(() => parseCliArguments(['random', '--length'])).toThrow('--length needs a value.');
+    expect(() => parseCliArguments(['random', '--symbols=yes'])).toThrow('--symbols does not take a value.');
+    expect(() => parseCliArguments(['word-chain', '--separator', 'comma'])).toThrow(/--separator must be one of/);
+    expect(() => parseCliArguments(['random', 'extra'])).toThrow('Unexpected argument "extra".');
+  });
+});
+
+describe('getCliRandomSettings', () => {
+  it('switches on the custom alphabet and policy only when their options are given', () => {
+    expect(getCliRandomSettings({ length: 20, symbols: false })).toEqual({ length: 20, symbols: false });
+    expect(getCliRandomSettings({ exclude: 'abc', 'min-numbers': 2, sequential: false })).toEqual({
+      excludeChars: 'abc',
+      showCustomAlphabet: true,
+      enforcePolicy: true,
+      policy: { minCounts: { numbers: 2 }, noSequential: true },
+    });
+  });
+});
+
+describe('getCliWordChainSettings', () => {
+  it('separates built-in lists from list files', () => {
+    expect(getCliWordChainSettings({}).settings.wordList).toBe('default');
+    expect(getCliWordChainSettings({ wordlist: ['./list.txt'] })).toEqual({ settings: { wordList: 'none' }, wordListFiles: ['./list.txt'] });
+    expect(getCliWordChainSettings({ wordlist: ['eff-large', './list.txt'] }).settings.wordList).toBe('eff-large');
+    expect(() => getCliWordChainSettings({ wordlist: ['default', 'eff-large'] })).toThrow(UsageError);
+  });
+
+  it('maps the word list hygiene options', () => {
+    const { settings } = getCliWordChainSettings({ 'min-word-length': 3, block: ['foo', 'bar'], 'letters-only': true });
+    expect(settings).toMatchObject({ minWordLength: 3, wordBlocklist: 'foo\nbar', lettersOnly: true });
+  });
+});
+
+describe('runCli', () => {
+  const io = { readTextFile: createFiles({ 'list.txt': 'alpha beta\ngamma delta\n' }), randomInt: createSeededRandomInt(1) };
+
+  it('prints one password per line', async () => {
+    const { exitCode, output } = await runCli(['random', '--length', '24', '--no-symbols', '--count', '3'], io);
+    expect(exitCode).toBe(CLI_EXIT_CODES.success);
+    const passwords = output.trimEnd().split('\n');
+    expect(passwords).toHaveLength(3);
+    passwords.forEach(password => expect(password).toMatch(/^[a-zA-Z0-9]{24}$/));
+  });
+
+  it('uses word list files and prints JSON rows', async () => {
+    const { exitCode, output } = await runCli(['word-chain', '--words', '5', '--separator', 'underscore', '--wordlist', 'list.txt', '--json'], io);
+    expect(exitCode).toBe(CLI_EXIT_CODES.success);
+    const [row] = JSON.parse(output);
+    expect(row.password.split('_')).toHaveLength(5);
+    row.password.split('_').forEach(word => expect(['alpha', 'beta', 'gamma', 'delta']).toContain(word));
+    expect(row).toMatchObject({ mode: 'word-chain', entropyBits: 10, settings: { wordList: 'none', wordListSize: 4 } });
+  });
+
+  it('looks up physical dice rolls in a diceware list', async () => {
+    const { output } = await runCli(['word-chain', '--wordlist', 'eff-large', '--dice', '11111 66666'], io);
+    expect(output).toBe('abacus-zoom\n');
+  });
+
+  it('exits with distinct codes for invalid options and generation failures', async () => {
+    const invalid = await runCli(['random', '--length', '0'], io);
+    expect(invalid.exitCode).toBe(CLI_EXIT_CODES.invalidOptions);
+    expect(invalid.errorOutput).toMatch(/--length must be/);
+    expect((await runCli(['word-chain', '--wordlist', 'missing.txt'], io)).exitCode).toBe(CLI_EXIT_CODES.invalidOptions);
+    expect((await runCli(['word-chain', '--dice', '11111'], io)).exitCode).toBe(CLI_EXIT_CODES.invalidOptions);
+
+    const failed = await runCli(['random', '--no-lowercase', '--no-uppercase', '--no-numbers', '--no-symbols'], io);
+    expect(failed.exitCode).toBe(CLI_EXIT_CODES.generationFailed);
+    expect(failed.errorOutput).toBe('Error: Please select at least one character type.\n');
+    expect((await runCli(['random', '--length', '4', '--min-numbers', '5'], io)).exitCode).toBe(CLI_EXIT_CODES.generationFailed);
+  });
+
+  it('prints the help', async () => {
+    const { exitCode, output } = await runCli(['--help'], io);
+    expect(exitCode).toBe(CLI_EXIT_CODES.success);
+    expect(output).toMatch(/^Usage: a_password_generator/);
+  });
+});
@@ -0,0 +1,74 @@
+// --- Clipboard ---
+
+// Default delay before a copied password is wiped from the clipboard (0 disables auto-clear).
+export const DEFAULT_CLIPBOARD_CLEAR_SECONDS = 30;
+
+/**
+ * Copies text with a temporary, off-screen textarea and document.execCommand('copy').
+ * Deprecated, but still the only option where navigator.clipboard is unavailable
+ * (insecure origins, older browsers, some sandboxed iframes).
+ * @param {string} text - The text to copy.
+ * @returns {boolean} - True if copy was successful, false otherwise.
+ */
+const copyWithExecCommand = (text) => {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  // Keep the textarea out of sight while it is selectable
+  textarea.style.position = 'fixed';
+  textarea.style.top = '-1000px';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    return document.execCommand('copy');
+  } catch (err) {
+    console.error('Failed to copy text: ', err);
+    return false;
+  } finally {
+    // Clean up: remove the temporary textarea
+    document.body.removeChild(textarea);
+  }
+};
+
+/**
+ * Copies text to the clipboard with navigator.clipboard.writeText, falling back to
+ * document.execCommand('copy') where the Clipboard API is missing or refuses the write.
+ * @param {string} text - The text to copy.
+ * @returns {Promise<boolean>} - True if copy was successful, false otherwise.
+ */
+export const copyToClipboard = async (text) => {
+  if (globalThis.navigator?.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (err) {
+      console.warn('Clipboard API write failed, falling back to execCommand: ', err);
+    }
+  }
+  return copyWithExecCommand(text);
+};
+
+/**
+ * Empties the clipboard, but only if it still holds the text we copied, so that anything the
+ * user copied since is left alone.
+ * @param {string} text - The text that was copied.
+ * @returns {Promise<string>} - 'cleared'; 'changed' if the clipboard holds something else;
+ *   'unverified' if the browser doesn't allow reading the clipboard, in which case it is left
+ *   untouched; or 'failed' if the clipboard could not be overwritten.
+ */
+export const clearClipboardIfUnchanged = async (text) => {
+  let current;
+  try {
+    current = await navigator.clipboard.readText();
+  } catch {
+    return 'unverified';
+  }
+  if (current !== text) return 'changed';
+  try {
+    await navigator.clipboard.writeText('');
+    return 'cleared';
+  } catch {
+    return 'failed';
+  }
+};
@@ -0,0 +1,85 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { clearClipboardIfUnchanged, copyToClipboard } from './clipboard.js';
+
+// In-memory clipboard behind a navigator.clipboard-like API
+const stubClipboard = ({ readable = true, writable = true } = {}) => {
+  const clipboard = {
+    content: '',
+    writeText: vi.fn(async (text) => {
+      if (!writable) throw new Error('NotAllowedError');
+      clipboard.content = text;
+    }),
+    readText: vi.fn(async () => {
+      if (!readable) throw new Error('NotAllowedError');
+      return clipboard.content;
+    }),
+  };
+  vi.stubGlobal('navigator', { clipboard });
+  return clipboard;
+};
+
+// Just enough of document for the execCommand fallback
+const stubDocument = (execCommandResult) => {
+  const textarea = { value: '', style: {}, setAttribute: vi.fn(), select: vi.fn() };
+  const document = {
+    createElement: vi.fn(() => textarea),
+    body: { appendChild: vi.fn(), removeChild: vi.fn() },
+    execCommand: vi.fn(() => execCommandResult),
+  };
+  vi.stubGlobal('document', document);
+  return { document, textarea };
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('copyToClipboard', () => {
+  it('uses the Clipboard API when available', async () => {
+    const clipboard = stubClipboard();
+    const { document } = stubDocument(true);
+    await expect(copyToClipboard('s3cret')).resolves.toBe(true);
+    expect(clipboard.content).toBe('s3cret');
+    expect(document.execCommand).not.toHaveBeenCalled();
+  });
+
+  it('falls back to execCommand when the Clipboard API refuses the write', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    stubClipboard({ writable: false });
+    const { document, textarea } = stubDocument(true);
+    await expect(copyToClipboard('s3cret')).resolves.toBe(true);
+    expect(textarea.value).toBe('s3cret');
+    expect(document.execCommand).toHaveBeenCalledWith('copy');
+    expect(document.body.removeChild).toHaveBeenCalledWith(textarea);
+  });
+
+  it('reports failure when neither method works', async () => {
+    vi.stubGlobal('navigator', {});
+    stubDocument(false);
+    await expect(copyToClipboard('s3cret')).resolves.toBe(false);
+  });
+});
+
+describe('clearClipboardIfUnchanged', () => {
+  it('clears the clipboard while it still holds the copied text', async () => {
+    const clipboard = stubClipboard();
+    clipboard.content = 's3cret';
+    await expect(clearClipboardIfUnchanged('s3cret')).resolves.toBe('cleared');
+    expect(clipboard.content).toBe('');
+  });
+
+  it('leaves newer clipboard content alone', async () => {
+    const clipboard = stubClipboard();
+    clipboard.content = 'something else';
+    await expect(clearClipboardIfUnchanged('s3cret')).resolves.toBe('changed');
+    expect(clipboard.content).toBe('something else');
+  });
+
+  it('does not overwrite a clipboard it cannot read', async () => {
+    const clipboard = stubClipboard({ readable: false });
+    clipboard.content = 's3cret';
+    await expect(clearClipboardIfUnchanged('s3cret')).resolves.toBe('unverified');
+    expect(clipboard.writeText).not.toHaveBeenCalled();
+  });
+});
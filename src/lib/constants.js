@@ -0,0 +1,74 @@
+// --- Constants ---
+// Default word list for the word chain generator.
+// Object.freeze ensures this array cannot be modified, which can sometimes allow minor engine optimizations.
+export const DEFAULT_WORD_LIST = Object.freeze([
+  "apple", "banana", "orange", "grape", "strawberry", "blueberry", "raspberry", "pineapple",
+  "kiwi", "mango", "peach", "plum", "cherry", "lemon", "lime", "coconut", "avocado",
+  "pear", "apricot", "fig", "date", "melon", "watermelon", "cantaloupe", "honeydew",
+  "pomegranate", "guava", "papaya", "lychee", "dragonfruit", "passionfruit", "persimmon",
+  "tangerine", "clementine", "nectarine", "blackberry", "cranberry", "currant", "gooseberry",
+  "quince", "rhubarb", "starfruit", "ugli", "zucchini", "cucumber", "tomato", "potato",
+  "carrot", "broccoli", "spinach", "kale", "lettuce", "cabbage", "onion", "garlic",
+  "ginger", "pepper", "chili", "eggplant", "pumpkin", "squash", "bean", "pea", "corn",
+  "rice", "wheat", "oat", "barley", "rye", "bread", "pasta", "noodle", "pizza", "burger",
+  "sushi", "taco", "burrito", "sandwich", "soup", "salad", "stew", "curry", "fry", "bake",
+  "roast", "grill", "steam", "boil", "simmer", "blend", "chop", "slice", "dice", "mince",
+  // Expanded word list
+  "forest", "mountain", "river", "ocean", "desert", "valley", "glacier", "volcano",
+  "sunrise", "sunset", "moonlight", "starlight", "thunder", "lightning", "rainbow", "blizzard",
+  "whisper", "giggle", "shimmer", "sparkle", "twinkle", "breeze", "melody", "harmony",
+  "journey", "adventure", "explore", "discover", "wander", "travel", "expedition", "pilgrim",
+  "ancient", "modern", "future", "present", "past", "timeless", "eternal", "moment",
+  "brave", "courage", "heroic", "valiant", "fearless", "daring", "bold", "gallant",
+  "gentle", "kindness", "compassion", "empathy", "tender", "softly", "peaceful", "calmness",
+  "wisdom", "knowledge", "insight", "enlighten", "learn", "study", "thoughtful", "clever",
+  "freedom", "liberty", "sovereign", "unbound", "release", "escape", "openness", "wildness",
+  "mystery", "secret", "puzzle", "enigma", "riddle", "hidden", "unknown", "unseen",
+  "dreamer", "imagine", "create", "invent", "design", "build", "artist", "writer",
+  "speaker", "listen", "communicate", "converse", "dialogue", "express", "narrate", "recite",
+  "runner", "jumper", "swimmer", "climber", "dancer", "singer", "player", "athlete",
+  "garden", "flower", "tree", "plant", "bloom", "petal", "leafy", "rooting",
+  "library", "bookish", "reader", "chapter", "story", "novel", "poetry", "script",
+  "keyboard", "monitor", "mousepad", "speaker", "webcam", "printer", "scanner", "router",
+  "cloudy", "sunny", "rainy", "windy", "snowing", "stormy", "foggy", "misty",
+  "laughter", "smiling", "joyful", "happy", "blissful", "cheerful", "gleeful", "merry",
+  "serene", "tranquil", "placid", "untroubled", "undisturbed", "relaxed", "composed", "stillness",
+  "vibrant", "luminous", "radiant", "brilliant", "sparkling", "gleaming", "shining", "glowing",
+  "whiskey", "bourbon", "scotch", "vodka", "gin", "rum", "tequila", "brandy",
+  "coffee", "tea", "latte", "espresso", "cappuccino", "mocha", "chai", "matcha",
+  "bicycle", "caravan", "airplane", "trains", "shipment", "rocket", "balloon", "submarine",
+  "diamond", "emerald", "ruby", "sapphire", "pearl", "topaz", "amethyst", "garnet",
+  "guitar", "piano", "violin", "trumpet", "drummer", "flute", "cello", "saxophone",
+  "chocolate", "vanilla", "caramel", "strawberry", "minty", "cookie", "brownie", "fudge"
+]);
+
+// Character sets for random password generation.
+// Object.freeze ensures these objects cannot be modified.
+export const CHAR_SETS = Object.freeze({
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  numbers: '0123456789',
+  symbols: '!@#$%^&*()_+-=[]{}|;:\'",.<>?/',
+});
+
+// Separator options for word chain generation.
+// Object.freeze ensures these objects cannot be modified.
+export const SEPARATORS = Object.freeze({
+  hyphen: '-',
+  space: ' ',
+  underscore: '_',
+  none: '',
+});
+
+// Characters that are easily confused with one another when read by humans (0/O/o, 1/l/I/|).
+export const AMBIGUOUS_CHARACTERS = '0Oo1lI|';
+
+// Letters for pronounceable passwords: every syllable is a consonant followed by a vowel.
+// Hard-to-pronounce or look-alike consonants (q, x, y) are left out.
+export const PRONOUNCEABLE_LETTERS = Object.freeze({
+  consonants: 'bcdfghjklmnprstvwz',
+  vowels: 'aeiou',
+});
+
+// Number of digits appended to a pronounceable password when digits are enabled.
+export const PRONOUNCEABLE_DIGIT_COUNT = 2;
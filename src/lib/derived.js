@@ -0,0 +1,131 @@
+import { GeneratorError } from './errors.js';
+import { generateRandom, generateWordChain } from './generators.js';
+import { createRandomInt } from './random.js';
+
+// --- Derived Passwords ---
+// Stateless, LessPass/Spectre-style passwords: the same master passphrase, site and counter
+// always produce the same password, so nothing has to be stored. The inputs are stretched with
+// PBKDF2 and expanded with HKDF into a fixed key stream that replaces getRandomCryptoInt in the
+// ordinary generators. Any change to the steps below, or to how the generators consume random
+// numbers, changes every derived password: DERIVED_TEST_VECTORS pins the output of each version.
+
+export const DERIVATION_VERSION = 1;
+
+// PBKDF2-HMAC-SHA256 work factor (the same as LessPass). Part of the version; never change it.
+export const DERIVATION_ITERATIONS = 100000;
+
+// HKDF-SHA256 can expand to at most 255 hash blocks.
+const KEY_STREAM_BYTES = 255 * 32;
+
+export const DERIVED_STYLES = Object.freeze({
+  random: 'Random characters',
+  'word-chain': 'Word chain',
+});
+
+/**
+ * Canonicalizes a site name so that "Example.com " and "example.com" derive the same password.
+ * @param {string} site - The site name or domain as typed.
+ * @returns {string} - The trimmed, NFC-normalized, lowercase site.
+ */
+export const normalizeSite = (site) => site.trim().normalize('NFC').toLowerCase();
+
+/**
+ * Validates the derivation inputs.
+ * @param {object} derivation - Derivation inputs.
+ * @param {string} derivation.masterPassword - The master passphrase.
+ * @param {string} derivation.site - The site name.
+ * @param {number} derivation.counter - Counter (1 or more), bumped to rotate a password.
+ * @throws {GeneratorError} - If an input is missing or the counter is invalid.
+ */
+const validateDerivation = ({ masterPassword, site, counter }) => {
+  if (!masterPassword) throw new GeneratorError('Please enter your master passphrase.');
+  if (!normalizeSite(site)) throw new GeneratorError('Please enter a site name.');
+  if (!Number.isInteger(counter) || counter < 1) throw new GeneratorError('The counter must be a whole number of at least 1.');
+};
+
+/**
+ * Derives the key stream for a site: PBKDF2-HMAC-SHA256 over the master passphrase, salted with
+ * "<site>\0<counter>", then HKDF-SHA256 (empty salt, info "password-generator derived v<version>
+ * <style>") expanded to KEY_STREAM_BYTES.
+ * @param {object} derivation - Derivation inputs (see validateDerivation).
+ * @param {string} style - A key of DERIVED_STYLES.
+ * @returns {Promise<Uint8Array>} - The key stream.
+ * @throws {GeneratorError} - If the inputs are invalid.
+ */
+export const deriveKeyStream = async ({ masterPassword, site, counter = 1 }, style) => {
+  validateDerivation({ masterPassword, site, counter });
+  const { subtle } = globalThis.crypto;
+  const encoder = new TextEncoder();
+
+  const passwordKey = await subtle.importKey('raw', encoder.encode(masterPassword.normalize('NFC')), 'PBKDF2', false, ['deriveBits']);
+  const stretched = await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`${normalizeSite(site)}\0${counter}`), iterations: DERIVATION_ITERATIONS },
+    passwordKey,
+    256,
+  );
+
+  const hkdfKey = await subtle.importKey('raw', stretched, 'HKDF', false, ['deriveBits']);
+  const stream = await subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(`password-generator derived v${DERIVATION_VERSION} ${style}`) },
+    hkdfKey,
+    KEY_STREAM_BYTES * 8,
+  );
+  return new Uint8Array(stream);
+};
+
+/**
+ * Turns a fixed byte stream into a deterministic `randomInt(max)` function. Reads big-endian
+ * 32-bit words in order, with the same rejection sampling as getRandomCryptoInt.
+ * @param {Uint8Array} bytes - The key stream.
+ * @returns {function(number): number} - A deterministic `randomInt(max)` function.
+ * @throws {GeneratorError} - From the returned function, once the stream is used up.
+ */
+export const createStreamRandomInt = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  return createRandomInt(() => {
+    if (offset + 4 > bytes.length) {
+      throw new GeneratorError('These settings need more derived randomness than is available. Relax the password policy or shorten the password.');
+    }
+    const value = view.getUint32(offset);
+    offset += 4;
+    return value;
+  });
+};
+
+/**
+ * Tells whether the word lists of a derived word chain are complete. Deriving from a list that is
+ * still loading (or failed to load) would silently give a different password for the same inputs.
+ * @param {object} status - Word list status.
+ * @param {string} status.wordList - The selected built-in list id.
+ * @param {string|null} status.loadedWordList - Id of the built-in list whose words are loaded.
+ * @param {string|null} status.wordListError - Why the built-in list failed to load, if it did.
+ * @param {string[]} status.enabledWordLists - Ids of the enabled word list library entries.
+ * @param {Array|null} status.libraryLists - The loaded library lists, or null while loading.
+ * @param {string|null} status.libraryError - Why the library failed to load, if it did.
+ * @returns {string|null} - Why the word chain can't be derived yet, or null if it can.
+ */
+export const findDerivedWordListProblem = ({ wordList, loadedWordList, wordListError, enabledWordLists, libraryLists, libraryError }) => {
+  if (wordListError) return `The word list could not be loaded: ${wordListError}`;
+  if (loadedWordList !== wordList) return 'The word list is still loading.';
+  if (enabledWordLists.length > 0) {
+    if (libraryError) return `Saved word lists are not available: ${libraryError}`;
+    if (libraryLists === null) return 'Saved word lists are still loading.';
+  }
+  return null;
+};
+
+/**
+ * Derives a password with the random or word chain generator.
+ * @param {object} derivation - Derivation inputs (see validateDerivation).
+ * @param {string} style - A key of DERIVED_STYLES.
+ * @param {object} options - Options for generateRandom or generateWordChain. Word chains must
+ *   pass their word list explicitly; its order matters.
+ * @returns {Promise<string>} - The derived password.
+ * @throws {GeneratorError} - If the inputs or options are invalid.
+ */
+export const derivePassword = async (derivation, style, options) => {
+  if (!(style in DERIVED_STYLES)) throw new GeneratorError(`Unknown derived password style "${style}".`);
+  const randomInt = createStreamRandomInt(await deriveKeyStream(derivation, style));
+  return style === 'random' ? generateRandom(options, randomInt) : generateWordChain(options, randomInt);
+};
@@ -0,0 +1,74 @@
+import { hkdfSync, pbkdf2Sync } from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import {
+  DERIVATION_ITERATIONS,
+  createStreamRandomInt,
+  deriveKeyStream,
+  derivePassword,
+  findDerivedWordListProblem,
+  normalizeSite,
+} from './derived.js';
+import vectors from './derivedTestVectors.json';
+import { loadBuiltInWordList } from './wordList.js';
+
+const DERIVATION = { masterPassword: 'correct horse battery staple', site: 'example.com', counter: 1 };
+
+describe('deriveKeyStream', () => {
+  it('matches PBKDF2 followed by HKDF as specified', async () => {
+    const stretched = pbkdf2Sync(DERIVATION.masterPassword, 'example.com\u00001', DERIVATION_ITERATIONS, 32, 'sha256');
+    const expected = new Uint8Array(hkdfSync('sha256', stretched, new Uint8Array(0), 'password-generator derived v1 random', 255 * 32));
+    expect(await deriveKeyStream(DERIVATION, 'random')).toEqual(expected);
+  });
+
+  it('rejects missing inputs and invalid counters', async () => {
+    await expect(deriveKeyStream({ ...DERIVATION, masterPassword: '' }, 'random')).rejects.toThrow('master passphrase');
+    await expect(deriveKeyStream({ ...DERIVATION, site: '  ' }, 'random')).rejects.toThrow('site name');
+    await expect(deriveKeyStream({ ...DERIVATION, counter: 0 }, 'random')).rejects.toThrow('counter');
+  });
+});
+
+describe('normalizeSite', () => {
+  it('ignores case, surrounding whitespace and Unicode normalization form', () => {
+    expect(normalizeSite(' Bücher.Example ')).toBe('bücher.example');
+  });
+});
+
+describe('createStreamRandomInt', () => {
+  it('reads big-endian 32-bit words and fails once the stream is used up', () => {
+    const randomInt = createStreamRandomInt(new Uint8Array([0, 0, 0, 7, 0, 0, 1, 0]));
+    expect(randomInt(10)).toBe(7);
+    expect(randomInt(1000)).toBe(256);
+    expect(() => randomInt(10)).toThrow('more derived randomness');
+  });
+});
+
+describe('derivePassword test vectors', () => {
+  it.each(vectors.vectors)('derives $password for $site #$counter ($style)', async ({ masterPassword, site, counter, style, wordList, options, password }) => {
+    const words = wordList ? { words: await loadBuiltInWordList(wordList) } : {};
+    expect(await derivePassword({ masterPassword, site, counter }, style, { ...options, ...words })).toBe(password);
+  });
+});
+
+describe('findDerivedWordListProblem', () => {
+  const ready = {
+    wordList: 'eff-large',
+    loadedWordList: 'eff-large',
+    wordListError: null,
+    enabledWordLists: ['abc'],
+    libraryLists: [],
+    libraryError: null,
+  };
+
+  it('allows deriving once every list in use has loaded', () => {
+    expect(findDerivedWordListProblem(ready)).toBeNull();
+    expect(findDerivedWordListProblem({ ...ready, enabledWordLists: [], libraryLists: null })).toBeNull();
+  });
+
+  it('refuses while a list is loading or after it failed to load', () => {
+    expect(findDerivedWordListProblem({ ...ready, loadedWordList: null })).toMatch('still loading');
+    expect(findDerivedWordListProblem({ ...ready, loadedWordList: 'default' })).toMatch('still loading');
+    expect(findDerivedWordListProblem({ ...ready, libraryLists: null })).toMatch('Saved word lists are still loading');
+    expect(findDerivedWordListProblem({ ...ready, libraryError: 'Blocked.' })).toMatch('not available: Blocked.');
+    expect(findDerivedWordListProblem({ ...ready, wordListError: 'Offline.' })).toMatch('could not be loaded: Offline.');
+  });
+});
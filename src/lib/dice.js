@@ -0,0 +1,57 @@
+import { GeneratorError } from './errors.js';
+
+// --- Physical Dice Entry ---
+// Maps real-world dice rolls to diceware words, so word selection never touches a software RNG.
+// Each roll is a group of digits 1-6, read as a base-6 number: with five dice, "11111" is the
+// first word of the list and "66666" the last (the order used by the EFF and original lists).
+
+export const DICE_SIDES = 6;
+
+/**
+ * Parses typed dice rolls into groups, one per word.
+ * Groups may be separated by spaces, new lines or commas.
+ * @param {string} input - The typed rolls, e.g. "43263 15321\n52411".
+ * @param {number} [diceCount=5] - Number of dice rolled per word.
+ * @returns {string[]} - The roll groups, in input order.
+ * @throws {GeneratorError} - If there are no rolls, a group contains anything other than the
+ *   digits 1-6, or a group has the wrong number of dice.
+ */
+export const parseDiceRolls = (input, diceCount = 5) => {
+  const groups = input.split(/[\s,]+/).filter(group => group.length > 0);
+  if (groups.length === 0) {
+    throw new GeneratorError(`Enter at least one roll of ${diceCount} dice.`);
+  }
+  groups.forEach((group, index) => {
+    if (!/^[1-6]+$/.test(group)) {
+      throw new GeneratorError(`Roll ${index + 1} ("${group}") may only contain the digits 1 to 6.`);
+    }
+    if (group.length !== diceCount) {
+      throw new GeneratorError(`Roll ${index + 1} ("${group}") has ${group.length} dice, but each word needs exactly ${diceCount}.`);
+    }
+  });
+  return groups;
+};
+
+/**
+ * Converts a roll group to its index in a diceware list.
+ * @param {string} roll - A validated roll group, e.g. "11112".
+ * @returns {number} - The zero-based word index (e.g. 1 for "11112").
+ */
+export const diceRollToIndex = (roll) =>
+  [...roll].reduce((index, digit) => index * DICE_SIDES + (Number(digit) - 1), 0);
+
+/**
+ * Looks up the diceware words for a sequence of rolls.
+ * @param {string[]} rolls - Validated roll groups (see parseDiceRolls).
+ * @param {string[]} words - A diceware list in dice order.
+ * @param {number} [diceCount=5] - Number of dice rolled per word.
+ * @returns {string[]} - One word per roll.
+ * @throws {GeneratorError} - If the list does not have exactly one word per possible roll.
+ */
+export const selectDicewareWords = (rolls, words, diceCount = 5) => {
+  const expectedSize = DICE_SIDES ** diceCount;
+  if (words.length !== expectedSize) {
+    throw new GeneratorError(`Dice rolls need a diceware list with exactly ${expectedSize} words, but this list has ${words.length}.`);
+  }
+  return rolls.map(roll => words[diceRollToIndex(roll)]);
+};
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { diceRollToIndex, parseDiceRolls, selectDicewareWords } from './dice.js';
+import { GeneratorError, generateWordChain } from './generators.js';
+import { loadBuiltInWordList } from './wordList.js';
+
+describe('parseDiceRolls', () => {
+  it('accepts groups separated by spaces, new lines and commas', () => {
+    expect(parseDiceRolls(' 11111 23456,\n66666 ')).toEqual(['11111', '23456', '66666']);
+  });
+
+  it('rejects digits outside 1-6 and other characters', () => {
+    expect(() => parseDiceRolls('11111 12370')).toThrow('Roll 2 ("12370") may only contain the digits 1 to 6.');
+    expect(() => parseDiceRolls('1a111')).toThrow(GeneratorError);
+  });
+
+  it('rejects groups with the wrong number of dice', () => {
+    expect(() => parseDiceRolls('1111')).toThrow('Roll 1 ("1111") has 4 dice, but each word needs exactly 5.');
+    expect(() => parseDiceRolls('111111')).toThrow(GeneratorError);
+    expect(parseDiceRolls('1234', 4)).toEqual(['1234']);
+  });
+
+  it('requires at least one roll', () => {
+    expect(() => parseDiceRolls('  \n')).toThrow('Enter at least one roll of 5 dice.');
+  });
+});
+
+describe('diceRollToIndex', () => {
+  it('reads rolls as base-6 numbers', () => {
+    expect(diceRollToIndex('11111')).toBe(0);
+    expect(diceRollToIndex('11112')).toBe(1);
+    expect(diceRollToIndex('11121')).toBe(6);
+    expect(diceRollToIndex('66666')).toBe(7775);
+  });
+});
+
+describe('selectDicewareWords', () => {
+  it('maps rolls to the published EFF large list entries', async () => {
+    const words = await loadBuiltInWordList('eff-large');
+    expect(selectDicewareWords(['11111', '11112', '66666'], words)).toEqual(['abacus', 'abdomen', 'zoom']);
+  });
+
+  it('rejects lists that are not diceware lists of the right size', () => {
+    expect(() => selectDicewareWords(['11111'], ['a', 'b'])).toThrow('exactly 7776 words, but this list has 2');
+  });
+});
+
+describe('generateWordChain with dice-selected words', () => {
+  // Word selection must not consume any randomness at all
+  const noRandomness = () => {
+    throw new Error('randomInt should not be called');
+  };
+
+  it('uses the selected words in order with the chosen separator', () => {
+    expect(generateWordChain({ selectedWords: ['abacus', 'zoom'], separator: 'underscore' }, noRandomness))
+      .toBe('abacus_zoom');
+  });
+
+  it('only draws randomness for capitalization, never for word selection', () => {
+    const maxes = [];
+    const randomInt = (max) => {
+      maxes.push(max);
+      return 1;
+    };
+    const password = generateWordChain({ selectedWords: ['abacus', 'zoom'], capitalization: 'random-word' }, randomInt);
+    expect(password).toBe('ABACUS-ZOOM');
+    expect(maxes).toEqual([4, 4]);
+  });
+});
@@ -0,0 +1,19 @@
+// --- File Downloads ---
+
+/**
+ * Offers text content to the user as a file download.
+ * @param {string} filename - Suggested file name.
+ * @param {string} content - The file content.
+ * @param {string} mimeType - MIME type of the content.
+ */
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  // Clean up: remove the temporary link and release the object URL
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
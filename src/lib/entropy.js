@@ -0,0 +1,268 @@
+import { CHAR_SETS, PRONOUNCEABLE_DIGIT_COUNT, PRONOUNCEABLE_LETTERS, SEPARATORS } from './constants.js';
+import { getActiveCharClasses } from './generators.js';
+import { countPinKeyspace } from './pin.js';
+import { countPolicyPasswords, normalizePolicy } from './policy.js';
+import { UUID_RANDOM_BITS } from './token.js';
+import { splitGraphemes, toLowerCaseIn, toUpperCaseIn, transliterateToAscii } from './unicode.js';
+
+// --- Entropy Estimation ---
+// Entropy is reported in bits: log2 of the number of equally likely outputs the generator can
+// produce with the given settings. Crack times assume an offline attacker who knows the settings.
+
+// Default attacker speed used for crack time estimates (fast offline hash cracking rig).
+export const DEFAULT_GUESSES_PER_SECOND = 1e10;
+
+// Strength labels keyed by their minimum entropy in bits, strongest first.
+const STRENGTH_LEVELS = Object.freeze([
+  { minBits: 128, label: 'Very strong' },
+  { minBits: 80, label: 'Strong' },
+  { minBits: 60, label: 'Reasonable' },
+  { minBits: 36, label: 'Weak' },
+  { minBits: 0, label: 'Very weak' },
+]);
+
+/**
+ * Computes log2 of a non-negative BigInt without losing precision for very large values.
+ * @param {bigint} value - The value.
+ * @returns {number} - log2(value), or -Infinity for 0.
+ */
+export const log2BigInt = (value) => {
+  if (value <= 0n) return -Infinity;
+  const bitLength = value.toString(2).length;
+  // Keep the top 52 bits as a Number and add the shifted-away bits back as an exponent
+  const shift = Math.max(0, bitLength - 52);
+  return Math.log2(Number(value >> BigInt(shift))) + shift;
+};
+
+/**
+ * Calculates the entropy of a random character-based password.
+ * Starts from pool size × length and subtracts the outputs ruled out by the
+ * "at least one of each selected class" guarantee (inclusion-exclusion over the classes).
+ * With a policy, the count honours its minimum class counts exactly; the rejection-sampled
+ * constraints (repeats, sequences, first letter, forbidden substrings) are not subtracted, so
+ * the result is a slight upper bound.
+ * @param {object} options - The same options accepted by generateRandom.
+ * @returns {number} - Entropy in bits (0 if no character type is selected or a class is empty).
+ */
+export const calculateRandomEntropy = (options = {}) => {
+  const activeCharClasses = getActiveCharClasses(options);
+  if (activeCharClasses.length === 0 || activeCharClasses.some(({ chars }) => chars.length === 0)) return 0;
+
+  if (options.policy) {
+    const policyCount = countPolicyPasswords(activeCharClasses, options.length ?? 16, normalizePolicy(options.policy));
+    return policyCount > 0n ? log2BigInt(policyCount) : 0;
+  }
+
+  const activeCharSets = activeCharClasses.map(({ chars }) => chars);
+  const poolSize = activeCharSets.reduce((sum, charSet) => sum + charSet.length, 0);
+  // The generator never produces fewer characters than selected classes
+  const length = Math.max(options.length ?? 16, activeCharSets.length);
+
+  // Count strings of `length` over the pool that contain every class:
+  // sum over excluded class subsets S of (-1)^|S| * (poolSize - |S chars|)^length
+  let validCount = 0n;
+  for (let mask = 0; mask < 1 << activeCharSets.length; mask++) {
+    let excludedSize = 0;
+    let excludedClasses = 0;
+    activeCharSets.forEach((charSet, index) => {
+      if (mask & (1 << index)) {
+        excludedSize += charSet.length;
+        excludedClasses++;
+      }
+    });
+    const term = BigInt(poolSize - excludedSize) ** BigInt(length);
+    validCount += excludedClasses % 2 === 0 ? term : -term;
+  }
+  return log2BigInt(validCount);
+};
+
+/**
+ * Counts the distinct words a word list yields after re-casing, NFC normalization and, if
+ * enabled, ASCII transliteration (so "für" and "fur" count once when transliterated).
+ * @param {string[]} words - The word list.
+ * @param {function(string): string} recase - Casing applied to each word.
+ * @param {boolean} transliterate - Whether the output is transliterated.
+ * @returns {number} - The number of distinct results.
+ */
+const countDistinctWords = (words, recase, transliterate) => new Set(words.map(word => {
+  const recased = recase(word.normalize('NFC'));
+  return transliterate ? transliterateToAscii(recased) ?? recased : recased;
+})).size;
+
+/**
+ * Min-entropy (bits) of applyRandomCapitalization for a word with `casedCount` cased letters:
+ * -log2 of its most likely result. Lowercase and UPPERCASE are each produced with probability
+ * 1/4 + 1/4 × 2^-casedCount; with a single cased letter, UPPERCASE and Title case coincide.
+ * @param {number} casedCount - Number of letters that have an upper-case form.
+ * @returns {number} - The bits added.
+ */
+const randomWordCaseBits = (casedCount) => {
+  if (casedCount === 0) return 0;
+  if (casedCount === 1) return -Math.log2(5 / 8);
+  return -Math.log2(1 / 4 + 2 ** -casedCount / 4);
+};
+
+/**
+ * Calculates the entropy of a word chain password.
+ * Each word contributes log2 of the number of distinct words (see countDistinctWords); each gap
+ * between words adds the bits of a random separator, digit and symbol when those options are
+ * enabled. Capitalization adds:
+ * - none, lower, upper, title, camel: nothing (fixed casing can only merge words, never split them);
+ * - one-word: log2(wordCount) for the position of the capital, if every word starts with a cased letter;
+ * - random-word: the min-entropy of applyRandomCapitalization for the shortest word (at most 2 bits);
+ * - random-char: one bit per cased letter of the shortest word.
+ * Random casing is not uniform across words of different lengths, so its bits are a lower bound
+ * (min-entropy) rather than an average.
+ * @param {object} options - The same options accepted by generateWordChain.
+ * @returns {number} - Entropy in bits (0 if the word list is empty).
+ */
+export const calculateWordChainEntropy = (options = {}) => {
+  const {
+    wordCount = 4,
+    words = [],
+    separator = 'hyphen',
+    capitalization = 'none',
+    numbersBetweenWords = false,
+    symbolsBetweenWords = false,
+    locale = '',
+    transliterate = false,
+  } = options;
+
+  const lower = (word) => toLowerCaseIn(word, locale);
+  const recasings = {
+    none: (word) => word,
+    lower,
+    upper: (word) => toUpperCaseIn(word, locale),
+    title: (word) => {
+      const [first = '', ...rest] = splitGraphemes(lower(word));
+      return toUpperCaseIn(first, locale) + rest.join('');
+    },
+  };
+  const distinctAs = (casing) => countDistinctWords(words, recasings[casing], transliterate);
+
+  const distinctWords = distinctAs('none');
+  if (distinctWords === 0 || wordCount <= 0) return 0;
+
+  // Graphemes of each (lower-cased) word that have an upper-case form
+  const casedGraphemes = (word) => splitGraphemes(lower(word.normalize('NFC'))).filter(char => toUpperCaseIn(char, locale) !== char);
+  // One pass rather than Math.min(...): spreading a dictionary-sized list overflows the call stack
+  const minCasedCount = () => words.reduce((min, word) => Math.min(min, casedGraphemes(word).length), Infinity);
+
+  let wordBits;
+  switch (capitalization) {
+    case 'lower':
+    case 'upper':
+    case 'title':
+      wordBits = wordCount * Math.log2(distinctAs(capitalization));
+      break;
+    case 'camel':
+      wordBits = Math.log2(distinctAs('lower')) + (wordCount - 1) * Math.log2(distinctAs('title'));
+      break;
+    case 'one-word': {
+      const everyWordCased = words.every(word => {
+        const [first = ''] = splitGraphemes(lower(word.normalize('NFC')));
+        return toUpperCaseIn(first, locale) !== first;
+      });
+      wordBits = wordCount * Math.log2(distinctAs('lower')) + (everyWordCased ? Math.log2(wordCount) : 0);
+      break;
+    }
+    case 'random-word':
+      wordBits = wordCount * (Math.log2(distinctAs('lower')) + randomWordCaseBits(minCasedCount()));
+      break;
+    case 'random-char':
+      wordBits = wordCount * (Math.log2(distinctAs('lower')) + minCasedCount());
+      break;
+    default:
+      wordBits = wordCount * Math.log2(distinctWords);
+  }
+
+  let bitsPerGap = 0;
+  // camelCase joins the words without a separator
+  if (separator === 'random' && capitalization !== 'camel') bitsPerGap += Math.log2(Object.keys(SEPARATORS).length);
+  if (numbersBetweenWords) bitsPerGap += Math.log2(CHAR_SETS.numbers.length);
+  if (symbolsBetweenWords) bitsPerGap += Math.log2(CHAR_SETS.symbols.length);
+
+  return wordBits + (wordCount - 1) * bitsPerGap;
+};
+
+/**
+ * Calculates the entropy of a pronounceable password. Because letters strictly alternate
+ * consonant/vowel, each output has exactly one derivation and the count below is exact.
+ * @param {object} options - The same options accepted by generatePronounceable.
+ * @returns {number} - Entropy in bits (0 if the length leaves no room for letters).
+ */
+export const calculatePronounceableEntropy = (options = {}) => {
+  const { length = 12, includeDigits = false, capitalize = false } = options;
+  const digitCount = includeDigits ? PRONOUNCEABLE_DIGIT_COUNT : 0;
+  const letterCount = length - digitCount;
+  if (letterCount < 1) return 0;
+
+  const syllableCount = Math.ceil(letterCount / 2);
+  const vowelCount = Math.floor(letterCount / 2);
+  return syllableCount * Math.log2(PRONOUNCEABLE_LETTERS.consonants.length)
+    + vowelCount * Math.log2(PRONOUNCEABLE_LETTERS.vowels.length)
+    + (capitalize ? syllableCount : 0)
+    + digitCount * Math.log2(CHAR_SETS.numbers.length);
+};
+
+/**
+ * Calculates the entropy of a PIN: log2 of the PINs that survive weak-pattern rejection.
+ * @param {object} options - The same options accepted by generatePin.
+ * @returns {number} - Entropy in bits.
+ */
+export const calculatePinEntropy = ({ length = 6, rejectWeak = true } = {}) =>
+  log2BigInt(countPinKeyspace(length, rejectWeak).keyspace);
+
+/**
+ * Calculates the entropy of a machine token: 8 bits per random byte. The prefix and checksum are
+ * derived or fixed, so they add nothing.
+ * @param {object} options - The same options accepted by generateToken.
+ * @returns {number} - Entropy in bits.
+ */
+export const calculateTokenEntropy = ({ encoding = 'base64url', bytes = 32 } = {}) =>
+  (encoding === 'uuid' ? UUID_RANDOM_BITS : bytes * 8);
+
+/**
+ * Estimates the average time needed to guess a password by brute force.
+ * On average an attacker searches half of the keyspace.
+ * @param {number} bits - Entropy in bits.
+ * @param {number} [guessesPerSecond=DEFAULT_GUESSES_PER_SECOND] - Attacker speed.
+ * @returns {number} - Expected crack time in seconds.
+ */
+export const estimateCrackTimeSeconds = (bits, guessesPerSecond = DEFAULT_GUESSES_PER_SECOND) => {
+  if (bits <= 0) return 0;
+  return 2 ** (bits - 1) / guessesPerSecond;
+};
+
+/**
+ * Formats a duration in seconds as a short human-readable string.
+ * @param {number} seconds - The duration.
+ * @returns {string} - e.g. "instant", "3 hours", "12 thousand years", "centuries".
+ */
+export const formatDuration = (seconds) => {
+  if (seconds < 1) return 'instant';
+  const units = [
+    ['year', 365.25 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1],
+  ];
+  const [unit, unitSeconds] = units.find(([, size]) => seconds >= size);
+  const value = seconds / unitSeconds;
+  if (unit === 'year') {
+    if (value >= 1e12) return 'longer than the age of the universe';
+    if (value >= 1e9) return `${Math.round(value / 1e9)} billion years`;
+    if (value >= 1e6) return `${Math.round(value / 1e6)} million years`;
+    if (value >= 1e3) return `${Math.round(value / 1e3)} thousand years`;
+  }
+  const rounded = Math.round(value);
+  return `${rounded} ${unit}${rounded === 1 ? '' : 's'}`;
+};
+
+/**
+ * Maps an entropy value to a coarse strength label.
+ * @param {number} bits - Entropy in bits.
+ * @returns {string} - The strength label.
+ */
+export const getStrengthLabel = (bits) => STRENGTH_LEVELS.find(level => bits >= level.minBits).label;
@@ -0,0 +1,159 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculatePronounceableEntropy,
+  calculateRandomEntropy,
+  calculateWordChainEntropy,
+  estimateCrackTimeSeconds,
+  formatDuration,
+  getStrengthLabel,
+  log2BigInt,
+} from './entropy.js';
+
+describe('log2BigInt', () => {
+  it('matches Math.log2 for small values and stays exact for powers of two', () => {
+    expect(log2BigInt(1024n)).toBe(10);
+    expect(log2BigInt(2n ** 400n)).toBe(400);
+    expect(log2BigInt(1000n)).toBeCloseTo(Math.log2(1000), 10);
+    expect(log2BigInt(0n)).toBe(-Infinity);
+  });
+});
+
+describe('calculateRandomEntropy', () => {
+  it('equals length × log2(pool) for a single class', () => {
+    const bits = calculateRandomEntropy({ length: 8, lowercase: false, uppercase: false, symbols: false });
+    expect(bits).toBeCloseTo(8 * Math.log2(10), 10);
+  });
+
+  it('is slightly below the naive pool estimate when several classes are guaranteed', () => {
+    const bits = calculateRandomEntropy({ length: 16 });
+    const naive = 16 * Math.log2(26 + 26 + 10 + 29);
+    expect(bits).toBeLessThan(naive);
+    expect(bits).toBeGreaterThan(naive - 2);
+  });
+
+  it('matches a brute-force count for a tiny case', () => {
+    // Length 2 over lowercase + digits with one of each: 26 * 10 * 2 arrangements
+    const bits = calculateRandomEntropy({ length: 2, uppercase: false, symbols: false });
+    expect(bits).toBeCloseTo(Math.log2(26 * 10 * 2), 10);
+  });
+
+  it('shrinks the pool for exclusions and look-alike filtering', () => {
+    const digitsOnly = { length: 8, lowercase: false, uppercase: false, symbols: false };
+    expect(calculateRandomEntropy({ ...digitsOnly, excludeChars: '23' })).toBeCloseTo(8 * Math.log2(8), 10);
+    expect(calculateRandomEntropy({ ...digitsOnly, excludeAmbiguous: true })).toBeCloseTo(8 * Math.log2(8), 10);
+  });
+
+  it('returns 0 when no class is selected or a selected class is empty', () => {
+    expect(calculateRandomEntropy({ lowercase: false, uppercase: false, numbers: false, symbols: false })).toBe(0);
+    expect(calculateRandomEntropy({ symbolSet: '' })).toBe(0);
+  });
+});
+
+describe('calculateWordChainEntropy', () => {
+  const words = Array.from({ length: 1024 }, (_, i) => `w${i}`);
+
+  it('adds log2(list size) per word', () => {
+    expect(calculateWordChainEntropy({ wordCount: 4, words })).toBe(40);
+  });
+
+  it('ignores duplicate words', () => {
+    expect(calculateWordChainEntropy({ wordCount: 1, words: ['a', 'b', 'a', 'b'] })).toBe(1);
+  });
+
+  it('counts words that become identical after normalization or transliteration once', () => {
+    const words = ['caf\u00e9', 'cafe\u0301', 'cafe', 'für', 'fur'];
+    expect(calculateWordChainEntropy({ wordCount: 1, words })).toBe(2);
+    expect(calculateWordChainEntropy({ wordCount: 1, words, transliterate: true })).toBe(1);
+  });
+
+  it('adds bits for random separators, digits, symbols and capitalization', () => {
+    const bits = calculateWordChainEntropy({
+      wordCount: 3,
+      words,
+      separator: 'random',
+      capitalization: 'random-word',
+      numbersBetweenWords: true,
+      symbolsBetweenWords: true,
+    });
+    // Each word has one cased letter, so UPPERCASE and Title case coincide (probability 5/8)
+    const expected = 3 * (10 - Math.log2(5 / 8)) + 2 * (2 + Math.log2(10) + Math.log2(29));
+    expect(bits).toBeCloseTo(expected, 10);
+  });
+
+  it('accounts for each capitalization strategy', () => {
+    const animals = ['cat', 'dog', 'owl', 'emu']; // 2 bits per word, three cased letters each
+    const bits = (capitalization, options) => calculateWordChainEntropy({ wordCount: 4, words: animals, capitalization, ...options });
+    ['none', 'lower', 'upper', 'title', 'camel'].forEach(capitalization => expect(bits(capitalization)).toBe(8));
+    expect(bits('one-word')).toBe(8 + 2);
+    expect(bits('random-word')).toBeCloseTo(4 * (2 - Math.log2(1 / 4 + 1 / 32)), 10);
+    expect(bits('random-char')).toBe(4 * (2 + 3));
+    // camelCase drops the separator, so a random one adds nothing
+    expect(bits('camel', { separator: 'random' })).toBe(8);
+    expect(bits('title', { separator: 'random' })).toBe(8 + 3 * 2);
+  });
+
+  it('counts words that fixed casing merges once', () => {
+    const words = ['Polish', 'polish', 'nice', 'Nice'];
+    expect(calculateWordChainEntropy({ wordCount: 1, words })).toBe(2);
+    ['lower', 'upper', 'title'].forEach(capitalization => {
+      expect(calculateWordChainEntropy({ wordCount: 1, words, capitalization })).toBe(1);
+    });
+    expect(calculateWordChainEntropy({ wordCount: 2, words, capitalization: 'camel' })).toBe(2);
+  });
+
+  it('only counts random casing of letters that have an upper-case form', () => {
+    const words = ['x1', 'y2', '42', 'z3']; // '42' can't be re-cased
+    expect(calculateWordChainEntropy({ wordCount: 2, words, capitalization: 'random-word' })).toBe(4);
+    expect(calculateWordChainEntropy({ wordCount: 2, words, capitalization: 'random-char' })).toBe(4);
+    expect(calculateWordChainEntropy({ wordCount: 2, words, capitalization: 'one-word' })).toBe(4);
+  });
+
+  it('handles random casing with dictionary-sized word lists', () => {
+    // 250,000 distinct words of 4 letters ("aaaa" to "ofvj")
+    const words = Array.from({ length: 250000 }, (_, i) => Array.from({ length: 4 }, (_, k) => String.fromCharCode(97 + Math.floor(i / 26 ** (3 - k)) % 26)).join(''));
+    const bits = calculateWordChainEntropy({ wordCount: 1, words, capitalization: 'random-char' });
+    expect(bits).toBeCloseTo(Math.log2(250000) + 4, 10);
+  });
+
+  it('returns 0 for an empty word list', () => {
+    expect(calculateWordChainEntropy({ wordCount: 4, words: [] })).toBe(0);
+  });
+});
+
+describe('crack time helpers', () => {
+  it('searches half the keyspace on average', () => {
+    expect(estimateCrackTimeSeconds(11, 1024)).toBe(1);
+    expect(estimateCrackTimeSeconds(0)).toBe(0);
+  });
+
+  it('formats durations', () => {
+    expect(formatDuration(0.5)).toBe('instant');
+    expect(formatDuration(1)).toBe('1 second');
+    expect(formatDuration(7200)).toBe('2 hours');
+    expect(formatDuration(365.25 * 24 * 3600 * 5000)).toBe('5 thousand years');
+    expect(formatDuration(1e30)).toBe('longer than the age of the universe');
+  });
+
+  it('labels strength by entropy', () => {
+    expect(getStrengthLabel(20)).toBe('Very weak');
+    expect(getStrengthLabel(60)).toBe('Reasonable');
+    expect(getStrengthLabel(130)).toBe('Very strong');
+  });
+});
+
+describe('calculatePronounceableEntropy', () => {
+  it('counts consonant, vowel, capitalization and digit choices exactly', () => {
+    expect(calculatePronounceableEntropy({ length: 5 })).toBeCloseTo(3 * Math.log2(18) + 2 * Math.log2(5), 10);
+    expect(calculatePronounceableEntropy({ length: 6, includeDigits: true, capitalize: true }))
+      .toBeCloseTo(2 * Math.log2(18) + 2 * Math.log2(5) + 2 + 2 * Math.log2(10), 10);
+  });
+
+  it('matches a brute-force count of distinct outputs for a tiny case', () => {
+    // Length 2, capitalized: (18 consonants × 2 cases) × 5 vowels
+    expect(calculatePronounceableEntropy({ length: 2, capitalize: true })).toBeCloseTo(Math.log2(36 * 5), 10);
+  });
+
+  it('returns 0 when the length leaves no room for letters', () => {
+    expect(calculatePronounceableEntropy({ length: 2, includeDigits: true })).toBe(0);
+  });
+});
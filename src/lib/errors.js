@@ -0,0 +1,61 @@
+// --- Errors ---
+
+/**
+ * Error thrown when a generator cannot produce a password from the given options.
+ */
+export class GeneratorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeneratorError';
+  }
+}
+
+/**
+ * Error thrown when a settings profile file cannot be read or imported.
+ */
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+/**
+ * Error thrown when the saved password history cannot be encrypted or decrypted.
+ */
+export class HistoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryError';
+  }
+}
+
+/**
+ * Error thrown when a word list cannot be saved to or loaded from the word list library or a URL.
+ */
+export class WordListError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WordListError';
+  }
+}
+
+/**
+ * Error thrown when command-line arguments are invalid.
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Error thrown when a password cannot be exported as a hash or configuration snippet.
+ */
+export class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
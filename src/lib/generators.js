@@ -0,0 +1,327 @@
+import {
+  AMBIGUOUS_CHARACTERS,
+  CHAR_SETS,
+  DEFAULT_WORD_LIST,
+  PRONOUNCEABLE_DIGIT_COUNT,
+  PRONOUNCEABLE_LETTERS,
+  SEPARATORS,
+} from './constants.js';
+import { GeneratorError } from './errors.js';
+import { generatePolicyPassword } from './policy.js';
+import { getRandomCryptoInt, shuffleArray } from './random.js';
+import { splitGraphemes, toLowerCaseIn, toUpperCaseIn, transliterateToAscii } from './unicode.js';
+
+export { GeneratorError };
+
+// --- Headless Generators ---
+// Pure generation logic shared by the React components (and anything else that needs it).
+// Each generator takes a plain options object plus an optional `randomInt(max)` source,
+// and throws a GeneratorError when the options cannot produce a password.
+
+/**
+ * Returns the character classes enabled by the given random password options, in a stable order.
+ * Applies the custom alphabet options: a replacement symbol set, excluded characters, look-alike
+ * filtering and free-form extra characters (which form their own "extra" class). A character
+ * belongs to the first class that contains it, so classes never overlap. Classes can end up
+ * empty when all of their characters are excluded; generateRandom reports that as an error.
+ * @param {object} options - Random password options.
+ * @param {boolean} [options.lowercase=true] - Include lowercase letters.
+ * @param {boolean} [options.uppercase=true] - Include uppercase letters.
+ * @param {boolean} [options.numbers=true] - Include digits.
+ * @param {boolean} [options.symbols=true] - Include symbols.
+ * @param {string} [options.symbolSet=CHAR_SETS.symbols] - Characters used for the symbols class.
+ * @param {string} [options.excludeChars=''] - Characters never to use.
+ * @param {boolean} [options.excludeAmbiguous=false] - Drop AMBIGUOUS_CHARACTERS.
+ * @param {string} [options.extraChars=''] - Additional characters (any Unicode) to include.
+ * @returns {Array<{name: string, chars: string[]}>} - The active classes.
+ */
+export const getActiveCharClasses = (options = {}) => {
+  const {
+    lowercase = true,
+    uppercase = true,
+    numbers = true,
+    symbols = true,
+    symbolSet = CHAR_SETS.symbols,
+    excludeChars = '',
+    excludeAmbiguous = false,
+    extraChars = '',
+  } = options;
+
+  const sources = [];
+  if (lowercase) sources.push({ name: 'lowercase', text: CHAR_SETS.lowercase });
+  if (uppercase) sources.push({ name: 'uppercase', text: CHAR_SETS.uppercase });
+  if (numbers) sources.push({ name: 'numbers', text: CHAR_SETS.numbers });
+  if (symbols) sources.push({ name: 'symbols', text: symbolSet });
+  if (extraChars.trim()) sources.push({ name: 'extra', text: extraChars });
+
+  const excluded = new Set(splitGraphemes(excludeChars.normalize('NFC')));
+  if (excludeAmbiguous) [...AMBIGUOUS_CHARACTERS].forEach(char => excluded.add(char));
+
+  const used = new Set();
+  return sources.map(({ name, text }) => {
+    const chars = splitGraphemes(text.normalize('NFC')).filter(char => {
+      // Whitespace is never a password character; duplicates keep the distribution uniform
+      if (/^\s+$/.test(char) || excluded.has(char) || used.has(char)) return false;
+      used.add(char);
+      return true;
+    });
+    return { name, chars };
+  });
+};
+
+/**
+ * Generates a random character-based password.
+ * Guarantees at least one character from each selected class, then shuffles the result
+ * so the guaranteed characters don't sit at predictable positions. If `length` is smaller than
+ * the number of selected classes, the password is one character per class instead.
+ * @param {object} options - Generation options.
+ * @param {number} [options.length=16] - Desired password length.
+ * @param {boolean} [options.lowercase=true] - Include lowercase letters.
+ * @param {boolean} [options.uppercase=true] - Include uppercase letters.
+ * @param {boolean} [options.numbers=true] - Include digits.
+ * @param {boolean} [options.symbols=true] - Include symbols.
+ * @param {string} [options.symbolSet] - Custom symbols (see getActiveCharClasses).
+ * @param {string} [options.excludeChars] - Characters never to use.
+ * @param {boolean} [options.excludeAmbiguous] - Drop look-alike characters.
+ * @param {string} [options.extraChars] - Additional characters to include.
+ * @param {object} [options.policy] - Optional password policy (see policy.js). When given, the
+ *   password is drawn uniformly from all passwords that satisfy it.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {string} - The generated password.
+ * @throws {GeneratorError} - If no character type is selected, a selected class has no characters
+ *   left, or the policy cannot be satisfied.
+ */
+export const generateRandom = (options = {}, randomInt = getRandomCryptoInt) => {
+  const { length = 16, policy } = options;
+  const activeCharClasses = getActiveCharClasses(options);
+
+  if (activeCharClasses.length === 0) {
+    throw new GeneratorError('Please select at least one character type.');
+  }
+  const emptyClass = activeCharClasses.find(({ chars }) => chars.length === 0);
+  if (emptyClass) {
+    throw new GeneratorError(`Every ${emptyClass.name} character is excluded. Deselect that type or allow some of its characters.`);
+  }
+
+  if (policy) {
+    return generatePolicyPassword(activeCharClasses, length, policy, randomInt);
+  }
+
+  const passwordChars = [];
+  const allCharacters = activeCharClasses.flatMap(({ chars }) => chars);
+
+  // Ensure at least one character from each selected type is included
+  activeCharClasses.forEach(({ chars }) => {
+    passwordChars.push(chars[randomInt(chars.length)]);
+  });
+
+  // Generate the remaining characters to meet the desired length
+  for (let i = passwordChars.length; i < length; i++) {
+    passwordChars.push(allCharacters[randomInt(allCharacters.length)]);
+  }
+
+  return shuffleArray(passwordChars, randomInt).join('');
+};
+
+// Capitalization strategies for word chains, with their labels.
+export const CAPITALIZATION_STRATEGIES = Object.freeze({
+  none: 'As Listed',
+  lower: 'all lowercase',
+  upper: 'ALL UPPERCASE',
+  title: 'Title Case',
+  camel: 'camelCase (joined, no separator)',
+  'one-word': 'Capitalize One Random Word',
+  'random-word': 'Random Case per Word',
+  'random-char': 'rAnDoM cAsE per Character',
+});
+
+/**
+ * Title-cases a word: first grapheme upper-case, the rest lower-case.
+ * The word is lower-cased as a whole first, which keeps Greek final sigma right.
+ * @param {string} word - The word.
+ * @param {string} [locale=''] - Casing locale (see CASING_LOCALES).
+ * @returns {string} - The title-cased word.
+ */
+const toTitleCase = (word, locale = '') => {
+  const [first = '', ...rest] = splitGraphemes(toLowerCaseIn(word, locale));
+  return toUpperCaseIn(first, locale) + rest.join('');
+};
+
+/**
+ * Upper-cases each grapheme of a word with probability 1/2.
+ * @param {string} word - The word.
+ * @param {function(number): number} randomInt - Random source.
+ * @param {string} [locale=''] - Casing locale (see CASING_LOCALES).
+ * @returns {string} - The re-cased word.
+ */
+const toRandomCharacterCase = (word, randomInt, locale = '') =>
+  splitGraphemes(toLowerCaseIn(word, locale))
+    .map(char => (randomInt(2) === 0 ? char : toUpperCaseIn(char, locale)))
+    .join('');
+
+/**
+ * Applies random capitalization to a word: lowercase, UPPERCASE, Title case or random case per
+ * character, each with probability 1/4.
+ * Casing follows the given locale and works on grapheme clusters, so combining marks stay with
+ * their letter.
+ * @param {string} word - The word to capitalize.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @param {string} [locale=''] - Casing locale (see CASING_LOCALES).
+ * @returns {string} - The capitalized word.
+ */
+export const applyRandomCapitalization = (word, randomInt = getRandomCryptoInt, locale = '') => {
+  const rand = randomInt(4); // 0: lowercase, 1: uppercase, 2: title case, 3: random char case
+  if (rand === 0) return toLowerCaseIn(word, locale);
+  if (rand === 1) return toUpperCaseIn(word, locale);
+  if (rand === 2) return toTitleCase(word, locale);
+  return toRandomCharacterCase(word, randomInt, locale);
+};
+
+/**
+ * Capitalizes one word of a chain according to a strategy.
+ * @param {string} word - The word.
+ * @param {number} index - Position of the word in the chain.
+ * @param {object} context - Chain-wide values.
+ * @param {string} context.capitalization - A key of CAPITALIZATION_STRATEGIES.
+ * @param {number} context.capitalIndex - For 'one-word', the position of the capitalized word.
+ * @param {string} context.locale - Casing locale.
+ * @param {function(number): number} randomInt - Random source.
+ * @returns {string} - The capitalized word.
+ */
+const capitalizeWord = (word, index, { capitalization, capitalIndex, locale }, randomInt) => {
+  switch (capitalization) {
+    case 'lower': return toLowerCaseIn(word, locale);
+    case 'upper': return toUpperCaseIn(word, locale);
+    case 'title': return toTitleCase(word, locale);
+    case 'camel': return index === 0 ? toLowerCaseIn(word, locale) : toTitleCase(word, locale);
+    case 'one-word': return index === capitalIndex ? toTitleCase(word, locale) : toLowerCaseIn(word, locale);
+    case 'random-word': return applyRandomCapitalization(word, randomInt, locale);
+    case 'random-char': return toRandomCharacterCase(word, randomInt, locale);
+    default: return word;
+  }
+};
+
+/**
+ * Generates a word chain password.
+ * @param {object} options - Generation options.
+ * @param {number} [options.wordCount=4] - Number of words in the chain.
+ * @param {string[]} [options.words=DEFAULT_WORD_LIST] - Word list to draw from.
+ * @param {string} [options.separator='hyphen'] - A key of SEPARATORS, or 'random'.
+ * @param {string} [options.capitalization='none'] - A key of CAPITALIZATION_STRATEGIES. 'camel' joins
+ *   the words without a separator.
+ * @param {boolean} [options.numbersBetweenWords=false] - Append a digit after each separator.
+ * @param {boolean} [options.symbolsBetweenWords=false] - Append a symbol after each separator.
+ * @param {string} [options.locale=''] - Casing locale for capitalization (see CASING_LOCALES).
+ * @param {boolean} [options.transliterate=false] - Transliterate the result to ASCII.
+ * @param {string[]} [options.selectedWords] - Words chosen outside the generator (e.g. by physical
+ *   dice), used in order instead of drawing from `words`. `wordCount` is then ignored and
+ *   randomInt is only used for the separator, digit, symbol and capitalization options.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {string} - The generated password.
+ * @throws {GeneratorError} - If the word list is empty, the separator or capitalization is unknown,
+ *   or a word has no ASCII transliteration.
+ */
+export const generateWordChain = (options = {}, randomInt = getRandomCryptoInt) => {
+  const {
+    wordCount = 4,
+    words = DEFAULT_WORD_LIST,
+    separator = 'hyphen',
+    capitalization = 'none',
+    numbersBetweenWords = false,
+    symbolsBetweenWords = false,
+    locale = '',
+    transliterate = false,
+    selectedWords,
+  } = options;
+
+  const chainLength = selectedWords ? selectedWords.length : wordCount;
+  if ((selectedWords ?? words).length === 0) {
+    throw new GeneratorError('No words available. Please choose a word list or provide a valid custom list.');
+  }
+  if (separator !== 'random' && !(separator in SEPARATORS)) {
+    throw new GeneratorError(`Unknown separator "${separator}".`);
+  }
+  if (!(capitalization in CAPITALIZATION_STRATEGIES)) {
+    throw new GeneratorError(`Unknown capitalization "${capitalization}".`);
+  }
+  // Exactly one word is capitalized with 'one-word'; it is chosen before the words themselves
+  const capitalIndex = capitalization === 'one-word' ? randomInt(chainLength) : -1;
+
+  const generatedParts = [];
+  const availableSeparators = Object.values(SEPARATORS);
+
+  for (let i = 0; i < chainLength; i++) {
+    // Pick a random word from the list (unless chosen already) and apply capitalization based on settings
+    const word = (selectedWords ? selectedWords[i] : words[randomInt(words.length)]).normalize('NFC');
+    generatedParts.push(capitalizeWord(word, i, { capitalization, capitalIndex, locale }, randomInt));
+
+    // Add separator and optional numbers/symbols if it's not the last word
+    if (i < chainLength - 1) {
+      let currentSeparator = SEPARATORS[separator];
+      if (capitalization === 'camel') {
+        // camelCase marks word boundaries with capitals instead of a separator
+        currentSeparator = '';
+      } else if (separator === 'random') {
+        // If 'random' separator is chosen, pick one randomly from the available separators
+        currentSeparator = availableSeparators[randomInt(availableSeparators.length)];
+      }
+      generatedParts.push(currentSeparator);
+
+      if (numbersBetweenWords) {
+        generatedParts.push(randomInt(10)); // Append a single digit number (0-9)
+      }
+      if (symbolsBetweenWords) {
+        generatedParts.push(CHAR_SETS.symbols[randomInt(CHAR_SETS.symbols.length)]); // Append a random symbol
+      }
+    }
+  }
+  const password = generatedParts.join('');
+  if (!transliterate) return password;
+
+  const ascii = transliterateToAscii(password);
+  if (ascii === null) {
+    throw new GeneratorError('The word list contains letters that cannot be transliterated to ASCII. Turn off ASCII transliteration or choose another word list.');
+  }
+  return ascii;
+};
+
+/**
+ * Generates a pronounceable pseudo-word password from consonant-vowel syllables, in the spirit
+ * of pwgen/APG "pronounceable" modes (e.g. "tavokimu42").
+ * Letters strictly alternate consonant, vowel, consonant, ... so every output is produced by
+ * exactly one sequence of choices and its entropy can be computed exactly.
+ * @param {object} options - Generation options.
+ * @param {number} [options.length=12] - Total password length, digits included.
+ * @param {boolean} [options.includeDigits=false] - End with PRONOUNCEABLE_DIGIT_COUNT random digits.
+ * @param {boolean} [options.capitalize=false] - Capitalize each syllable with probability 1/2.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {string} - The generated password.
+ * @throws {GeneratorError} - If the length leaves no room for letters.
+ */
+export const generatePronounceable = (options = {}, randomInt = getRandomCryptoInt) => {
+  const { length = 12, includeDigits = false, capitalize = false } = options;
+  const digitCount = includeDigits ? PRONOUNCEABLE_DIGIT_COUNT : 0;
+  const letterCount = length - digitCount;
+
+  if (letterCount < 1) {
+    throw new GeneratorError(`Pronounceable passwords need at least ${digitCount + 1} characters with these settings.`);
+  }
+
+  const { consonants, vowels } = PRONOUNCEABLE_LETTERS;
+  const syllables = [];
+  for (let i = 0; i < letterCount; i += 2) {
+    let syllable = consonants[randomInt(consonants.length)];
+    if (i + 1 < letterCount) syllable += vowels[randomInt(vowels.length)];
+    if (capitalize && randomInt(2) === 1) {
+      syllable = syllable.charAt(0).toUpperCase() + syllable.slice(1);
+    }
+    syllables.push(syllable);
+  }
+
+  let digits = '';
+  for (let i = 0; i < digitCount; i++) {
+    digits += CHAR_SETS.numbers[randomInt(CHAR_SETS.numbers.length)];
+  }
+  return syllables.join('') + digits;
+};
+
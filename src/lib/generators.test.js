@@ -0,0 +1,249 @@
+import { describe, expect, it } from 'vitest';
+import { CHAR_SETS, DEFAULT_WORD_LIST } from './constants.js';
+import {
+  GeneratorError,
+  applyRandomCapitalization,
+  generatePronounceable,
+  generateRandom,
+  generateWordChain,
+  getActiveCharClasses,
+} from './generators.js';
+import { createSeededRandomInt } from './random.js';
+import { splitGraphemes } from './unicode.js';
+
+const containsAny = (text, charSet) => [...text].some(char => charSet.includes(char));
+
+describe('generateRandom', () => {
+  it('produces a password of the requested length', () => {
+    for (const length of [4, 16, 64]) {
+      expect(generateRandom({ length }, createSeededRandomInt(length))).toHaveLength(length);
+    }
+  });
+
+  it('never drops a guaranteed class character to honour a shorter length', () => {
+    expect(generateRandom({ length: 1 }, createSeededRandomInt(1))).toHaveLength(4);
+    expect(generateRandom({ length: 1, symbols: false, numbers: false }, createSeededRandomInt(1))).toHaveLength(2);
+  });
+
+  it('includes at least one character from every selected class', () => {
+    for (let seed = 0; seed < 100; seed++) {
+      const password = generateRandom({ length: 4 }, createSeededRandomInt(seed));
+      expect(containsAny(password, CHAR_SETS.lowercase)).toBe(true);
+      expect(containsAny(password, CHAR_SETS.uppercase)).toBe(true);
+      expect(containsAny(password, CHAR_SETS.numbers)).toBe(true);
+      expect(containsAny(password, CHAR_SETS.symbols)).toBe(true);
+    }
+  });
+
+  it('only uses characters from the selected classes', () => {
+    const password = generateRandom(
+      { length: 64, lowercase: false, uppercase: false, symbols: false },
+      createSeededRandomInt(7),
+    );
+    expect(password).toMatch(/^[0-9]{64}$/);
+  });
+
+  it('is deterministic for a seeded random source', () => {
+    const options = { length: 24 };
+    expect(generateRandom(options, createSeededRandomInt(3))).toBe(generateRandom(options, createSeededRandomInt(3)));
+  });
+
+  it('throws a GeneratorError when no character type is selected', () => {
+    const options = { lowercase: false, uppercase: false, numbers: false, symbols: false };
+    expect(() => generateRandom(options)).toThrow(GeneratorError);
+    expect(() => generateRandom(options)).toThrow('Please select at least one character type.');
+  });
+});
+
+describe('generateWordChain', () => {
+  const words = ['alpha', 'bravo', 'charlie'];
+
+  it('joins the requested number of words with the chosen separator', () => {
+    const password = generateWordChain({ wordCount: 5, words, separator: 'underscore' }, createSeededRandomInt(1));
+    const parts = password.split('_');
+    expect(parts).toHaveLength(5);
+    parts.forEach(part => expect(words).toContain(part));
+  });
+
+  it('supports the "none" and "space" separators', () => {
+    expect(generateWordChain({ wordCount: 3, words: ['ab'], separator: 'none' })).toBe('ababab');
+    expect(generateWordChain({ wordCount: 3, words: ['ab'], separator: 'space' })).toBe('ab ab ab');
+  });
+
+  it('picks each "random" separator from the fixed separator set', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const password = generateWordChain({ wordCount: 4, words: ['ab'], separator: 'random' }, createSeededRandomInt(seed));
+      expect(password).toMatch(/^ab([- _]?ab){3}$/);
+    }
+  });
+
+  it('inserts a digit and a symbol after each separator when enabled', () => {
+    const password = generateWordChain(
+      { wordCount: 3, words: ['ab'], numbersBetweenWords: true, symbolsBetweenWords: true },
+      createSeededRandomInt(9),
+    );
+    const [, digit1, symbol1, digit2, symbol2] = password.match(/^ab-(\d)(.)ab-(\d)(.)ab$/);
+    expect(digit1).toMatch(/\d/);
+    expect(digit2).toMatch(/\d/);
+    expect(CHAR_SETS.symbols).toContain(symbol1);
+    expect(CHAR_SETS.symbols).toContain(symbol2);
+  });
+
+  it('uses the default word list when none is given', () => {
+    const password = generateWordChain({ wordCount: 2 }, createSeededRandomInt(5));
+    password.split('-').forEach(word => expect(DEFAULT_WORD_LIST).toContain(word));
+  });
+
+  it('throws a GeneratorError for an empty word list', () => {
+    expect(() => generateWordChain({ words: [] })).toThrow(GeneratorError);
+  });
+
+  it('throws a GeneratorError for an unknown separator', () => {
+    expect(() => generateWordChain({ words, separator: 'comma' })).toThrow('Unknown separator "comma".');
+  });
+
+  it('throws a GeneratorError for an unknown capitalization', () => {
+    expect(() => generateWordChain({ words, capitalization: 'shouting' })).toThrow('Unknown capitalization "shouting".');
+  });
+});
+
+describe('word chain capitalization', () => {
+  const chain = (capitalization, randomInt = () => 0) =>
+    generateWordChain({ selectedWords: ['hello', 'Big', 'WORLD'], capitalization }, randomInt);
+
+  it('applies fixed casing strategies', () => {
+    expect(chain('none')).toBe('hello-Big-WORLD');
+    expect(chain('lower')).toBe('hello-big-world');
+    expect(chain('upper')).toBe('HELLO-BIG-WORLD');
+    expect(chain('title')).toBe('Hello-Big-World');
+  });
+
+  it('joins camelCase chains without a separator', () => {
+    expect(generateWordChain({ selectedWords: ['Hello', 'big', 'WORLD'], separator: 'random', capitalization: 'camel' }, () => 0))
+      .toBe('helloBigWorld');
+  });
+
+  it('capitalizes exactly one random word', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const parts = chain('one-word', createSeededRandomInt(seed)).split('-');
+      expect(parts.filter(part => part !== part.toLowerCase())).toHaveLength(1);
+      expect(parts.map(part => part.toLowerCase())).toEqual(['hello', 'big', 'world']);
+    }
+    expect(chain('one-word', () => 2)).toBe('hello-big-World');
+  });
+
+  it('re-cases each character at random', () => {
+    const flips = [0, 1, 0, 1, 1];
+    expect(generateWordChain({ selectedWords: ['hello'], capitalization: 'random-char' }, () => flips.shift())).toBe('hElLO');
+  });
+
+  it('picks one of four casings per word for random-word', () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 40; seed++) {
+      seen.add(generateWordChain({ selectedWords: ['hello'], capitalization: 'random-word' }, createSeededRandomInt(seed)));
+    }
+    expect(seen).toContain('hello');
+    expect(seen).toContain('HELLO');
+    expect(seen).toContain('Hello');
+    // Mixed case beyond the three fixed forms comes only from random case per character
+    expect([...seen].some(word => !['hello', 'HELLO', 'Hello'].includes(word))).toBe(true);
+  });
+});
+
+describe('applyRandomCapitalization', () => {
+  it('keeps the letters of the word intact', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      expect(applyRandomCapitalization('Mixed', createSeededRandomInt(seed)).toLowerCase()).toBe('mixed');
+    }
+  });
+
+  it('uses locale-specific casing', () => {
+    // Randomness that always picks UPPERCASE (1), then title case (2)
+    expect(applyRandomCapitalization('istanbul', () => 1, 'tr')).toBe('İSTANBUL');
+    expect(applyRandomCapitalization('istanbul', () => 1)).toBe('ISTANBUL');
+    expect(applyRandomCapitalization('IĞDIR', () => 2, 'tr')).toBe('Iğdır');
+    expect(applyRandomCapitalization('straße', () => 1, 'de')).toBe('STRASSE');
+  });
+
+  it('keeps Greek final sigma and combining marks intact', () => {
+    expect(applyRandomCapitalization('ΟΔΟΣ', () => 2, 'el')).toBe('Οδο\u03c2'); // Final sigma, not σ
+    // "e" + combining acute must stay one character when title-casing
+    expect(applyRandomCapitalization('e\u0301cole', () => 2)).toBe('E\u0301cole');
+  });
+});
+
+describe('Unicode word chains', () => {
+  it('NFC-normalizes words', () => {
+    expect(generateWordChain({ words: ['cafe\u0301'], wordCount: 1 })).toBe('caf\u00e9');
+  });
+
+  it('transliterates the result to ASCII when asked', () => {
+    const words = ['Straße', 'Ψυχή', 'жёлтый'];
+    const password = generateWordChain({ words, wordCount: 3, separator: 'hyphen', transliterate: true }, () => 0);
+    expect(password).toBe('Strasse-Strasse-Strasse');
+    expect(generateWordChain({ words: ['жёлтый'], wordCount: 1, transliterate: true })).toBe('zheltyy');
+    expect(() => generateWordChain({ words: ['日本'], wordCount: 1, transliterate: true })).toThrow('cannot be transliterated');
+  });
+});
+
+describe('custom alphabets', () => {
+  it('uses a custom symbol set', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const password = generateRandom({ length: 32, lowercase: false, uppercase: false, numbers: false, symbolSet: '#-' }, createSeededRandomInt(seed));
+      expect(password).toMatch(/^[#-]{32}$/);
+    }
+  });
+
+  it('never uses excluded or ambiguous characters', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const password = generateRandom({ length: 64, excludeChars: 'abc<>/"\'', excludeAmbiguous: true }, createSeededRandomInt(seed));
+      expect(password).not.toMatch(/[abc<>/"'0Oo1lI|]/);
+    }
+  });
+
+  it('adds Unicode extra characters as their own guaranteed class', () => {
+    const password = generateRandom(
+      { length: 2, uppercase: false, numbers: false, symbols: false, extraChars: 'é👍🏽' },
+      createSeededRandomInt(2),
+    );
+    const graphemes = splitGraphemes(password);
+    expect(graphemes).toHaveLength(2);
+    expect(graphemes.some(char => ['é', '👍🏽'].includes(char))).toBe(true);
+    expect(graphemes.some(char => /[a-z]/.test(char))).toBe(true);
+  });
+
+  it('keeps classes disjoint when extras overlap built-in sets', () => {
+    const classes = getActiveCharClasses({ extraChars: 'aZ9!€' });
+    expect(classes.map(({ name }) => name)).toEqual(['lowercase', 'uppercase', 'numbers', 'symbols', 'extra']);
+    expect(classes[4].chars).toEqual(['€']);
+  });
+
+  it('reports a selected class whose characters are all excluded', () => {
+    expect(() => generateRandom({ numbers: true, excludeChars: '0123456789' })).toThrow('Every numbers character is excluded.');
+    expect(() => generateRandom({ symbolSet: '' })).toThrow('Every symbols character is excluded.');
+  });
+});
+
+describe('generatePronounceable', () => {
+  it('alternates consonants and vowels for the requested length', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const password = generatePronounceable({ length: 11 }, createSeededRandomInt(seed));
+      expect(password).toMatch(/^([bcdfghjklmnprstvwz][aeiou]){5}[bcdfghjklmnprstvwz]$/);
+    }
+  });
+
+  it('ends with two digits when enabled', () => {
+    const password = generatePronounceable({ length: 8, includeDigits: true }, createSeededRandomInt(3));
+    expect(password).toMatch(/^([bcdfghjklmnprstvwz][aeiou]){3}\d{2}$/);
+  });
+
+  it('capitalizes whole syllables only at their first letter', () => {
+    const passwords = Array.from({ length: 20 }, (_, seed) => generatePronounceable({ length: 12, capitalize: true }, createSeededRandomInt(seed)));
+    passwords.forEach(password => expect(password).toMatch(/^([bcdfghjklmnprstvwzBCDFGHJKLMNPRSTVWZ][aeiou]){6}$/));
+    expect(passwords.some(password => /[A-Z]/.test(password))).toBe(true);
+  });
+
+  it('throws a GeneratorError when digits leave no room for letters', () => {
+    expect(() => generatePronounceable({ length: 2, includeDigits: true })).toThrow(GeneratorError);
+  });
+});
@@ -0,0 +1,126 @@
+import { HistoryError } from './errors.js';
+
+// --- Password History ---
+// Previously generated passwords for the current session. Nothing is persisted unless the user
+// opts in; the stored copy is then encrypted with AES-GCM under a key derived from a passphrase
+// with PBKDF2, so localStorage never holds a password in the clear.
+
+export const HISTORY_STORAGE_KEY = 'passwordHistory';
+export const HISTORY_FORMAT = 'password-generator-history';
+export const HISTORY_FORMAT_VERSION = 1;
+
+// Oldest entries are dropped beyond this many.
+export const MAX_HISTORY_ENTRIES = 100;
+
+// OWASP's 2023 recommendation for PBKDF2-HMAC-SHA256.
+export const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // The recommended nonce size for AES-GCM
+
+/**
+ * Creates a history entry for a generated password.
+ * @param {string} password - The generated password.
+ * @param {string} mode - The generator mode that produced it.
+ * @param {number} [timestamp=Date.now()] - Generation time in milliseconds since the epoch.
+ * @returns {{password: string, mode: string, timestamp: number}} - The entry.
+ */
+export const createHistoryEntry = (password, mode, timestamp = Date.now()) => ({ password, mode, timestamp });
+
+/**
+ * Adds an entry to the front of the history, dropping the oldest entries beyond the limit.
+ * @param {Array<object>} entries - Current entries, newest first.
+ * @param {object} entry - The entry to add.
+ * @param {number} [maxEntries=MAX_HISTORY_ENTRIES] - Maximum number of entries kept.
+ * @returns {Array<object>} - The new history.
+ */
+export const addHistoryEntry = (entries, entry, maxEntries = MAX_HISTORY_ENTRIES) =>
+  [entry, ...entries].slice(0, maxEntries);
+
+/**
+ * Encodes bytes as base64 for storage in JSON.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} - Base64 text.
+ */
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+/**
+ * Decodes base64 text produced by toBase64.
+ * @param {string} text - Base64 text.
+ * @returns {Uint8Array} - The bytes.
+ */
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Derives an AES-GCM key from a passphrase with PBKDF2-HMAC-SHA256.
+ * @param {string} passphrase - The user's passphrase.
+ * @param {Uint8Array} salt - Random salt.
+ * @param {number} iterations - PBKDF2 iteration count.
+ * @returns {Promise<CryptoKey>} - A non-extractable AES-GCM key.
+ */
+const deriveHistoryKey = async (passphrase, salt, iterations) => {
+  const { subtle } = globalThis.crypto;
+  const baseKey = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+};
+
+/**
+ * Encrypts history entries with a passphrase. A fresh salt and IV are drawn for every call.
+ * @param {Array<object>} entries - The entries to store.
+ * @param {string} passphrase - The user's passphrase.
+ * @param {object} [options] - Encryption options.
+ * @param {number} [options.iterations=PBKDF2_ITERATIONS] - PBKDF2 iteration count.
+ * @returns {Promise<string>} - JSON text holding the KDF parameters and the ciphertext.
+ * @throws {HistoryError} - If the passphrase is empty.
+ */
+export const encryptHistory = async (entries, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) => {
+  if (!passphrase) throw new HistoryError('Enter a passphrase to remember the history.');
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveHistoryKey(passphrase, salt, iterations);
+  const plaintext = new TextEncoder().encode(JSON.stringify(entries));
+  const ciphertext = new Uint8Array(await globalThis.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+  return JSON.stringify({
+    format: HISTORY_FORMAT,
+    version: HISTORY_FORMAT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(ciphertext),
+  });
+};
+
+/**
+ * Decrypts history stored by encryptHistory.
+ * @param {string} text - The stored JSON text.
+ * @param {string} passphrase - The user's passphrase.
+ * @returns {Promise<Array<object>>} - The entries, newest first.
+ * @throws {HistoryError} - If the data is unreadable or the passphrase is wrong.
+ */
+export const decryptHistory = async (text, passphrase) => {
+  let stored;
+  try {
+    stored = JSON.parse(text);
+  } catch {
+    throw new HistoryError('The saved history is not valid JSON.');
+  }
+  if (stored?.format !== HISTORY_FORMAT || stored.version !== HISTORY_FORMAT_VERSION) {
+    throw new HistoryError('The saved history was written in an unsupported format.');
+  }
+
+  let plaintext;
+  try {
+    const key = await deriveHistoryKey(passphrase, fromBase64(stored.kdf.salt), stored.kdf.iterations);
+    plaintext = await globalThis.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(stored.cipher.iv) }, key, fromBase64(stored.data));
+  } catch {
+    // AES-GCM authentication fails for a wrong passphrase as well as for tampered data
+    throw new HistoryError('Wrong passphrase, or the saved history is damaged.');
+  }
+  const entries = JSON.parse(new TextDecoder().decode(plaintext));
+  return Array.isArray(entries) ? entries.filter(entry => typeof entry?.password === 'string') : [];
+};
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import {
+  HISTORY_FORMAT,
+  MAX_HISTORY_ENTRIES,
+  addHistoryEntry,
+  createHistoryEntry,
+  decryptHistory,
+  encryptHistory,
+} from './history.js';
+
+// Keep key derivation fast in tests; the iteration count is stored with the data
+const FAST = { iterations: 1000 };
+
+const ENTRIES = [
+  createHistoryEntry('correct-horse-battery', 'word-chain', 1700000000000),
+  createHistoryEntry('x7$Qp!2m', 'random', 1699999999000),
+];
+
+describe('addHistoryEntry', () => {
+  it('adds entries newest first and drops the oldest beyond the limit', () => {
+    let entries = [];
+    for (let i = 0; i < MAX_HISTORY_ENTRIES + 5; i++) {
+      entries = addHistoryEntry(entries, createHistoryEntry(`pw${i}`, 'pin', i));
+    }
+    expect(entries).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(entries[0].password).toBe(`pw${MAX_HISTORY_ENTRIES + 4}`);
+    expect(entries.at(-1).password).toBe('pw5');
+  });
+});
+
+describe('encryptHistory / decryptHistory', () => {
+  it('round-trips entries without storing passwords in the clear', async () => {
+    const stored = await encryptHistory(ENTRIES, 'passphrase', FAST);
+    expect(stored).not.toContain('correct-horse-battery');
+    expect(JSON.parse(stored)).toMatchObject({ format: HISTORY_FORMAT, kdf: { name: 'PBKDF2', iterations: 1000 } });
+    expect(await decryptHistory(stored, 'passphrase')).toEqual(ENTRIES);
+  });
+
+  it('uses a fresh salt and IV each time', async () => {
+    const first = JSON.parse(await encryptHistory(ENTRIES, 'passphrase', FAST));
+    const second = JSON.parse(await encryptHistory(ENTRIES, 'passphrase', FAST));
+    expect(first.kdf.salt).not.toBe(second.kdf.salt);
+    expect(first.cipher.iv).not.toBe(second.cipher.iv);
+  });
+
+  it('rejects a wrong passphrase and tampered data', async () => {
+    const stored = await encryptHistory(ENTRIES, 'passphrase', FAST);
+    await expect(decryptHistory(stored, 'wrong')).rejects.toThrow('Wrong passphrase');
+
+    const tampered = JSON.parse(stored);
+    tampered.data = btoa('not the ciphertext');
+    await expect(decryptHistory(JSON.stringify(tampered), 'passphrase')).rejects.toThrow('Wrong passphrase');
+  });
+
+  it('rejects an empty passphrase and unknown formats', async () => {
+    await expect(encryptHistory(ENTRIES, '', FAST)).rejects.toThrow('Enter a passphrase');
+    await expect(decryptHistory('{"format":"other"}', 'passphrase')).rejects.toThrow('unsupported format');
+    await expect(decryptHistory('not json', 'passphrase')).rejects.toThrow('not valid JSON');
+  });
+});
@@ -0,0 +1,48 @@
+// --- Offline Support ---
+// The production build is a Progressive Web App: a service worker (src/serviceWorker.js)
+// precaches the app shell and the bundled word lists, so the generator keeps working without a
+// network connection. The build lists the files to cache with getPrecacheUrls and names the
+// cache after them, so every deployment gets a fresh cache and old ones are dropped.
+
+// File name of the service worker in the build output.
+export const SERVICE_WORKER_FILE = 'sw.js';
+
+// Prefix of the service worker's cache names.
+export const CACHE_NAME_PREFIX = 'password-generator-';
+
+// Shown when a word list URL is used while the browser is offline.
+export const OFFLINE_FETCH_MESSAGE = 'You are offline, so the word list cannot be loaded from the URL. Paste the words or load a file instead.';
+
+/**
+ * Lists the build files the service worker precaches, relative to the app's base URL.
+ * Source maps and the service worker itself are left out; the app's root URL is always included.
+ * @param {string[]} fileNames - Files of the build output, relative to its root.
+ * @returns {string[]} - The sorted URLs to precache, starting with './'.
+ */
+export const getPrecacheUrls = (fileNames) => {
+  const files = fileNames
+    .map(fileName => fileName.replace(/\\/g, '/'))
+    .filter(fileName => fileName !== SERVICE_WORKER_FILE && !fileName.endsWith('.map'));
+  return ['./', ...[...new Set(files)].sort().map(fileName => `./${fileName}`)];
+};
+
+/**
+ * Names the cache for a set of precached URLs (FNV-1a hash of the list). Built file names carry
+ * content hashes, so any change to the app changes the name.
+ * @param {string[]} urls - URLs from getPrecacheUrls.
+ * @returns {string} - The cache name, e.g. "password-generator-1a2b3c4d".
+ */
+export const getPrecacheCacheName = (urls) => {
+  let hash = 0x811C9DC5;
+  for (const char of urls.join('\n')) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+  }
+  return `${CACHE_NAME_PREFIX}${hash.toString(16).padStart(8, '0')}`;
+};
+
+/**
+ * Tells whether the browser reports having no network connection.
+ * @param {Navigator} [navigator=globalThis.navigator] - The navigator.
+ * @returns {boolean} - True if offline; false if online or unknown.
+ */
+export const isOffline = (navigator = globalThis.navigator) => navigator?.onLine === false;
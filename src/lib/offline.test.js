@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { CACHE_NAME_PREFIX, getPrecacheCacheName, getPrecacheUrls, isOffline } from './offline.js';
+
+describe('getPrecacheUrls', () => {
+  it('lists the app root and every built file except source maps and the service worker', () => {
+    const urls = getPrecacheUrls(['index.html', 'assets/index-abc.js', 'assets/index-abc.js.map', 'sw.js', 'assets/effLarge-def.js', 'index.html']);
+    expect(urls).toEqual(['./', './assets/effLarge-def.js', './assets/index-abc.js', './index.html']);
+  });
+
+  it('uses URL separators for Windows paths', () => {
+    expect(getPrecacheUrls(['assets\\icon.svg'])).toEqual(['./', './assets/icon.svg']);
+  });
+});
+
+describe('getPrecacheCacheName', () => {
+  it('changes whenever the precached files change', () => {
+    const name = getPrecacheCacheName(['./', './assets/index-abc.js']);
+    expect(name).toMatch(new RegExp(`^${CACHE_NAME_PREFIX}[0-9a-f]{8}$`));
+    expect(getPrecacheCacheName(['./', './assets/index-abc.js'])).toBe(name);
+    expect(getPrecacheCacheName(['./', './assets/index-abd.js'])).not.toBe(name);
+  });
+});
+
+describe('isOffline', () => {
+  it('only reports offline when the browser says so', () => {
+    expect(isOffline({ onLine: false })).toBe(true);
+    expect(isOffline({ onLine: true })).toBe(false);
+    expect(isOffline(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+import { bloomFilterHas, deserializeBloomFilter } from './bloomFilter.js';
+import { GeneratorError } from './errors.js';
+
+// --- Common Password Check ---
+// Flags generated passwords that appear on the bundled common-password list or on a user's own
+// blocklist. Everything runs offline: the common list ships as a Bloom filter (see
+// scripts/buildCommonPasswordFilter.js) and is loaded on demand, like the built-in word lists.
+// Comparisons are case-insensitive.
+
+// Give up after this many listed candidates in a row instead of looping forever.
+export const MAX_REGENERATE_ATTEMPTS = 1000;
+
+// Check settings as persisted by the app.
+export const DEFAULT_PASSWORD_CHECK = Object.freeze({
+  checkCommon: true, // Check against the bundled common-password list
+  autoRegenerate: false, // Discard listed passwords and generate again
+  blocklist: '', // User blocklist, one entry per line
+});
+
+// The loaded common-password filter, shared by every check.
+let commonPasswordFilter = null;
+
+/**
+ * Loads the bundled common-password Bloom filter.
+ * @returns {Promise<{filter: object, itemCount: number}>} - The filter and how many passwords it holds.
+ */
+export const loadCommonPasswordFilter = async () => {
+  if (!commonPasswordFilter) {
+    const { default: serialized } = await import('../wordlists/commonPasswords.js');
+    commonPasswordFilter = { filter: deserializeBloomFilter(serialized), itemCount: serialized.itemCount };
+  }
+  return commonPasswordFilter;
+};
+
+/**
+ * Parses a user blocklist: one entry per line, so entries may contain spaces.
+ * @param {string} text - The raw blocklist.
+ * @returns {Set<string>} - The lowercased, non-empty entries.
+ */
+export const parseBlocklist = (text) => new Set(
+  text.split(/\r?\n/).map(line => line.trim().toLowerCase()).filter(line => line.length > 0),
+);
+
+/**
+ * Creates a function that checks passwords against the common-password filter and a blocklist.
+ * @param {object} options - Check options.
+ * @param {{filter: object, itemCount: number}|null} [options.commonPasswords=null] - Result of
+ *   loadCommonPasswordFilter, or null to skip the common-password check.
+ * @param {Set<string>} [options.blocklist=new Set()] - Result of parseBlocklist.
+ * @returns {function(string): (string|null)} - Returns why a password is listed, or null if it isn't.
+ */
+export const createPasswordChecker = ({ commonPasswords = null, blocklist = new Set() } = {}) => (password) => {
+  const normalized = password.toLowerCase();
+  if (blocklist.has(normalized)) return 'is on your blocklist';
+  if (commonPasswords && bloomFilterHas(commonPasswords.filter, normalized)) {
+    return `is one of the ${commonPasswords.itemCount.toLocaleString('en-US')} most common passwords`;
+  }
+  return null;
+};
+
+/**
+ * Wraps a generator so that listed passwords are discarded and generated again.
+ * Discarding listed outputs removes a negligible share of the keyspace for any realistic settings.
+ * @param {function(): string} generateOne - Produces one password.
+ * @param {function(string): (string|null)} checkPassword - Result of createPasswordChecker.
+ * @param {number} [maxAttempts=MAX_REGENERATE_ATTEMPTS] - Attempts before giving up.
+ * @returns {function(): string} - A generator that only returns unlisted passwords.
+ */
+export const createScreenedGenerator = (generateOne, checkPassword, maxAttempts = MAX_REGENERATE_ATTEMPTS) => () => {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const password = generateOne();
+    if (checkPassword(password) === null) return password;
+  }
+  throw new GeneratorError(`Every one of ${maxAttempts} generated passwords was on a common-password list or your blocklist. Use a larger word list or stronger settings.`);
+};
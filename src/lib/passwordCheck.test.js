@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { GeneratorError, generateRandom, generateWordChain } from './generators.js';
+import {
+  createPasswordChecker,
+  createScreenedGenerator,
+  loadCommonPasswordFilter,
+  parseBlocklist,
+} from './passwordCheck.js';
+import { createSeededRandomInt } from './random.js';
+
+describe('parseBlocklist', () => {
+  it('reads one lowercased entry per line, keeping inner spaces', () => {
+    expect(parseBlocklist('  Acme2024\r\n\ncorrect horse \n')).toEqual(new Set(['acme2024', 'correct horse']));
+  });
+});
+
+describe('createPasswordChecker', () => {
+  it('flags the most common passwords regardless of case', async () => {
+    const checkPassword = createPasswordChecker({ commonPasswords: await loadCommonPasswordFilter() });
+    for (const password of ['123456', 'password', 'qwerty', 'Dragon', 'LetMeIn']) {
+      expect(checkPassword(password)).toBe('is one of the 10,000 most common passwords');
+    }
+  });
+
+  it('does not flag generated random passwords', async () => {
+    const checkPassword = createPasswordChecker({ commonPasswords: await loadCommonPasswordFilter() });
+    for (let seed = 0; seed < 200; seed++) {
+      expect(checkPassword(generateRandom({ length: 12 }, createSeededRandomInt(seed)))).toBeNull();
+    }
+  });
+
+  it('flags blocklisted passwords, and skips the common list when not loaded', () => {
+    const checkPassword = createPasswordChecker({ blocklist: parseBlocklist('acme-acme') });
+    expect(checkPassword('ACME-acme')).toBe('is on your blocklist');
+    expect(checkPassword('password')).toBeNull();
+  });
+});
+
+describe('createScreenedGenerator', () => {
+  it('regenerates until the password is not listed', () => {
+    const words = ['acme', 'corp'];
+    const checkPassword = createPasswordChecker({ blocklist: parseBlocklist('acme-acme\nacme-corp\ncorp-acme') });
+    const randomInt = createSeededRandomInt(7);
+    const screened = createScreenedGenerator(() => generateWordChain({ wordCount: 2, words }, randomInt), checkPassword);
+    for (let i = 0; i < 20; i++) expect(screened()).toBe('corp-corp');
+  });
+
+  it('gives up when every candidate is listed', () => {
+    const screened = createScreenedGenerator(() => 'password', createPasswordChecker({ blocklist: new Set(['password']) }), 10);
+    expect(screened).toThrow(GeneratorError);
+    expect(screened).toThrow('Every one of 10 generated passwords');
+  });
+});
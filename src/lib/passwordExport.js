@@ -0,0 +1,127 @@
+import { BCRYPT_DEFAULT_COST, BCRYPT_MAX_PASSWORD_BYTES, BCRYPT_SALT_BYTES, bcryptHash } from './bcrypt.js';
+import { ExportError } from './errors.js';
+import { getRandomCryptoInt } from './random.js';
+import { CRYPT_ALPHABET, SHA512_CRYPT_SALT_LENGTH, sha512Crypt } from './sha512Crypt.js';
+
+// --- Password Export ---
+// Turns a generated password into a ready-to-use hash or configuration snippet, so the
+// plaintext never has to be pasted into another tool. Everything is computed locally; salts are
+// drawn with the generators' randomInt (getRandomCryptoInt by default).
+
+// Export formats, with their labels and what the name field means for each (null if unused).
+export const PASSWORD_EXPORT_FORMATS = Object.freeze({
+  htpasswd: { label: 'htpasswd line (bcrypt)', nameLabel: 'User Name' },
+  shadow: { label: '/etc/shadow hash (SHA-512 crypt, $6$)', nameLabel: null },
+  pbkdf2: { label: 'PBKDF2-SHA256 encoded hash (PHC string)', nameLabel: null },
+  env: { label: '.env variable', nameLabel: 'Variable Name' },
+  yaml: { label: 'YAML entry', nameLabel: 'Key Name' },
+  json: { label: 'JSON object', nameLabel: 'Key Name' },
+});
+
+// PBKDF2-HMAC-SHA256 work factor and sizes for the PHC string (OWASP's 2023 recommendation).
+export const PBKDF2_EXPORT_ITERATIONS = 600000;
+const PBKDF2_SALT_BYTES = 16;
+const PBKDF2_HASH_BYTES = 32;
+
+/**
+ * Draws random bytes for a salt.
+ * @param {number} length - Number of bytes.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {Uint8Array} - The bytes.
+ */
+export const randomSaltBytes = (length, randomInt = getRandomCryptoInt) =>
+  Uint8Array.from({ length }, () => randomInt(256));
+
+/**
+ * Encodes bytes as base64 without padding, as PHC strings do.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} - The encoded text.
+ */
+const toUnpaddedBase64 = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/=+$/, '');
+
+/**
+ * Hashes a password with PBKDF2-HMAC-SHA256 and encodes the result as a PHC string, the format
+ * used for Argon2 hashes: "$pbkdf2-sha256$i=<iterations>,l=<length>$<salt>$<hash>".
+ * @param {string} password - The password.
+ * @param {object} options - Options.
+ * @param {Uint8Array} options.salt - The salt.
+ * @param {number} [options.iterations=PBKDF2_EXPORT_ITERATIONS] - Work factor.
+ * @returns {Promise<string>} - The PHC string.
+ */
+export const pbkdf2PhcHash = async (password, { salt, iterations = PBKDF2_EXPORT_ITERATIONS }) => {
+  const { subtle } = globalThis.crypto;
+  const key = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const hash = new Uint8Array(await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, PBKDF2_HASH_BYTES * 8));
+  return `$pbkdf2-sha256$i=${iterations},l=${PBKDF2_HASH_BYTES}$${toUnpaddedBase64(salt)}$${toUnpaddedBase64(hash)}`;
+};
+
+/**
+ * Formats a .env line. The value is single-quoted (taken literally by every .env reader) unless
+ * it contains a single quote; then it is double-quoted with \, ", $ and ` escaped, as shells,
+ * Docker Compose and python-dotenv read it.
+ * @param {string} name - The variable name.
+ * @param {string} password - The value.
+ * @returns {string} - The line.
+ * @throws {ExportError} - If the name is not a valid variable name.
+ */
+export const formatEnvLine = (name, password) => {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new ExportError('Variable names may only contain letters, digits and underscores, and cannot start with a digit.');
+  }
+  const value = password.includes("'") ? `"${password.replace(/[\\"$`]/g, '\\$&')}"` : `'${password}'`;
+  return `${name}=${value}\n`;
+};
+
+/**
+ * Formats a YAML mapping entry with a double-quoted (JSON-compatible) value.
+ * @param {string} name - The key.
+ * @param {string} password - The value.
+ * @returns {string} - The entry.
+ */
+export const formatYamlEntry = (name, password) => {
+  const key = /^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name) ? name : JSON.stringify(name);
+  return `${key}: ${JSON.stringify(password)}\n`;
+};
+
+/**
+ * Exports a password in one of the PASSWORD_EXPORT_FORMATS.
+ * @param {string} password - The password.
+ * @param {string} format - A key of PASSWORD_EXPORT_FORMATS.
+ * @param {object} [options] - Options.
+ * @param {string} [options.name=''] - User name (htpasswd) or key name (.env, YAML, JSON).
+ * @param {number} [options.bcryptCost=BCRYPT_DEFAULT_COST] - bcrypt work factor.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source for salts.
+ * @returns {Promise<string>} - The hash or snippet.
+ * @throws {ExportError} - If the format is unknown, the name is missing or invalid, or the password is
+ *   too long for bcrypt (htpasswd).
+ */
+export const exportPassword = async (password, format, { name = '', bcryptCost = BCRYPT_DEFAULT_COST } = {}, randomInt = getRandomCryptoInt) => {
+  const definition = PASSWORD_EXPORT_FORMATS[format];
+  if (!definition) throw new ExportError(`Unknown export format "${format}".`);
+  const trimmedName = name.trim();
+  if (definition.nameLabel && !trimmedName) throw new ExportError(`Please enter a ${definition.nameLabel.toLowerCase()}.`);
+
+  switch (format) {
+    case 'htpasswd': {
+      if (/[:\s]/.test(trimmedName)) throw new ExportError('htpasswd user names cannot contain ":" or spaces.');
+      // Refuse rather than write a hash that also accepts every password with the same first 72 bytes
+      const byteLength = new TextEncoder().encode(password).length;
+      if (byteLength > BCRYPT_MAX_PASSWORD_BYTES) {
+        throw new ExportError(`bcrypt only uses the first ${BCRYPT_MAX_PASSWORD_BYTES} bytes of a password and this one has ${byteLength}. Use a shorter password or another format.`);
+      }
+      return `${trimmedName}:${bcryptHash(password, { salt: randomSaltBytes(BCRYPT_SALT_BYTES, randomInt), cost: bcryptCost })}\n`;
+    }
+    case 'shadow': {
+      const salt = Array.from({ length: SHA512_CRYPT_SALT_LENGTH }, () => CRYPT_ALPHABET[randomInt(CRYPT_ALPHABET.length)]).join('');
+      return `${await sha512Crypt(password, { salt })}\n`;
+    }
+    case 'pbkdf2':
+      return `${await pbkdf2PhcHash(password, { salt: randomSaltBytes(PBKDF2_SALT_BYTES, randomInt) })}\n`;
+    case 'env':
+      return formatEnvLine(trimmedName, password);
+    case 'yaml':
+      return formatYamlEntry(trimmedName, password);
+    default:
+      return `${JSON.stringify({ [trimmedName]: password }, null, 2)}\n`;
+  }
+};
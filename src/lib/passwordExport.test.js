@@ -0,0 +1,76 @@
+import { pbkdf2Sync } from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import { verifyBcrypt } from './bcrypt.js';
+import { ExportError } from './errors.js';
+import { exportPassword, formatEnvLine, formatYamlEntry, pbkdf2PhcHash } from './passwordExport.js';
+import { createSeededRandomInt } from './random.js';
+
+describe('pbkdf2PhcHash', () => {
+  it('encodes PBKDF2-HMAC-SHA256 as a PHC string', async () => {
+    const salt = Uint8Array.from({ length: 16 }, (_, i) => i);
+    const expected = pbkdf2Sync('hunter2', salt, 1000, 32, 'sha256').toString('base64').replace(/=+$/, '');
+    expect(await pbkdf2PhcHash('hunter2', { salt, iterations: 1000 })).toBe(
+      `$pbkdf2-sha256$i=1000,l=32$AAECAwQFBgcICQoLDA0ODw$${expected}`,
+    );
+  });
+});
+
+describe('formatEnvLine', () => {
+  it('single-quotes values without single quotes', () => {
+    expect(formatEnvLine('DB_PASSWORD', 'a$b"c\\d')).toBe(`DB_PASSWORD='a$b"c\\d'\n`);
+  });
+
+  it('double-quotes and escapes values with single quotes', () => {
+    expect(formatEnvLine('X', `it's $HOME "\`x\`"\\`)).toBe('X="it\'s \\$HOME \\"\\`x\\`\\"\\\\"\n');
+  });
+
+  it('rejects invalid variable names', () => {
+    expect(() => formatEnvLine('1ABC', 'x')).toThrow(ExportError);
+    expect(() => formatEnvLine('MY-VAR', 'x')).toThrow(ExportError);
+  });
+});
+
+describe('formatYamlEntry', () => {
+  it('quotes values and only unusual keys', () => {
+    expect(formatYamlEntry('db.password', 'a: #b')).toBe('db.password: "a: #b"\n');
+    expect(formatYamlEntry('my key', 'x"y')).toBe('"my key": "x\\"y"\n');
+  });
+});
+
+describe('exportPassword', () => {
+  const randomInt = () => createSeededRandomInt(7);
+
+  it('writes htpasswd lines with a verifiable bcrypt hash', async () => {
+    const line = await exportPassword('s3cret!', 'htpasswd', { name: ' alice ', bcryptCost: 4 }, randomInt());
+    expect(line).toMatch(/^alice:\$2y\$04\$[./A-Za-z0-9]{53}\n$/);
+    expect(verifyBcrypt('s3cret!', line.trim().slice('alice:'.length))).toBe(true);
+  });
+
+  it('refuses htpasswd lines for passwords bcrypt would truncate', async () => {
+    await expect(exportPassword('a'.repeat(72), 'htpasswd', { name: 'alice', bcryptCost: 4 }, randomInt())).resolves.toMatch(/^alice:/);
+    await expect(exportPassword('a'.repeat(73), 'htpasswd', { name: 'alice', bcryptCost: 4 }, randomInt())).rejects.toThrow(ExportError);
+    // 36 two-byte characters fill the limit; one more exceeds it
+    await expect(exportPassword('é'.repeat(37), 'htpasswd', { name: 'alice', bcryptCost: 4 }, randomInt())).rejects.toThrow(/first 72 bytes.*has 74/);
+    expect(await exportPassword('a'.repeat(73), 'shadow', {}, randomInt())).toMatch(/^\$6\$/);
+  });
+
+  it('writes SHA-512 crypt hashes with a 16-character salt', async () => {
+    expect(await exportPassword('s3cret!', 'shadow', {}, randomInt())).toMatch(/^\$6\$[./0-9A-Za-z]{16}\$[./0-9A-Za-z]{86}\n$/);
+  });
+
+  it('uses fresh salts from the random source', async () => {
+    const seeded = await exportPassword('s3cret!', 'shadow', {}, randomInt());
+    expect(await exportPassword('s3cret!', 'shadow', {}, randomInt())).toBe(seeded);
+    expect(await exportPassword('s3cret!', 'shadow')).not.toBe(seeded);
+  });
+
+  it('writes JSON objects under the given key', async () => {
+    expect(JSON.parse(await exportPassword('p"w', 'json', { name: 'password' }))).toEqual({ password: 'p"w' });
+  });
+
+  it('requires a valid name where the format uses one', async () => {
+    await expect(exportPassword('x', 'env', { name: '  ' })).rejects.toThrow(ExportError);
+    await expect(exportPassword('x', 'htpasswd', { name: 'a:b' })).rejects.toThrow(ExportError);
+    await expect(exportPassword('x', 'toml', { name: 'a' })).rejects.toThrow(ExportError);
+  });
+});
@@ -0,0 +1,55 @@
+import { splitGraphemes } from './unicode.js';
+
+// --- Spelling Out Passwords ---
+// Breaks a password into characters with their type and a spoken form, for reading it out or
+// dictating it over the phone (NATO/ICAO spelling alphabet).
+
+export const NATO_ALPHABET = Object.freeze({
+  a: 'Alfa', b: 'Bravo', c: 'Charlie', d: 'Delta', e: 'Echo', f: 'Foxtrot', g: 'Golf',
+  h: 'Hotel', i: 'India', j: 'Juliett', k: 'Kilo', l: 'Lima', m: 'Mike', n: 'November',
+  o: 'Oscar', p: 'Papa', q: 'Quebec', r: 'Romeo', s: 'Sierra', t: 'Tango', u: 'Uniform',
+  v: 'Victor', w: 'Whiskey', x: 'X-ray', y: 'Yankee', z: 'Zulu',
+});
+
+export const DIGIT_WORDS = Object.freeze([
+  'Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+]);
+
+// Spoken names of the ASCII symbols (every symbol the generators use by default).
+export const SYMBOL_NAMES = Object.freeze({
+  '!': 'Exclamation mark', '@': 'At sign', '#': 'Hash', '$': 'Dollar sign', '%': 'Percent',
+  '^': 'Caret', '&': 'Ampersand', '*': 'Asterisk', '(': 'Open parenthesis', ')': 'Close parenthesis',
+  '_': 'Underscore', '+': 'Plus', '-': 'Hyphen', '=': 'Equals', '[': 'Open bracket',
+  ']': 'Close bracket', '{': 'Open brace', '}': 'Close brace', '|': 'Vertical bar', ';': 'Semicolon',
+  ':': 'Colon', '\'': 'Apostrophe', '"': 'Quotation mark', ',': 'Comma', '.': 'Period',
+  '<': 'Less than', '>': 'Greater than', '?': 'Question mark', '/': 'Slash', '\\': 'Backslash',
+  '`': 'Backtick', '~': 'Tilde', ' ': 'Space',
+});
+
+/**
+ * Describes one character of a password.
+ * @param {string} char - A single grapheme.
+ * @returns {{char: string, type: string, spoken: string}} - The character, its type
+ *   ('lowercase', 'uppercase', 'digit', 'symbol' or 'other') and how to say it.
+ */
+export const describeCharacter = (char) => {
+  const lower = char.toLowerCase();
+  if (NATO_ALPHABET[lower]) {
+    return char === lower
+      ? { char, type: 'lowercase', spoken: `lowercase ${NATO_ALPHABET[lower]}` }
+      : { char, type: 'uppercase', spoken: `UPPERCASE ${NATO_ALPHABET[lower].toUpperCase()}` };
+  }
+  if (/^[0-9]$/.test(char)) return { char, type: 'digit', spoken: DIGIT_WORDS[Number(char)] };
+  if (SYMBOL_NAMES[char]) return { char, type: 'symbol', spoken: SYMBOL_NAMES[char] };
+
+  // Anything else (accented letters, emoji, ...) is read out by its code points
+  const codePoints = [...char].map(codePoint => `U+${codePoint.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+  return { char, type: 'other', spoken: `Character ${codePoints.join(' ')}` };
+};
+
+/**
+ * Spells out a password character by character.
+ * @param {string} password - The password.
+ * @returns {Array<{char: string, type: string, spoken: string}>} - One entry per grapheme.
+ */
+export const spellOut = (password) => splitGraphemes(password).map(describeCharacter);
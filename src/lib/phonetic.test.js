@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { CHAR_SETS } from './constants.js';
+import { describeCharacter, spellOut } from './phonetic.js';
+
+describe('spellOut', () => {
+  it('types and names every character', () => {
+    expect(spellOut('aZ9#')).toEqual([
+      { char: 'a', type: 'lowercase', spoken: 'lowercase Alfa' },
+      { char: 'Z', type: 'uppercase', spoken: 'UPPERCASE ZULU' },
+      { char: '9', type: 'digit', spoken: 'Nine' },
+      { char: '#', type: 'symbol', spoken: 'Hash' },
+    ]);
+  });
+
+  it('names every default symbol', () => {
+    [...CHAR_SETS.symbols].forEach(symbol => expect(describeCharacter(symbol).type).toBe('symbol'));
+  });
+
+  it('reads other characters by code point and keeps graphemes together', () => {
+    expect(spellOut('ä')).toEqual([{ char: 'ä', type: 'other', spoken: 'Character U+00E4' }]);
+    expect(spellOut('é')).toEqual([{ char: 'é', type: 'other', spoken: 'Character U+0065 U+0301' }]);
+  });
+});
@@ -0,0 +1,225 @@
+import { GeneratorError } from './errors.js';
+import { getRandomCryptoInt } from './random.js';
+
+// --- PIN Generation ---
+// Numeric PINs and one-off codes, optionally rejecting patterns people (and attackers) guess
+// first. Rejection sampling keeps the result uniform over the PINs that remain.
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 20;
+
+// Give up after this many rejected candidates instead of looping forever.
+const MAX_PIN_ATTEMPTS = 10000;
+
+// Ascending or descending runs of this many digits (e.g. "2345", "8765") are rejected.
+const SEQUENTIAL_RUN_LENGTH = 4;
+
+// Longest PIN length for which the keyspace is counted by exhaustive enumeration.
+const MAX_ENUMERATED_LENGTH = 5;
+
+// Most common PINs in published leak analyses, plus keypad patterns (columns, diagonals, "LOVE").
+export const COMMON_PINS = Object.freeze([
+  '1234', '1111', '0000', '1212', '7777', '1004', '2000', '4444', '2222', '6969',
+  '9999', '3333', '5555', '6666', '1122', '1313', '8888', '4321', '2001', '1010',
+  '2580', '0852', '1470', '7410', '3690', '0963', '1357', '2468', '1379', '3179',
+  '1590', '7531', '8520', '5683', '0007', '1230', '0123', '9876', '1112', '1998',
+  '123456', '654321', '111111', '000000', '123123', '666666', '121212', '112233', '789456', '159753',
+  '147258', '123321', '696969', '777777', '555555', '999999', '222222', '333333', '444444', '888888',
+  '131313', '520520', '101010', '112358', '159357', '147852', '963852', '741852', '258456', '123654',
+]);
+
+// Date layouts checked for each PIN length. YY = any two-digit year, YYYY = 1900-2099.
+const DATE_FORMATS = Object.freeze({
+  4: ['MMDD', 'DDMM', 'YYYY'],
+  6: ['DDMMYY', 'MMDDYY', 'YYMMDD'],
+  8: ['DDMMYYYY', 'MMDDYYYY', 'YYYYMMDD'],
+});
+
+// Days per month, allowing February 29th (birthdays and anniversaries can fall on it).
+const DAYS_IN_MONTH = Object.freeze([31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]);
+
+/**
+ * Checks whether a PIN reads as a date in the given layout.
+ * @param {string} pin - The PIN.
+ * @param {string} format - A layout made of DD, MM, YY and YYYY.
+ * @returns {boolean} - True if every field is a valid date component.
+ */
+const matchesDateFormat = (pin, format) => {
+  const field = (token) => {
+    const index = format.indexOf(token);
+    return index === -1 ? null : parseInt(pin.slice(index, index + token.length), 10);
+  };
+  const year = format.includes('YYYY') ? field('YYYY') : null;
+  if (year !== null && (year < 1900 || year > 2099)) return false;
+  const month = field('MM');
+  const day = field('DD');
+  if (month === null) return true; // Bare year
+  return month >= 1 && month <= 12 && day >= 1 && day <= DAYS_IN_MONTH[month - 1];
+};
+
+/**
+ * Returns the smallest block length whose repetition forms the PIN (e.g. 2 for "1212").
+ * @param {string} pin - The PIN.
+ * @returns {number} - The period; equals pin.length if the PIN is not a repetition.
+ */
+const getRepetitionPeriod = (pin) => {
+  for (let period = 1; period < pin.length; period++) {
+    if (pin.length % period === 0 && pin.slice(period) === pin.slice(0, -period)) return period;
+  }
+  return pin.length;
+};
+
+/**
+ * Finds the first weak pattern in a PIN.
+ * @param {string} pin - The PIN (digits only).
+ * @returns {string|null} - A short description of the weakness, or null if none was found.
+ */
+export const findWeakPinPattern = (pin) => {
+  if (COMMON_PINS.includes(pin)) return 'is on the common PIN list';
+
+  const period = getRepetitionPeriod(pin);
+  if (period < pin.length) return `repeats "${pin.slice(0, period)}"`;
+
+  let ascending = 1;
+  let descending = 1;
+  for (let i = 1; i < pin.length; i++) {
+    const step = pin.charCodeAt(i) - pin.charCodeAt(i - 1);
+    ascending = step === 1 ? ascending + 1 : 1;
+    descending = step === -1 ? descending + 1 : 1;
+    if (ascending >= SEQUENTIAL_RUN_LENGTH || descending >= SEQUENTIAL_RUN_LENGTH) {
+      return `contains the sequence "${pin.slice(i - SEQUENTIAL_RUN_LENGTH + 1, i + 1)}"`;
+    }
+  }
+
+  const format = (DATE_FORMATS[pin.length] || []).find(candidate => matchesDateFormat(pin, candidate));
+  if (format) return `looks like a date (${format})`;
+
+  return null;
+};
+
+/**
+ * Validates a PIN length.
+ * @param {number} length - Requested length.
+ * @throws {GeneratorError} - If the length is outside PIN_MIN_LENGTH..PIN_MAX_LENGTH.
+ */
+const validatePinLength = (length) => {
+  if (!Number.isInteger(length) || length < PIN_MIN_LENGTH || length > PIN_MAX_LENGTH) {
+    throw new GeneratorError(`PIN length must be between ${PIN_MIN_LENGTH} and ${PIN_MAX_LENGTH} digits.`);
+  }
+};
+
+/**
+ * Generates a random numeric PIN.
+ * @param {object} options - Generation options.
+ * @param {number} [options.length=6] - Number of digits (PIN_MIN_LENGTH..PIN_MAX_LENGTH).
+ * @param {boolean} [options.rejectWeak=true] - Re-draw PINs with a weak pattern.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {string} - The generated PIN.
+ * @throws {GeneratorError} - If the length is invalid.
+ */
+export const generatePin = (options = {}, randomInt = getRandomCryptoInt) => {
+  const { length = 6, rejectWeak = true } = options;
+  validatePinLength(length);
+
+  for (let attempt = 0; attempt < MAX_PIN_ATTEMPTS; attempt++) {
+    let pin = '';
+    for (let i = 0; i < length; i++) pin += randomInt(10);
+    if (!rejectWeak || findWeakPinPattern(pin) === null) return pin;
+  }
+  throw new GeneratorError(`Could not find a PIN without weak patterns after ${MAX_PIN_ATTEMPTS} attempts.`);
+};
+
+/**
+ * Counts strings of `length` digits that contain an ascending or descending run of
+ * SEQUENTIAL_RUN_LENGTH, by dynamic programming over (last digit, run lengths).
+ * @param {number} length - PIN length.
+ * @returns {bigint} - The number of PINs with a sequential run.
+ */
+const countSequentialPins = (length) => {
+  const maxRun = SEQUENTIAL_RUN_LENGTH - 1;
+  // state key: digit * 100 + ascending * 10 + descending, for PINs without a forbidden run so far
+  let states = new Map();
+  for (let digit = 0; digit <= 9; digit++) states.set(digit * 100 + 11, 1n);
+  for (let position = 1; position < length; position++) {
+    const next = new Map();
+    states.forEach((count, key) => {
+      const digit = Math.floor(key / 100);
+      const ascending = Math.floor(key / 10) % 10;
+      const descending = key % 10;
+      for (let nextDigit = 0; nextDigit <= 9; nextDigit++) {
+        const nextAscending = nextDigit === digit + 1 ? ascending + 1 : 1;
+        const nextDescending = nextDigit === digit - 1 ? descending + 1 : 1;
+        if (nextAscending > maxRun || nextDescending > maxRun) continue;
+        const nextKey = nextDigit * 100 + nextAscending * 10 + nextDescending;
+        next.set(nextKey, (next.get(nextKey) || 0n) + count);
+      }
+    });
+    states = next;
+  }
+  let withoutRun = 0n;
+  states.forEach(count => { withoutRun += count; });
+  return 10n ** BigInt(length) - withoutRun;
+};
+
+/**
+ * Counts digit strings of `length` that are a repetition of a shorter block (e.g. "123123"),
+ * as 10^length minus the primitive strings given by Möbius inversion.
+ * @param {number} length - PIN length.
+ * @returns {bigint} - The number of repeated-block PINs.
+ */
+const countRepeatedPins = (length) => {
+  const mobius = (n) => {
+    let result = 1;
+    for (let p = 2, rest = n; p <= rest; p++) {
+      if (rest % p !== 0) continue;
+      rest /= p;
+      if (rest % p === 0) return 0;
+      result = -result;
+    }
+    return result;
+  };
+  let primitive = 0n;
+  for (let divisor = 1; divisor <= length; divisor++) {
+    if (length % divisor === 0) primitive += BigInt(mobius(length / divisor)) * 10n ** BigInt(divisor);
+  }
+  return 10n ** BigInt(length) - primitive;
+};
+
+// Keyspace results by PIN length, since exhaustive enumeration is comparatively slow.
+const keyspaceCache = new Map();
+
+/**
+ * Calculates how many PINs remain possible after weak-pattern rejection.
+ * Short PINs are enumerated exhaustively, giving an exact count. For longer PINs the weak
+ * patterns are subtracted separately (exact run counts, dates and the blocklist), which can
+ * double-count overlaps, so the result is a lower bound.
+ * @param {number} length - PIN length.
+ * @param {boolean} [rejectWeak=true] - Whether weak patterns are rejected.
+ * @returns {{keyspace: bigint, exact: boolean}} - Remaining PINs and whether the count is exact.
+ */
+export const countPinKeyspace = (length, rejectWeak = true) => {
+  const total = 10n ** BigInt(length);
+  if (!rejectWeak) return { keyspace: total, exact: true };
+
+  if (!keyspaceCache.has(length)) {
+    if (length <= MAX_ENUMERATED_LENGTH) {
+      let keyspace = 0n;
+      const limit = 10 ** length;
+      for (let value = 0; value < limit; value++) {
+        if (findWeakPinPattern(String(value).padStart(length, '0')) === null) keyspace++;
+      }
+      keyspaceCache.set(length, { keyspace, exact: true });
+    } else {
+      // Every layout above the enumeration limit is a full date: years × days in a (leap) year
+      const daysPerYear = DAYS_IN_MONTH.reduce((sum, days) => sum + days, 0);
+      const dates = (DATE_FORMATS[length] || []).reduce(
+        (sum, format) => sum + BigInt((format.includes('YYYY') ? 200 : 100) * daysPerYear),
+        0n,
+      );
+      const common = BigInt(COMMON_PINS.filter(pin => pin.length === length).length);
+      const weak = countSequentialPins(length) + countRepeatedPins(length) + dates + common;
+      keyspaceCache.set(length, { keyspace: total - weak, exact: false });
+    }
+  }
+  return keyspaceCache.get(length);
+};
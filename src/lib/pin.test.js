@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { calculatePinEntropy } from './entropy.js';
+import { GeneratorError } from './errors.js';
+import { countPinKeyspace, findWeakPinPattern, generatePin } from './pin.js';
+import { createSeededRandomInt } from './random.js';
+
+describe('findWeakPinPattern', () => {
+  it('flags common PINs, repetitions and sequences', () => {
+    expect(findWeakPinPattern('2580')).toBe('is on the common PIN list');
+    expect(findWeakPinPattern('7373')).toBe('repeats "73"');
+    expect(findWeakPinPattern('9999999')).toBe('repeats "9"');
+    expect(findWeakPinPattern('904567')).toBe('contains the sequence "4567"');
+    expect(findWeakPinPattern('18765')).toBe('contains the sequence "8765"');
+  });
+
+  it('flags dates for 4, 6 and 8 digit PINs', () => {
+    expect(findWeakPinPattern('0229')).toBe('looks like a date (MMDD)');
+    expect(findWeakPinPattern('3112')).toBe('looks like a date (DDMM)');
+    expect(findWeakPinPattern('1987')).toBe('looks like a date (YYYY)');
+    expect(findWeakPinPattern('250399')).toBe('looks like a date (DDMMYY)');
+    expect(findWeakPinPattern('19870704')).toBe('looks like a date (YYYYMMDD)');
+  });
+
+  it('accepts PINs without a weak pattern', () => {
+    ['4829', '3871', '730496', '58203917', '93847261058374920165'].forEach(pin => {
+      expect(findWeakPinPattern(pin)).toBeNull();
+    });
+  });
+});
+
+describe('generatePin', () => {
+  it('produces digits of the requested length without weak patterns', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const pin = generatePin({ length: 4 }, createSeededRandomInt(seed));
+      expect(pin).toMatch(/^\d{4}$/);
+      expect(findWeakPinPattern(pin)).toBeNull();
+    }
+  });
+
+  it('can skip weak-pattern rejection', () => {
+    const alwaysZero = () => 0;
+    expect(generatePin({ length: 4, rejectWeak: false }, alwaysZero)).toBe('0000');
+    expect(() => generatePin({ length: 4 }, alwaysZero)).toThrow('Could not find a PIN without weak patterns');
+  });
+
+  it('rejects lengths outside 4-20', () => {
+    expect(() => generatePin({ length: 3 })).toThrow(GeneratorError);
+    expect(() => generatePin({ length: 21 })).toThrow('PIN length must be between 4 and 20 digits.');
+  });
+});
+
+describe('countPinKeyspace', () => {
+  it('counts short PINs exactly', () => {
+    const { keyspace, exact } = countPinKeyspace(4);
+    expect(exact).toBe(true);
+    let expected = 0n;
+    for (let value = 0; value < 10000; value++) {
+      if (findWeakPinPattern(String(value).padStart(4, '0')) === null) expected++;
+    }
+    expect(keyspace).toBe(expected);
+  });
+
+  it('gives a lower bound for long PINs', () => {
+    const { keyspace, exact } = countPinKeyspace(8);
+    expect(exact).toBe(false);
+    expect(keyspace).toBeLessThan(10n ** 8n);
+    expect(keyspace).toBeGreaterThan(9n * 10n ** 7n);
+  });
+
+  it('returns the full keyspace when nothing is rejected', () => {
+    expect(countPinKeyspace(12, false)).toEqual({ keyspace: 10n ** 12n, exact: true });
+    expect(calculatePinEntropy({ length: 4, rejectWeak: false })).toBeCloseTo(4 * Math.log2(10), 10);
+  });
+});
@@ -0,0 +1,255 @@
+import { GeneratorError } from './errors.js';
+import { getRandomBigInt, getRandomCryptoInt, shuffleArray } from './random.js';
+
+// --- Password Policy Engine ---
+// Declarative constraints for random passwords. Minimum class counts are satisfied exactly:
+// a class composition is drawn with probability proportional to the number of passwords that
+// have it, so every password meeting the minimums is equally likely. The remaining constraints
+// (repeats, sequences, first character, forbidden substrings) are enforced by uniform rejection
+// sampling, which keeps the result uniform over all passwords that satisfy the whole policy.
+
+// Give up after this many rejected candidates instead of looping forever.
+export const MAX_POLICY_ATTEMPTS = 10000;
+
+// Policy with every constraint switched off.
+export const DEFAULT_POLICY = Object.freeze({
+  minCounts: Object.freeze({ lowercase: 0, uppercase: 0, numbers: 0, symbols: 0 }),
+  maxConsecutive: 0, // 0 means unlimited identical characters in a row
+  noSequential: false, // Reject ascending/descending runs of three such as "abc", "321"
+  startWithLetter: false,
+  forbiddenSubstrings: Object.freeze([]),
+});
+
+// Length of a run that counts as "sequential".
+const SEQUENTIAL_RUN_LENGTH = 3;
+
+// Ordered alphabets in which sequential runs are detected (case-insensitive for letters).
+const SEQUENCES = Object.freeze(['abcdefghijklmnopqrstuvwxyz', '0123456789']);
+
+/**
+ * Fills in missing policy fields with their defaults.
+ * @param {object} [policy] - A partial policy.
+ * @returns {object} - A complete policy.
+ */
+export const normalizePolicy = (policy = {}) => ({
+  ...DEFAULT_POLICY,
+  ...policy,
+  minCounts: { ...DEFAULT_POLICY.minCounts, ...policy.minCounts },
+  forbiddenSubstrings: (policy.forbiddenSubstrings ?? []).filter(substring => substring.length > 0),
+});
+
+/**
+ * Rebuilds a policy from untrusted data (a stored profile, an imported file or a shared link).
+ * Minimum counts and the repeat limit must be non-negative integers and are capped at maxCount,
+ * forbidden substrings must be non-empty strings and the switches booleans; anything else gets
+ * its default and unknown fields are dropped, so no stored policy can crash the entropy estimate.
+ * @param {*} policy - The stored policy.
+ * @param {number} maxCount - Largest accepted count: the longest password length.
+ * @returns {object} - A complete policy.
+ */
+export const sanitizePolicy = (policy, maxCount) => {
+  const source = typeof policy === 'object' && policy !== null && !Array.isArray(policy) ? policy : {};
+  const readCount = (value, fallback) => (Number.isInteger(value) && value >= 0 ? Math.min(value, maxCount) : fallback);
+  const readSwitch = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+  return {
+    minCounts: Object.fromEntries(Object.entries(DEFAULT_POLICY.minCounts).map(
+      ([name, fallback]) => [name, readCount(source.minCounts?.[name], fallback)],
+    )),
+    maxConsecutive: readCount(source.maxConsecutive, DEFAULT_POLICY.maxConsecutive),
+    noSequential: readSwitch(source.noSequential, DEFAULT_POLICY.noSequential),
+    startWithLetter: readSwitch(source.startWithLetter, DEFAULT_POLICY.startWithLetter),
+    forbiddenSubstrings: Array.isArray(source.forbiddenSubstrings)
+      ? source.forbiddenSubstrings.filter(substring => typeof substring === 'string' && substring.length > 0)
+      : [],
+  };
+};
+
+/**
+ * Computes the minimum count for each active class: the policy minimum, but never less than
+ * one, since the random generator always guarantees one character of each selected class.
+ * @param {Array<{name: string, chars: string[]}>} charClasses - The active character classes.
+ * @param {object} policy - A normalized policy.
+ * @returns {number[]} - Minimum counts, in the order of charClasses.
+ */
+export const getEffectiveMinCounts = (charClasses, policy) =>
+  charClasses.map(({ name }) => Math.max(1, policy.minCounts[name] ?? 0));
+
+/**
+ * Rejects policies that no password can satisfy, with a message explaining why.
+ * @param {Array<{name: string, chars: string[]}>} charClasses - The active character classes.
+ * @param {number} length - Password length.
+ * @param {object} policy - A normalized policy.
+ * @throws {GeneratorError} - If the policy is impossible.
+ */
+export const validatePolicy = (charClasses, length, policy) => {
+  const activeNames = charClasses.map(({ name }) => name);
+  Object.entries(policy.minCounts).forEach(([name, count]) => {
+    if (count > 0 && !activeNames.includes(name)) {
+      throw new GeneratorError(`The policy requires at least ${count} ${name} character(s), but ${name} characters are not selected.`);
+    }
+  });
+
+  const minTotal = getEffectiveMinCounts(charClasses, policy).reduce((sum, count) => sum + count, 0);
+  if (minTotal > length) {
+    throw new GeneratorError(`The minimum character counts add up to ${minTotal}, which is more than the password length of ${length}.`);
+  }
+
+  if (policy.startWithLetter && !activeNames.some(name => name === 'lowercase' || name === 'uppercase')) {
+    throw new GeneratorError('The policy requires the password to start with a letter, but no letters are selected.');
+  }
+
+  const poolSize = charClasses.reduce((sum, { chars }) => sum + chars.length, 0);
+  if (policy.maxConsecutive > 0 && poolSize === 1 && length > policy.maxConsecutive) {
+    throw new GeneratorError(`Only one character is available, so a password of length ${length} must repeat it more than ${policy.maxConsecutive} time(s) in a row.`);
+  }
+};
+
+/**
+ * Builds the counting table used for exact class-composition sampling.
+ * counts[i][n] is the number of strings of length n over classes i..k-1 that contain at least
+ * the minimum count of each of those classes.
+ * @param {number[]} classSizes - Number of characters in each class.
+ * @param {number[]} minCounts - Minimum count for each class.
+ * @param {number} length - Password length.
+ * @returns {{counts: bigint[][], binomials: bigint[][]}} - The counting table and binomial coefficients.
+ */
+const buildCompositionTable = (classSizes, minCounts, length) => {
+  // Binomial coefficients C(n, c) for n <= length
+  const binomials = [[1n]];
+  for (let n = 1; n <= length; n++) {
+    binomials[n] = [1n];
+    for (let c = 1; c < n; c++) binomials[n][c] = binomials[n - 1][c - 1] + binomials[n - 1][c];
+    binomials[n][n] = 1n;
+  }
+
+  const classCount = classSizes.length;
+  const counts = Array.from({ length: classCount + 1 }, () => new Array(length + 1).fill(0n));
+  counts[classCount][0] = 1n;
+  for (let i = classCount - 1; i >= 0; i--) {
+    const size = BigInt(classSizes[i]);
+    for (let n = 0; n <= length; n++) {
+      let total = 0n;
+      for (let c = minCounts[i]; c <= n; c++) {
+        total += binomials[n][c] * size ** BigInt(c) * counts[i + 1][n - c];
+      }
+      counts[i][n] = total;
+    }
+  }
+  return { counts, binomials };
+};
+
+/**
+ * Counts the passwords of the given length that meet every class minimum.
+ * @param {Array<{name: string, chars: string[]}>} charClasses - The active character classes.
+ * @param {number} length - Password length.
+ * @param {object} policy - A normalized policy.
+ * @returns {bigint} - The number of such passwords.
+ */
+export const countPolicyPasswords = (charClasses, length, policy) => {
+  const { counts } = buildCompositionTable(
+    charClasses.map(({ chars }) => chars.length),
+    getEffectiveMinCounts(charClasses, policy),
+    length,
+  );
+  return counts[0][length];
+};
+
+/**
+ * Draws a password uniformly among all strings that meet the class minimums.
+ * @param {Array<{name: string, chars: string[]}>} charClasses - The active character classes.
+ * @param {{counts: bigint[][], binomials: bigint[][]}} table - Result of buildCompositionTable.
+ * @param {number[]} minCounts - Minimum count for each class.
+ * @param {number} length - Password length.
+ * @param {function(number): number} randomInt - Random source.
+ * @returns {string} - The candidate password.
+ */
+const sampleComposition = (charClasses, { counts, binomials }, minCounts, length, randomInt) => {
+  const classIndexes = [];
+  let remaining = length;
+  charClasses.forEach(({ chars }, i) => {
+    // Choose how many characters this class gets, weighted by the number of completions
+    const size = BigInt(chars.length);
+    let target = getRandomBigInt(counts[i][remaining], randomInt);
+    let count = minCounts[i];
+    for (; count <= remaining; count++) {
+      const weight = binomials[remaining][count] * size ** BigInt(count) * counts[i + 1][remaining - count];
+      if (target < weight) break;
+      target -= weight;
+    }
+    for (let c = 0; c < count; c++) classIndexes.push(i);
+    remaining -= count;
+  });
+
+  // A uniform shuffle of the class slots gives every arrangement of this composition equal weight
+  return shuffleArray(classIndexes, randomInt)
+    .map(classIndex => {
+      const { chars } = charClasses[classIndex];
+      return chars[randomInt(chars.length)];
+    })
+    .join('');
+};
+
+/**
+ * Finds the first rejection-sampled constraint that a password violates.
+ * Class minimums are not checked here; they are guaranteed by construction.
+ * @param {string} password - The candidate password.
+ * @param {object} policy - A normalized policy.
+ * @returns {string|null} - A short description of the violation, or null if none.
+ */
+export const findPolicyViolation = (password, policy) => {
+  const chars = [...password];
+
+  if (policy.startWithLetter && !/^[a-z]/i.test(password)) {
+    return 'does not start with a letter';
+  }
+
+  if (policy.maxConsecutive > 0) {
+    let run = 1;
+    for (let i = 1; i < chars.length; i++) {
+      run = chars[i] === chars[i - 1] ? run + 1 : 1;
+      if (run > policy.maxConsecutive) return `repeats "${chars[i]}" more than ${policy.maxConsecutive} time(s) in a row`;
+    }
+  }
+
+  if (policy.noSequential) {
+    const lower = password.toLowerCase();
+    for (const sequence of SEQUENCES) {
+      const reversed = [...sequence].reverse().join('');
+      for (let i = 0; i + SEQUENTIAL_RUN_LENGTH <= sequence.length; i++) {
+        const run = sequence.slice(i, i + SEQUENTIAL_RUN_LENGTH);
+        const reversedRun = reversed.slice(i, i + SEQUENTIAL_RUN_LENGTH);
+        if (lower.includes(run)) return `contains the sequence "${run}"`;
+        if (lower.includes(reversedRun)) return `contains the sequence "${reversedRun}"`;
+      }
+    }
+  }
+
+  const lowerPassword = password.toLowerCase();
+  const forbidden = policy.forbiddenSubstrings.find(substring => lowerPassword.includes(substring.toLowerCase()));
+  if (forbidden) return `contains the forbidden substring "${forbidden}"`;
+
+  return null;
+};
+
+/**
+ * Generates a password that satisfies a policy, uniformly among all passwords that do.
+ * @param {Array<{name: string, chars: string[]}>} charClasses - The active character classes.
+ * @param {number} length - Password length.
+ * @param {object} policy - A (possibly partial) policy.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {string} - The generated password.
+ * @throws {GeneratorError} - If the policy is impossible or too strict to satisfy in practice.
+ */
+export const generatePolicyPassword = (charClasses, length, policy, randomInt = getRandomCryptoInt) => {
+  const normalized = normalizePolicy(policy);
+  validatePolicy(charClasses, length, normalized);
+
+  const minCounts = getEffectiveMinCounts(charClasses, normalized);
+  const table = buildCompositionTable(charClasses.map(({ chars }) => chars.length), minCounts, length);
+
+  for (let attempt = 0; attempt < MAX_POLICY_ATTEMPTS; attempt++) {
+    const candidate = sampleComposition(charClasses, table, minCounts, length, randomInt);
+    if (findPolicyViolation(candidate, normalized) === null) return candidate;
+  }
+  throw new GeneratorError(`Could not satisfy the password policy after ${MAX_POLICY_ATTEMPTS} attempts. The constraints are too strict for this length and character set.`);
+};
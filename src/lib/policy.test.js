@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import { calculateRandomEntropy } from './entropy.js';
+import { GeneratorError, generateRandom, getActiveCharClasses } from './generators.js';
+import { countPolicyPasswords, findPolicyViolation, generatePolicyPassword, normalizePolicy } from './policy.js';
+import { createSeededRandomInt } from './random.js';
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+describe('generateRandom with a policy', () => {
+  it('meets minimum counts for every class', () => {
+    const policy = { minCounts: { uppercase: 3, numbers: 4, symbols: 2 } };
+    for (let seed = 0; seed < 50; seed++) {
+      const password = generateRandom({ length: 12, policy }, createSeededRandomInt(seed));
+      expect(password).toHaveLength(12);
+      expect(countMatches(password, /[A-Z]/g)).toBeGreaterThanOrEqual(3);
+      expect(countMatches(password, /[0-9]/g)).toBeGreaterThanOrEqual(4);
+      expect(countMatches(password, /[a-z]/g)).toBeGreaterThanOrEqual(1);
+    }
+  });
+
+  it('handles minimums that fill the whole password', () => {
+    const password = generateRandom(
+      { length: 6, uppercase: false, symbols: false, policy: { minCounts: { lowercase: 3, numbers: 3 } } },
+      createSeededRandomInt(4),
+    );
+    expect(countMatches(password, /[a-z]/g)).toBe(3);
+    expect(countMatches(password, /[0-9]/g)).toBe(3);
+  });
+
+  it('enforces repeats, sequences, first letter and forbidden substrings', () => {
+    const policy = { maxConsecutive: 1, noSequential: true, startWithLetter: true, forbiddenSubstrings: ['a', 'Z'] };
+    for (let seed = 0; seed < 50; seed++) {
+      const password = generateRandom({ length: 20, symbols: false, policy }, createSeededRandomInt(seed));
+      expect(findPolicyViolation(password, normalizePolicy(policy))).toBeNull();
+      expect(password).not.toMatch(/[aAzZ]/);
+    }
+  });
+
+  it('explains impossible minimum counts instead of looping', () => {
+    const options = { length: 8, policy: { minCounts: { lowercase: 5, numbers: 5 } } };
+    expect(() => generateRandom(options)).toThrow(GeneratorError);
+    expect(() => generateRandom(options)).toThrow('add up to 12, which is more than the password length of 8');
+  });
+
+  it('rejects minimums for unselected classes and letter-less start requirements', () => {
+    expect(() => generateRandom({ symbols: false, policy: { minCounts: { symbols: 1 } } })).toThrow('symbols characters are not selected');
+    expect(() => generateRandom({ lowercase: false, uppercase: false, policy: { startWithLetter: true } })).toThrow('no letters are selected');
+  });
+
+  it('gives up with an error when rejection sampling cannot succeed', () => {
+    const options = { length: 4, uppercase: false, numbers: false, symbols: false, policy: { forbiddenSubstrings: [...'abcdefghijklmnopqrstuvwxyz'] } };
+    expect(() => generateRandom(options, createSeededRandomInt(1))).toThrow('Could not satisfy the password policy');
+  });
+});
+
+describe('policy sampling distribution', () => {
+  it('is uniform over all passwords meeting the minimums', () => {
+    const charClasses = [{ name: 'lowercase', chars: ['a', 'b'] }, { name: 'numbers', chars: ['0', '1'] }];
+    const policy = normalizePolicy({ minCounts: { lowercase: 2, numbers: 0 } });
+    // Length 3 over {a, b} and {0, 1} with at least two letters and (per-class guarantee) one digit:
+    // C(3, 2) * 2^2 * 2 = 24 passwords
+    expect(countPolicyPasswords(charClasses, 3, policy)).toBe(24n);
+
+    const randomInt = createSeededRandomInt(11);
+    const seen = new Map();
+    const samples = 24000;
+    for (let i = 0; i < samples; i++) {
+      const password = generatePolicyPassword(charClasses, 3, policy, randomInt);
+      seen.set(password, (seen.get(password) || 0) + 1);
+    }
+    expect(seen.size).toBe(24);
+    seen.forEach(count => {
+      expect(count).toBeGreaterThan(800);
+      expect(count).toBeLessThan(1200);
+    });
+  });
+});
+
+describe('findPolicyViolation', () => {
+  const policy = normalizePolicy({ maxConsecutive: 2, noSequential: true });
+
+  it('detects runs and sequences in either direction', () => {
+    expect(findPolicyViolation('xaaay', policy)).toMatch(/repeats "a"/);
+    expect(findPolicyViolation('x9AbC', policy)).toBe('contains the sequence "abc"');
+    expect(findPolicyViolation('q321q', policy)).toBe('contains the sequence "321"');
+    expect(findPolicyViolation('aab-acd', policy)).toBeNull();
+  });
+});
+
+describe('calculateRandomEntropy with a policy', () => {
+  it('matches the unconstrained estimate when the policy only restates the defaults', () => {
+    expect(calculateRandomEntropy({ length: 16, policy: {} })).toBeCloseTo(calculateRandomEntropy({ length: 16 }), 10);
+  });
+
+  it('shrinks as minimum counts grow', () => {
+    const count = countPolicyPasswords(getActiveCharClasses({}), 16, normalizePolicy({ minCounts: { symbols: 8 } }));
+    expect(calculateRandomEntropy({ length: 16, policy: { minCounts: { symbols: 8 } } })).toBeLessThan(calculateRandomEntropy({ length: 16 }));
+    expect(count > 0n).toBe(true);
+  });
+});
@@ -0,0 +1,537 @@
+import { CHAR_SETS, SEPARATORS } from './constants.js';
+import { DERIVED_STYLES } from './derived.js';
+import { ProfileError } from './errors.js';
+import { CAPITALIZATION_STRATEGIES } from './generators.js';
+import { PIN_MAX_LENGTH, PIN_MIN_LENGTH } from './pin.js';
+import { DEFAULT_POLICY, normalizePolicy, sanitizePolicy } from './policy.js';
+import { TOKEN_ENCODINGS, TOKEN_MAX_BYTES, TOKEN_MIN_BYTES, TOKEN_SIZE_UNITS, getTokenByteLength } from './token.js';
+import { CASING_LOCALES } from './unicode.js';
+import { BUILT_IN_WORD_LISTS, DEFAULT_WORD_FILTERS, MAX_WORD_LENGTH, MIN_WORD_LENGTH, NO_BUILT_IN_LIST } from './wordList.js';
+
+// --- Settings Profiles ---
+// A profile is a named snapshot of the generator mode and the options of every mode. Profiles
+// live in localStorage under one key and can be exported to (and imported from) a versioned JSON
+// file, so a team can share the same presets.
+
+// Bump when the profile file layout changes; parseProfileFile rejects newer files it doesn't know
+// and reads older ones, filling in what they lack with defaults.
+// 1: random (with policy), word chain, pronounceable and PIN sections.
+// 2: token and derived sections; word list filters, library lists, casing locale and
+//    transliteration; capitalization strategies replacing randomCapitalization.
+export const PROFILE_FORMAT_VERSION = 2;
+
+// Identifies exported profile files.
+export const PROFILE_FILE_FORMAT = 'password-generator-profiles';
+
+// localStorage key holding every profile.
+export const PROFILE_STORAGE_KEY = 'settingsProfiles';
+
+// Profile created from the pre-profile settings on first run.
+export const DEFAULT_PROFILE_NAME = 'Default';
+
+// Longest accepted profile name.
+export const MAX_PROFILE_NAME_LENGTH = 60;
+
+// Generator modes a profile can select, each with the settings section holding its options.
+export const MODE_SETTINGS_SECTIONS = Object.freeze({
+  random: 'random',
+  'word-chain': 'wordChain',
+  pronounceable: 'pronounceable',
+  pin: 'pin',
+  token: 'token',
+  derived: 'derived',
+});
+export const GENERATOR_MODES = Object.freeze(Object.keys(MODE_SETTINGS_SECTIONS));
+
+// Every setting with its default. The sections hold the options of each generator component.
+export const DEFAULT_SETTINGS = Object.freeze({
+  mode: 'random',
+  random: Object.freeze({
+    length: 16,
+    lowercase: true,
+    uppercase: true,
+    numbers: true,
+    symbols: true,
+    showCustomAlphabet: false,
+    symbolSet: CHAR_SETS.symbols,
+    excludeChars: '',
+    excludeAmbiguous: false,
+    extraChars: '',
+    enforcePolicy: false,
+    policy: DEFAULT_POLICY,
+  }),
+  wordChain: Object.freeze({
+    wordCount: 4,
+    wordList: 'default',
+    diceEntry: false,
+    customWordListInput: '',
+    enabledWordLists: Object.freeze([]), // Ids of the word list library entries in use
+    separator: 'hyphen',
+    capitalization: 'none', // A key of CAPITALIZATION_STRATEGIES
+    numbersBetweenWords: false,
+    symbolsBetweenWords: false,
+    locale: '', // Casing locale, see CASING_LOCALES
+    transliterate: false,
+    ...DEFAULT_WORD_FILTERS,
+  }),
+  pronounceable: Object.freeze({
+    length: 12,
+    includeDigits: true,
+    capitalize: false,
+  }),
+  pin: Object.freeze({
+    length: 6,
+    rejectWeak: true,
+  }),
+  token: Object.freeze({
+    encoding: 'base64url', // A key of TOKEN_ENCODINGS
+    sizeUnit: 'bytes', // A key of TOKEN_SIZE_UNITS
+    size: 32,
+    padding: false,
+    prefix: '',
+    checksum: false,
+  }),
+  // Derived passwords reuse the random and word chain options; the inputs are never saved
+  derived: Object.freeze({
+    style: 'random',
+  }),
+});
+
+// Allowed range of each numeric setting, matching its control. Stored, imported and linked values
+// outside it are clamped; token sizes are given in bytes and scaled for the "bits" unit.
+export const SETTING_RANGES = Object.freeze({
+  random: Object.freeze({ length: Object.freeze({ min: 1, max: 64 }) }),
+  wordChain: Object.freeze({
+    wordCount: Object.freeze({ min: 1, max: 64 }),
+    minWordLength: Object.freeze({ min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH }),
+    maxWordLength: Object.freeze({ min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH }),
+  }),
+  pronounceable: Object.freeze({ length: Object.freeze({ min: 4, max: 64 }) }),
+  pin: Object.freeze({ length: Object.freeze({ min: PIN_MIN_LENGTH, max: PIN_MAX_LENGTH }) }),
+  token: Object.freeze({ size: Object.freeze({ min: TOKEN_MIN_BYTES, max: TOKEN_MAX_BYTES }) }),
+});
+
+// Presets added next to the migrated default profile on first run.
+export const STARTER_PROFILES = Object.freeze([
+  {
+    name: 'AWS IAM',
+    // Meets the strictest IAM password policy, using only the symbols IAM accepts
+    settings: { mode: 'random', random: { length: 20, showCustomAlphabet: true, symbolSet: '!@#$%^&*()_+-=[]{}|\'' } },
+  },
+  {
+    name: 'Legacy mainframe (8 chars, no symbols)',
+    settings: { mode: 'random', random: { length: 8, symbols: false } },
+  },
+  {
+    name: 'Wi-Fi passphrase',
+    settings: { mode: 'word-chain', wordChain: { wordCount: 5, wordList: 'eff-large', separator: 'hyphen' } },
+  },
+]);
+
+// Settings stored under their own localStorage keys before profiles existed:
+// [storage key, settings section (null for top level), field, stored value type].
+const LEGACY_SETTING_KEYS = Object.freeze([
+  ['passwordGeneratorMode', null, 'mode', 'string'],
+  ['randomPasswordLength', 'random', 'length', 'number'],
+  ['includeLowercase', 'random', 'lowercase', 'boolean'],
+  ['includeUppercase', 'random', 'uppercase', 'boolean'],
+  ['includeNumbers', 'random', 'numbers', 'boolean'],
+  ['includeSymbols', 'random', 'symbols', 'boolean'],
+  ['showCustomAlphabet', 'random', 'showCustomAlphabet', 'boolean'],
+  ['customSymbolSet', 'random', 'symbolSet', 'string'],
+  ['excludeChars', 'random', 'excludeChars', 'string'],
+  ['excludeAmbiguous', 'random', 'excludeAmbiguous', 'boolean'],
+  ['extraChars', 'random', 'extraChars', 'string'],
+  ['enforcePasswordPolicy', 'random', 'enforcePolicy', 'boolean'],
+  ['randomPasswordPolicy', 'random', 'policy', 'json'],
+  ['wordChainWordCount', 'wordChain', 'wordCount', 'number'],
+  ['wordChainWordList', 'wordChain', 'wordList', 'string'],
+  ['wordChainDiceEntry', 'wordChain', 'diceEntry', 'boolean'],
+  ['customWordListInput', 'wordChain', 'customWordListInput', 'string'],
+  ['wordChainSeparatorType', 'wordChain', 'separator', 'string'],
+  ['wordChainRandomCapitalization', 'wordChain', 'randomCapitalization', 'boolean'],
+  ['wordChainIncludeNumbersBetweenWords', 'wordChain', 'numbersBetweenWords', 'boolean'],
+  ['wordChainIncludeSymbolsBetweenWords', 'wordChain', 'symbolsBetweenWords', 'boolean'],
+  ['pronounceableLength', 'pronounceable', 'length', 'number'],
+  ['pronounceableIncludeDigits', 'pronounceable', 'includeDigits', 'boolean'],
+  ['pronounceableCapitalize', 'pronounceable', 'capitalize', 'boolean'],
+  ['pinLength', 'pin', 'length', 'number'],
+  ['pinRejectWeak', 'pin', 'rejectWeak', 'boolean'],
+]);
+
+// The old "use default word list" flag was read from one key but written to the other.
+const LEGACY_DEFAULT_LIST_KEYS = Object.freeze(['useDefaultList', 'useDefaultWordList']);
+
+/**
+ * Limits a number to a range.
+ * @param {number} value - The number.
+ * @param {{min: number, max: number}} range - The range.
+ * @returns {number} - The clamped number.
+ */
+const clampToRange = (value, { min, max }) => Math.min(Math.max(value, min), max);
+
+/**
+ * Fills in missing or mistyped fields of a settings section with their defaults. Numeric fields
+ * must be integers and are clamped to their range, so no stored value can stall or crash a generator.
+ * @param {object} defaults - The section defaults.
+ * @param {object} [values] - The stored section.
+ * @param {object} [ranges={}] - Ranges of the numeric fields (see SETTING_RANGES).
+ * @returns {object} - A complete section.
+ */
+const normalizeSection = (defaults, values, ranges = {}) => Object.fromEntries(
+  Object.entries(defaults).map(([field, fallback]) => {
+    const value = values?.[field];
+    const valid = typeof value === typeof fallback && value !== null && (typeof value !== 'number' || Number.isInteger(value));
+    if (!valid) return [field, fallback];
+    return [field, ranges[field] ? clampToRange(value, ranges[field]) : value];
+  }),
+);
+
+/**
+ * Completes and sanitizes settings, e.g. from an older profile, an imported file or a shared link.
+ * Unknown fields are dropped; missing or invalid ones get their default. The nested password
+ * policy is checked field by field (see sanitizePolicy).
+ * @param {object} [settings] - Partial settings.
+ * @returns {object} - Complete settings with the shape of DEFAULT_SETTINGS.
+ */
+export const normalizeSettings = (settings = {}) => {
+  const random = normalizeSection(DEFAULT_SETTINGS.random, settings.random, SETTING_RANGES.random);
+  const wordChain = normalizeSection(DEFAULT_SETTINGS.wordChain, settings.wordChain, SETTING_RANGES.wordChain);
+  if (wordChain.wordList !== NO_BUILT_IN_LIST && !(wordChain.wordList in BUILT_IN_WORD_LISTS)) {
+    wordChain.wordList = DEFAULT_SETTINGS.wordChain.wordList;
+  }
+  if (wordChain.separator !== 'random' && !(wordChain.separator in SEPARATORS)) {
+    wordChain.separator = DEFAULT_SETTINGS.wordChain.separator;
+  }
+  if (settings.wordChain?.capitalization === undefined && settings.wordChain?.randomCapitalization === true) {
+    // Profiles from before capitalization strategies only had a random capitalization switch
+    wordChain.capitalization = 'random-word';
+  } else if (!(wordChain.capitalization in CAPITALIZATION_STRATEGIES)) {
+    wordChain.capitalization = DEFAULT_SETTINGS.wordChain.capitalization;
+  }
+  if (!CASING_LOCALES.some(({ value }) => value === wordChain.locale)) {
+    wordChain.locale = DEFAULT_SETTINGS.wordChain.locale;
+  }
+  wordChain.enabledWordLists = Array.isArray(wordChain.enabledWordLists)
+    ? wordChain.enabledWordLists.filter(id => typeof id === 'string')
+    : [];
+  const token = normalizeSection(DEFAULT_SETTINGS.token, settings.token);
+  if (!(token.encoding in TOKEN_ENCODINGS)) token.encoding = DEFAULT_SETTINGS.token.encoding;
+  if (!(token.sizeUnit in TOKEN_SIZE_UNITS)) token.sizeUnit = DEFAULT_SETTINGS.token.sizeUnit;
+  const { min, max } = SETTING_RANGES.token.size;
+  const scale = token.sizeUnit === 'bits' ? 8 : 1;
+  token.size = clampToRange(token.size, { min: min * scale, max: max * scale });
+  return {
+    mode: GENERATOR_MODES.includes(settings.mode) ? settings.mode : DEFAULT_SETTINGS.mode,
+    random: { ...random, policy: sanitizePolicy(random.policy, SETTING_RANGES.random.length.max) },
+    wordChain,
+    pronounceable: normalizeSection(DEFAULT_SETTINGS.pronounceable, settings.pronounceable, SETTING_RANGES.pronounceable),
+    pin: normalizeSection(DEFAULT_SETTINGS.pin, settings.pin, SETTING_RANGES.pin),
+    token,
+    derived: { style: settings.derived?.style in DERIVED_STYLES ? settings.derived.style : DEFAULT_SETTINGS.derived.style },
+  };
+};
+
+/**
+ * Converts the random section of a profile into generateRandom options.
+ * @param {object} random - The random settings section.
+ * @returns {object} - Options for generateRandom and calculateRandomEntropy.
+ */
+export const getRandomOptions = (random) => ({
+  length: random.length,
+  lowercase: random.lowercase,
+  uppercase: random.uppercase,
+  numbers: random.numbers,
+  symbols: random.symbols,
+  // The custom alphabet only applies while its section is enabled
+  ...(random.showCustomAlphabet && {
+    symbolSet: random.symbolSet,
+    excludeChars: random.excludeChars,
+    excludeAmbiguous: random.excludeAmbiguous,
+    extraChars: random.extraChars,
+  }),
+  ...(random.enforcePolicy && { policy: normalizePolicy(random.policy) }),
+});
+
+/**
+ * Picks the word list hygiene options out of the wordChain section of a profile.
+ * @param {object} wordChain - The wordChain settings section.
+ * @returns {object} - Options for prepareWordList (see DEFAULT_WORD_FILTERS).
+ */
+export const getWordFilters = (wordChain) =>
+  Object.fromEntries(Object.keys(DEFAULT_WORD_FILTERS).map(field => [field, wordChain[field]]));
+
+/**
+ * Converts the token section of a profile into generateToken options.
+ * @param {object} token - The token settings section.
+ * @returns {object} - Options for generateToken and calculateTokenEntropy.
+ */
+export const getTokenOptions = (token) => ({
+  encoding: token.encoding,
+  bytes: getTokenByteLength(token.size, token.sizeUnit),
+  padding: token.padding,
+  prefix: token.prefix,
+  checksum: token.checksum,
+});
+
+/**
+ * Converts the wordChain section of a profile into generateWordChain options.
+ * @param {object} wordChain - The wordChain settings section.
+ * @param {string[]} words - The prepared word list (see prepareWordList).
+ * @returns {object} - Options for generateWordChain and calculateWordChainEntropy.
+ */
+export const getWordChainOptions = (wordChain, words) => ({
+  wordCount: wordChain.wordCount,
+  words,
+  separator: wordChain.separator,
+  capitalization: wordChain.capitalization,
+  numbersBetweenWords: wordChain.numbersBetweenWords,
+  symbolsBetweenWords: wordChain.symbolsBetweenWords,
+  locale: wordChain.locale,
+  transliterate: wordChain.transliterate,
+});
+
+/**
+ * Reads one pre-profile setting.
+ * @param {Storage} storage - localStorage or a compatible object.
+ * @param {string} key - The storage key.
+ * @param {string} type - 'string', 'number', 'boolean' or 'json'.
+ * @returns {*} - The value, or undefined if it is missing or unreadable.
+ */
+const readLegacySetting = (storage, key, type) => {
+  const raw = storage.getItem(key);
+  if (raw === null) return undefined;
+  if (type === 'number') return parseInt(raw, 10);
+  if (type === 'boolean') return raw === 'true' ? true : raw === 'false' ? false : undefined;
+  if (type === 'json') {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return undefined;
+    }
+  }
+  return raw;
+};
+
+/**
+ * Builds settings from the individual localStorage keys used before profiles existed.
+ * @param {Storage} storage - localStorage or a compatible object.
+ * @returns {object} - Complete settings.
+ */
+export const migrateLegacySettings = (storage) => {
+  const settings = { random: {}, wordChain: {}, pronounceable: {}, pin: {}, token: {}, derived: {} };
+  LEGACY_SETTING_KEYS.forEach(([key, section, field, type]) => {
+    const value = readLegacySetting(storage, key, type);
+    if (value === undefined) return;
+    if (section) settings[section][field] = value;
+    else settings[field] = value;
+  });
+
+  // Before the word list picker, the only choice was whether to include the default list
+  if (settings.wordChain.wordList === undefined) {
+    const useDefaultList = LEGACY_DEFAULT_LIST_KEYS
+      .map(key => readLegacySetting(storage, key, 'boolean'))
+      .find(value => value !== undefined);
+    if (useDefaultList === false) settings.wordChain.wordList = NO_BUILT_IN_LIST;
+  }
+  return normalizeSettings(settings);
+};
+
+/**
+ * Deletes the pre-profile localStorage keys once they have been migrated.
+ * @param {Storage} storage - localStorage or a compatible object.
+ */
+export const removeLegacySettings = (storage) => {
+  LEGACY_SETTING_KEYS.forEach(([key]) => storage.removeItem(key));
+  LEGACY_DEFAULT_LIST_KEYS.forEach(key => storage.removeItem(key));
+};
+
+/**
+ * Validates a profile name.
+ * @param {*} name - The proposed name.
+ * @returns {string} - The trimmed name.
+ * @throws {ProfileError} - If the name is empty or too long.
+ */
+export const validateProfileName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) throw new ProfileError('Profile names cannot be empty.');
+  if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+    throw new ProfileError(`Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters long.`);
+  }
+  return trimmed;
+};
+
+/**
+ * Completes a stored or imported profile list: valid names, no duplicates, complete settings.
+ * @param {Array<{name: string, settings: object}>} profiles - The profiles.
+ * @returns {Array<{name: string, settings: object}>} - The normalized profiles.
+ * @throws {ProfileError} - If a name is invalid or used twice.
+ */
+const normalizeProfiles = (profiles) => {
+  if (!Array.isArray(profiles)) throw new ProfileError('The profile list is missing.');
+  const names = new Set();
+  return profiles.map(profile => {
+    const name = validateProfileName(profile?.name);
+    if (names.has(name)) throw new ProfileError(`The profile "${name}" appears more than once.`);
+    names.add(name);
+    return { name, settings: normalizeSettings(profile.settings) };
+  });
+};
+
+/**
+ * Creates the first profile store: the migrated pre-profile settings plus the starter presets.
+ * @param {Storage} storage - localStorage or a compatible object.
+ * @returns {{activeProfile: string, profiles: Array<{name: string, settings: object}>}} - The store.
+ */
+const createInitialStore = (storage) => ({
+  activeProfile: DEFAULT_PROFILE_NAME,
+  profiles: [
+    { name: DEFAULT_PROFILE_NAME, settings: migrateLegacySettings(storage) },
+    ...STARTER_PROFILES.map(({ name, settings }) => ({ name, settings: normalizeSettings(settings) })),
+  ],
+});
+
+/**
+ * Loads the profile store from localStorage. On first run the pre-profile settings are
+ * migrated into the default profile, saved, and their old keys removed.
+ * @param {Storage} storage - localStorage or a compatible object.
+ * @returns {{activeProfile: string, profiles: Array<{name: string, settings: object}>}} - The store.
+ */
+export const loadProfileStore = (storage) => {
+  const saved = storage.getItem(PROFILE_STORAGE_KEY);
+  if (saved) {
+    try {
+      const { activeProfile, profiles } = JSON.parse(saved);
+      const normalized = normalizeProfiles(profiles);
+      if (normalized.length > 0) {
+        const active = normalized.some(({ name }) => name === activeProfile) ? activeProfile : normalized[0].name;
+        return { activeProfile: active, profiles: normalized };
+      }
+    } catch (error) {
+      console.error("Error reading saved profiles, starting over:", error);
+    }
+  }
+  const store = createInitialStore(storage);
+  saveProfileStore(storage, store);
+  removeLegacySettings(storage);
+  return store;
+};
+
+/**
+ * Saves the profile store to localStorage.
+ * @param {Storage} storage - localStorage or a compatible object.
+ * @param {{activeProfile: string, profiles: Array<{name: string, settings: object}>}} store - The store.
+ */
+export const saveProfileStore = (storage, store) => {
+  storage.setItem(PROFILE_STORAGE_KEY, JSON.stringify({ version: PROFILE_FORMAT_VERSION, ...store }));
+};
+
+/**
+ * Returns the settings of the active profile.
+ * @param {{activeProfile: string, profiles: Array<{name: string, settings: object}>}} store - The store.
+ * @returns {object} - The active settings.
+ */
+export const getActiveSettings = ({ activeProfile, profiles }) =>
+  profiles.find(({ name }) => name === activeProfile).settings;
+
+/**
+ * Returns a store whose active profile has some settings replaced.
+ * @param {object} store - The store.
+ * @param {object} patch - Top-level fields to replace (e.g. { mode }).
+ * @param {string} [section] - Replace fields of this section instead (e.g. 'random').
+ * @returns {object} - The updated store.
+ */
+export const updateActiveSettings = (store, patch, section) => ({
+  ...store,
+  profiles: store.profiles.map(profile => {
+    if (profile.name !== store.activeProfile) return profile;
+    const settings = section
+      ? { ...profile.settings, [section]: { ...profile.settings[section], ...patch } }
+      : { ...profile.settings, ...patch };
+    return { ...profile, settings };
+  }),
+});
+
+/**
+ * Returns a store with a new profile (a copy of the given settings) that becomes active.
+ * @param {object} store - The store.
+ * @param {string} name - The new profile's name.
+ * @param {object} settings - Settings to copy.
+ * @returns {object} - The updated store.
+ * @throws {ProfileError} - If the name is invalid or already taken.
+ */
+export const addProfile = (store, name, settings) => {
+  const trimmed = validateProfileName(name);
+  if (store.profiles.some(profile => profile.name === trimmed)) {
+    throw new ProfileError(`A profile named "${trimmed}" already exists.`);
+  }
+  return { activeProfile: trimmed, profiles: [...store.profiles, { name: trimmed, settings: normalizeSettings(settings) }] };
+};
+
+/**
+ * Returns a store without the given profile. The last remaining profile cannot be deleted.
+ * @param {object} store - The store.
+ * @param {string} name - The profile to delete.
+ * @returns {object} - The updated store.
+ * @throws {ProfileError} - If it is the only profile.
+ */
+export const deleteProfile = (store, name) => {
+  if (store.profiles.length <= 1) throw new ProfileError('The last profile cannot be deleted.');
+  const profiles = store.profiles.filter(profile => profile.name !== name);
+  const activeProfile = store.activeProfile === name ? profiles[0].name : store.activeProfile;
+  return { activeProfile, profiles };
+};
+
+/**
+ * Serializes profiles as a versioned JSON file.
+ * @param {Array<{name: string, settings: object}>} profiles - The profiles to export.
+ * @returns {string} - The file content.
+ */
+export const serializeProfiles = (profiles) => JSON.stringify({
+  format: PROFILE_FILE_FORMAT,
+  version: PROFILE_FORMAT_VERSION,
+  profiles,
+}, null, 2);
+
+/**
+ * Reads a profile file created by serializeProfiles.
+ * @param {string} text - The file content.
+ * @returns {Array<{name: string, settings: object}>} - The normalized profiles.
+ * @throws {ProfileError} - If the file is not valid JSON, not a profile file, from an unsupported
+ *   version, or contains invalid profiles.
+ */
+export const parseProfileFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ProfileError('The file is not valid JSON.');
+  }
+  if (data?.format !== PROFILE_FILE_FORMAT) {
+    throw new ProfileError('The file is not a password generator profile export.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new ProfileError('The profile file has no valid version number.');
+  }
+  if (data.version > PROFILE_FORMAT_VERSION) {
+    throw new ProfileError(`The profile file uses version ${data.version}, but this app only understands up to version ${PROFILE_FORMAT_VERSION}. Please update the app.`);
+  }
+  return normalizeProfiles(data.profiles);
+};
+
+/**
+ * Returns a store with imported profiles added. Imported profiles replace existing ones with the
+ * same name; the active profile stays selected.
+ * @param {object} store - The store.
+ * @param {Array<{name: string, settings: object}>} imported - Result of parseProfileFile.
+ * @returns {object} - The updated store.
+ */
+export const importProfiles = (store, imported) => {
+  const importedByName = new Map(imported.map(profile => [profile.name, profile]));
+  const profiles = store.profiles.map(profile => importedByName.get(profile.name) ?? profile);
+  const existingNames = new Set(store.profiles.map(({ name }) => name));
+  return {
+    ...store,
+    profiles: [...profiles, ...imported.filter(({ name }) => !existingNames.has(name))],
+  };
+};
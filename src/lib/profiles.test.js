@@ -0,0 +1,244 @@
+import { describe, expect, it } from 'vitest';
+import { calculateRandomEntropy } from './entropy.js';
+import { ProfileError } from './errors.js';
+import {
+  DEFAULT_PROFILE_NAME,
+  DEFAULT_SETTINGS,
+  PROFILE_FILE_FORMAT,
+  PROFILE_FORMAT_VERSION,
+  PROFILE_STORAGE_KEY,
+  STARTER_PROFILES,
+  addProfile,
+  deleteProfile,
+  getActiveSettings,
+  getRandomOptions,
+  getTokenOptions,
+  importProfiles,
+  loadProfileStore,
+  migrateLegacySettings,
+  normalizeSettings,
+  parseProfileFile,
+  serializeProfiles,
+  updateActiveSettings,
+} from './profiles.js';
+
+// Minimal in-memory stand-in for localStorage
+const createStorage = (entries = {}) => {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    keys: () => [...items.keys()],
+  };
+};
+
+describe('normalizeSettings', () => {
+  it('fills in defaults and drops invalid values', () => {
+    const settings = normalizeSettings({
+      mode: 'teleport',
+      random: { length: 'long', symbols: false, unknown: 1 },
+      wordChain: { wordList: 'klingon', separator: 'space', enabledWordLists: { id: 'not-a-list' } },
+      derived: { style: 'runes' },
+    });
+    expect(settings.mode).toBe('random');
+    expect(settings.random.length).toBe(DEFAULT_SETTINGS.random.length);
+    expect(settings.random.symbols).toBe(false);
+    expect(settings.random).not.toHaveProperty('unknown');
+    expect(settings.wordChain.wordList).toBe('default');
+    expect(settings.wordChain.separator).toBe('space');
+    expect(settings.wordChain.enabledWordLists).toEqual([]);
+    expect(settings.pin).toEqual(DEFAULT_SETTINGS.pin);
+    expect(settings.derived.style).toBe('random');
+  });
+
+  it('turns the old random capitalization switch into the random-word strategy', () => {
+    expect(normalizeSettings({ wordChain: { randomCapitalization: true } }).wordChain.capitalization).toBe('random-word');
+    expect(normalizeSettings({ wordChain: { randomCapitalization: false } }).wordChain.capitalization).toBe('none');
+    expect(normalizeSettings({ wordChain: { randomCapitalization: true, capitalization: 'title' } }).wordChain.capitalization).toBe('title');
+    expect(normalizeSettings({ wordChain: { capitalization: 'sarcastic' } }).wordChain.capitalization).toBe('none');
+    expect(migrateLegacySettings(createStorage({ wordChainRandomCapitalization: 'true' })).wordChain.capitalization).toBe('random-word');
+  });
+
+  it('falls back to the default token encoding and size unit', () => {
+    const settings = normalizeSettings({ token: { encoding: 'base58', sizeUnit: 'words', size: 24, prefix: 'sk_' } });
+    expect(settings.token).toEqual({ ...DEFAULT_SETTINGS.token, size: 24, prefix: 'sk_' });
+    expect(getTokenOptions({ ...settings.token, sizeUnit: 'bits', size: 130 })).toMatchObject({ bytes: 17, prefix: 'sk_' });
+  });
+});
+
+describe('getRandomOptions', () => {
+  it('only applies the custom alphabet and policy while they are enabled', () => {
+    const random = { ...DEFAULT_SETTINGS.random, excludeChars: 'abc', policy: { noSequential: true } };
+    expect(getRandomOptions(random)).toEqual({ length: 16, lowercase: true, uppercase: true, numbers: true, symbols: true });
+    const options = getRandomOptions({ ...random, showCustomAlphabet: true, enforcePolicy: true });
+    expect(options.excludeChars).toBe('abc');
+    expect(options.policy.noSequential).toBe(true);
+  });
+});
+
+describe('migrateLegacySettings', () => {
+  it('reads the old per-setting keys', () => {
+    const settings = migrateLegacySettings(createStorage({
+      passwordGeneratorMode: 'word-chain',
+      randomPasswordLength: '24',
+      includeSymbols: 'false',
+      randomPasswordPolicy: JSON.stringify({ noSequential: true }),
+      wordChainSeparatorType: 'underscore',
+      pinRejectWeak: 'false',
+    }));
+    expect(settings.mode).toBe('word-chain');
+    expect(settings.random).toMatchObject({ length: 24, symbols: false, lowercase: true });
+    expect(settings.random.policy.noSequential).toBe(true);
+    expect(settings.wordChain.separator).toBe('underscore');
+    expect(settings.pin.rejectWeak).toBe(false);
+  });
+
+  it('honours the default word list flag under either of its old keys', () => {
+    expect(migrateLegacySettings(createStorage({ useDefaultList: 'false' })).wordChain.wordList).toBe('none');
+    expect(migrateLegacySettings(createStorage({ useDefaultWordList: 'false' })).wordChain.wordList).toBe('none');
+    expect(migrateLegacySettings(createStorage({ useDefaultList: 'true' })).wordChain.wordList).toBe('default');
+    // The later word list picker setting wins
+    expect(migrateLegacySettings(createStorage({ useDefaultList: 'false', wordChainWordList: 'eff-large' })).wordChain.wordList)
+      .toBe('eff-large');
+  });
+
+  it('ignores unreadable values', () => {
+    const settings = migrateLegacySettings(createStorage({ randomPasswordLength: 'abc', randomPasswordPolicy: '{oops' }));
+    expect(settings.random.length).toBe(DEFAULT_SETTINGS.random.length);
+    expect(settings.random.policy).toEqual(normalizeSettings().random.policy);
+  });
+});
+
+describe('loadProfileStore', () => {
+  it('migrates old keys into the default profile on first run and removes them', () => {
+    const storage = createStorage({ randomPasswordLength: '30', useDefaultList: 'false' });
+    const store = loadProfileStore(storage);
+    expect(store.activeProfile).toBe(DEFAULT_PROFILE_NAME);
+    expect(store.profiles.map(({ name }) => name)).toEqual([DEFAULT_PROFILE_NAME, ...STARTER_PROFILES.map(({ name }) => name)]);
+    expect(getActiveSettings(store).random.length).toBe(30);
+    expect(storage.keys()).toEqual([PROFILE_STORAGE_KEY]);
+    expect(loadProfileStore(storage)).toEqual(store);
+  });
+
+  it('starts over when the saved profiles are corrupt', () => {
+    const store = loadProfileStore(createStorage({ [PROFILE_STORAGE_KEY]: '{"profiles": "nope"}' }));
+    expect(store.activeProfile).toBe(DEFAULT_PROFILE_NAME);
+  });
+});
+
+describe('profile store updates', () => {
+  const store = loadProfileStore(createStorage());
+
+  it('updates top-level and section settings of the active profile only', () => {
+    const updated = updateActiveSettings(updateActiveSettings(store, { mode: 'pin' }), { length: 8 }, 'pin');
+    expect(getActiveSettings(updated)).toMatchObject({ mode: 'pin', pin: { length: 8, rejectWeak: true } });
+    expect(updated.profiles[1]).toBe(store.profiles[1]);
+  });
+
+  it('adds and deletes profiles', () => {
+    const added = addProfile(store, '  Team ', getActiveSettings(store));
+    expect(added.activeProfile).toBe('Team');
+    expect(() => addProfile(added, 'Team', {})).toThrow(ProfileError);
+    expect(() => addProfile(added, '   ', {})).toThrow('Profile names cannot be empty.');
+
+    const deleted = deleteProfile(added, 'Team');
+    expect(deleted.activeProfile).toBe(DEFAULT_PROFILE_NAME);
+    expect(deleted.profiles).toHaveLength(store.profiles.length);
+    expect(() => deleteProfile({ activeProfile: 'a', profiles: [{ name: 'a' }] }, 'a')).toThrow('The last profile cannot be deleted.');
+  });
+});
+
+describe('profile files', () => {
+  it('round-trips profiles through a versioned file', () => {
+    const { profiles } = loadProfileStore(createStorage());
+    const text = serializeProfiles(profiles);
+    expect(JSON.parse(text)).toMatchObject({ format: PROFILE_FILE_FORMAT, version: PROFILE_FORMAT_VERSION });
+    expect(parseProfileFile(text)).toEqual(profiles);
+  });
+
+  it('reads files from older versions', () => {
+    const [profile] = parseProfileFile(JSON.stringify({
+      format: PROFILE_FILE_FORMAT,
+      version: 1,
+      profiles: [{ name: 'Old', settings: { mode: 'word-chain', wordChain: { wordCount: 6, randomCapitalization: true } } }],
+    }));
+    expect(PROFILE_FORMAT_VERSION).toBeGreaterThan(1);
+    expect(profile.settings.wordChain).toMatchObject({ wordCount: 6, capitalization: 'random-word' });
+    expect(profile.settings.token).toEqual(DEFAULT_SETTINGS.token);
+  });
+
+  it('rejects files it cannot read', () => {
+    expect(() => parseProfileFile('not json')).toThrow('The file is not valid JSON.');
+    expect(() => parseProfileFile('{"profiles": []}')).toThrow('not a password generator profile export');
+    expect(() => parseProfileFile(JSON.stringify({ format: PROFILE_FILE_FORMAT, version: 99, profiles: [] })))
+      .toThrow('uses version 99');
+    expect(() => parseProfileFile(JSON.stringify({ format: PROFILE_FILE_FORMAT, version: 1, profiles: [{ name: 'a' }, { name: 'a' }] })))
+      .toThrow('The profile "a" appears more than once.');
+  });
+
+  it('repairs out-of-range and fractional numbers in imported profiles', () => {
+    const [profile] = parseProfileFile(JSON.stringify({
+      format: PROFILE_FILE_FORMAT,
+      version: PROFILE_FORMAT_VERSION,
+      profiles: [{
+        name: 'Malformed',
+        settings: {
+          mode: 'pin',
+          random: { length: 1e7 },
+          wordChain: { wordCount: -3, maxWordLength: 1000 },
+          pronounceable: { length: Infinity },
+          pin: { length: 1.5 },
+          token: { sizeUnit: 'bits', size: 4 },
+        },
+      }],
+    }));
+    expect(profile.settings.random.length).toBe(64);
+    expect(profile.settings.wordChain.wordCount).toBe(1);
+    expect(profile.settings.wordChain.maxWordLength).toBe(64);
+    expect(profile.settings.pronounceable.length).toBe(DEFAULT_SETTINGS.pronounceable.length);
+    expect(profile.settings.pin.length).toBe(DEFAULT_SETTINGS.pin.length);
+    expect(profile.settings.token.size).toBe(128);
+    expect(normalizeSettings({ pin: { length: 0 } }).pin.length).toBe(4);
+  });
+
+  it('repairs malformed password policies in imported and stored profiles', () => {
+    const policy = {
+      minCounts: { lowercase: 2.5, uppercase: -1, numbers: 500, symbols: '3' },
+      maxConsecutive: 1.5,
+      noSequential: 'yes',
+      startWithLetter: true,
+      forbiddenSubstrings: 'ab',
+      unknown: 1,
+    };
+    const expected = {
+      minCounts: { lowercase: 0, uppercase: 0, numbers: 64, symbols: 0 },
+      maxConsecutive: 0,
+      noSequential: false,
+      startWithLetter: true,
+      forbiddenSubstrings: [],
+    };
+    const profiles = [{ name: 'Malformed', settings: { random: { enforcePolicy: true, policy } } }];
+    const [imported] = parseProfileFile(JSON.stringify({ format: PROFILE_FILE_FORMAT, version: PROFILE_FORMAT_VERSION, profiles }));
+    expect(imported.settings.random.policy).toEqual(expected);
+    expect(() => calculateRandomEntropy(getRandomOptions(imported.settings.random))).not.toThrow();
+
+    const stored = loadProfileStore(createStorage({ [PROFILE_STORAGE_KEY]: JSON.stringify({ activeProfile: 'Malformed', profiles }) }));
+    expect(getActiveSettings(stored).random.policy).toEqual(expected);
+    expect(normalizeSettings({ random: { policy: [null] } }).random.policy).toEqual(DEFAULT_SETTINGS.random.policy);
+    expect(normalizeSettings({ random: { policy: { forbiddenSubstrings: ['ab', '', null, 7] } } }).random.policy.forbiddenSubstrings).toEqual(['ab']);
+  });
+
+  it('imports profiles, replacing those with the same name', () => {
+    const store = loadProfileStore(createStorage());
+    const imported = parseProfileFile(serializeProfiles([
+      { name: 'Wi-Fi passphrase', settings: { mode: 'word-chain', wordChain: { wordCount: 7 } } },
+      { name: 'Shared', settings: { mode: 'pin' } },
+    ]));
+    const merged = importProfiles(store, imported);
+    expect(merged.activeProfile).toBe(store.activeProfile);
+    expect(merged.profiles).toHaveLength(store.profiles.length + 1);
+    expect(merged.profiles.find(({ name }) => name === 'Wi-Fi passphrase').settings.wordChain.wordCount).toBe(7);
+    expect(merged.profiles.at(-1).name).toBe('Shared');
+  });
+});
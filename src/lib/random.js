@@ -0,0 +1,101 @@
+// --- Random Sources ---
+// Every generator takes a `randomInt(max)` function so that the source of randomness can be
+// swapped out: the browser CSPRNG by default, a seeded PRNG in tests, or derived bytes.
+
+/**
+ * Builds an unbiased `randomInt(max)` function on top of any source of 32-bit unsigned integers.
+ * @param {function(): number} nextUint32 - Returns a uniformly distributed integer in [0, 2^32).
+ * @returns {function(number): number} - A function returning a uniform integer in [0, max).
+ */
+export const createRandomInt = (nextUint32) => (max) => {
+  // Defensive check: ensure max is a positive number to prevent an infinite re-roll loop
+  if (max <= 0) {
+    console.error("randomInt: 'max' must be a positive number.");
+    return 0; // Return a safe default or handle as an error
+  }
+  // Max value of a Uint32 is 2^32 - 1.
+  // We need to ensure the random number is within a range that doesn't cause modulo bias.
+  // This approach ensures uniform distribution by re-rolling if the number is too high.
+  const ceiling = Math.floor(0xFFFFFFFF / max) * max; // Largest multiple of 'max' that fits in Uint32
+  let result = nextUint32();
+  while (result >= ceiling) {
+    result = nextUint32();
+  }
+  return result % max;
+};
+
+/**
+ * Reads a single 32-bit unsigned integer from the Web Crypto CSPRNG.
+ * `globalThis.crypto` is available both in browsers and in Node 19+.
+ * @returns {number} - A cryptographically secure random Uint32.
+ */
+const cryptoUint32 = () => {
+  const randomBytes = new Uint32Array(1);
+  globalThis.crypto.getRandomValues(randomBytes);
+  return randomBytes[0];
+};
+
+/**
+ * Generates a cryptographically secure random integer within a specified range.
+ * This is the default random source for every generator.
+ * @param {number} max - The exclusive upper bound for the random number (e.g., 100 for 0-99).
+ * @returns {number} - A cryptographically secure random integer.
+ */
+export const getRandomCryptoInt = createRandomInt(cryptoUint32);
+
+/**
+ * Creates a deterministic, seeded `randomInt(max)` function (mulberry32).
+ * NOT cryptographically secure: intended for tests and reproducible examples only.
+ * @param {number} seed - Any 32-bit integer seed.
+ * @returns {function(number): number} - A deterministic `randomInt(max)` function.
+ */
+export const createSeededRandomInt = (seed) => {
+  let state = seed >>> 0;
+  return createRandomInt(() => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  });
+};
+
+/**
+ * Shuffles an array using the Fisher-Yates (Knuth) algorithm.
+ * This ensures a truly random permutation of the array elements,
+ * using the supplied random source.
+ * @param {Array} array - The array to shuffle.
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {Array} - The shuffled array.
+ */
+export const shuffleArray = (array, randomInt = getRandomCryptoInt) => {
+  // Create a shallow copy to avoid modifying the original array directly if it's passed by reference
+  const newArray = [...array];
+  for (let i = newArray.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [newArray[i], newArray[j]] = [newArray[j], newArray[i]]; // ES6 destructuring for swap
+  }
+  return newArray;
+};
+
+/**
+ * Generates a uniform random BigInt in [0, max) from 16-bit draws of the supplied random source.
+ * Used where the number of possible outcomes exceeds what a Number can represent exactly.
+ * @param {bigint} max - The exclusive upper bound (must be positive).
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {bigint} - A uniform random BigInt.
+ */
+export const getRandomBigInt = (max, randomInt = getRandomCryptoInt) => {
+  const bitLength = (max - 1n).toString(2).length;
+  const chunks = Math.ceil(bitLength / 16);
+  const mask = (1n << BigInt(bitLength)) - 1n;
+  // Rejection sampling over the smallest power of two >= max keeps the result unbiased
+  for (;;) {
+    let value = 0n;
+    for (let i = 0; i < chunks; i++) {
+      value = (value << 16n) | BigInt(randomInt(0x10000));
+    }
+    value &= mask;
+    if (value < max) return value;
+  }
+};
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { createRandomInt, createSeededRandomInt, getRandomCryptoInt, shuffleArray } from './random.js';
+
+describe('createRandomInt', () => {
+  it('re-rolls values at or above the largest multiple of max', () => {
+    const values = [0xFFFFFFFE, 7];
+    const randomInt = createRandomInt(() => values.shift());
+    expect(randomInt(10)).toBe(7);
+    expect(values).toHaveLength(0);
+  });
+
+  it('returns 0 for a non-positive max instead of looping', () => {
+    const randomInt = createRandomInt(() => 5);
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      expect(randomInt(0)).toBe(0);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe('getRandomCryptoInt', () => {
+  it('stays within [0, max)', () => {
+    for (let i = 0; i < 200; i++) {
+      const value = getRandomCryptoInt(6);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(6);
+    }
+  });
+});
+
+describe('createSeededRandomInt', () => {
+  it('is deterministic for a given seed', () => {
+    const a = createSeededRandomInt(42);
+    const b = createSeededRandomInt(42);
+    const sequenceA = Array.from({ length: 20 }, () => a(1000));
+    const sequenceB = Array.from({ length: 20 }, () => b(1000));
+    expect(sequenceA).toEqual(sequenceB);
+  });
+});
+
+describe('shuffleArray', () => {
+  it('returns a permutation without mutating the input', () => {
+    const input = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffleArray(input, createSeededRandomInt(1));
+    expect(input).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...shuffled].sort()).toEqual(input);
+  });
+});
@@ -0,0 +1,208 @@
+import { WordListError } from './errors.js';
+import { OFFLINE_FETCH_MESSAGE, isOffline } from './offline.js';
+import { parseWordList } from './wordList.js';
+
+// --- Remote Word Lists ---
+// Word lists can be loaded from a URL typed into the custom words box. Downloads are bounded in
+// time, size and word count, only accept plain text, and are kept in the Cache Storage API keyed
+// by URL: later loads revalidate with ETag/Last-Modified, and the cached copy is used offline.
+
+// Wait this long after the last keystroke before fetching a typed URL.
+export const WORD_LIST_FETCH_DEBOUNCE_MS = 600;
+
+// Give up on a download after this long.
+export const WORD_LIST_FETCH_TIMEOUT_MS = 20000;
+
+// Largest accepted download, in bytes.
+export const MAX_WORD_LIST_BYTES = 10 * 1024 * 1024;
+
+// Most words accepted from one URL.
+export const MAX_REMOTE_WORD_COUNT = 500000;
+
+// Media types accepted for word lists; an HTML page usually means the URL is wrong.
+export const WORD_LIST_CONTENT_TYPES = Object.freeze(['text/plain', 'text/csv', 'text/tab-separated-values', 'application/octet-stream']);
+
+// Cache Storage bucket for downloaded lists. Not prefixed like the app shell's caches, which the
+// service worker deletes on every update.
+export const WORD_LIST_CACHE_NAME = 'remote-word-lists';
+
+/**
+ * Tells whether custom word list input is a URL to load rather than words.
+ * @param {string} input - The custom words box content.
+ * @returns {boolean} - True for http(s) URLs.
+ */
+export const isWordListUrl = (input) => /^https?:\/\//i.test(input.trim());
+
+/**
+ * Formats a byte count for progress messages.
+ * @param {number} bytes - The byte count.
+ * @returns {string} - E.g. "512 B", "12.5 KB" or "3.2 MB".
+ */
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Reads a response body, reporting progress and stopping at the size limit.
+ * @param {Response} response - The response.
+ * @param {number} maxBytes - Largest accepted body.
+ * @param {function({loaded: number, total: number|null}): void} onProgress - Progress callback.
+ * @returns {Promise<string>} - The body decoded as UTF-8.
+ * @throws {WordListError} - If the body is larger than maxBytes.
+ */
+const readLimitedText = async (response, maxBytes, onProgress) => {
+  const declaredLength = Number(response.headers.get('content-length'));
+  const total = declaredLength > 0 ? declaredLength : null;
+  const tooLarge = () => new WordListError(`The word list is larger than the ${formatBytes(maxBytes)} limit.`);
+  if (total !== null && total > maxBytes) throw tooLarge();
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let loaded = 0;
+  let text = '';
+  onProgress({ loaded, total });
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    if (loaded > maxBytes) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    text += decoder.decode(value, { stream: true });
+    onProgress({ loaded, total });
+  }
+  return text + decoder.decode();
+};
+
+/**
+ * Parses downloaded text into words, enforcing the word count limit.
+ * @param {string} text - The list text.
+ * @param {number} maxWords - Most accepted words.
+ * @returns {string[]} - The words.
+ * @throws {WordListError} - If there are no words or too many.
+ */
+const parseDownloadedWords = (text, maxWords) => {
+  const words = parseWordList(text);
+  if (words.length === 0) throw new WordListError('The URL did not contain any words.');
+  if (words.length > maxWords) {
+    throw new WordListError(`The word list has ${words.length.toLocaleString()} words; at most ${maxWords.toLocaleString()} are accepted.`);
+  }
+  return words;
+};
+
+/**
+ * Opens the download cache, if the Cache Storage API is available.
+ * @param {CacheStorage} [cacheStorage] - The cache storage.
+ * @returns {Promise<Cache|null>} - The cache, or null without Cache Storage (e.g. insecure origins).
+ */
+const openWordListCache = async (cacheStorage) => {
+  try {
+    return cacheStorage ? await cacheStorage.open(WORD_LIST_CACHE_NAME) : null;
+  } catch (error) {
+    console.error('Word list cache unavailable:', error);
+    return null;
+  }
+};
+
+/**
+ * Combines the caller's signal with a time limit. The two are linked by hand because
+ * AbortSignal.any and AbortSignal.timeout are missing in older browsers (Safari before 17.4).
+ * @param {AbortSignal} [signal] - The caller's signal.
+ * @param {number} timeoutMs - Time limit.
+ * @returns {{signal: AbortSignal, timedOut: function(): boolean, dispose: function(): void}} - The
+ *   request signal, whether the time limit was hit, and a function that stops the timer.
+ */
+const createRequestSignal = (signal, timeoutMs) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const abortFromCaller = () => controller.abort(signal.reason);
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort(new DOMException('The word list download timed out.', 'TimeoutError'));
+  }, timeoutMs);
+  if (signal?.aborted) abortFromCaller();
+  else signal?.addEventListener('abort', abortFromCaller, { once: true });
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    dispose: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abortFromCaller);
+    },
+  };
+};
+
+/**
+ * Loads a word list from a URL. A cached copy is revalidated with If-None-Match /
+ * If-Modified-Since, and used as is while offline or when the network fails.
+ * @param {string} url - The http(s) URL.
+ * @param {object} [options] - Options.
+ * @param {AbortSignal} [options.signal] - Cancels the download (the promise then rejects with
+ *   the signal's reason, not a WordListError).
+ * @param {function({loaded: number, total: number|null}): void} [options.onProgress] - Called as
+ *   the body arrives; `total` is null when the server doesn't send a length.
+ * @param {number} [options.timeoutMs=WORD_LIST_FETCH_TIMEOUT_MS] - Time limit.
+ * @param {number} [options.maxBytes=MAX_WORD_LIST_BYTES] - Size limit.
+ * @param {number} [options.maxWords=MAX_REMOTE_WORD_COUNT] - Word count limit.
+ * @param {function} [options.fetch=globalThis.fetch] - The fetch function.
+ * @param {CacheStorage} [options.cacheStorage=globalThis.caches] - Where downloads are cached.
+ * @returns {Promise<{words: string[], fromCache: boolean}>} - The words, and whether they came
+ *   from the cache without a fresh download.
+ * @throws {WordListError} - If the list can't be loaded or breaks a limit.
+ */
+export const fetchWordList = async (url, {
+  signal,
+  onProgress = () => {},
+  timeoutMs = WORD_LIST_FETCH_TIMEOUT_MS,
+  maxBytes = MAX_WORD_LIST_BYTES,
+  maxWords = MAX_REMOTE_WORD_COUNT,
+  fetch = globalThis.fetch,
+  cacheStorage = globalThis.caches,
+} = {}) => {
+  if (!isWordListUrl(url)) throw new WordListError('Word lists can only be loaded from http:// or https:// URLs.');
+  const cache = await openWordListCache(cacheStorage);
+  const cached = await cache?.match(url);
+  const fromCachedCopy = async () => ({ words: parseDownloadedWords(await cached.text(), maxWords), fromCache: true });
+
+  if (isOffline()) {
+    if (cached) return fromCachedCopy();
+    throw new WordListError(OFFLINE_FETCH_MESSAGE);
+  }
+
+  const headers = {};
+  if (cached?.headers.get('etag')) headers['If-None-Match'] = cached.headers.get('etag');
+  if (cached?.headers.get('last-modified')) headers['If-Modified-Since'] = cached.headers.get('last-modified');
+  const request = createRequestSignal(signal, timeoutMs);
+
+  try {
+    // Revalidation is done here, so bypass the HTTP cache
+    const response = await fetch(url, { signal: request.signal, headers, cache: 'no-store' });
+    if (response.status === 304 && cached) return await fromCachedCopy();
+    if (!response.ok) throw new WordListError(`The server answered with HTTP status ${response.status}.`);
+
+    const contentType = response.headers.get('content-type')?.split(';')[0].trim().toLowerCase();
+    if (contentType && !WORD_LIST_CONTENT_TYPES.includes(contentType)) {
+      throw new WordListError(`The URL returned ${contentType} instead of a plain text word list.`);
+    }
+
+    const text = await readLimitedText(response, maxBytes, onProgress);
+    const words = parseDownloadedWords(text, maxWords);
+    const cachedHeaders = { 'content-type': 'text/plain; charset=utf-8' };
+    if (response.headers.get('etag')) cachedHeaders.etag = response.headers.get('etag');
+    if (response.headers.get('last-modified')) cachedHeaders['last-modified'] = response.headers.get('last-modified');
+    await cache?.put(url, new Response(text, { headers: cachedHeaders }));
+    return { words, fromCache: false };
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    if (request.timedOut()) throw new WordListError(`The word list took longer than ${timeoutMs / 1000} seconds to load.`);
+    if (error instanceof WordListError) throw error;
+    // Network failure (or a CORS refusal): fall back to the last good copy
+    if (cached) return fromCachedCopy();
+    throw new WordListError(isOffline() ? OFFLINE_FETCH_MESSAGE : 'Failed to load words from the URL. Please check the URL and its CORS policy.');
+  } finally {
+    request.dispose();
+  }
+};
@@ -0,0 +1,132 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { WordListError } from './errors.js';
+import { fetchWordList, formatBytes, isWordListUrl } from './remoteWordList.js';
+
+const URL = 'https://example.com/words.txt';
+
+// Minimal in-memory stand-in for the Cache Storage API
+const createCacheStorage = () => {
+  const entries = new Map();
+  const cache = {
+    match: async (url) => entries.get(url)?.clone(),
+    put: async (url, response) => {
+      entries.set(url, response);
+    },
+  };
+  return { entries, open: async () => cache };
+};
+
+// A fetch that answers with the given responses in turn and records the requests
+const createFetch = (...responses) => {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, init });
+    const response = responses.shift();
+    if (response instanceof Error) throw response;
+    return response;
+  };
+  return { fetch, requests };
+};
+
+const textResponse = (text, headers = {}) => new Response(text, { headers: { 'content-type': 'text/plain; charset=utf-8', ...headers } });
+
+describe('isWordListUrl', () => {
+  it('recognizes http and https URLs only', () => {
+    expect(isWordListUrl(' https://example.com/a.txt')).toBe(true);
+    expect(isWordListUrl('HTTP://example.com')).toBe(true);
+    expect(isWordListUrl('ftp://example.com')).toBe(false);
+    expect(isWordListUrl('apple banana')).toBe(false);
+  });
+});
+
+describe('formatBytes', () => {
+  it('picks a readable unit', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+});
+
+describe('fetchWordList', () => {
+  it('downloads, reports progress and caches the list with its validators', async () => {
+    const cacheStorage = createCacheStorage();
+    const { fetch } = createFetch(textResponse('apple banana\ncherry', { etag: '"v1"', 'content-length': '19' }));
+    const progress = [];
+    const result = await fetchWordList(URL, { fetch, cacheStorage, onProgress: update => progress.push(update) });
+    expect(result).toEqual({ words: ['apple', 'banana', 'cherry'], fromCache: false });
+    expect(progress.at(-1)).toEqual({ loaded: 19, total: 19 });
+    expect(cacheStorage.entries.get(URL).headers.get('etag')).toBe('"v1"');
+  });
+
+  it('revalidates a cached list and keeps it on 304 Not Modified', async () => {
+    const cacheStorage = createCacheStorage();
+    await fetchWordList(URL, { fetch: createFetch(textResponse('apple', { etag: '"v1"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' })).fetch, cacheStorage });
+    const { fetch, requests } = createFetch(new Response(null, { status: 304 }));
+    expect(await fetchWordList(URL, { fetch, cacheStorage })).toEqual({ words: ['apple'], fromCache: true });
+    expect(requests[0].init.headers).toEqual({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+  });
+
+  it('falls back to the cached copy when the network fails', async () => {
+    const cacheStorage = createCacheStorage();
+    await fetchWordList(URL, { fetch: createFetch(textResponse('apple')).fetch, cacheStorage });
+    const { fetch } = createFetch(new TypeError('Failed to fetch'));
+    expect(await fetchWordList(URL, { fetch, cacheStorage })).toEqual({ words: ['apple'], fromCache: true });
+    await expect(fetchWordList(URL, { fetch: createFetch(new TypeError('Failed to fetch')).fetch, cacheStorage: null }))
+      .rejects.toThrow('Failed to load words from the URL.');
+  });
+
+  it('rejects HTML pages, HTTP errors, oversized downloads and too many words', async () => {
+    const load = (response, options) => fetchWordList(URL, { fetch: createFetch(response).fetch, cacheStorage: null, ...options });
+    await expect(load(new Response('<html>', { headers: { 'content-type': 'text/html' } }))).rejects.toThrow('The URL returned text/html');
+    await expect(load(new Response('', { status: 404 }))).rejects.toThrow('HTTP status 404');
+    await expect(load(textResponse('a b c', { 'content-length': '5' }), { maxBytes: 4 })).rejects.toThrow(WordListError);
+    await expect(load(textResponse('a b c'), { maxBytes: 4 })).rejects.toThrow('larger than the 4 B limit');
+    await expect(load(textResponse('a b c'), { maxWords: 2 })).rejects.toThrow('at most 2 are accepted');
+    await expect(load(textResponse('  \n'))).rejects.toThrow('did not contain any words');
+  });
+
+  it('times out, and passes cancellation through unchanged', async () => {
+    // A fetch that never answers until aborted
+    const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+      if (signal.aborted) reject(signal.reason);
+      signal.addEventListener('abort', () => reject(signal.reason));
+    });
+    await expect(fetchWordList(URL, { fetch: hangingFetch, cacheStorage: null, timeoutMs: 20 }))
+      .rejects.toThrow('took longer than 0.02 seconds');
+
+    const controller = new AbortController();
+    const pending = fetchWordList(URL, { fetch: hangingFetch, cacheStorage: null, signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toHaveProperty('name', 'AbortError');
+  });
+
+  describe('without AbortSignal.any and AbortSignal.timeout', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('still downloads, times out and cancels', async () => {
+      vi.stubGlobal('AbortSignal', class extends AbortSignal {
+        static any = undefined;
+        static timeout = undefined;
+      });
+      const { fetch } = createFetch(textResponse('alpha\nbeta\n'));
+      await expect(fetchWordList(URL, { fetch, cacheStorage: null })).resolves.toEqual({ words: ['alpha', 'beta'], fromCache: false });
+
+      const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+        if (signal.aborted) reject(signal.reason);
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+      await expect(fetchWordList(URL, { fetch: hangingFetch, cacheStorage: null, timeoutMs: 20 }))
+        .rejects.toThrow('took longer than 0.02 seconds');
+      const controller = new AbortController();
+      controller.abort();
+      await expect(fetchWordList(URL, { fetch: hangingFetch, cacheStorage: null, signal: controller.signal }))
+        .rejects.toHaveProperty('name', 'AbortError');
+    });
+  });
+
+  it('only loads http(s) URLs', async () => {
+    await expect(fetchWordList('file:///etc/passwd', { cacheStorage: null })).rejects.toThrow(WordListError);
+  });
+});
@@ -0,0 +1,105 @@
+import { ExportError } from './errors.js';
+
+// --- SHA-512 crypt ---
+// The "$6$" password hash of glibc's crypt() and /etc/shadow, following Ulrich Drepper's
+// specification ("Unix crypt using SHA-256 and SHA-512"). SHA-512 itself comes from Web Crypto.
+
+// Default and bounds of the rounds parameter; the default is left out of the hash string.
+export const SHA512_CRYPT_DEFAULT_ROUNDS = 5000;
+export const SHA512_CRYPT_MIN_ROUNDS = 1000;
+export const SHA512_CRYPT_MAX_ROUNDS = 999999999;
+
+// Salt characters and the longest salt used.
+export const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+export const SHA512_CRYPT_SALT_LENGTH = 16;
+
+/**
+ * Hashes the concatenation of byte strings with SHA-512.
+ * @param {Uint8Array[]} parts - The byte strings.
+ * @returns {Promise<Uint8Array>} - The 64-byte digest.
+ */
+const sha512 = async (parts) => {
+  const data = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return new Uint8Array(await globalThis.crypto.subtle.digest('SHA-512', data));
+};
+
+/**
+ * Repeats a digest to fill a given length (the "P" and "S" byte sequences of the specification).
+ * @param {Uint8Array} digest - The digest.
+ * @param {number} length - The length.
+ * @returns {Uint8Array} - The repeated bytes.
+ */
+const repeatToLength = (digest, length) => Uint8Array.from({ length }, (_, i) => digest[i % digest.length]);
+
+/**
+ * Encodes the final digest with crypt's base64 alphabet and byte order.
+ * @param {Uint8Array} digest - The 64-byte digest.
+ * @returns {string} - 86 characters.
+ */
+const encodeDigest = (digest) => {
+  let text = '';
+  const encode24 = (high, middle, low, charCount) => {
+    let value = (high << 16) | (middle << 8) | low;
+    for (let i = 0; i < charCount; i++) {
+      text += CRYPT_ALPHABET[value & 0x3F];
+      value >>= 6;
+    }
+  };
+  // Bytes are taken in groups i, i + 21, i + 42, rotated by one position per group
+  for (let i = 0; i < 21; i++) {
+    const group = [digest[i], digest[i + 21], digest[i + 42]];
+    const rotation = i % 3;
+    encode24(group[rotation], group[(rotation + 1) % 3], group[(rotation + 2) % 3], 4);
+  }
+  encode24(0, 0, digest[63], 2);
+  return text;
+};
+
+/**
+ * Hashes a password with SHA-512 crypt.
+ * @param {string} password - The password.
+ * @param {object} options - Options.
+ * @param {string} options.salt - Up to SHA512_CRYPT_SALT_LENGTH characters, none of them "$",
+ *   ":" or a line break; longer salts are truncated as in glibc.
+ * @param {number} [options.rounds=SHA512_CRYPT_DEFAULT_ROUNDS] - Number of rounds.
+ * @returns {Promise<string>} - The hash, e.g. "$6$<salt>$<86 characters>".
+ * @throws {ExportError} - If the salt or the number of rounds is invalid.
+ */
+export const sha512Crypt = async (password, { salt, rounds = SHA512_CRYPT_DEFAULT_ROUNDS }) => {
+  const saltText = salt.slice(0, SHA512_CRYPT_SALT_LENGTH);
+  if (!saltText || /[$:\n\r]/.test(saltText)) throw new ExportError('The SHA-512 crypt salt is empty or contains "$", ":" or a line break.');
+  if (!Number.isInteger(rounds) || rounds < SHA512_CRYPT_MIN_ROUNDS || rounds > SHA512_CRYPT_MAX_ROUNDS) {
+    throw new ExportError(`SHA-512 crypt needs ${SHA512_CRYPT_MIN_ROUNDS.toLocaleString('en-US')} to ${SHA512_CRYPT_MAX_ROUNDS.toLocaleString('en-US')} rounds.`);
+  }
+  const encoder = new TextEncoder();
+  const key = encoder.encode(password);
+  const saltBytes = encoder.encode(saltText);
+
+  // Digest B, then the initial digest A
+  const digestB = await sha512([key, saltBytes, key]);
+  const initial = [key, saltBytes, repeatToLength(digestB, key.length)];
+  for (let length = key.length; length > 0; length >>= 1) {
+    initial.push(length & 1 ? digestB : key);
+  }
+  let digest = await sha512(initial);
+
+  // The P and S sequences
+  const keySequence = repeatToLength(await sha512(Array(key.length).fill(key)), key.length);
+  const saltSequence = repeatToLength(await sha512(Array(16 + digest[0]).fill(saltBytes)), saltBytes.length);
+
+  for (let round = 0; round < rounds; round++) {
+    const parts = [round & 1 ? keySequence : digest];
+    if (round % 3) parts.push(saltSequence);
+    if (round % 7) parts.push(keySequence);
+    parts.push(round & 1 ? digest : keySequence);
+    digest = await sha512(parts);
+  }
+
+  const roundsField = rounds === SHA512_CRYPT_DEFAULT_ROUNDS ? '' : `rounds=${rounds}$`;
+  return `$6$${roundsField}${saltText}$${encodeDigest(digest)}`;
+};
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { ExportError } from './errors.js';
+import { sha512Crypt } from './sha512Crypt.js';
+
+describe('sha512Crypt', () => {
+  // Test vectors from the SHA-crypt specification
+  it('matches the reference hashes', async () => {
+    expect(await sha512Crypt('Hello world!', { salt: 'saltstring' })).toBe(
+      '$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1',
+    );
+  });
+
+  it('records non-default rounds and truncates long salts', async () => {
+    expect(await sha512Crypt('Hello world!', { salt: 'saltstringsaltstring', rounds: 10000 })).toBe(
+      '$6$rounds=10000$saltstringsaltst$OW1/O6BYHV6BcXZu8QVeXbDWra3Oeqh0sbHbbMCVNSnCM/UrjmM0Dp8vOuZeHBy/YTBmSK6H9qs/y3RnOaw5v.',
+    );
+  });
+
+  it('rejects invalid salts and round counts', async () => {
+    await expect(sha512Crypt('x', { salt: '' })).rejects.toThrow(ExportError);
+    await expect(sha512Crypt('x', { salt: 'a$b' })).rejects.toThrow(ExportError);
+    await expect(sha512Crypt('x', { salt: 'abc', rounds: 10 })).rejects.toThrow(ExportError);
+  });
+});
@@ -0,0 +1,107 @@
+import { DEFAULT_SETTINGS, MODE_SETTINGS_SECTIONS, importProfiles, normalizeSettings } from './profiles.js';
+
+// --- Shareable Settings Links ---
+// Encodes the current mode and its options in the URL fragment, e.g.
+// "#mode=word-chain&wordCount=6&separator=underscore&numbersBetweenWords=1". The fragment is never
+// sent to the server. Only settings are encoded: generated passwords and dice rolls are not settings
+// and can never end up in a link. Options left at their default are omitted to keep links short.
+
+// Profile that receives the settings of an opened link, so they don't overwrite a saved profile.
+export const SHARED_LINK_PROFILE_NAME = 'Shared link';
+
+// Settings that refer to data stored in this browser only (word list library ids), never linked.
+const LOCAL_ONLY_FIELDS = Object.freeze(['enabledWordLists']);
+
+/**
+ * Encodes one setting value as a URL parameter value.
+ * @param {*} value - The value.
+ * @returns {string} - The encoded value (booleans as 1/0, objects as JSON).
+ */
+const encodeValue = (value) => {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Decodes a URL parameter value using the type of the setting's default.
+ * @param {string} text - The parameter value.
+ * @param {*} fallback - The setting's default, which determines the type.
+ * @returns {*} - The decoded value, or undefined if it can't be read.
+ */
+const decodeValue = (text, fallback) => {
+  if (typeof fallback === 'boolean') return text === '1' || text === 'true' ? true : text === '0' || text === 'false' ? false : undefined;
+  if (typeof fallback === 'number') {
+    // Whole numbers only ("1.5" or "12abc" are not read as 1 or 12); normalizeSettings clamps the range
+    return /^-?\d{1,10}$/.test(text) ? Number(text) : undefined;
+  }
+  if (typeof fallback === 'object') {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return undefined;
+    }
+  }
+  return text;
+};
+
+/**
+ * Encodes the active mode and its options as a URL fragment.
+ * @param {object} settings - Complete settings (see DEFAULT_SETTINGS).
+ * @returns {string} - The fragment, without the leading "#".
+ */
+export const encodeSettingsHash = (settings) => {
+  const section = MODE_SETTINGS_SECTIONS[settings.mode];
+  const params = new URLSearchParams({ mode: settings.mode });
+  Object.entries(DEFAULT_SETTINGS[section]).forEach(([field, fallback]) => {
+    const value = settings[section][field];
+    if (LOCAL_ONLY_FIELDS.includes(field)) return;
+    if (encodeValue(value) !== encodeValue(fallback)) params.set(field, encodeValue(value));
+  });
+  return params.toString();
+};
+
+/**
+ * Reads settings from a URL fragment created by encodeSettingsHash. The linked mode's options
+ * start from their defaults, so the link fully determines them; other modes keep `baseSettings`.
+ * Links are untrusted input: numbers are clamped to SETTING_RANGES and the password policy is
+ * rebuilt field by field (see sanitizePolicy), like any stored setting.
+ * @param {string} hash - The fragment, with or without the leading "#".
+ * @param {object} [baseSettings=DEFAULT_SETTINGS] - Settings for the modes the link doesn't cover.
+ * @returns {object|null} - Complete settings, or null if the fragment is not a settings link.
+ */
+export const decodeSettingsHash = (hash, baseSettings = DEFAULT_SETTINGS) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const mode = params.get('mode');
+  const section = MODE_SETTINGS_SECTIONS[mode];
+  if (!section) return null;
+
+  const linked = {};
+  Object.entries(DEFAULT_SETTINGS[section]).forEach(([field, fallback]) => {
+    if (!params.has(field)) return;
+    const value = decodeValue(params.get(field), fallback);
+    if (value !== undefined) linked[field] = value;
+  });
+  return normalizeSettings({ ...baseSettings, mode, [section]: linked });
+};
+
+/**
+ * Builds a shareable link to the given settings.
+ * @param {object} settings - Complete settings.
+ * @param {{origin: string, pathname: string, search: string}} location - The current page location.
+ * @returns {string} - The absolute link.
+ */
+export const buildShareLink = (settings, { origin, pathname, search }) =>
+  `${origin}${pathname}${search}#${encodeSettingsHash(settings)}`;
+
+/**
+ * Returns a profile store in which the settings of an opened link are active, stored in the
+ * SHARED_LINK_PROFILE_NAME profile (replacing the one from a previously opened link).
+ * @param {object} store - The profile store.
+ * @param {object} settings - Result of decodeSettingsHash.
+ * @returns {object} - The updated store.
+ */
+export const applySharedSettings = (store, settings) => ({
+  ...importProfiles(store, [{ name: SHARED_LINK_PROFILE_NAME, settings }]),
+  activeProfile: SHARED_LINK_PROFILE_NAME,
+});
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { calculateRandomEntropy } from './entropy.js';
+import { DEFAULT_SETTINGS, getActiveSettings, getRandomOptions, loadProfileStore, normalizeSettings } from './profiles.js';
+import {
+  SHARED_LINK_PROFILE_NAME,
+  applySharedSettings,
+  buildShareLink,
+  decodeSettingsHash,
+  encodeSettingsHash,
+} from './shareLink.js';
+
+const wordChainSettings = normalizeSettings({
+  mode: 'word-chain',
+  wordChain: { wordCount: 6, separator: 'underscore', numbersBetweenWords: true },
+});
+
+describe('encodeSettingsHash', () => {
+  it('encodes the mode and its non-default options only', () => {
+    expect(encodeSettingsHash(wordChainSettings)).toBe('mode=word-chain&wordCount=6&separator=underscore&numbersBetweenWords=1');
+    expect(encodeSettingsHash(normalizeSettings({ mode: 'pin' }))).toBe('mode=pin');
+    expect(encodeSettingsHash(normalizeSettings())).toBe('mode=random');
+  });
+
+  it('leaves out word list library ids, which only exist in this browser', () => {
+    const settings = { ...wordChainSettings, wordChain: { ...wordChainSettings.wordChain, enabledWordLists: ['local-id'] } };
+    expect(encodeSettingsHash(settings)).toBe(encodeSettingsHash(wordChainSettings));
+  });
+
+  it('builds an absolute link that keeps the page path', () => {
+    const link = buildShareLink(wordChainSettings, {
+      origin: 'https://example.github.io',
+      pathname: '/a_password_generator/',
+      search: '',
+    });
+    expect(link).toBe('https://example.github.io/a_password_generator/#mode=word-chain&wordCount=6&separator=underscore&numbersBetweenWords=1');
+  });
+});
+
+describe('decodeSettingsHash', () => {
+  it('round-trips every mode, including nested and Unicode options', () => {
+    const settings = [
+      wordChainSettings,
+      normalizeSettings({
+        mode: 'random',
+        random: { length: 30, symbols: false, showCustomAlphabet: true, extraChars: 'äß€ &#=', enforcePolicy: true, policy: { noSequential: true, forbiddenSubstrings: ['acme'] } },
+      }),
+      normalizeSettings({ mode: 'pronounceable', pronounceable: { length: 20, capitalize: true } }),
+      normalizeSettings({ mode: 'pin', pin: { length: 8, rejectWeak: false } }),
+      normalizeSettings({ mode: 'token', token: { encoding: 'base32', sizeUnit: 'bits', size: 160, prefix: 'ak_', checksum: true } }),
+    ];
+    settings.forEach(original => {
+      expect(decodeSettingsHash(`#${encodeSettingsHash(original)}`)).toEqual(original);
+    });
+  });
+
+  it('clamps hostile numbers and ignores non-integers', () => {
+    expect(decodeSettingsHash('#mode=pin&length=-5').pin.length).toBe(4);
+    expect(decodeSettingsHash('#mode=random&length=2000000').random.length).toBe(64);
+    expect(decodeSettingsHash('#mode=word-chain&wordCount=0&maxWordLength=99999999999').wordChain)
+      .toMatchObject({ wordCount: 1, maxWordLength: DEFAULT_SETTINGS.wordChain.maxWordLength });
+    expect(decodeSettingsHash('#mode=pronounceable&length=1.5').pronounceable.length).toBe(DEFAULT_SETTINGS.pronounceable.length);
+    expect(decodeSettingsHash('#mode=pin&length=12abc').pin.length).toBe(DEFAULT_SETTINGS.pin.length);
+    expect(decodeSettingsHash('#mode=token&size=1e9').token.size).toBe(DEFAULT_SETTINGS.token.size);
+    expect(decodeSettingsHash('#mode=token&sizeUnit=bits&size=5000').token.size).toBe(1024);
+  });
+
+  it('repairs malformed policies instead of passing them to the generator', () => {
+    const linkedPolicy = (json) => decodeSettingsHash(`#mode=random&enforcePolicy=1&policy=${encodeURIComponent(json)}`).random.policy;
+    const defaults = DEFAULT_SETTINGS.random.policy;
+    expect(linkedPolicy('{"forbiddenSubstrings":"ab"}').forbiddenSubstrings).toEqual([]);
+    expect(linkedPolicy('{"forbiddenSubstrings":["ab",null,"",{}]}').forbiddenSubstrings).toEqual(['ab']);
+    expect(linkedPolicy('[null]')).toEqual(defaults);
+    expect(linkedPolicy('null')).toEqual(defaults);
+    expect(linkedPolicy('"policy"')).toEqual(defaults);
+    expect(linkedPolicy('{"minCounts":{"lowercase":2.5,"numbers":-2,"symbols":99999}}').minCounts)
+      .toEqual({ ...defaults.minCounts, symbols: 64 });
+    expect(linkedPolicy('{"minCounts":"abc"}').minCounts).toEqual(defaults.minCounts);
+    expect(linkedPolicy('{"maxConsecutive":"2"}').maxConsecutive).toBe(0);
+    expect(linkedPolicy('{"maxConsecutive":1.5}').maxConsecutive).toBe(0);
+    expect(linkedPolicy('{"noSequential":1,"startWithLetter":"true"}')).toMatchObject({ noSequential: false, startWithLetter: false });
+    expect(linkedPolicy('{"extra":{"deep":1}}')).toEqual(defaults);
+    const random = decodeSettingsHash('#mode=random&enforcePolicy=1&policy=%7B%22minCounts%22%3A%7B%22lowercase%22%3A2.5%7D%7D').random;
+    expect(() => calculateRandomEntropy(getRandomOptions(random))).not.toThrow();
+  });
+
+  it('resets the linked mode to defaults but keeps the other modes of the base settings', () => {
+    const base = normalizeSettings({ wordChain: { wordCount: 9, capitalization: 'upper' }, pin: { length: 10 } });
+    const decoded = decodeSettingsHash('#mode=word-chain&wordCount=6', base);
+    expect(decoded.wordChain).toEqual({ ...DEFAULT_SETTINGS.wordChain, wordCount: 6 });
+    expect(decoded.pin.length).toBe(10);
+  });
+
+  it('ignores fragments that are not settings links and unreadable values', () => {
+    expect(decodeSettingsHash('')).toBeNull();
+    expect(decodeSettingsHash('#section-2')).toBeNull();
+    expect(decodeSettingsHash('#mode=teleport')).toBeNull();
+    expect(decodeSettingsHash('#mode=pin&length=abc&rejectWeak=maybe&password=hunter2').pin).toEqual(DEFAULT_SETTINGS.pin);
+  });
+});
+
+describe('applySharedSettings', () => {
+  it('activates the link settings in their own profile', () => {
+    const storage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+    const store = loadProfileStore(storage);
+    const updated = applySharedSettings(applySharedSettings(store, wordChainSettings), wordChainSettings);
+    expect(updated.activeProfile).toBe(SHARED_LINK_PROFILE_NAME);
+    expect(getActiveSettings(updated)).toEqual(wordChainSettings);
+    expect(updated.profiles).toHaveLength(store.profiles.length + 1);
+    expect(updated.profiles[0]).toBe(store.profiles[0]);
+  });
+});
@@ -0,0 +1,205 @@
+import { GeneratorError } from './errors.js';
+import { getRandomCryptoInt } from './random.js';
+
+// --- Machine Tokens ---
+// Secrets read by programs rather than people (webhook secrets, session keys, API tokens): random
+// bytes in a standard text encoding, optionally with a prefix and a checksum suffix in the style of
+// GitHub's "ghp_" tokens. The checksum lets a secret scanner or an API reject a mistyped or
+// truncated token without a lookup; it adds no secrecy.
+
+// Supported encodings. UUIDs always hold 16 bytes with 122 random bits.
+export const TOKEN_ENCODINGS = Object.freeze({
+  hex: { label: 'Hex' },
+  base64: { label: 'Base64' },
+  base64url: { label: 'Base64url (URL-safe)' },
+  base32: { label: 'Crockford Base32' },
+  uuid: { label: 'UUID version 4' },
+});
+
+// Ways to give the token size.
+export const TOKEN_SIZE_UNITS = Object.freeze({
+  bytes: 'Bytes',
+  bits: 'Bits',
+});
+
+// Token size bounds in bytes (128 to 1024 bits).
+export const TOKEN_MIN_BYTES = 16;
+export const TOKEN_MAX_BYTES = 128;
+
+// Random bits of a version 4 UUID: 6 of its 128 bits encode the version and variant.
+export const UUID_RANDOM_BITS = 122;
+
+// Prefixes are limited to characters that survive URLs, headers and shell quoting.
+export const MAX_TOKEN_PREFIX_LENGTH = 32;
+const TOKEN_PREFIX_PATTERN = /^[A-Za-z0-9_.-]*$/;
+
+// The checksum suffix: CRC-32 of everything before it, as 6 base62 digits (62^6 > 2^32).
+export const TOKEN_CHECKSUM_LENGTH = 6;
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Crockford's Base32 alphabet leaves out I, L, O and U.
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// What a well-formed token body looks like in each encoding.
+const TOKEN_BODY_PATTERNS = Object.freeze({
+  hex: /^[0-9a-f]+$/,
+  base64: /^[A-Za-z0-9+/]+={0,2}$/,
+  base64url: /^[A-Za-z0-9_-]+={0,2}$/,
+  base32: /^[0-9A-HJKMNP-TV-Z]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+});
+
+// CRC-32 (IEEE 802.3) lookup table.
+const CRC32_TABLE = Object.freeze(Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+}));
+
+/**
+ * Computes the CRC-32 of a string's UTF-8 bytes.
+ * @param {string} text - The text.
+ * @returns {number} - The checksum as an unsigned 32-bit integer.
+ */
+const crc32 = (text) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of new TextEncoder().encode(text)) crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Computes the checksum suffix for the part of a token before it.
+ * @param {string} text - Prefix and body.
+ * @returns {string} - TOKEN_CHECKSUM_LENGTH base62 digits.
+ */
+export const computeTokenChecksum = (text) => {
+  let value = crc32(text);
+  let digits = '';
+  for (let i = 0; i < TOKEN_CHECKSUM_LENGTH; i++) {
+    digits = BASE62_ALPHABET[value % 62] + digits;
+    value = Math.floor(value / 62);
+  }
+  return digits;
+};
+
+/**
+ * Converts a token size to bytes, rounding bit strengths up to whole bytes.
+ * @param {number} size - The size.
+ * @param {string} unit - A key of TOKEN_SIZE_UNITS.
+ * @returns {number} - Number of random bytes.
+ */
+export const getTokenByteLength = (size, unit) => (unit === 'bits' ? Math.ceil(size / 8) : size);
+
+/**
+ * Encodes bytes as Crockford Base32, most significant bits first, without padding.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} - The encoded text.
+ */
+const encodeCrockfordBase32 = (bytes) => {
+  let text = '';
+  let bits = 0;
+  let bitCount = 0;
+  for (const byte of bytes) {
+    bits = ((bits << 8) | byte) & 0xFFFF; // At most 12 bits are pending at any time
+    bitCount += 8;
+    while (bitCount >= 5) {
+      bitCount -= 5;
+      text += CROCKFORD_ALPHABET[(bits >> bitCount) & 0x1F];
+    }
+  }
+  if (bitCount > 0) text += CROCKFORD_ALPHABET[(bits << (5 - bitCount)) & 0x1F];
+  return text;
+};
+
+/**
+ * Encodes bytes as lowercase hex.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} - The encoded text.
+ */
+const encodeHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Formats 16 random bytes as a version 4 UUID (RFC 9562).
+ * @param {Uint8Array} bytes - 16 bytes; the version and variant bits are overwritten.
+ * @returns {string} - The UUID in lowercase hex.
+ */
+const formatUuid = (bytes) => {
+  bytes[6] = (bytes[6] & 0x0F) | 0x40;
+  bytes[8] = (bytes[8] & 0x3F) | 0x80;
+  const hex = encodeHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Encodes bytes in one of the TOKEN_ENCODINGS.
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {string} encoding - The encoding.
+ * @param {boolean} padding - Whether base64 output keeps its "=" padding.
+ * @returns {string} - The token body.
+ */
+const encodeTokenBytes = (bytes, encoding, padding) => {
+  if (encoding === 'hex') return encodeHex(bytes);
+  if (encoding === 'base32') return encodeCrockfordBase32(bytes);
+  if (encoding === 'uuid') return formatUuid(bytes);
+  let text = btoa(String.fromCharCode(...bytes));
+  if (encoding === 'base64url') text = text.replace(/\+/g, '-').replace(/\//g, '_');
+  return padding ? text : text.replace(/=+$/, '');
+};
+
+/**
+ * Checks a token prefix.
+ * @param {string} prefix - The prefix.
+ * @throws {GeneratorError} - If it is too long or contains unsupported characters.
+ */
+const validateTokenPrefix = (prefix) => {
+  if (prefix.length > MAX_TOKEN_PREFIX_LENGTH || !TOKEN_PREFIX_PATTERN.test(prefix)) {
+    throw new GeneratorError(`Token prefixes may have up to ${MAX_TOKEN_PREFIX_LENGTH} letters, digits, "_", "." or "-".`);
+  }
+};
+
+/**
+ * Generates a machine token.
+ * @param {object} options - Token options.
+ * @param {string} [options.encoding='base64url'] - A key of TOKEN_ENCODINGS.
+ * @param {number} [options.bytes=32] - Random bytes (TOKEN_MIN_BYTES to TOKEN_MAX_BYTES); ignored for UUIDs.
+ * @param {boolean} [options.padding=false] - Keep the "=" padding of base64 and base64url.
+ * @param {string} [options.prefix=''] - Text put in front, e.g. "whsec_".
+ * @param {boolean} [options.checksum=false] - Append a CRC-32 checksum (see findTokenProblem).
+ * @param {function(number): number} [randomInt=getRandomCryptoInt] - Random source.
+ * @returns {string} - The token.
+ * @throws {GeneratorError} - If the options are invalid.
+ */
+export const generateToken = ({ encoding = 'base64url', bytes = 32, padding = false, prefix = '', checksum = false } = {}, randomInt = getRandomCryptoInt) => {
+  if (!(encoding in TOKEN_ENCODINGS)) throw new GeneratorError(`Unknown token encoding "${encoding}".`);
+  validateTokenPrefix(prefix);
+  const byteLength = encoding === 'uuid' ? 16 : bytes;
+  if (!Number.isInteger(byteLength) || byteLength < TOKEN_MIN_BYTES || byteLength > TOKEN_MAX_BYTES) {
+    throw new GeneratorError(`Tokens need ${TOKEN_MIN_BYTES} to ${TOKEN_MAX_BYTES} random bytes.`);
+  }
+  const randomBytes = Uint8Array.from({ length: byteLength }, () => randomInt(256));
+  const token = `${prefix}${encodeTokenBytes(randomBytes, encoding, padding)}`;
+  return checksum ? `${token}${computeTokenChecksum(token)}` : token;
+};
+
+/**
+ * Verifies a token against the options it was generated with: prefix, checksum and encoding.
+ * Crockford Base32 bodies are read case-insensitively, with I/L as 1 and O as 0.
+ * @param {string} token - The token to check.
+ * @param {object} options - The generateToken options (bytes and padding are not checked).
+ * @returns {string|null} - A short description of the first problem found, or null if the token is valid.
+ */
+export const findTokenProblem = (token, { encoding = 'base64url', prefix = '', checksum = false } = {}) => {
+  const text = token.trim();
+  if (!text.startsWith(prefix)) return `does not start with "${prefix}"`;
+  let body = text.slice(prefix.length);
+  let suffix = null;
+  if (checksum) {
+    if (body.length <= TOKEN_CHECKSUM_LENGTH) return 'is too short to carry a checksum';
+    suffix = body.slice(-TOKEN_CHECKSUM_LENGTH);
+    body = body.slice(0, -TOKEN_CHECKSUM_LENGTH);
+  }
+  if (encoding === 'base32') body = body.toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0');
+  if (suffix !== null && computeTokenChecksum(`${prefix}${body}`) !== suffix) return 'has a wrong checksum (mistyped, truncated or altered)';
+  if (!TOKEN_BODY_PATTERNS[encoding]?.test(body)) return `is not valid ${TOKEN_ENCODINGS[encoding]?.label ?? encoding}`;
+  return null;
+};
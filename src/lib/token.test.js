@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { calculateTokenEntropy } from './entropy.js';
+import { GeneratorError } from './errors.js';
+import { createSeededRandomInt } from './random.js';
+import { computeTokenChecksum, findTokenProblem, generateToken, getTokenByteLength } from './token.js';
+
+// Always returns max - 1, so every random byte is 0xFF
+const maxRandomInt = (max) => max - 1;
+
+describe('generateToken', () => {
+  it('encodes the random bytes in each encoding', () => {
+    expect(generateToken({ encoding: 'hex', bytes: 16 }, maxRandomInt)).toBe('f'.repeat(32));
+    expect(generateToken({ encoding: 'base64', bytes: 16 }, maxRandomInt)).toBe(`${'/'.repeat(21)}w`);
+    expect(generateToken({ encoding: 'base64', bytes: 16, padding: true }, maxRandomInt)).toBe(`${'/'.repeat(21)}w==`);
+    expect(generateToken({ encoding: 'base64url', bytes: 16 }, maxRandomInt)).toBe(`${'_'.repeat(21)}w`);
+    // 128 bits = 25 full groups of 5 bits and 3 bits padded with zeros (11100 = W)
+    expect(generateToken({ encoding: 'base32', bytes: 16 }, maxRandomInt)).toBe(`${'Z'.repeat(25)}W`);
+    expect(generateToken({ encoding: 'uuid' }, maxRandomInt)).toBe('ffffffff-ffff-4fff-bfff-ffffffffffff');
+  });
+
+  it('produces tokens of the requested size', () => {
+    const randomInt = createSeededRandomInt(3);
+    expect(generateToken({ encoding: 'hex', bytes: 32 }, randomInt)).toMatch(/^[0-9a-f]{64}$/);
+    expect(generateToken({ encoding: 'base64url', bytes: 32 }, randomInt)).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateToken({ encoding: 'base32', bytes: 20 }, randomInt)).toMatch(/^[0-9A-HJKMNP-TV-Z]{32}$/);
+    expect(generateToken({ encoding: 'uuid' }, randomInt)).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+
+  it('adds the prefix and a checksum of everything before it', () => {
+    const token = generateToken({ encoding: 'base64url', bytes: 24, prefix: 'whsec_', checksum: true }, createSeededRandomInt(9));
+    expect(token).toMatch(/^whsec_[A-Za-z0-9_-]{32}[0-9A-Za-z]{6}$/);
+    expect(token.slice(-6)).toBe(computeTokenChecksum(token.slice(0, -6)));
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => generateToken({ encoding: 'base58' })).toThrow(GeneratorError);
+    expect(() => generateToken({ bytes: 8 })).toThrow(GeneratorError);
+    expect(() => generateToken({ bytes: 129 })).toThrow(GeneratorError);
+    expect(() => generateToken({ prefix: 'my token ' })).toThrow(GeneratorError);
+  });
+});
+
+describe('computeTokenChecksum', () => {
+  it('writes the CRC-32 as 6 base62 digits', () => {
+    // CRC-32("123456789") = 0xCBF43926 = 3421780262
+    expect(computeTokenChecksum('123456789')).toBe('3jZRME');
+    expect(computeTokenChecksum('')).toBe('000000');
+  });
+});
+
+describe('findTokenProblem', () => {
+  const options = { encoding: 'base32', bytes: 16, prefix: 'ak_', checksum: true };
+  const token = generateToken(options, createSeededRandomInt(5));
+
+  it('accepts generated tokens', () => {
+    ['hex', 'base64', 'base64url', 'base32', 'uuid'].forEach(encoding => {
+      const tokenOptions = { encoding, bytes: 16, padding: true, prefix: 'pre_', checksum: true };
+      expect(findTokenProblem(generateToken(tokenOptions, createSeededRandomInt(1)), tokenOptions)).toBeNull();
+    });
+    expect(findTokenProblem(` ${token}\n`, options)).toBeNull();
+  });
+
+  it('reads Crockford Base32 case-insensitively with its look-alike letters', () => {
+    const body = token.slice(3, -6).toLowerCase().replace(/1/g, 'l').replace(/0/g, 'o');
+    expect(findTokenProblem(`ak_${body}${token.slice(-6)}`, options)).toBeNull();
+  });
+
+  it('detects a wrong prefix, checksum or encoding', () => {
+    expect(findTokenProblem(`ghp_${token.slice(3)}`, options)).toMatch(/does not start with "ak_"/);
+    const changed = token[5] === 'A' ? 'B' : 'A';
+    expect(findTokenProblem(`${token.slice(0, 5)}${changed}${token.slice(6)}`, options)).toMatch(/checksum/);
+    expect(findTokenProblem(token.slice(0, -1), options)).toMatch(/checksum/);
+    expect(findTokenProblem('ak_', options)).toMatch(/too short/);
+    expect(findTokenProblem('xyz!', { encoding: 'hex' })).toMatch(/not valid Hex/);
+  });
+});
+
+describe('token size and entropy', () => {
+  it('rounds bit strengths up to whole bytes', () => {
+    expect(getTokenByteLength(32, 'bytes')).toBe(32);
+    expect(getTokenByteLength(128, 'bits')).toBe(16);
+    expect(getTokenByteLength(129, 'bits')).toBe(17);
+  });
+
+  it('counts 8 bits per byte and 122 bits per UUID', () => {
+    expect(calculateTokenEntropy({ encoding: 'hex', bytes: 32 })).toBe(256);
+    expect(calculateTokenEntropy({ encoding: 'uuid', bytes: 32 })).toBe(122);
+  });
+});
@@ -0,0 +1,103 @@
+// --- Unicode Helpers ---
+
+// Grapheme segmenter, when the runtime supports Intl.Segmenter (all modern browsers, Node 16+).
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Splits text into user-perceived characters (grapheme clusters), so that combining marks and
+ * emoji sequences stay intact. Falls back to code points where Intl.Segmenter is unavailable.
+ * @param {string} text - The text to split.
+ * @returns {string[]} - The grapheme clusters.
+ */
+export const splitGraphemes = (text) => (
+  graphemeSegmenter
+    ? Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment)
+    : [...text]
+);
+
+// Casing locales offered for word chains. Most languages case like the locale-independent
+// default; Turkish, Azerbaijani and Lithuanian have their own rules (e.g. Turkish i → İ).
+export const CASING_LOCALES = Object.freeze([
+  { value: '', label: 'Locale-independent' },
+  { value: 'en', label: 'English' },
+  { value: 'de', label: 'German' },
+  { value: 'el', label: 'Greek' },
+  { value: 'es', label: 'Spanish' },
+  { value: 'fr', label: 'French' },
+  { value: 'lt', label: 'Lithuanian' },
+  { value: 'nl', label: 'Dutch' },
+  { value: 'pl', label: 'Polish' },
+  { value: 'ru', label: 'Russian' },
+  { value: 'tr', label: 'Turkish' },
+  { value: 'az', label: 'Azerbaijani' },
+]);
+
+/**
+ * Upper-cases text with the rules of a locale ('' for locale-independent casing, which unlike
+ * the runtime's default locale gives the same result on every machine).
+ * @param {string} text - The text.
+ * @param {string} [locale=''] - A BCP 47 language tag, or ''.
+ * @returns {string} - The upper-cased text.
+ */
+export const toUpperCaseIn = (text, locale = '') => (locale ? text.toLocaleUpperCase(locale) : text.toUpperCase());
+
+/**
+ * Lower-cases text with the rules of a locale (see toUpperCaseIn). Greek final sigma is
+ * handled when whole words are lower-cased.
+ * @param {string} text - The text.
+ * @param {string} [locale=''] - A BCP 47 language tag, or ''.
+ * @returns {string} - The lower-cased text.
+ */
+export const toLowerCaseIn = (text, locale = '') => (locale ? text.toLocaleLowerCase(locale) : text.toLowerCase());
+
+// Letters that don't decompose into an ASCII base letter plus combining marks. Looked up before
+// decomposition too, so that e.g. Cyrillic й doesn't lose its breve and become и.
+const ASCII_REPLACEMENTS = Object.freeze({
+  ß: 'ss', ẞ: 'SS', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i', ŋ: 'ng',
+  // Greek (ISO 843, simplified)
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+  ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+  // Russian Cyrillic (BGN/PCGN, simplified)
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k',
+  л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts',
+  ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+});
+
+/**
+ * Transliterates one character, keeping its case (Ж → Zh, Ψ → Ps).
+ * @param {string} char - A single character.
+ * @returns {string|undefined} - The ASCII replacement, or undefined if there is none.
+ */
+const replaceCharacter = (char) => {
+  if (char >= ' ' && char <= '~') return char;
+  const lower = char.toLowerCase();
+  const replacement = ASCII_REPLACEMENTS[char] ?? ASCII_REPLACEMENTS[lower];
+  if (replacement === undefined || char === lower || char === 'ẞ') return replacement;
+  return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+};
+
+/**
+ * Transliterates text to printable ASCII: accents are dropped (é → e), a few special letters are
+ * spelled out (ß → ss) and Greek and Russian letters are romanized.
+ * @param {string} text - The text.
+ * @returns {string|null} - The ASCII text, or null if some character has no transliteration.
+ */
+export const transliterateToAscii = (text) => {
+  let result = '';
+  for (const grapheme of splitGraphemes(text.normalize('NFC'))) {
+    const whole = replaceCharacter(grapheme);
+    if (whole !== undefined) {
+      result += whole;
+      continue;
+    }
+    // Drop the accents, then transliterate what is left
+    for (const char of grapheme.normalize('NFD').replace(/\p{M}/gu, '')) {
+      const replacement = replaceCharacter(char);
+      if (replacement === undefined) return null;
+      result += replacement;
+    }
+  }
+  return result;
+};
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { splitGraphemes, toLowerCaseIn, toUpperCaseIn, transliterateToAscii } from './unicode.js';
+
+describe('splitGraphemes', () => {
+  it('keeps combining marks and emoji sequences together', () => {
+    expect(splitGraphemes('é👍🏽x')).toEqual(['é', '👍🏽', 'x']);
+  });
+});
+
+describe('locale casing', () => {
+  it('applies Turkish dotted and dotless i rules only for Turkish', () => {
+    expect(toUpperCaseIn('i', 'tr')).toBe('İ');
+    expect(toLowerCaseIn('I', 'tr')).toBe('ı');
+    expect(toUpperCaseIn('i')).toBe('I');
+    expect(toLowerCaseIn('I')).toBe('i');
+  });
+});
+
+describe('transliterateToAscii', () => {
+  it('drops accents and spells out special letters', () => {
+    expect(transliterateToAscii('Crème brûlée')).toBe('Creme brulee');
+    expect(transliterateToAscii('Straße Ærø Łódź')).toBe('Strasse Aero Lodz');
+    expect(transliterateToAscii('ĞÜNEŞ İstanbul')).toBe('GUNES Istanbul');
+  });
+
+  it('romanizes Greek and Russian, keeping the case of the first letter', () => {
+    expect(transliterateToAscii('Ψυχή')).toBe('Psychi');
+    expect(transliterateToAscii('Жёлтый йод')).toBe('Zheltyy yod');
+  });
+
+  it('returns null when a character has no transliteration', () => {
+    expect(transliterateToAscii('日本')).toBeNull();
+    expect(transliterateToAscii('ok👍')).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+import { DEFAULT_WORD_LIST } from './constants.js';
+import { splitGraphemes } from './unicode.js';
+
+// --- Word Lists ---
+
+// Built-in word lists for the word chain generator. Large lists are loaded on demand with a
+// dynamic import, so they are split into their own chunk and stay out of the initial bundle.
+// `diceCount` marks standard diceware lists whose words are in dice-roll order.
+export const BUILT_IN_WORD_LISTS = Object.freeze({
+  default: {
+    label: 'Default',
+    size: new Set(DEFAULT_WORD_LIST).size,
+    load: async () => DEFAULT_WORD_LIST,
+  },
+  'eff-large': {
+    label: 'EFF Large (diceware)',
+    size: 7776,
+    diceCount: 5,
+    load: async () => (await import('../wordlists/effLarge.js')).default,
+  },
+});
+
+// Pseudo list id meaning "custom words only".
+export const NO_BUILT_IN_LIST = 'none';
+
+// Bounds for the word length filter, in characters.
+export const MIN_WORD_LENGTH = 1;
+export const MAX_WORD_LENGTH = 64;
+
+// Word list hygiene with every filter switched off.
+export const DEFAULT_WORD_FILTERS = Object.freeze({
+  minWordLength: MIN_WORD_LENGTH,
+  maxWordLength: MAX_WORD_LENGTH,
+  lowercaseWords: false,
+  lettersOnly: false,
+  wordBlocklist: '',
+  removePrefixes: false,
+});
+
+// Loaded built-in lists, so switching back and forth doesn't re-import them.
+const loadedWordLists = new Map();
+
+/**
+ * Loads a built-in word list by id.
+ * @param {string} id - A key of BUILT_IN_WORD_LISTS, or NO_BUILT_IN_LIST.
+ * @returns {Promise<string[]>} - The words ([] for NO_BUILT_IN_LIST).
+ * @throws {Error} - If the id is unknown.
+ */
+export const loadBuiltInWordList = async (id) => {
+  if (id === NO_BUILT_IN_LIST) return [];
+  const definition = BUILT_IN_WORD_LISTS[id];
+  if (!definition) throw new Error(`Unknown word list "${id}".`);
+  if (!loadedWordLists.has(id)) {
+    loadedWordLists.set(id, await definition.load());
+  }
+  return loadedWordLists.get(id);
+};
+
+/**
+ * Splits raw word list text (one word per line, or space-separated) into NFC-normalized words.
+ * Any Unicode space separates words, as does the zero-width space used by some languages.
+ * @param {string} text - The raw text.
+ * @returns {string[]} - The non-empty words, in input order.
+ */
+export const parseWordList = (text) =>
+  text.normalize('NFC').split(/[\s\u200B]+/u).filter(word => word.length > 0);
+
+/**
+ * Builds the word list used by the word chain generator.
+ * @param {object} options - Word list options.
+ * @param {string[]} [options.baseWords=DEFAULT_WORD_LIST] - Words of the selected built-in list.
+ * @param {string[]} [options.customWords=[]] - Additional user-supplied words.
+ * @returns {string[]} - The combined list, de-duplicated when custom words are present.
+ */
+export const buildWordList = ({ baseWords = DEFAULT_WORD_LIST, customWords = [] } = {}) => {
+  let combinedWords = [...baseWords];
+  if (customWords.length > 0) {
+    // Use Set to ensure unique words when combining lists, avoiding duplicates
+    combinedWords = Array.from(new Set([...combinedWords, ...customWords]));
+  }
+  return combinedWords;
+};
+
+/**
+ * Cleans a user-supplied word list. Words are normalized first (lowercased, non-letters
+ * stripped), then dropped if they end up empty, fall outside the length bounds, are on the
+ * blocklist, or repeat an earlier word. Lengths count user-perceived characters.
+ * @param {string[]} words - The raw words, e.g. from parseWordList.
+ * @param {object} [filters=DEFAULT_WORD_FILTERS] - Hygiene options (see DEFAULT_WORD_FILTERS).
+ * @returns {{words: string[], removed: {empty: number, tooShort: number, tooLong: number, blocked: number, duplicates: number}}}
+ *   - The kept words in input order, and how many were dropped for each reason.
+ */
+export const cleanWordList = (words, filters = DEFAULT_WORD_FILTERS) => {
+  const { minWordLength, maxWordLength, lowercaseWords, lettersOnly, wordBlocklist } = { ...DEFAULT_WORD_FILTERS, ...filters };
+  const blocked = new Set(parseWordList(wordBlocklist.toLowerCase()));
+  const removed = { empty: 0, tooShort: 0, tooLong: 0, blocked: 0, duplicates: 0 };
+  const kept = new Set();
+
+  words.forEach(rawWord => {
+    let word = rawWord.normalize('NFC');
+    if (lowercaseWords) word = word.toLowerCase();
+    // Combining marks stay, so accented letters survive in either normalization form
+    if (lettersOnly) word = word.replace(/[^\p{L}\p{M}]/gu, '');
+
+    const length = splitGraphemes(word).length;
+    if (length === 0) removed.empty++;
+    else if (length < minWordLength) removed.tooShort++;
+    else if (length > maxWordLength) removed.tooLong++;
+    else if (blocked.has(word.toLowerCase())) removed.blocked++;
+    else if (kept.has(word)) removed.duplicates++;
+    else kept.add(word);
+  });
+  return { words: [...kept], removed };
+};
+
+/**
+ * Drops every word that is a prefix of another word in the list. The result is prefix-free, so
+ * chains joined without a separator can be split back into words in only one way.
+ * @param {string[]} words - The words (duplicates are ignored).
+ * @returns {{words: string[], removed: number}} - The remaining words in input order, and how
+ *   many distinct words were dropped.
+ */
+export const removePrefixWords = (words) => {
+  // In sorted order, a word that prefixes any other word prefixes the word right after it
+  const sorted = [...new Set(words)].sort();
+  const prefixes = new Set(sorted.filter((word, index) => index + 1 < sorted.length && sorted[index + 1].startsWith(word)));
+  return { words: words.filter(word => !prefixes.has(word)), removed: prefixes.size };
+};
+
+/**
+ * Builds the word chain list with the hygiene filters applied: custom words are cleaned, combined
+ * with the built-in words and, if requested, the combined list is made prefix-free.
+ * @param {object} options - Word list options.
+ * @param {string[]} options.baseWords - Words of the selected built-in list.
+ * @param {string[]} options.customWords - Raw user-supplied words.
+ * @param {object} options.filters - Hygiene options (see DEFAULT_WORD_FILTERS).
+ * @returns {{words: string[], removed: object}} - The final list, and the removal counts of
+ *   cleanWordList plus `prefixes`.
+ */
+export const prepareWordList = ({ baseWords, customWords, filters }) => {
+  const cleaned = cleanWordList(customWords, filters);
+  const combined = buildWordList({ baseWords, customWords: cleaned.words });
+  const prefixFree = filters.removePrefixes ? removePrefixWords(combined) : { words: combined, removed: 0 };
+  return { words: prefixFree.words, removed: { ...cleaned.removed, prefixes: prefixFree.removed } };
+};
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_WORD_LIST } from './constants.js';
+import {
+  BUILT_IN_WORD_LISTS,
+  DEFAULT_WORD_FILTERS,
+  NO_BUILT_IN_LIST,
+  buildWordList,
+  cleanWordList,
+  loadBuiltInWordList,
+  parseWordList,
+  prepareWordList,
+  removePrefixWords,
+} from './wordList.js';
+
+describe('parseWordList', () => {
+  it('splits on any whitespace and drops empty entries', () => {
+    expect(parseWordList('  one two\nthree\r\n\tfour  ')).toEqual(['one', 'two', 'three', 'four']);
+    expect(parseWordList('   ')).toEqual([]);
+  });
+});
+
+describe('buildWordList', () => {
+  it('combines the base list with de-duplicated custom words', () => {
+    const list = buildWordList({ baseWords: DEFAULT_WORD_LIST, customWords: ['apple', 'zebra'] });
+    expect(list.filter(word => word === 'apple')).toHaveLength(1);
+    expect(list).toContain('zebra');
+  });
+
+  it('returns only custom words when there is no base list', () => {
+    expect(buildWordList({ baseWords: [], customWords: ['x', 'y', 'x'] })).toEqual(['x', 'y']);
+    expect(buildWordList({ baseWords: [] })).toEqual([]);
+  });
+
+  it('returns the default list unchanged when there are no custom words', () => {
+    expect(buildWordList()).toEqual([...DEFAULT_WORD_LIST]);
+  });
+});
+
+describe('built-in word lists', () => {
+  it('loads the EFF large list in dice order', async () => {
+    const words = await loadBuiltInWordList('eff-large');
+    expect(words).toHaveLength(BUILT_IN_WORD_LISTS['eff-large'].size);
+    expect(new Set(words).size).toBe(7776);
+    expect(words[0]).toBe('abacus'); // 11111
+    expect(words[7775]).toBe('zoom'); // 66666
+  });
+
+  it('reports the unique size of every list', async () => {
+    for (const [id, { size }] of Object.entries(BUILT_IN_WORD_LISTS)) {
+      expect(new Set(await loadBuiltInWordList(id)).size).toBe(size);
+    }
+  });
+
+  it('returns no words for the "none" pseudo list and rejects unknown ids', async () => {
+    await expect(loadBuiltInWordList(NO_BUILT_IN_LIST)).resolves.toEqual([]);
+    await expect(loadBuiltInWordList('klingon')).rejects.toThrow('Unknown word list "klingon".');
+  });
+});
+
+describe('cleanWordList', () => {
+  it('keeps words unchanged apart from exact duplicates by default', () => {
+    expect(cleanWordList(['Apple', 'apple', 'x', 'apple'])).toEqual({
+      words: ['Apple', 'apple', 'x'],
+      removed: { empty: 0, tooShort: 0, tooLong: 0, blocked: 0, duplicates: 1 },
+    });
+  });
+
+  it('normalizes, filters by length and blocklist, and reports each removal', () => {
+    const { words, removed } = cleanWordList(
+      ['Apple', 'apple!', 'a', '42', 'x'.repeat(40), 'Darn', 'café', 'pear'],
+      { minWordLength: 3, maxWordLength: 10, lowercaseWords: true, lettersOnly: true, wordBlocklist: 'darn\nheck' },
+    );
+    expect(words).toEqual(['apple', 'café', 'pear']);
+    expect(removed).toEqual({ empty: 1, tooShort: 1, tooLong: 1, blocked: 1, duplicates: 1 });
+  });
+
+  it('counts user-perceived characters and keeps combining marks', () => {
+    const decomposedCafe = 'cafe\u0301';
+    expect(cleanWordList([decomposedCafe], { maxWordLength: 4, lettersOnly: true }).words).toEqual(['caf\u00e9']);
+  });
+});
+
+describe('removePrefixWords', () => {
+  it('drops words that start another word, leaving a prefix-free list', () => {
+    const { words, removed } = removePrefixWords(['sun', 'flower', 'sunflower', 'flow', 'sunny', 'moon']);
+    expect(words).toEqual(['flower', 'sunflower', 'sunny', 'moon']);
+    expect(removed).toBe(2);
+    words.forEach(word => expect(words.filter(other => other !== word && other.startsWith(word))).toEqual([]));
+  });
+});
+
+describe('prepareWordList', () => {
+  it('cleans custom words only, but makes the combined list prefix-free', () => {
+    const filters = { ...DEFAULT_WORD_FILTERS, minWordLength: 3, removePrefixes: true };
+    const { words, removed } = prepareWordList({ baseWords: ['sun', 'moon'], customWords: ['sunny', 'ox', 'star'], filters });
+    expect(words).toEqual(['moon', 'sunny', 'star']);
+    expect(removed).toMatchObject({ tooShort: 1, prefixes: 1 });
+  });
+});
@@ -0,0 +1,125 @@
+import { WordListError } from './errors.js';
+
+// --- Word List Library ---
+// Named custom word lists saved in the browser. Lists can hold hundreds of thousands of words,
+// so they live in IndexedDB rather than localStorage, whose quota is a few megabytes. Which
+// lists are switched on belongs to the settings profile (wordChain.enabledWordLists).
+
+const DATABASE_NAME = 'passwordGenerator';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'wordLists';
+
+// Longest accepted list name.
+export const MAX_WORD_LIST_NAME_LENGTH = 60;
+
+// Where a list's words came from.
+export const WORD_LIST_SOURCES = Object.freeze({
+  pasted: 'PASTED',
+  file: 'FILE',
+  url: 'URL',
+});
+
+/**
+ * Creates a library record for a list of words.
+ * @param {object} list - The list.
+ * @param {string} list.name - Display name.
+ * @param {string[]} list.words - The words.
+ * @param {string} list.source - A key of WORD_LIST_SOURCES.
+ * @param {string} [list.sourceDetail=''] - File name or URL, if any.
+ * @param {number} [createdAt=Date.now()] - Creation time in milliseconds since the epoch.
+ * @returns {{id: string, name: string, words: string[], source: string, sourceDetail: string, createdAt: number}} - The record.
+ * @throws {WordListError} - If the name is empty or too long, the list is empty or the source is unknown.
+ */
+export const createWordListRecord = ({ name, words, source, sourceDetail = '' }, createdAt = Date.now()) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) throw new WordListError('Word list names cannot be empty.');
+  if (trimmed.length > MAX_WORD_LIST_NAME_LENGTH) {
+    throw new WordListError(`Word list names can be at most ${MAX_WORD_LIST_NAME_LENGTH} characters long.`);
+  }
+  if (!Array.isArray(words) || words.length === 0) throw new WordListError('The word list is empty.');
+  if (!(source in WORD_LIST_SOURCES)) throw new WordListError(`Unknown word list source "${source}".`);
+  return { id: globalThis.crypto.randomUUID(), name: trimmed, words, source, sourceDetail, createdAt };
+};
+
+/**
+ * Collects the words of the enabled lists, in library order.
+ * @param {Array<object>} lists - Library records.
+ * @param {string[]} enabledIds - Ids of the enabled lists; unknown ids are ignored.
+ * @returns {string[]} - The combined words (duplicates are removed later by prepareWordList).
+ */
+export const getEnabledWords = (lists, enabledIds) =>
+  lists.filter(({ id }) => enabledIds.includes(id)).flatMap(({ words }) => words);
+
+/**
+ * Opens the library database, creating the store on first use.
+ * @param {IDBFactory} indexedDB - The IndexedDB factory.
+ * @returns {Promise<IDBDatabase>} - The open database.
+ * @throws {WordListError} - If IndexedDB is unavailable or the database cannot be opened.
+ */
+const openLibrary = (indexedDB) => new Promise((resolve, reject) => {
+  if (!indexedDB) {
+    reject(new WordListError('This browser cannot store word lists (IndexedDB is unavailable).'));
+    return;
+  }
+  const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(new WordListError(`Could not open the word list library: ${request.error?.message}`));
+});
+
+/**
+ * Runs one request against the word list store and waits for its transaction to finish.
+ * @param {IDBFactory} indexedDB - The IndexedDB factory.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Issues the request.
+ * @returns {Promise<*>} - The request result.
+ * @throws {WordListError} - If the transaction fails (e.g. the storage quota is exceeded).
+ */
+const runRequest = async (indexedDB, mode, makeRequest) => {
+  const database = await openLibrary(indexedDB);
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(new WordListError(`The word list library could not be updated: ${transaction.error?.message}`));
+      transaction.onabort = transaction.onerror;
+    });
+  } finally {
+    database.close();
+  }
+};
+
+/**
+ * Loads every saved list.
+ * @param {IDBFactory} [indexedDB=globalThis.indexedDB] - The IndexedDB factory.
+ * @returns {Promise<Array<object>>} - The records, sorted by name.
+ */
+export const loadWordLists = async (indexedDB = globalThis.indexedDB) => {
+  const lists = await runRequest(indexedDB, 'readonly', store => store.getAll());
+  return lists.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Saves a list, replacing any list with the same id.
+ * @param {object} list - A record from createWordListRecord.
+ * @param {IDBFactory} [indexedDB=globalThis.indexedDB] - The IndexedDB factory.
+ * @returns {Promise<void>}
+ */
+export const saveWordList = async (list, indexedDB = globalThis.indexedDB) => {
+  await runRequest(indexedDB, 'readwrite', store => store.put(list));
+};
+
+/**
+ * Deletes a list.
+ * @param {string} id - The list id.
+ * @param {IDBFactory} [indexedDB=globalThis.indexedDB] - The IndexedDB factory.
+ * @returns {Promise<void>}
+ */
+export const deleteWordList = async (id, indexedDB = globalThis.indexedDB) => {
+  await runRequest(indexedDB, 'readwrite', store => store.delete(id));
+};
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createWordListRecord,
+  deleteWordList,
+  getEnabledWords,
+  loadWordLists,
+  saveWordList,
+} from './wordListLibrary.js';
+
+// Just enough of IndexedDB for one object store; `failWrites` simulates an exceeded quota
+const createFakeIndexedDB = ({ failWrites = false } = {}) => {
+  const stores = new Map();
+  let version = 0;
+
+  const createTransaction = (storeName, mode) => {
+    const transaction = {};
+    const { keyPath, records } = stores.get(storeName);
+    const request = (run) => {
+      const result = {};
+      setTimeout(() => {
+        if (mode === 'readwrite' && failWrites) {
+          transaction.error = new Error('QuotaExceededError');
+          transaction.onerror();
+          return;
+        }
+        result.result = run();
+        transaction.oncomplete();
+      });
+      return result;
+    };
+    transaction.objectStore = () => ({
+      put: (record) => request(() => records.set(record[keyPath], structuredClone(record))),
+      delete: (key) => request(() => records.delete(key)),
+      getAll: () => request(() => [...records.values()].map(record => structuredClone(record))),
+    });
+    return transaction;
+  };
+
+  return {
+    open: (name, requestedVersion) => {
+      const request = {};
+      setTimeout(() => {
+        request.result = {
+          objectStoreNames: { contains: (storeName) => stores.has(storeName) },
+          createObjectStore: (storeName, { keyPath }) => stores.set(storeName, { keyPath, records: new Map() }),
+          transaction: createTransaction,
+          close: () => {},
+        };
+        if (requestedVersion > version) {
+          version = requestedVersion;
+          request.onupgradeneeded();
+        }
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+};
+
+describe('createWordListRecord', () => {
+  it('trims the name and assigns a unique id', () => {
+    const first = createWordListRecord({ name: '  Jargon ', words: ['api'], source: 'pasted' }, 1);
+    const second = createWordListRecord({ name: 'Jargon', words: ['api'], source: 'pasted' }, 1);
+    expect(first).toMatchObject({ name: 'Jargon', words: ['api'], source: 'pasted', sourceDetail: '', createdAt: 1 });
+    expect(first.id).not.toBe(second.id);
+  });
+
+  it('rejects empty names and lists and unknown sources', () => {
+    expect(() => createWordListRecord({ name: ' ', words: ['a'], source: 'file' })).toThrow('cannot be empty');
+    expect(() => createWordListRecord({ name: 'x'.repeat(61), words: ['a'], source: 'file' })).toThrow('at most 60');
+    expect(() => createWordListRecord({ name: 'Empty', words: [], source: 'file' })).toThrow('is empty');
+    expect(() => createWordListRecord({ name: 'Fax', words: ['a'], source: 'fax' })).toThrow('Unknown word list source');
+  });
+});
+
+describe('getEnabledWords', () => {
+  it('combines the enabled lists and ignores unknown ids', () => {
+    const lists = [
+      { id: 'a', words: ['one', 'two'] },
+      { id: 'b', words: ['three'] },
+      { id: 'c', words: ['four'] },
+    ];
+    expect(getEnabledWords(lists, ['c', 'a', 'gone'])).toEqual(['one', 'two', 'four']);
+  });
+});
+
+describe('word list storage', () => {
+  it('saves, loads (sorted by name) and deletes lists', async () => {
+    const indexedDB = createFakeIndexedDB();
+    const kids = createWordListRecord({ name: 'Kid-friendly', words: ['puppy'], source: 'file', sourceDetail: 'kids.txt' });
+    const jargon = createWordListRecord({ name: 'Domain jargon', words: ['kubelet'], source: 'url', sourceDetail: 'https://example.com/j.txt' });
+    await saveWordList(kids, indexedDB);
+    await saveWordList(jargon, indexedDB);
+    expect((await loadWordLists(indexedDB)).map(({ name }) => name)).toEqual(['Domain jargon', 'Kid-friendly']);
+
+    await deleteWordList(kids.id, indexedDB);
+    expect(await loadWordLists(indexedDB)).toEqual([jargon]);
+  });
+
+  it('reports failed writes and a missing IndexedDB', async () => {
+    const list = createWordListRecord({ name: 'Big', words: ['word'], source: 'pasted' });
+    await expect(saveWordList(list, createFakeIndexedDB({ failWrites: true }))).rejects.toThrow('QuotaExceededError');
+    await expect(loadWordLists(undefined)).rejects.toThrow('IndexedDB is unavailable');
+  });
+});
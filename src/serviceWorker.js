@@ -0,0 +1,36 @@
+/* global PRECACHE_URLS, CACHE_NAME */
+// Service worker of the offline build. Not bundled: the build copies this file to sw.js and
+// defines PRECACHE_URLS and CACHE_NAME above it (see precacheServiceWorker in vite.config.js).
+// Precached files are served cache-first; everything else, such as word lists fetched from
+// other sites, goes straight to the network.
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+// Drop the caches of earlier deployments
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('password-generator-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      // Navigations (including share links with a #fragment) are answered with the app shell
+      const cached = await cache.match(request.mode === 'navigate' ? './' : request);
+      return cached ?? fetch(request);
+    }),
+  );
+});
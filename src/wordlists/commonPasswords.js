@@ -0,0 +1,11 @@
+// Bloom filter of the 10,000 most common passwords (lowercased).
+// Generated by scripts/buildCommonPasswordFilter.js (see there for the source list).
+// False-positive rate: 0.000001. Loaded on demand by passwordCheck.js.
+const COMMON_PASSWORDS_FILTER = Object.freeze({
+  itemCount: 10000,
+  bitCount: 287552,
+  hashCount: 20,
+  bits: 'ZbaM5UhhiFema0qnkgfsVcBVevDiPWZdVZh+3wiwJUczdzD8IohJx9794c+3OtrAWLtrd212F1y/b85T4Cu+VjObCn+OVYKch2rZQW24t8fv45qimTo4+Xo6ZC/KwwR6KFYViRGtshXS+zmCHfvdGCNb89z92GPdjJmfazUR+8pHFsGd5a4VmPfioXbgaZq09sDBQx4Xg4yhRJsapKKJNLxvwr6LmljA7USVKtxRGAmREG4G/92TZXlwCfVLpoeHWlBJIU5ynMOTKzaHPJ492GLwAalHLH8bG+ubre8aSg53T2HL/J772WmSaVlrTIeoUawy13NfE4Q2SyB5m30eewy/dGdI1CaJSkwXAIyMPF3ZDp86TKY7VEJTTKzWUyxVny11Xc4yYo9+eOMmYzO0n3Dt2XypIXR6BnAgp6LWG5weveudfLFexxzQeslzs3H8+S6c3vYHqOcfEXFe6B/mIniZihx326WamaZ0TjL86Drmv+2uO+c2kZZT4eS0v4kC3lsuIwI8/ANSSyuUrvLkM2U/nKpHyEIUEbnd+a6hzhHcECfgUqJZWfEtCMCws23kwI+Sw3QVi4WTewVImDSy06vzIMr6+SVNJ2Y4YmRgJ64pCsraOZ5EIu9DXpQ1ewJZ5Eykoyb6/h+UXbjgIrbLdlkCaRwqt5agd/w+KIPWcLjQKPu/fb4i3g/pTLvoQ96tupsLJoiZVze0Du1xeANwnZDZ+oXNiMq/5FeVTf1GO2/LW8gUVRaOR/ZOLDBQ1HQNHI+iICc8A6oMEXb0/dukRoPYn7z2gTVSVnSAuaWg1f28wAxhv73E0eGbLL+ZGGw1gN6EdMEwDered4PQI0B73coW8B73lPMGuiMZY1Jwogxxvy1bTP902CAmVTb0xNlF8xbRS48jQqIgKrZhqhClTYPwr0oyq03cKY6icFahbTk3RUdWiwxC1tt3ZzLzHx3yA8JxTyrhIRAkKcdKZlnpQfivZbALTHio1Scz0L1oHUPLhqykImYmh/lohM1YCMYBDquAWCrq0IEczY1SZ8WGQ5E+Gl8xn0kvGsxywMbwFLJwvrYS26R5gvC6v8B1uOdDBTMbMr6z/kJS54zUnbDQA3KfZxY4HF0h6vyADP+bOoTLz6yNP0uIlqA75L8aMilNrTSGsKyEQfkBVvniyflb3WE+Qv796vzTjPl+qKo3mCyneV92GABJb9ec2xYDdyC/Pb4X4UacPtCcyPGg6bxWLUKX87XKBdZx45scxmBfsvvH2bWMOK8qus1SvAXlUMatvpflTeR5y68BE9FvqJwoGkcgaa46rLdgfmibRK6IbV4JsnX3K5s0RBVNizkFzseaDpWVyb8wmUHvcua5RaRNVvL5dguRw/s0V0PUvir1RkOJrMiTWwENcwtLYArehFH0k511YWGNVd0fqdUkJfe/9n0j42NUpV1qErUqO2R04FAvDScnmcBB78eJyNr6auL/iijG4ubY2mqYBxmvAkkLYmsKqzun8/kLB8BRboVazx1ZK9FIKYoR2BqXQKBpVu7PbHVVD2Qb1LUKPzewBF7BZLcA4DzkAaA079Ipxyp2rqUr9X1IYb3Sc5dw17aYZ9VLIijFmeIrP9svV9MSVnW34+EWDL5FOv3AMqQIlvrRWGcAshr4aVpM2YmLnaq1zjLzeFFYi6w2xzgrfrvE0HD9+JSeDmZG5scZIDzyYMUNLr+YjHviDNvbmZUxvvkLg+JJTleUj15rHH4yk4oqDwa5V5EQkL60IQct3CRHFr0UsfArYiPOSn3gI9IvFs/9EorzXD1zO9zhaO8qH7joeJuG6Bdd1kkmbcwRbOynNb6HNZVrkaSakPSnZrulNTu9rjhGP4ImW08FNVPsjbAqCXYQM8WVvmz1xsuagXYVKkNhqzXN7Ro5ZacOjc7HnAp+q22x2BBB1KYA6D3RbeI7PHzjs5KyxSzMfEarLfjGBmeDs+x+pDLX2aAjHswJlG8OqjyAtQ1P4zEKiLQD300tb3RScW+qomZ0/nkmePwiVLohhNpzJg50tLb7D69CRLw6QTZ/0M20u4uPZhjvJhG45EVM+XiifJCZCZP70Qu7hOvyMPte+K8d2LGZLv1a2/uEKvrJEMV9rOFFQDS951+ddCuVj0qqb2RGoe0ji5zpQ5yDXmFtEHJeukT91NlmEmyiD4mAuGw1RuUkGZSa0kMlmDR0rpASWzHE/jD2bJX3Rie/xtmqINqYOV8L8jc1uWmt+2DVq5nVFPZKKHYNPoo7Spvi4dkmYz0Vkfz94N6EXdH/LzpFxTCRZ8xQdblrXYvsmJ50CrfeCgWEo+ownCgZtM6a90KrijpHL1OTcPLmkDRbQTwkVNbRDeO4MChO6eHtX+P9cqKnNoDsBiix9yFfWSPbdqApHX1mJ6NzF24BGVN6iPctpRi9Lj+gpQDyMYeUhKU2zE1BxR84SSC9Q/nqJmiI0Z9DQM4gkWyK5nitEiUf254Vkg4tQyhcYhP5xpsFDtf6vmOBji7If8s2T42wWc1OMcL5sIOCK71KXsn/PwQIpMFWuG91XjTfrgm/Jv2cMVYOuIlWvzwxoxoK0TQeko9cSizQrypqlGcnDSff9xYGRFGCS7damB+HRz5b+3Wy2420kY5Fyu3ZboTrtcRWkP4oZPdEtgnYrpTSQR0DubYUI+PtpVg3OxztqramGSCbRzvxOS2MJ5kMgSLgVo6zqw2+nYiC1aH+diR+auSZsQ+yz5AcJmmfY254yjyFJfNpB6H2sqO0+rUDQ6neeokUzLl2gQJYWO7tqS2SK7O1+81ZjDcWaL2scgXYRN3ovF3maKdNgl25q93NhZ8Mbak0EDniGOr2kjKaXyOklOI14A1vC5NyibZz5GnOu81KOTeMIIMnx7RsCxHQFv8+j1wfoWT+41SUN3+Ir6KckZYJroeMdfp91EwcrIDYHvjZ8OlXDBiPEAsHE9pdMwuxBrtjAc1DK5w/E/lVAvTb3Qm1uuiEED5nTg3bUfG+kOqS5kQh3jVba62OE23AwcKcRK40TjfC9oiNZM1mub0fe3GsnGBrOs+MSjk1/y5oFisB6F79anvYRfBFJgzl7mHMVzjRB1k9n2ukmOz8SDQe7ym1eZECZCWOxuwC7zO3kHpAQTmLswL9hDVWXrvWccFRj4mWN3ejbqcLg4K70bNT+c9z5dkjuBBUzyCbtE+ZEr0ZsH2rFaI9J9Z5Flx+ZKXurbkPBl73BHjMXeE96m/E6s1YgE63/k4rg5fIVL1N1vEKrJSkBr+sCfHRj8Yd5+/gpoeq5O616FVxAyi3AKkG0sQMJ6mjd+dYP0vcuD2gru++P8yjjCWDbH7KgTWK7MbXFxvhLm6s3OYYfjJcYtFp2d78I4weJXkjCk5A7mCixoPquhvOfizqrxYPQgKEiCi/Q2nRWdTy5M2V3gZh4qECWAioXn/85G/leyKLDFuJQk+797q5t3ea2LGBYAXgMzKs7Wqa0vG1kTg2OYcVsTCur/uCICHVpR3fflSqrtBiHMskwKJtK1N0Cj8Ev1LZHDHkgZlvO9EGudIcYn98QXfTXYeCGTB9KXTJDxmrjg3g3S07/TW9pkYSK7K1EAe/IHI2hjcme7alPVTFFD0CieR7io9KUhtvZQwG8qMuXXR7iMC9tES4Ycp3b6iSvLokoDiheNQupDOQ2jeEJjnq+9K89I7lDgO/R0wLZpyp6m9iza8kOOvDdb3LRMQYdvadxJDuWsOn3Olm4M+Fk3sdgxn/RQZdTHCecBvJ3Cdv+FWaP/AN1YxOVhcA0RsqrbrlMND4d/1Rrt1zU/Cuy5XAdJauNVChn9qrVxu1D+3ohzX5rZvEBs3raX3/V7Ey3+8iNU4BAnyrJK+trHlfHqMk8/o0UMBNbdoQcEyC3UUEPwI7W/DaoCqlYeaxkN0fwpuzxuO4M9qfv7PH+giNR4BfZ5y5gGLCyKsDl2dyEkONOBRDCEB96/LfVt/lXdgyteC9y37XBvZZGqekPOy+x4D0anOkNiBKWj8IjU+XKupVYYzjnmSixjWPZTYzdTPuBXDaU5OwTXFLlG+VyQ+Zajt6IHE/B5x+lnmDsIFu6JPST6mDT+Jpg89f2KL9iCHkYHLBYmCVJk6ooH0cazALCAbU41Tcby+VfS/Q9TiinYETpEhn7DRZZK97OfGUxIjzhmRvS1/gce+98yqmbr7BkP8+0pyzIvHgnR1M9Zh7m0PYuFlHFcvof1CWEqYcsV0cVNJ+Y213gJ/CYGweNXxieMrXhz1YNecNGhc94EimZiXW1Kne58lkdWZvAr5jcpnto6KDYceohJrOGjNCE7LpnzlRSGxwF47ZiftKjwiCYbo289MP8h2VX3oXY4dWqeieMvu2d2xtgxUxDuW7MMoi0wEZF2/odcKYWdP4IqJyDAD2iGMMQlRb/8Rt5lHuUoKimzGOYrJKEXXZ3ag+CBE7nZ8nkdJMj7HJjluW9bIwfCCv2Vp4kOs9ZDUC3UpIC1Klnw+U5OhVq5YBaRLYJ3b/vEzFiaXo6pc725SkHugQqlMDf8KOUhs4SztVRpPqP04oDi3E3WXEhWm5YciYdrqC/nfiD17bFTHoQJmRpm6ZyqJgIyAfykobQnEVBhmbSj4sLjcGuwamtp2b6lzsGi8zqa/pUck/SVrZShbH2V9MR2YvCqbT3fqg2mmSIzAoj6U5c+XJn4jy4Rp2u9woVuBgpb6jBG8oOx1eiLSnHxWyzp4C+ALmjCytLb0LN5OnGyRqjbyE9Dq6+zXp+ZCVApAeUhwq3siKacOIWZsjPBNwe8NAgMbsIr1+cExCEtGRLjGZAKl2xmbNul6zWs/8lKkDQDuYvwCcHaK+sS5rW88IOR+wcAIjeu5gHWicyiLCn7+o11keg6ASZFW/R9YHZK/ahKSsUNzuAHlJ/h/JdQpLrfaeyLxGFQ7j3k43ZxeLEsY58QudXI50ZH07yTxJReVDohqL1xOoeHAznKyldhvX63mb4CLNU02lkQ3Qy6HoO1qCht4JOyguidjXDzuPq95BdVEfsfpN0RxzWCAY9d/NAoVNo2sPzH4njFAk3DnxEL5QdrJdVVh+a3PTSTCfQpqzYnCPoGMBzPJ2GaUI94VsHQQW3wGWecK6B7DNDIuGwK3e32hXh9L1WY8Z3wDamapvN3PAGauNrMXeWa2dm6SHzvCfKVH3mCXrv7eJ7vsyCfsMK9z1rC0CGV0i5mrz+gEuJtHq9jrFvhs9MQvnQISbiXLnyuT+KoNigC4+P6Ztv5cm/mQcZjXU0Nrhr19oKdRqrw/dmR8ATbT0YSiJWqq9AM8/Shgf3vEdhVFjOBbucAIcGtXgqT/7l/LI52Azuf88OFNHyEMI5sgC2bJYssbAYalWyqlihEc4NW2Wo7NX0t4h+8j3Tvhr3z9Y9Ie/1edxzM/A7Y60cXHvGRu+xIu8w4m1N/n8s56tP4x5NIYb4ZQ449/McS3RSPIaPAsw6SlEKf1UqrmvuR7AypHV6N3BjjaDuf/mO95h1V48/Lq7cecEv7GjxCny/E/aO9hcOOG6dSBRFURldGx9LpmBD1U5UWcIqhpFDInereBUVEY/xfeVVHnkp9ZucpoddmyVuZpZ3I2HsbVyFcT0HBsNeyDtRwefUSlyUDZVWxUPk1AroFICQ/+u+J9QA2es8ebbi1T7D4LbULcq9Ycs6UKD0FGbMrrmjcZsXCEdnr581Ko6fzJIbSWjl62BhJ23o2IEbNxas6MukTkJs7K/2tGU/YrWz0YEEcJznaQmALAmhaT4VQwrXhhCK0vldhV30+DOtAr+euPshy3kD8MWWHxfjQHtz8uoxtzLijmgzRio5TpxsnFJ3uSSMHlIrhhI17vnNzojM8RPHSsxW9t66Nv7U0ejc4bu8IuS1c5JxFBx671AnRUdl+Eov89sXkoYsZgXPMgBAqc1CzokfSlTYEhf9xE10vjoU1ONzyIz1793T3jXrsz0HI0tLQovYk7dxIXB40zuwSH5dhl/pg7KuGO9FN+2Xda0CHPnGjXuDu5hLeaP69+qkZaZXC/kiRQagJLDPaVDQVRuYKEkLCDMKgbXhi1t+ebjnVoZ3nO/5ppzRpLVbNA/P8O3Cke8yRy4NsXuMs4FRO24W8IK4C0BBJUvCCE3omqFpFNGsxVY0oncnXTLoduyhRFw2ViGjVX2f712iuIWShzC8XdW0T91w9YV20+nnuB65mOxfRh+pQsxYcc1zXs7Viig4Fotg3dy7l1qsIX5MHk9ycX43uPF4q8C7WWLvSg26bIuQtFV8X87GlfoFIrvGNdVCn7QRMD5VwonLnMK0gdOC3B/q16U3bT/iZ2np9EPWguWcFK2gBjw+RvcpkYpFGwldd1+SF+xp6N9qJEZIKr3lBnMBXo0wpOYuGUZeXHmGAiyd0+LMRICHi7lYC9iBsIkUVAHlWc6CqL8qlfldfK31N3nSfxIJLQ6iKC1Anz09WMulIqHmemARChj6IM1W+r+bGEyDN64CGrByjXfQAGPK35QnT3mruHF6hiadXZ2J3XRRPlPRrldtxEF1OxzqiV9UWTZHRvfGwHvnNbrtk4+g+43FJh+o/3VpYvFr9K4M45fmeH9GIIDrFTP/8OgqtdJFcFpvwh1MdP37U66uyu04qbrdeYmLo++2SZaqWrfQxppZ161zNdbUJaxJHRv9ciS2iUMuTeacuxq/BedWMxLWkXYFeWTVrfiVWymh/MhpwDsuabEIs37lrejwywyttAsroFCGSh14FwvJ5ms9GTrsxYosvyCVaIq7LzmjWnKd3UnFGD4VDan0bxZppfFl9AzeEnsBdXAZNaXhKuhkvrJGqL1lwtUvBCHAFHFjgrz09qsOWw3AxSoqLuEYgiRSYALwXjq4s4v1o315QHkdCChGuc7XQ0GZ7h12xXSdk+EhwESkrkvwbE+MbkNRCCaNq0eHwMHYnqnkXl5TI/Dd3wfxxEq7OpkXroMBUd54wFYZOGgU00EPIXC/Au/VQFOqsJE1aD26Iqi2BBWJbQ+fCCKgyeSWcJVEfYX7Lrt/8gt6lUqI8hkmGH0s/sNUnWEgH2MwsOvwaLKBM8Jm+00UeIYdOsi34yruCdTF+wTA8KrGOoOH4h6dJKoUJU2tEyvMJxOBomOtQqMajcYU1BPNGhWHvrEH6w40MtH5JewJ9qaA8zWSG0AJbZ6v+8AdW3imLBdheqvVmaMCoYbyKG19nuAPUgQJpXMBVa8Zvnp7wSktKGLgzU8dFEuhXx/FglX4qdjTtDiM43QT0VMcPzhPL7JKbcjmL5j3BVf5BMhGwQ9mFc3e7bDRyDIBkwPLYOxxflo4TbopQnt4biLrC3oEuwqbmPCQmF+LQ3yc9d+WJVCU1TtmCUY6yNi/itXIDwbyrZSJ5SZhroT6bsTuSRFslU4hbL2fREBnB7yaIqE+Y3NFkoJYrsCiPxG6aykm70Sy3ts68GC5LPuEpSh4vJgK5qeTilcPo3JvOPId71bZ3Sui5aFZPGsEG5hJGIJAu3LdL6KxRjFl/bsBoMUs2mxSPkNCLP9LFTlPxzpVrshw95BJalwGyEd1TvhHl3BChubQ5DyDI097TOcst2Ffwh9r6Imape5dgl65giAuWgCNOGmxXLobT8pCUizBL6o9yn/BKB9lhBIcXbXU9ah7D95/RfvNKN8ChrT0gwxyeGGNxqSQu+5388aJjI6RJNuKkszEOtybWU+jK/s+9BoDbGbPv8EsFfp7IPX43r6CkX36f7c1APD7Cbl7iCgTD7yVDU5OlXsE83gEsZD0nAOmnv7l8pEFqDeXWfhfKDrLb6gy9OazU5n6KXu7I1SWZUN6sMVRC+vhq4beefLhaLhZpkMp0jPDyz5NB9V7gFls34QRwiNRKgXjmcqrz3J6D4MSQJPxtn7yJ1ufv3TxuckwYkdzF2zLSvFxgaDvULYFjIgbZjWQQiM1EuSFD3md2tByNIdO5VNw9DD5wq5SJIxsviHPxAhAPaLJEx+NOgi7McrkpW3S5Y0Jl20JVsDqrS3OWV+GzinOcfyR1tNQY5+cKllDi5FjiO/qGm4RI7FMsopGnl/BBhtCtdxlQ0Hh3xeESmiScI4IGT5HfWxtBW/E3E0J6h99b3TiBuGNmutqhxRaR0NALV1h7DiTJpRLqdxLq7Ahtsr3tRePDVOakhfGwVAPZSOX6ptLM5pHjqGbMeoFR2RAUT0MbHVP7bWCva1/yoVE/5B8UhcLKL8sLWFgWdsODjyDVY8WQCXnaNMltf59xlLL7mgfU9o85bayMJubUuEt+out3ti9w8qeW1JnetFLCYeAN57IIzOx4wP9HqFdk3QrS1wNMqVMmgHvRaIKRkiVunn7ItMUnIbdHs+AkNtMwsV+my/hjUZMWOB2YYqOltB4I5jilipIKEBg2JCnJKfX6lGsjooYHaUSQw9F73QWEZ9pwH+HNGycMQDXCZmrhelOAHz9tOy+Ur+b03xSMm31nfCvPMdKy5yYySj45MVvCDzMwgG7dnzpUrx2uIWc//ptuR1xlZ9yEksPEiefK47+UfSZ2kt44/yRf+pA8JS64bUHZ/RX/N9QMgOJHobJyTZ7Kvz9G0Oh85g1F9nbChqvXIAzHO7VQICPaF/V0j6+rgS+FWGG2VYmQ8QU2jJcOH5K6xEK7ZSz8deafsIdkxtGRfL6VQ2lBF4d6kMKNM7gSHFXdw2MbNeTcn3sUmbe1VhenxcGeQWh+FCb1WBWnPitlWCEEbQpJdvSK6HPS1M05dCyXiPJEmE817CGvfAlcxrIJC+gxFxvUp16/GBGFHrORyvTbQM7ykOPK1QNAJLcHxtK82rsOxKO/skrYPbgu19LCNbbBIZ8tXJ1o0Z5mn0cul/20OwkoWea/IB9T1cr1fP0BYu3Qq9up4cLgE86lzy/M3Yjp1k23VdDXPwBVpSwLKsWnZsD1aDcHh0ZYqVw8B9MgWdqZOVoj8M2dD/cDBoyI2fZIkkOJMSBn8LMJ/nZaI1eieV8wC3mBMK8PlZ8Ysqh8tK4ZNKSirciEqbtWgIp+o8WuBtyE3O6WQ1rEFDm5p543rLn683bnsC8dPqgurTS7AhmONtiXMAiCczuZsqSFeNsDI9fHOHqEzfgoeP30y35NWFOd5fQCVHvNGqStw49XKfbztmzcoE0xOcDNBPURyK1w90RV5GRWSsztRQgkzjiwDS1xIVGsMucNO6cwda8kmkoSduIXxy+jRRpZe2k82AvCGDSSd8fzlMQed8fqXssKUivUSiVus3k5Z1T5OhpMHMjeD83/UhU2peBk813tEducGqhfL5le8X6jUrKbCo9xo0c+ZqUNdIfE9n1ku6f2F8wSJdQmP7w4NZo1zMSrTg9aA1kQgMEK3uBGGXGfOTO26kkEtp87X9dGJF4bQuE66/EKamYCKnQAG3HShHd9jAOMOm0X4MR7uqZPDxcBuwQRsp+6yz0Gk7b8lpNzGsU6iAtuhOOxH3VqNpmjid2zeEQnqiHggrA968LYdMZHF5sZp42pXrg7PfCn3VOkhiAwBtQunUqWUI3W0d4iHxlwqH47P8BwBbSTU4jkZqBBPQZUE2I/kjyFLwkfdusOPcfq+8UljdMZgnsK791O3fgM5mvAhgNbN/JZf5YcZISOSYwo4o+mpAQN5KcedYJHnlBKRapwk+D53KVN6HpTRFV7VJlojCUvDigK7r8XIexYc13JKJpnyu0anf60CRllB7EjauebXBgmEIL0aibQdgCfYrAOFKf4m7nRc/wgvcfNSAodmSSSXaWmsEHUXlwnNN1mCnRt/e4YkMgNiLc14cUv8ajatBe691ChSffwoAgVdcpLAEa8AgZgbNyDhSUXOvlvUwU2ziST7kpLdQI8zwEc8SfuCT/GMG/g2YD5u/6uDwHFuA0VWDKyL/vGyOmHbYLkcRTEQjVL9udUn3uizrfAHGHwle1ovXn3U7hHaWM63uvMv4Gcp1YpmXLVCkn7zbWCASZMHWCqKvbMGfZrhsh9G6H3uijjQCC8wod6MYtRluCaNx72ol3fLYDVrUrtVdcpx1Bz7Ad79x9pQoyPSLVl1rUBgICWVCA+DeRGH84An8F8R5hnvNNIvuPHdHuqi+iLVQG+FZX7yHgsv1zyDPDswBrb3zyfQXBVYjSd7n55MA500+Oj2+xf2NjB93mcpAr4Jb0P399imKH0FJ5USfhSNZqDkkKAnsmjtXhnSbm8e0hcL8ldOzkCTfEqJlEq+Dqk93dRXTtr7LPupppQ5DvNbCOXTPjq5oS8Ikoe375+G9d3IPNc3FxP1MDbqspesx22+2OyRmILZsH7rhaDulsWyHQax14EwLYKJ04QarzkboiCfCSxWqJXgM0D1gl9LESzYPMAuZ4mqQZPq3NzqALnPxbpxVfmW+OJFA2WX9zz8g3UZOtPTaZgY7wz4YFGL+ydx+lnJED7Wj5+0oP5QUH/ZJFQ+UmZgfKZNFXtDeDswj+JloYeAkUE2G1Np3KLh8xzxm8M+KpCdmLIvxf2uVK2EKSEltma6vGqtlzol36BhVZ0SfZu09C04h9c5ycTRWVtXZ809eV4QwT6zDiB5CNHdymy7Rq7LxBkQUPa2W7j/NMbdeLUE+oDCBYycCTfUVuS5hy0sfWzMGP+xCoFMRvPrkkAV9xGCq3Pbdzqxt2cf38yG0TjDodgnAd6t6GrkOlweou27iTZDRje2/EobsyQupH38kRVueAEcopNc0Jq/cyy6WROnOii4MSvQlEn33Qor+YlzPNs+uxPSxjF/XxKURWu/qS2NObJRTS/dbVBIEGy0hhqosUALGqnvsciLK6dft+j9+0zORAePjOy107djC1Xzc8YXk3EqEPi87H8CjVgLERkLqCfgFEw5bwpJxr4p1eavBL2CiEQ+qwt6FWKUGZVnqbapE+JibK+QM2w+UrG39iDlm/aNWXWJm6srGcfofhF3nyNdEUwJN6wqELxjrzFNYb+9fCvEUmH382MkEoMfN3q3zXvhEzKIFmCCuUaWl+3aS9CrOd93LI/UE85YGuZJVt3Nbg9/EWQnCrt73N8eCMGk08Dy2Q9U8m/yZUlhQ8rOQWNgdG0ru16Lxz+Pa/m2MTb9OefEWTloEhflmY/UHQYdx/l+x7uoasioTjMgjyGnTlyI1DEdPe73X7gOi/uIGBE9kssb/prYQkpR6YkXRzm+8m8MwVUPx9obQhHJ518fOUowkR7+xwZ5OEzGAc4k9mwY3u816OtpaYf/v3Jk/6kjG+YSr7qo5vPoMjaAFENEt1erO/Gy9PUOwsTuJjDd4EkXDoLmTXnjBG9JX+RlYKJEIj+j0J3yXh29hECZavhNFj+CKK0W8+OfXrgNeqnvR9Bod1GU66IgxKLRt8kcu84p/h/T9EWRGbvXpeRzzKhy5/c6t8op3HuS6PxJVVWIst3aKtW1BQaqgdGjPxcuSsRR5YGjvykOmLq/jcB7x1GFDVZHVn3pp6rEqfpEWbaGXmcHJ9dmzXwG5EPx6BNYblW6euIxhwyLxKwOhkfDd5disPZVWDLM6Tih1aj4Nm/pAA+p6vPu4zXF12L3XJgJv9irKpapuuAxQ/dszOchF9G1PSKCe5LywBp6qTvWhhrvaupO8h8+DqvDJw3dpNc6aSxsAW8tzTZBePCFDgaJwj4GD1s0Hypi9tEFLtmf9Lw2rz3FLpmmKONhvH6KD+u06jFYrZxbgb6Ljq+FjQ1crVCbsY6h742KLX4FuH3VF3JC96xrtXfqTELDAc103t5icPt6K0vVhbORwNAAs53I+uGwlEVE1pjv09Tr5M8xjIbAAgow8Q//xgmjALplwmwN6+CHbKKt1Fvys80IZkbksPBXrZNSSzRoIQqSfHNMtFiWVQsP5jJ6efBwyDCTK32HFyCz+BpE7Wlmw0F3HkWkglaCSLbeqdt3GvMu3usDWvpnixqO0DBe3FZVsof/6sAzemGf9Qhn2xb6+wwWQiiIhZVITSWwTVrKiNvz5eb9qWNjpI3GciesxfQMuTXx3VP5G7TYRy6F2uQLrtDkBv9lpzQlfJa4TfOXP6Q1CBLnmruHvDrkp57UHCMdZlMnHARfEbHRYoYaEFixfjJ7WA+5E/NTz2Q9gYvWP0SRA6LWvdLxk8RyOVNzwtexS76Qjzh3G4vQWU7Vq7VCgxjJdEn08I7o+2En0C7fJfzN+iBpqqHnM+qnnfjBDNhj/UuyrOKtMN+x5R4W8cBdZrQpR5iSZa3NGyUZr05rHb9uKcYXdTCqAb2vzRpKVXQh3bzNjP15JREsvrDRTLpvbwly7PvXNnt44Vk9J4Y+62keBklX11iP8utILpMeTBftI5e5YH7rdfVmDFnSmdTg090/tJiO1bQ8G0y7UUuXb2ZxtGdvHmj6EykHtz7bLDLyUuhX311GeokkqxIdpPDhaQTadCBuAQRbem8toepUVhs35ZEbM/yqyS9rGX7Bsc3tZyL+VKKnzHYqPlW3JO5JvAbGi9Zg5ED8ekgBI8xjMCbbDBI785BkllIZWtcyayirYxuaRRqX7m2M7JX1MCV5N4MazvM+BFkeuXcvKjsEC9mSwVuqaE4EhTcs864/sMopQkoJj0E7hl/kteKjDSM0PaaUhOfmCk+1LrG8k6Ix18Tho/EELUHeKK58sAgwmMyEJdsJlXhRIR//GFE4ljEenNdOVamBJ3ZQnHjcnoUerwDpdb9TrU0bX/LRCdyuyXwXIZJLt8lbotO36HsmgXLx0bZvSnGowqqYKXTOOmwWbXpoYGQVQIEbuiITxIfLH/uwJ4jYM6j/J3aaBj+B8rklJv34+ZieD0OX25hufckgOgXcpbZA7QZp8w/NLj0eoQASFs4dFPajlZW+jdxk+qXTLM/EhvsTwA9dW1Ira/M/9F1FERJEZUAMRblbiOBTGTL+aByegZeOvEnN6PVCpXZXHd6qpOTCGEfHoIp47r5FM3NNAe1O9l+L43+fgv6KVTgS7ERFXY2gg/K43ol3YxwiKnphV/avSvWe/Bu7rUhmoCxmNJPwu7bbOv58kr7c95bi7H99ObsyvPeUcoLwhWI3zNIn3QCg/FoYCssKN9/UQ3ysgocudAddh85gqXNn0ZPuJa/S64yFYLltitROktdWmiQJTIMsAkQ58A7R2yxWPXzqLNFJ832P6/yc3wLGgVrX8ruCzcS0lU6cPSSx5t4q5Np9yW+LCjFa2d399zcX19gdREovQfBIyoT/RRyHFXvcUwnhQeKkJT3uNgA/08Xi63R9sBpwg6wPNtyUNvKJ8wMVe0oPmcR9JjovpgdiP3L3VqZ1GMcBARkIZ9fZiBOrBV2bEXOR2uFRgfhsdGCHhdzV9RJqFajbT8VIpR8SIUmgNqYIUPoTP18Is1LLnoEWdJiI6jeGIfbrMJlz1oZhE3+bCYIJ/FmLYhO3FLbX8fnsZbb22d5XerqaKNq5S9rQfro3w8KBmqLEE1844V36rbsyM9G4y7kOwfUOf+qUsP4hcXRQ2eiXpXAJsYkElVaMu2qk+X2UTzCp7DEya9Mvsh4ue915AJI2fybpvxFnudBdwsRIqxBaCW6AvbeQ76nGFo5IMZqHI3iujFetj1LT78cqEBZBizvb/N1wW3n6YSgxnqK7te/rBzXJpP7dwXeTfy+T3sohaiEj6ggCJ5Tma76bJPrkxJrEmLeg5nLJeOnbmdIcoOn+H7+yIxMVWWyOT/Ix0Zqi26cUifMcc4oHbTeek/+NbVapJ7LOWE2gm/ffaYTA+Rph6MXDmnfj2xyFCouEgugv1MFVETZOHa7raIkvtU1pVCF6ZDaf5CE1/heaUDWdYCUXZN2CaiCbEIScblvmy2XXLBzblj3fKJquH59ejDiRdnfWqluVXe3g4CTHzBFfOs4OxIFKSbv56DvtfAynbsNImcTkeACJH+Q2NmHar8SIxRdD19I0TI2G1OiQMGJcVu1Kyl8wEJU0BMukPcOgRw/1Dz067RbCe0iyzq9z3gNKCPVMDIQ2agb+C+A9Hs/ttCxYVeu/jvyjU7gWml4sSV9fzY3D13uLYqCrNEsbQLTvje604cit7N5Enzp1Y8T0RvNe5F+mWa0MxA5I/B8oZnv2ss0YCcUny7PJ9fivET72Vub7xD8suQGA6TSO3dnSU5OBwx7Wefb616b7Kd5Un8yRBYUQyXKjq3wRqmtmyjn6ApGLLv2p03v7WFANAbcYMhDm03tgzW6vNd9ClFsr6p4gm/eRRc3BYwi1JBHlduhgG/kNYT23IhnIt532NDjs2goSEE+HBLUPUFacyoMJSePL5xtusFqL+1JWzBp2ZZcFAq8tbLZhnikbkuvqq4IRFYZlxPYEX7DD8/7LVCjzhPee1ZTEa1hadR6ec9peb52GOAvwUp7H9IfuZHFpYEuZX9RB5aWqfe4F11H5MUlppMr/eYMEQBvmdkUFRg++auVE8orpszWn8U9JyXpoidstwNFs7SJoqAdHee9T8/Xnl9V6SgbPvRu7B8pz8Nr+LW2Lf1ptrGk6pCfcJqXpLly7ru4N3niMKW+l58PXdGe5NcwJ9qsWc2o8qlRVzm8/sJBjjNAJuJwcnIwuLLtkxEjL37+CA2ukZXFijaHdsNbuKOWW7VpagM/o3ndiXTXqUEndHO5jVtCiJPJwi/TzpqvILCXtzy62MuxLCly6EQl+mYNSO/1RICOnqIwmgZ9wWnYgxntTF/q7DkByRMLti7NyWRwTuoVYzm8R5qNR8CFZZwD9PbGL8Wkp1qTnLyesIhSDxoNKxOyQODUkUmWTTcjnc/YFvZywnE3HcYCJD18Ys5SmkTYbDrKAXKVnQ0xhJHTDnB6X/y/xWP1sjRT4M1ndpJ8+7hKyT/X2B93s8SO3U5KUx9JneNpGs4hkDUQO2ak3wRjQCa+ADIMvQASl793/h9t2m3gMSHk1ol5/QKtxTYYae05ZU1Us6suFGjDjPh9xUARD92NO10r780Udkz8EpL2qQuEVXce0uX6CEqL/VDYn9or3g9XkB2yhjMXdbRZ1wzxeSOvi6Pmz3Mw/x0uNHKi3cjSaTsslgWBIvkwoV6upRxBvmBHomH+lzaMC0mpzbFlLfWqNZgwNRvRX8OduDUzcAoqXxAFn/VfHfQ+BUjPEVDLHQBMPU0u/3ds6//1Ef8mQUeAxbwdoEQ79tLMTjX/W2ncKXadOa+0DUSU7UUlctNvRbZySGdFyYNCs+5E0jKcmVNwrZvNoDVbAHbYPvxhNaHHxD1M5E+ThvC4dnPlzJNI6f1gW1o/FD6HgNepbIuEd3fsFiTW7+53sdUOup6AHlIiJbTy43rlyJg82WHxzlNytUwNiXUrE9zt6ebmCZ7aWFshf947ycydaTJd/P9XB2xvf36LkGFfdKiilUhVY571dcOKI2osFLBuqsimZjTwImelpkrw8Ofj3VGAqECZkSxpQu96iM3vKQ6xPGSJoUlarAILAsL8IGPGvugJhaVGDa3TaS0Qq1W0xzaQ1oZCtgce7El+bP1RLrdV8wUCn31b4Z2WaEIY9jAhsxoxVJx6v4zLF1X1RqAQlIel+R6O1ot1KwhnqQJ4MSrNIdkfcLpyajbt4Uld6s8tFx2TEO+YiOT0K7OI0pbP6cZ+VlPiCBY8u6DuAq0ArBUDQZcesYXQ4p62z0krWgrA1W3EXTYurLQM1RnmbrxGisUfk6yZkDIuHJsA7VUj3Kn0cyX09yddfYUmbPW0+MnvrdFiynt7lI7jz4Yt8wEWVJ1joN8DAIn2y6E8dLViEzXv3IMRzRl5W3EznOL66e7j7dfZQdhsLcKGNIzscEbjSZ6mFNja7C794uTPVFkC6lTXJpVx14w1ohBAOZnA3bAjjW2JX70AkZSg859SVfSnMReXvFr9IjsImABXUZ8J8oOvI1nQvfsvwAZ4PgG4CC/ppszPymmTptAajJxGtZ36ZwE57YYB+rLGnZq/pNPGKo01fRDV6YuOfwBEII1R8p4xnq+s4NmM1hg43Uo8R2uh/t3xQ2n+og4OQwhKre0av+WOJSGuDnYVuibjhO76h845/PwFik0Qp0QFEDvWXwMJkpi19GndOSi97bAc8lVq7Wwy/uKOe71Kxh6CNCVWC1nRpiHXt6Jp/H/7/yiSNxA1ONT5rCqQYj4yrtzmVZECKdOZetJgVx45ikHFYrDMjqZFV2Lgc7JQm6+EeMaYA0hmNJwStiM8wm/gZjh+Fe3Ir2vieJO8ge0xMOwLX5ndPtb2fGi+nvj5Jk69Iqa57JuIhfiI4dzUUuxwLOrBdVMuxRIA7279UTo1QIn6l6OE3jfFgKgNP4+2XXDfDWuK+EK5APMUUeNzRD/bhCskaSbaVDJ3Q1qVHq8ZXCTYFNLO+o2OCwF6afq0M5bxdQ54wxLQBU5nukTTgnA/Iy8Xou20g5RzaE0Y3hEAcncYNKzsYErBTz+XMHgimgDBRQgV94ME81GLSPr33Lx4J29LPCVdV7JIXx2nma8COKmk8y5Fh6VkLzP62/CpH9Pz1NJQvFN7ZUOy6LVzT8Uw5uV0aYcjKXoRdOZJfX/bP69geRXTzdPqOy/U+JZzhgMRt0TsqTJNSYa/r4AzZ/EOhLuz/SlMFotBW50ikmKOSidg7if2fdUKcAN5Pf8TEvy/jvdyjsFd6KmgaVIBRBr15nAtrpydG2/s0TLfzoPaQuwTtKkIOkDnT+03y4XWlScYD6AWy8SXt0dC6IGiRd4MPg0WwJfleUEf2JHGgzWD18fvPgWbZmvZSKj/jcWQuARbVIfP7rjfdYOAmOClYS7oCBtQKOVA/S3Yef9INRb8Xnu0o5IXsCiAqRkVPJCbl+DAcjAhBppWv89U/rQ18Ef7rBgG0VVRzLu9YZCc/nh7iHJHeT2T/aIgO8z4c2JwFsGm9KA1RCLrUCZ2LGUxCjYQftDuSY/DXuXkGCf2jOS36poIq1nufL4hNKwrMRSbtt69DX1AM2aUR017htpbGfbzi0GAxsIT7/omHaIvw3szV/FlkUe00iwZOSiUgawzonphz/2Twy/dzehfA/oLwOhz1AIDrytxd00jpKEs1FuwiyCJAK1SB5BgA0Z9PCTma+8VEYHn+fsajjuTzhESfEg9EpbBNyQW8k5JTYN0V0d57zunnRJuV+Z4w+rtZNgcB0EAF4DIFJCkVEuUVKSeaWUoEN6TMVdekhQv/VVfBsKlFLUg6OlMZ8lulmVaDTvwzNhEnN1wx8XKz0Zg7vpdys45oknNI04Fu3WX7eSd1+UZr0mbctOv16EeS4kCern+0lSRg1lOmEjsblLCKTEC4LV4668ykv3b1Zk4XjFOuZtEIX1+irSO/5iVLmhxMtJPABtPUdiD7KT6w5EoDin0+Br45u9qS07xbuB5A9DYeOGnXD5HEUtX49kBRWUnbHYU9ezFOhGGTYNK9gn5PbSZKvfvAR7/UNnk31C1aErL0bbPeqn/A2iiicOyQFmpVjJ3+aH9bZ7DuL7JfJet1eesvJpyiDXG7QOIqd2bfB3gxJ+Z6EG+QN6JTa/BHdllAS13vKI2OVo4cpoidNoglGsi0KUjhypd2xGjEeslSjsuBp0grS60jvE2mUS2WbUeHViwbhnYCXo1Hr3oZhybzhLbTzWd2HNHYZJlDyU/qgo6rqZEMSOh218ul+nId0ZrW/G+uTlzUegUa+uc6wCQ6j4oUBprQZGu80oVL1ev16c99J5AFf03MaRMQCt+eCx7cgYIjt8EABzR6kOipHzE7iXlxuLwPJ/cDy39U29CMqhSKBbQyIIJkRRkwkXRGV/v2Naj2WoPxlKqtvMsbkYs1yFHij9FodDRryoGYIVDvS3pA2qtpGayLqiADy4ync+HfUWv1lCRxDZFmziOSPM6tFlZMCu34ERLC8Lvkzh6v+utFkIrDtr1nid1khCrolHQoazhxrr+PvcCVXGKM0jVz51SZIof7HR16p8W38aT8p+HGosnQ/lNXpxFjf797gt+xvfXZHymJqJ0n6tcLXrOwjjq88FWwWWrksYFFNj1FBxqQ7fIk+FZ0DfdRmwqBrdb/L04+/bUSI175D/QFVYCtY5ADyDpsNUujRoNEO2w4w7s+Sf767l33MtRcXM8OMyK64uhVwnpQA265EISVI5TDIdVH59rp7pnylBqRYJ5RWQvx1SKmBnnuVMzxzqulr6cDcA26U9Fwqo/19Sp+KW/pRosKGzUqv7G9pxosj/632zNfl044v3U+kJaU4OQ4HxkkXruJeUcR0uufP9wMb/dUCHF8/Nn2GZQLOeEEQ1U0S/7aQ8pqN/vMbBH6smjuZHSRKMmYX7clZsd9LMhXB7YHMNBDuFYeJ3jpVc7OKZBpvxCu0NXaHVN8pAGrFC08NOMwJXzuczworTSp7qIeUn+nX2+qBJtuQt859tX1xwoFlBr3WiiYTSyuSiHWNtROL1EV4EDMRTEnKaJ9JQgveWgxDpF11KBsbAXCRXA2T8eeG7RFApMhqVQ0aAJLHZXkQRTMdEtVLHrkGMN7jyUqcTd1vsmJpOPLv6m5g5VCmiaK8Yj9fcTRdWueLB2KUSC0NjDKRm6SS+sjLLsRXNHUWP5n5Esfch9ArhHDa4aVbvQLndde023Q5apWEIIcyZjBmaPMt6AgBXAFlzSpqlm+GrtPfyXWhn/aO9mgeUCreB/Sip4eqMOkP0d9OXXysbjh+DG5jEXaUeJBQAyY4/iqu1b4LhnCFxtR3HTqu03xCdzESVhE+PybIEWyJmKBR60tUBQvEgHflI3b0SbKqaH+JTeopqYWh3ILA8b5dzGL1+9oI6VHscuy5L4eFUR8NwHelYMRCIVlG4xRxJuZF0DCLCmNPBTV/2XuyaWy7Xq2kZHzVXPvoq+yofFtn7IgtEHVCUg3vUc/n9tqRlfAr4RJO5b3ZGydxnk+YadRLSw45k+mVQpPIGCs4Dn6jFiYL78YT+u897hNglXZhaixNWClNcKVCbI+6wO+gMhV7S4xZu/7XzZYwQ+XNZQQSS4WSuuSNYWFh+vI1GgplEmmu+o1/A54RXtHK3WW95YZCjZ4ohDXqjp2LhSbdDMYuK1RxMubUqnKMj9Ykb2HNAqF/8EgW+76u2/8/HiF3bRDJNdC9Z980K+CDXHhao+F1zKjMMY0beuA24k7DNWGQIg2lSsOdVjSoTWSYfl2k9JCyRSN3AvJx0PI9NLxjkPKj+FL2veowyPHsPgp4WTAGYLDbVd3IBcenaqXBf/Op/qS4oaqCQI/CZ1JIzWArKhXTCDd42jR2RdVNxn32Rtdl5P1ycdn8j7uKloNyf7AhZKtYzPE7ciHq8lP/U0D1oELLABNMx2RJbHxLQQb7wJXqwVajbyQp4CHsbmtJDbvjkMrJn6EBmcw+nXlaiblcofa692HPUaL0+Wfg6ZcZOGTpxgxwgpQaHKrIxpJEUa2TtOxiz2WAKarr34tKW9ly0sdn1/5e9R6M1GxhNPb75GeyqPIyaGRITiY+Lr9wloLdSRauWfbxAagDmJMFRoJHuwGrWUO3VOodF9VwApsXUSHxxkJRk8LeUkFTVE0MT7QC5YMo7ovLYbmimMXRQO3J2NeWI10cEo/CRHoZtkBOnmF+KRDD3hUIw/g4Xjmj24VwuRL8uB5X4YlpYDnNbuPt700ELP5X8sMEC6llhEZVHCnPcgBi66wBssC9jZJvmDM0fpaMA6f4kpoB3gOQyKWaOTul90Z5n9cKkA3U1oKzsgBMwDSgDyz95sRFVFY2rlP5MCQLhStBzXKTADwqx/pd29HC+2maFz+CIZ+WJuxtbz1CNnM7FnSrRjyBZHS9LU3rtTd23bDGN8zYcc2FRwPfd5FQagdj1RM+dlM+BE/AAYgfKDUcEm6iFQF4ER5RH/LHET60IhZxh5rM1HtKP75Byik/zcdQ+IN3fPkdI9haLMI2I2XgQ04/FawwZ3YS/60qrR/gI+WZ+6wRLEDl0W4dvHZ2hcRoNiUQi21Awjbs7wRUnA4k/zrjoGr6Mg4Igk9bcEMRhNoRRz7P628q/AdUdHpEj7kF9H5jF+y5x61VCD+ozQqAoBAHqjDH5Rv1h9wVC7IB5MEUUtdqQQ02FOcTxGRzWaVU0DYFDxPGgepbSmOd80T3ym3mIqL0Bpk0lEMuaBUieIgjy4U+aLsP6ZJmBZgV7C/96VKAKGE7zJe1ofMzpLt77e3IvT/6ab1pIoki6tWJ7wYkATldz1Afi4MgXfnR+2LTvCkoE+46wVD08itvEB8gOtZoAbU42QcxzoFRkyrTxhOylh09bYRwDXGuMDtXmi5ravxxJV1JW0d5Wy1GXjY1jSsXh+cOrOPKDhhCk+Z45s+I7q+3GtdXvAw2OZqZ0OgMo922c8cbIwoQi+0Y7/2qA+22CWpOrGxiExyCG5D0EAGCnJid0dQvBI5SGdThCJHLYbrqtOO1petGti0kal/3hgUn0qkih0mzBMGFoTq1MOWf7bo3a1GYIePKB8pXAQksso/hvYTK+TZAZqDdAf/oDcfTmbWa5KF37dk8NkDfiJuePMvzG8I4TcQxzIb+5+4wXEnowzn7FjijxVALxYb11NKcCY0dsQg1sfTux6J7mA/4Dd3FkIQGuB+OTJH6SHeiLTNh0mbt76vKYLUVsmF6y28qpEH9hdj/t8vmeIdzwCnHK8divDE/BztxeCvKdMz6K43npgeEG9SIPwoiecjFe4Lmmw0eXZtPlWNBz+xrpk+4J3+GIvCs59RdbqBe5MbZtH0arijyiIiOCKsWRBuu8HyE1K68HeAjin2ukwaa2yB8wsw8P/HPx6auMk724ChhIdKneNL/0bzTYqA5jhJHz2twnGlB+3Lma2/Zc2vGizA7g+G6Kb+CvwRk6+Tx9peh/4axlEsIei1mF5OtVNCSy2t6H7GR/jmRZZXUcvkTXogxKDswF6K+gU5l/LrW23FH+69FaV2m2+xw4QbW24MH8hXlurTysDq8fIsBkJ7mS2oKyghtQvIe/p0ei+Qaxg22gW9WgpWIO52gDlBkN6mgTIw7/QDGAfLbNxpTUDMCyl8kkiPUZV3XvHgt+rZy+FJnEjLJp2Bb31H6ANpKz+w2vAqkdZkCpB6+d9l1xPvvb+vwdZLQoo+Z1SzwEPPsL3yKeSvy86LGZHHclAzBiny5LV29n4nirlUhx91aAG/mTB0DfsjxiKmbZUMSGYtieI8+YzznF3zgqW4LAkpSZyzx5zSkjpOBQxCRrfqhV2UNhPLRTWRagbvuH2rGAFpm7SDMY7NZNYu0sW5dgU6hcqHj2WUsLzXg2n3yFJUv7JdJqe+os72v8MUG5e0bMOp/brkUBXoMST2rZBOAq3Sf38fHipb1UeZl9d9LvwRqivAyoExW+F8+qE7cMKByRQF+/3Uh94bpc+l+MoBl9akN1Knp9il9+5G+r8gG3Wqs90J7HXd+WVqeL+qOsTIWGtU82Pg7gsXGUZldL/wifig9vHs3TRQ7JNXEYKsRVXH8Md1Ah0YvVVRv8kxJUSXDLDqHVBv+DHfvjykFScJheh/fHSS0WTv3cxieyV2tQQhjoAM4n4iGy42oKs4L5FawVGeRsxLC/4Z0tpBtCEoEA2WNWCrN4QPVwTMlY5Xs9O778j0a2GEsv8ERvFj3pmcavlseHz3508RdGRVCQSKK+u9Po/AMXtVcELaUv3h5BoYCB6Wu3lmu9sBVDjEKXeAKHJGO0Gbl4E8M7tNhqGpPk3E8Ts9uQYI1VU3kFAPJU+ICbIB77NSAl0e3sGe9pK8dgv+wE94z6ScCExr6IkK/tS+TXg1mB7bBGmtmZqTRILdrpXAI4F9ST5BznJPQ60coMm+EIA99WimONR7lOTFLFgwcM4eluP3P0YuvxLM3h5mCnH12801/GJIjGrRiXOkHopajQkZBa4UfnBQTYO8Xap93WHHJGxuS0zqmncsCJHOjkkm03+R6K6AgzqZjNW86BGl8f17bfzfcBN8nnEjlj/SqsUNfRJBcuGOYu1MA187HZEvVpJotlpowYS+4i31pI7FTTX0Aw/0Shi21QgjfcF798exERcVXo+qN9HymtKo+fn0RqZVeNvXL5C4S2LaD3dfOwFLcIXgaCLyZIuRvrhRTJPS8WqdOJOEPu1OM7w2t+I1KbaXCo/jNH87v7YOFG5nD2mTzPw/F1yw4MtcpmbXaFFIq/q2Z7RHqImQBj2EvBIaPBaGKrDLscRMnZMKDfUOVgeNykhPqW+RMgLCJkJ5B83ZxlqKbOf3IusiR1HeP0LuA99A+aQg5Qs3Mc6w+9/6idze/LWnCErIyr2sYk8C3txGej7R1LCJ1oHnsuSe3BtlR3gs2LDdwhdgT+1XpQck5HvZhI07tNulmfb79ZRABC3RtcrnY5DMzbOd1y5Pr1LjyWbwKTkdqKyImYGNN74HUTOirUCnlNWSCXGJccWuQJ69mQBzdZiXmsxezhs39Tb2cg4z1IcmEqUkBdz1mboPNIY0ltz5Ao1HcTLq4vj6xpNuIUn++9wLhgti4lOPnEvmnRu02rlJ5gU1gJeGtD53apxNuzvqCt4hXob5Ax6eQmwc0X/auriQAJBaf6L6ZBq6b3Fgl0sEW1nYfPQP3VOV3a98IYBlgJdmbnVruHgplG/E9HdqOZtPrTo1FIS19YFFdf4l3TDkef5V8R9fEy6oNgkd69+371n8SHPB7HPtEATN4RbUBOmOKuBh7ofOV63KD3EXzKYe7xAXM3pdWKqZGthGbB+azP7rzwSdyutQKrPMdRKqcmjb6/IhxixLm+A28hcmwvHbnwJPOm/oJME5fJGfo9TjvIBh+bPotXG2t1Qjvahx0QGasOqivOh5NdYjWzb0yxtCYQabCEE5P6YOiz8/3/clLAR6wKXacIFO6TuT0Bi8x6645wXPagup6Oo99I3zh1i3Vuwux4PBuI1Xo0ZmyRIv1oF37VtES7qxC84ityorEbz01lBGsZ1lln7Y5c2v+aJruK7jtL+62a5sEoxTSFj9u4GDI6kiKX4Umzz+oLYTlLg/YH+GWJD05Q0JsYbiTme/b3GgxBJ9u0WYWcllvjvpm57YuAxp3O3k0E5SFx3OHXR6/mmLHv9cZz9bkDUu9P53GuJlPs/8Hshtm6F6ylovwm8ZnQ4RXfJ1EZkQNd2+iu8xD5TovT99u46DrespwioZcKfFzVqtaIQZ1oKBWQucZiZMV1Sse2h7zlGJWUqKG0f2WAZ+u402qfqegXKXVB9HoDVM7kh/T3uSll9Pl3rfOnx0b65qdy3iJmt/MMpRZTo+EY8RN/FTrtUXOBToKV5uLVeuvJa/lFenk7kspxGd7KTJDAB88WPZhVbKPqhxA0oe9tn3swdnS8F+9P+2KnHpvbtfFC+fizQWqZdyUDmrAeAfYFsOYlBlTe10/xc9eQeX66k4McYoH5RFFTCM41KZfTpIzUEROzWeibW3peCm+wXBRL63KSYjf8LaH0btvpYF8HVpPaQumNLkYainNj7/EgzvVYHphJoq94piwMedCZMlZHQKpQVcPuUYBKODOyPtbSt0sQByWnt2ADCv8Dtx/AU1BJNSbqqX1PEyGvNwyhVnap++DTn5CSJzwEey+DRVMtexYOsKWkBcrkwOBMxrwRcw+/1YPG3qaRZ7Zw3HzDhXtWqvog9ax4QZrtxttabchOr/nYwaOE3xkzklByAfPDPqyeFCruqnyOmM3bOQZB1hC13G15TRlLnYXJ3G+Tsz+fup4vNYDpDIjVDADBQOCD0NsDdTXJdlRCMM6jAwOPWeVRCTFZC6OvhUNRULGiYu6Gf3WZAB50IKQr4AKsd0AKJWg27kxO9xgyfLl1Kndfgr1j5xWnGT+BAIGurNVcI3nuo8nR23crMq0rExvHY/DXm90/1OE6O7mx6OZJPu0/AWnKaS97gVb1JIahr/GUVTACL0XP7bgZTrlZujK47tVY1R6k0Pr8ou13TgES3dS3lNCIAWFNxVcdbULK6S86bLanAAeiCGyBCWTFeLO8Qu1Go5ft+WUW1EbGh3JJCbuLD2tetZl/rN7qw8kl/5rL6bnvMH2pB25jZYZNpcM3Ibpimi1jHEt1xDWNUZ9kcucH+w+xY9HJjzPpKyh03Y4Ngd97Loczt/wdtsa++k70E3QrU1CoRYbKa2JR5CF32gcO6iHRKTEc5zfidReK+VOuWIYzEwcSbw5XaKIKZbBb5p0EP9zl/qD5FQjM/Lspp1F1zioMIQuvhnc7H0fx8chmUG5VU6HaNY2ag790Rhxl1YdKr1JYvVKFnxohlbS1x3UzAPhXveyjv1xrMopWmsrQX/PAQF23QKUfi2jAJ4bSX55fgRw7yh7Pj0giCrb84O4mhBtkkn/AENCLigXepXuGhdfG2GjSwWtKwLqufiadkVO66BB9lrAvXFm1NgyoQVKtBlIRg4esTaz3CmI4PZi0FUCaGN4RCvgVR9L1py5AWxsPzZuC88jxaSY68jyRYYnyAbW7YiuMvLt+g2TaUHs0u0IPFIYjrSI9KXXeaKsG9qgXBXyTSBJZ9xIuTB5OFXsCtG9ETZP7OwckqHggOACEXgYvMGAklziMc3BOZYXIK9/ZBU26MZVqheqelxeuWou9ZI9VDfHUibx0U+an+4e9Z10T2LdmMNOdEB7ukMAr3f0NYBtwHGWlWaZlbicM8eR1C/ZShLDmkhrIR9FRdGVrF9T1mlyJKdiUjmucOsRM6n99XjUYgrSa5ee8M0M/SU67c/ienvPWxe0ORLA7zDLM9epwpeY8QETqed2uTKilYjwO+hxaediaCr7fhWk2nvcgYV2/ksLVthYXjE2hrdN8BBcJdGDtZ/jnfTDMCVGdwoBBol4+aTBJe6ikY9SlSL/sMn7UifIwm0nKldcATXRUYfcCF4riXAOZSyEaqL7orOllwF7UBnzOb7XTZIjqs8ba9HBj8XSgxzaxvn4UxGy3J9LBCsUGzTbbaYsrwX4jieY1RLYHQUmc0nlHF1ddO6nOkJiaMRI7j8yKXNK9s8RsAxphEfMEfeOfaZ51NPB26dAtwJvJzz/UPWqOFjdoWINo6LIeOg9I2elN1KZ6hOxtvGIekOEM+Yja0nlrCKeUwTmX0PARBLhFRXIpnQcc5qdtzFHgGMoMpqWruEb4o0hrkGwwJ6GKL/D3igbE3j5RUT5Pc5KrThuSKPDHM/mWtu3XTy/RRXV8xOf+fy9Qg930w0meEpKHyw1Pi5tOSK60PMcrLJ9TJeeZe2xZraUhvL98EVcOD9HgwHB+7gnjQgQ+hbLnMcFTT5rH5OqjqDiPrDmbR4L1LHx4+BP+5GuBFh9QFtubKXJhIGsTczVUYewCkJJh1Vo2ALAkKm5D6Lb36Wzl2wQKZOvpVAqz1Q/0CMv7AwCJe01rV99C5a2gOICfbySJZ503RyNUIInSua6Ljj2b3PEEGaqAgRyM23tYN+G8aFraEhuymP8XdFFNpq9rtp8t6kR8qgHMKphw9fnYKLGRlqSgRp6K8eVp0VBvJh1Fm78pW8+XnQGY3AJPgv5BHrlDAjpOdxTy8ru3Ar+nlt9f8koBw8DwmEepKBR5iftr5gHBZGzrsiZ5o553qFTANCJttyO+rm7CaljVBeVPEBiqVEuXVE4Wy4lyFCk8T6haLNpz1sKi8naWlxzzalrJprs6WCfSBDQ8bFWsv5H5G7yrtGzxWfzk85K7KGjkSbRRF06pe7p40qHYjdWoiJaqCs5kl9bBsnzfDhfnhdWabzZPzPZAHBLlWUYRkut9qJKiXnHDHDVZZ9gzWI2GnW9N7hvb+c+p+t9z7RJD2CjiqdZYT7I/XFgsOzTxDBKC9n1yhtdmTgSI0ZFZEAvIL5eLZ+QOaSZjOSHVZM6ailkjic2aZeIULoKU3HiJ6pRZWychc5AEW6qVBaLYSehiNrNbau2JfD3JBEM1tpHyUmhbRGwKx+oYXWWPdBs4uGgnfX83YTbH7cAgB69CM1+11fJfVLi3cjoOK2yNi/nNN6LVXGdagPUTMjTPLE4M80MB351iFMz/JIrHZ4c8hmATimC8EDNYZi+7du4X6qvN/wORiQx/X54pUb6eDXcjVPsjVs/Y/vxN6gaatwWumwyNUPiqfCPlqd4s8AeMkRz0SCq5fEBPTGOc+6yGbYUDQrrMuBJt0N4CbMtw2831zmkHJ6kARQNeAl5wWDlw2ug7sPQ2hpyh7NynXd+BADJ47fnmJF6YIbtP8Tpu67cE2+6ozxwKO7Cx3O0A7YiomEyBZ5T8dXtwRQFbaSWo4+4izpCTsPxiEMt6EI4iyL64ApDPPRTk7gr8XNLKioCbc4ypbETF9PCRR5QO/Ckfj1D+xdnSIU5n+M82/99ISzn21vQfLhHOm0WQKZwkuV5KNKWSSRiIpUSfRdQvyB6lFCv6gOhIcKik5xLxJhpHCbCLyxstHDXwiDDhFUSAbTUQmeGF+wqUbuAAH4Fl854dNOKsCKy7eewGPpphOqoDErmGwZkSmurArZhP2Va062DQ6syrFXnpgaTu0PPtmL2sUZkSkmd2UwGhMQtvx0Zh5UBPXn4Y82lkcpVxxGSFs7kcsfWRtAkaDR/xISZeWLjjj+whmm0s8isyb/JWFy8ZoCkmICaLu8kwAo2TuhZ+sZWw/r7rKkzj6OU3U9AJc9WMaiju+rC2oLgHOdkGKGZNwGzVlFjXc40tx0P5CLqXD/+5ammJNoMf2rs70YJAofnoyvTuo6uHa0WQl4Q473IlOUuRWKGR1As2cJ4SMRk1lvufCPPL/F4y1VzPSLrt67caJwRAiqubJllAqBz5gAtF/ZfVx4Jl+rDXMrdpZGDUi5l8mmQ50qQLZUlvno/mGBBa92KlkPyqdtWPJz2hBEQu+hO/B64k+yMzMm7t0GutVdz1W+rl5UmV3HciilsX0rT3x/UWv22JUQ0RjykHpLFqPKZ9xYKI3hdJLMV3GYGhgxXFS0ET3+dil3T+9gj9rUAx3pN7etwJK8HAXoWLj70K73pUOCYnhQsfrTHMKCwu15XliERe/ZA5R7/R8+9mKShO/gLdoWhQa1w3n+OeWb3MuGJUtk0QlCj15SQcOpENoehySmK0tEOVIrfLP6sSq+7GiXaNl+kjeEA4wwyEFpOZq6LYyDlk0RxHFHraGO6Torh9LH2IW94i7AGuxhU2LhbKvyvkveMrscV1gmUKORmohY0kSWSPFSUpUoiJLxB2Mj+5fFL5cvWr2x8TsIgRMkO53dfVe+keSe12c1c2bh8YoTnc5Y780sdHPYvjctriTxLDO+zIdSVT8RRzzlLRpwLY8NcX6VPqeMq27OSAbfLYD40u2h+cXFg7E+4NtiJIXEfoZvqveObTigYR627H8aepSa/VVnSbbqaMT5+LRRCLt/S3ACcR/onUcvoOMWbZrHSTyQhvJedJ5JC7dMIILtbCYcBUVeuUVMqOnzzH3NXHw3b4i+2mQqfIGA8yToy7t+YFCE99lyQq1T8QJ+83cTrRp3hFwjEE8HW6oWi0D2nRH8yqgF+nK/DyB/kxzyJfPz2Aye57T5mGf0MbN0NHvOtkZtcDoXzFECbDDPAB3zFzjdqmzNgiISCynb52RDgDf78HIu5ltbAroCl6qvI/vTboyIt6nmej9dunCuIfUmAfduLufOmVyTh1rqHAzy8D1AzVFR/Qk8Ll5oPxLlhuSy5OgO/R0g6EdmRf6CgoNwp0Nwlzpcbb8Z94Qo9f3NTKQzwKYjFGQ+Ul/dbEcFgPIQ2CghS1xNdiziT0hNNnyzLhJ95pxu1VHw2vV0xz75Pnzl6nRaN3Fa2uyWhXQCZbfo5GBD7NLpw+Bx5C59ES2X+NDiV3XJop5aRlD52I7uUB5/zwLTHCMiRuoVtrERxcwcB2oZSsprh5wptLCgtktTrHv/ZmSOaN/01nr4zAuoZAVW5CGmZgOTqKI3Vvj+B8x3AsfZ/qQjU072ZG9N/UmrO/VBad+wNnS3SbW6w30SJchQW+PfDdhA6hVWKsSylEiCJU3QWnZvEghG5uOFEEMUBgVwtWVlI0WoII2tDFfMErDL9CSbX4TRdVWPejOaVClZfwU3JStt8irA1SxnbtoL+7BnHex7GN0btzKyWjSrd/0X1XXCsHmTXRlDK97LOfZLNKoq5GUrYg3xhj8orqqqGZmYKSZawSBVhTtui2gYyD0jzWIpv0Fwu78C7oYZ1fg9+1SbGtDO2FYKX/IK+0X7AmeyGQd7rX0DnGjdfMSy4Ix/9LUUD29YhiXuVf7FuU9l83KDAs0x0dgJFYNADd/ZxVa7bReBR7dsygtlk+303MYr2x2M0bZsrSO2+Px4qvNQJfc+qOisBY/R0nqepS8FQKo06isocTQZdbk6b3QcS2i4yLInzM0xCh/U8knBZr7jH9iNs5qyNXZ8wfHoUv7AebWnUpYGgICgbw7NtJFe+xWOqwdKeq5UaY0ciVupXTDrlkf7pFRvXLcJZyExyPreoOp/hpXqbRdIbPp0TtdjrXu3M7rzzNG5Tp0uA9G57SkIcgIVShELpPmU1m6MtyfVr3LKqms0GDP+IncEGz36lBgwdajx0+QaPGIqmaPy1GqUWhUv+2/LiCQ+zVvqWj1HmQxtdoxG4mcxtFXzcHkl3SEG04/MD97WNs/UZ8TwGc8IIijE6yG+tPLaByuXxmW4ExhWHAA0dm5YjIVoh4weorNiOjbqR3PDl2aIlzzvqemeKfb51u8DQCs9mfbAffOk76JFNhi3fLioAY5mLUU78jLN0ly1U4oHHBfhalvDjm8s2Xgtb6RU9907xAVg1S0C6p5DvLhcNb+ZOCVz/TZaH5vVgWWDQQvMsNTK5XxA0yTbxVlPmVqORzqaHX4MNXnjax7+kUkK11MX5izThadjEW9WoCRpgdtPsXysrL/TDu/0OfeRmmIIk0SOMHbGANzTIvrXeENoEd7HPwKyqw1K9lh8VF//KeHJz/LjW3L6wI82ZSEtL/VdeZihUmb8ZaneqCPm7JCH6HNzBYIgZvmDmVG33O+omtLfvqDwVgLnuOsDuq6pAKcnyHyAmWwhRhExY9SN3jlhvojbkSUKUnsRa8nLqcrFHHHHEoQ2E5gnSCHCuTg+QA9f24Z7yguoYNNa+qgD+UdiviDcrxrQmh22p0PG+R40EvGL6VDLKgWnn8DyifHam/MNdOjw6W9NEv1H/T5YgVMlx/y6yYp0YHzkwn6LUwECpJtTCjAjQbJYjRb45rktGnRo+lqFDca3vxpC3zyoHLvWcwKkDfre6gYHocTbJptwJEUk87g7idgNwnjcDjnZGX0Nk4+mTlGQ2+JtTBigw3d/wKBBoL7Uo23ajKwJqCBYVy18U6SMX8bZQ1bF1iyXrWDDQQbCfqgVPIoKKEWRyT2vnNeE+7+FtHb16Lc4dJgGCA6Th6R5xVxokMYnlrU37qB4Dm6BEDHkHll98pNG1BkbvmaW68XuicFX3xF9DPXgxkvwNtun713EEoqSMkvwy4Y/S63w/gSc/B5pmjGONVrZscaBt72PWKAG9fR2ZbwPb33Er4g0XQ4gYjmli1grohIId4jHKalyPfTie/HcU95MwQhnSjc1YBUe+P7kSv7KvZkMdH/pj5xr/vzFfhSWenDgGSvN0XOPSabzEMvA6C9TCDsmUxHlkglgzeb3B42w7IvyepThDm0X0j2Y66raGYcRkk1JfEagTjUa6AShqNapDOMN0/dgrQI/gmWtGgJEJ5Kd8I/Q5iCd8DquNUBnXfWt57ZjB8ANO+XG4z8uznSnUyyN9lqBoqJBvjX25rHtVVzOz9hBv2Q01RuKuqWY/sA28aZPaurdLj9GX05+PujcQL3SwKjPhE8cG0nmAKuAXz7xVAtqVwOv6H3/4o7eiTjK05AndUlTdr32+AqrzJrjBC2DGLSY8vu5tnRkInxzIBO+9dFDpcKjvzX9rFRbMuyaioiTrSBJjxtpmFd+0z6gZhrEuXFv3NyHcPMHC8J3Z1dSKj8vgyKm1NeRC5A6fNrNVi8uwAqiRbGekj9i8LsTZFL32wgu4JfQITGSG7jq84ynnR678Vxv0FaD2cvE//oHdvGdnnIQz9xQeNz4bVVTkGWkHTXPhTKACHXRzFm80eq2lKJCN7F55PjmGLd+qVtf7m6f7UOE3b7Lb5j8B5w9B2REtOgNfuB8M2zQir9A9CalVyiehsIxU+CcZzU/4lL7f/RVWS8I4xNAgzh0DKMHTFXsan0wbHl2E7KRPnLwMKwt6aUGNZw8t1KEzTbAVqsKUPr53PRDtztKqzKEYzaOw9k0+7POLXtIJvNBjqGm0Zc9hP24VX8V5OJFuosdNhDAp8T/9z431SwMXUWl5TTViYbZ6dr7vpp8UUCz8CM2oej/hVSGgTnly41ou5eq0GMv42LzXdgcFsyg8YgM1H6b026VX0odr+Kml0Pa+nUtGC2WJCFpIYcFiT0YbTuBQkhAl56bWeH2U6dL3ivc/xTVaA0jDLLl9eVt8TbGG+QDQDZjn+ywoqlgnChzx9mjQGI7B1hQ+1DRP1tey1GqqrmoHS3YkmP5dgFHBg+wxUJYdkl7KYzrhY4YviHRmMtsAXUnDS+KojSLBODEHL2qFIfIuFgdvK4v8O2XsJLhkiDESlbmp4Qpc3BGq+6GZWX/xxQDgQjEXKpoqaWfP52gJx77/XPdhxHKU1UnXMODiyrgCQh2vGNW5agQOk99h0qm7jvL3x1VNVGgRvtsNuUgxVMTBWAytT3bO+EqrwofO+1gCXRenXgftpPrEhVE4iL0LtuFslSYs+afHjD+Sjekdb6C9Qf4U4hbmqEMuqwa1StheS9NZR6yypJM0XkplqZneZTU3z3laWmcZWVM8nQrLyIimB/RRl42rLLd0c3QRnQLV8wbueHaP7khMYNm0kqFDx0SWH/dLQYkLNpzeVbDeNv5HvqKTpXRVabqlkcrTmt7mAg5PaWqYfd2NnxKY/RtOKHgftCAYrVnnCuUfh2/VmpM8Nl+wfoOsHQCnT5vtyfVoWIvgg7DLxkXPhbUAMtjuBizCthqsgNrnMC2grJGs/M1Gg87HrOykT8DVqP/q9C/d5iB0lP7UQJqtCW55fl9aAotFyHom7NI/1s3eFpyhhrDj87xH/9UpLVJdxLwWd4REId4oppoIcgXPQHUlTm0DNlQ/b+h169vkMD24GOTQQIgD1DPnKOBu0a8Abv4WMciF+Hrf+giDO2W0b9jL1zm0i5Gocsroy/XE88kiPo7oaQJTZfH1Q59NmJq+DkGSB4rcd8TuJ1tbN1vaUaVsYzy6klysDNe31IUumBlv3a0XSu6Ush/DrWjk/uWa49Xydd9LGPeMiirfABi+XttfOGIwCu0CFEOO85g6prS/lvn6qdBHcq5RXD2EseNIn0EZ3BUrVHNwTes0eN4vWNltJ3ZKgf4aSz4XdKt6VLDjdxQjmN3b2llYYMh7PxVWM6mnum5ByXhnPRPgBncwD2/mcrMpjrt8+aJ/llCRmCKT7ff7s3Z0JL+02t/4A4MpCoNmE8093jzbbDFds//AwREDTqCnuXeG5CmPRgjcNaqK6yV8051CwvZB5enn6CSZr30yDaqz/ADgeaC5s0JqjFtL4ivkyl//cMM5ZNFkSdkLQ69VyBWKDfGhMROBYy2DQBxIxpdajE/s1zjGadVnUdWpT4tIrrRupKquiFGihZpjMUnfl3QMozUhoPSoU0SsTo/1tER59oF4FPQRmxRNGxmK/zZKard+q4Za6+RqPZ72Vyk1KYfyxmoGw74002pnPb638SkOMxR05uaGmUFzeWEzgQ9ceVTa5TDDQ1R3gwSSxgFLctV6n3YTWrdBMnaTSM8A+feAj3T4XvJAwFHEvlt8u3agevOqB15e9NWu8sZ1e2xZ3j+mw8dy3+lcsp1/GqMG3jSbc1ZC2EbP71rDXMjlzv3dlVCJndqyVxuuqupcxS4CLOkhwTylVKV+jthZubOd2Qi+V/2WeF6/z6+QUdzrCDUfFKAix07dx3HZ4+4ROVtOdAZbDVDvMzDUvwQLMkOpDV7X/ZNHtdbpZCB6x4fGYUubUPqbEe8LWEMSv7btMFtMIYXIEosdzIakhJH8Mcgr4NQCK5mtqmAEN0283eJVL+2VJKCMV/CebPRSqkgLeqO95Wy7EtKP/GJ8rQBusE+xO3yvLCNdrXLYiBvZmp/UetRdjSTc5qsMpFKAsc81ED8EsGSQiv5UqJNm1LeiXS9/iuSXfJ+brfbXjmzTAtHcs5bIhrPeROVag6Mxa/szr7Ss417BlLFLU7dBmwdvw9czIbLZ0zVl4eTfX//11oGCg/lx5hwQkchK1NRQbbpAJBSjpKqcnJAbJ9Rr3ga9tqao8beZnyDVvpMue5PxxRbHrJiE0+VQjNPaiNpNs4bE3N946cvEdZQ1mDf0EjildypF1oxb2VZHfTVQcFvVsZhZYOeD5w7mTvnlW1cshEH3f8IVE7UM/6gOQgSXeM5+bnJB8BerBe6xibjlklGIAcBcvtnavJ2HP3ji/c0n1tjmI3n/3c901l4tXfLpserGjSpW1MkJO/JO3KEXecKbGDK/YQWXTyZVWBpxi7Pm6PdV1qHPa4rX78OkSz0zquPoj4qQ3dvyDfqSdlVCA5pDtbl2Ni/bsgw46l/N5rEb+TrR6kLbt8gKkuWhc5KtESdAcYvEQaHSBdD2bMTM4TitfVi0XmHpS4pTNKk47z0LUve/5hbSDHv9sfqhGnPhqnK2UqGpI7IdgAkVykujEUn/7gBtqbqIVwudePkQQtK6N3LWxvfuv1FOR6K7/7yYV/AOV3Ao5zklwbqN9Lx/Lb/ErqvCL4iPvMEUzG6x8IxhJX7BxelKhE9H5SAmGD+gWoymM4qmldXw5e8zCLG7PF+KuA1UdIgqcdCD9a4U14y6SbtLkxesBXQKlRH1uFrudOWrb/7tyVUmpJfyeMIw35rwQPpHyHrW1uxHXOUIgNvLZ53AcPE6ZxrLx8S9gjIcwb1X77UmFrA2PzAJ3uhcoMYfcjJcvCmImF4sAGrGAI5uZS6fQuppUTjwTH9QNZa5fv/aqU6cF/yhgWiNquYprDzfsxqyH7+76Xr+dCEtAWQrWXW5igeJh2wYH5YgEAFpMrUi68wBZ7AgsahTnURunFa6ZQFLVCcz03vOvPGaA7NmCFM+HHykFq/TbZb8SMBLhdR6aCLq3ViAGZGYj1JGVYLjzWc5lf92kpjanxJWrc1CsXstBX8v5O8tOsw4slbijrsewuiSjGQn4z5MAENXE8lzsFBIe94IusiGOUUTTYQakFdqOw9jc0QxRCnRK/cc5gDFpMhySQB2akhwUlFHPs+Dabg7lzgqSugglQZ6w3knKiFY0zbkqdfZyf5LW4sz35AHAFD1lEdlpISuw5DDj2bO4X/QKXIcPX2ai4LQXbfD6shkaM1HXTZRsk+SYByey4AoPGhYuzOE344uH2RSHs53Hrcr+SS+j5WDOoTYs3wVAH/Wy+Zf0b4Zt/qH/KlfOj5SLEW5JBx7BqYA3c5qs03Q7arXrQXlMVnu20bvkJHVWKXJkuGCO9v0dSMR9eI8KBVYrvGcQ1Ue9OYr7C7NeIMDgxkcyUkZ4eZBSaJzUnvkD9EI7RjMrpdNd/gI+u3LwNJltoaa46QhBQpN500rrUXDrZZyt/hhj5xfx6b/xagFCx9KIf6WqH/3n5dwKtnJLwTQBWLdlfFjPXH4tqY0HH7vJTHw+quREYaF7JsfBadPhTuYE/XujlBzxGdHXWEAwqm25uKICEaBazX6cwthFhkD3wkA3wa83gX3LxWj8b8DBRfDDTRE4ZQmv1wPpsgZNsmEEI6f3upgQ6J5qJ/HIBYcWI4z7//JJ3V7Gfmo7UDOqEvjGntz49pXOW9Wggvj+u2M8vBemqCpIKia56RNkp0Cy5buZJqTpC4sjFlYmE+UlH6lR2L8Wd4mqMoz8B2bIqHHTt2jPNI01Px+yj287stTHOaK6hSWRUylrRbNj1C4g46VE1yQttUwEWCeLD08CVByK1kcxXTKJhtv0rXjTXKEUDHiQBgCevXW2RSeBm+bOxvop53gixizRCTD3Tad4stEhPt1vTvWmndH6UG7Pez+k4Jo+XJvEXwzlAAxA7s7c83nXvDr4zX7LB6B1R57RZpT/Fp3PlWF+yDzqynS7GHQdDwEFPblLAmcLrWvoZ6ZG9hLhiJ/dj2fsCSpkeoNdFCCesmzzw1OruAn2M+DiXbsJduMTyO5oEQ2iV3isx+So9nyrsra8lzxUd7HIuFW5+7bpyovtR5uOkpjuJaIFTBzM3KCmkp5u7+ISQCXHaMzFQ5IpUVkTCpJdCgdq+nEiIxQZY37DffxROQYi1CAnParnRprsF+7nr9m+f9BICSOZYwSobKmNBRgZGw42vwzBaytzWDj+Ti2J0gpgmEXfsjPqrAFVIjVTNLJf51mc6HEgJyA0GYpNu14ov6bK83pvR9qgItCgfYYn5BUezopqWWlwYggksKSgcMyfF8xrcq3TVV8/4d/ADegl/VbYkE7CWvCyb6yzJlriFxYXP3FHK1AfQ/kypvMFTCRblPKPHyTbV6IfQYVQHc+NdD+u2CMFpcqK93zZ7Fu2DlObv6vqpcnNxF472zUR84+9CTInAWM9EQnxStYQOPbLYGKtQreZnVa3sFGmtBLxDknDsky2p4QxXoUPubra0m3qKGVX3eTFbUzsM5OCEtB1HdG0R8um/x4uW6vnPE+dxpaBLARyXvCKeYuzFFDt0OYUXfGTIjiKz5Jb06Eq1sAdJ5aVCLtPA1IxhiXoh4DQW80zKMpQF2EwT4vq5gi2bM3+1sD0AwDyuNOmfyVr/6mtlQJhBarPmSi7qAOz0XQBm1wOTraIvx4Nb4Jxwtwj/RIyEyYBbzzxflxj6KIrfKpYvmq1NX06cmpjyBSzZIWtalZMuGM48dGCWZ2fIXjNAQv/WpHmRH3xwduo0TmcXbfFZ+9hyJtqIpYd8+RXvw1SlHjmv6g5raCsgbclCsXWQ5Of9ojt+dKPCinltD/7TQE30kLSIWVdAuHYGkbaEf4SYiHz8bifI0Lk/sU3EJYXE7rC1nkdq0qjVqn29xOav0R50IkUzbahQ33l3jNR9UKlW3axW8AtCOX1iFCoE2XkdYYcodME3xVK5Zz4rXJZ6AaYxCy83VwmwsVC9CPYl9m4iuDitMTeu0/VKUx5eMu7ZE0DDGedPjh/tdXAaqyJU9XHGRTqxQLnhoHHcf00fbOBtyZr1xBal/BCb1ndD75iXD9ZXitUyF5Rdj21lfuEu0JpiiNebQTwepnQtDMgjOsumrV5SOF67gOXDhpyvvgLica73AHQGXR4xmr7bUdwxLGX9UZ1PGXK6Pf1bMyDhT63UoCyByYdJPb3DLQ8DyxujqpzHMBi4hpIinl15tZPmpapzhL1ZCDeThA/jVaDJifj7k+X3xDR7aAa+XOSVU/BFpSYFTe3gTpWangQor3drYT51yoyNlw8nHhYC4aHqg+0BczsHdI8FGc1c3l7QoMHuGHi5gfk8sHmaTb71w5SboycR+1nsupUgvuONIbaSSE2/oyUY/612HN4uA0o6XGanQAZEDnoHhX96Dyj6+PJ8XMcw2196GaDbnfCW2LPxC7RxUl2i3hqtpLGAq6cIf6PChIQ+XzrOtnH4S64mwbhSCUIT0cXem39pK0dgSEuqMrSOFkFFrCLMTxkDA1xsLuofAByPwnkF943wMDHOxDOISlbOkFqMAopw13ey9QgIfZHMXEiLPVgSCesSnI0zN5sdvUSCFQtnaVMzufwodCMZCoooT+W5QiPvwubqEcYY0Ul1xgvgUsy9kPS2OvSBzDuXnVWCgw5Vk4xcNPFYN24L/OMo9Q9o1AraIR3vVnFjTFnjhKRJ8UcweJHQSU5DX7+BQ7OyK+F4Y1MS9pyMKKZxDDpNXSvJxAzqHE6B2zbFQ8El1Bo212QiE0QSth67FcxJIjch1Hc3/GdXHXcmmWvxLugsUoskvTvYUIG6Q9rWt6kEQMhz9eVwaP0EW2lWk9stGXaBWzYRwlVcXVVAwty2WEar2lazYl8DfPcw93TxTuqBx0XYZyW5sY8/TiQjY8Qkn37kdoMZQbxzziqbb3+jmXzvzDCiZnoMlJyYZdb+ZUfbgRbgYWTRGuXltO8HsnNcbClcQjfl4eJs3xPHC2Mw7PWR9R/KcNJDjZKVw/qBMzzaQalyxbYmQsFhDDdGFtnQTq/fW57UTVo6y8nM/z009orKKBYLlr1V2opgVWs9tq8fG9Nvr9HeegYFgCk6gKP8y12RXKMGKTo0C99ih8izYaJJAsJa+ltFf3plGWQghc8PU7E4qorbxmnngpV81JtRlRm3aBxbDEk1luhUdbWZoIv18X0YVoJQ37zqYucRdIc5ELutEFzg8nXSR82gleneVxDqa85PvyKD0ha3QdGn0BVvcv1zbKqL5bmVqipUETLQIFcFYdsbQ2S/3aX/+vTTB9OWs9pvtNwuB4bMciNenMIn7bHbhsh2VgRlC1eCQ65LYiiRM2zQS+99dtYnq+pE6aJXQVvwhxLjK8SX0t9vWh1bDrRkt3P8s1B31nnuP9kxcnE35TUcvjCvFjeKFh95MFJU6zOOLjSlRccSv8jnA2i7J+EMd9ILBPdbNkck9lIpvIVRdV4yZboxadGFF4JCaXvWto6rMpWeAiJxRx5s+X3qqvV5HF3REdCCh+aAPohq2dN5+/O/YAlwowlkcJ1oSHQYlEpLU1BmKcuVrl5EQ5dAjM26iRCzwDGkmBTQM+ic5BJ2/wnMRpL1UGff+QPLdex073qyQJDMk4wehRbUNoZvFDlO2QLWtNYe5qzDJcceenJXxfuhf0b01HEwDlJYYZgOdMujnDFU1Y+uPNDBGU5JryfjQ4xLTDqZ0D8LWf54m30H3jQANfIgmo+5u1heSFtpLSbkT+VwuaapQCkgIw/M7K7cbawaGGgiADAgtBDyzazT2DtEA8cok6nAcThnpXoHLl4IgBQ6VCiYZNJ8Ueigq7RJ4qu/TVA0xSJLoW+ZFH3hoq0IDq7NQQy18FRSD13KmQzY/hKBpepV9zBYvFJbg62klWivei/qYZdE1ZzgrnAWT0N7CeiGpHrWyXwr2aSrpFUTmfhNambhGlPe1dW4T2u/RfG8F2CIxYXt6zKfVtqUcbIS+3skX7ZYP/gBzj3gZuhbAfEnnf7r6UfIVXU8AtglUJ1zxSQQ8lQPN7EX8v/2Z8w/MQZY0nqtjNpLWin/vTyezMvgl+c9KW8/N2cDL2XaWVZRzE1pYzFRGOJmDjK1kPc77+I/OJHsMYSu50ZTBMMpv+oQD/IFrEzi2RQ5qgg1kaDbPUomtKBuS+BNH+uP3x7/HdZEg65r4NIQ3I9NQUi0xBXd6iiNF+yRVm7VOzfJ2qkgAa0vHyh5vsBn0xvfNjuxuxquVjNYiFHIUfAncghtmNARBgAUuA3fWQMmsUUWNSxNdANeuauFMyq6Ga19S0GZdKtDnlfqAR971CdRL9ANbin/5x0O4rH7n8Z/Rbs2QYuwj4fbYl0CFvWMLbhf20FoqZq2xjQcW1P3dxftQbC/VLUA27UN2uQ8Hk1JI4KQ+KD2E19coBviHhQsrWgfteqMPLGzZWREdTl17m82seuAGqpfumuw70B/QXmhpat7yRpd/HIsEIRUGizy+WieMvlF5l0+nTAt/zqMJcb/NQLyKRoD3Gm0R71/K+zroNhC64c15GqAqdGnqKm33QNg2RSLBfcD3tSvbtmnMbWPLEiixHl6bkRiVhTIGxZMYKHLXVDGHoZzMnJ3TXXhm5xZRw8K9wa0iUAbKO9y6XTns3rxDMcwm3tK0ZG6jmKxuqf8juajlMvD+ADBR6nde+9zDXUOq/xllWsPOC0B2Kk7kmOq8cewnWYSUFQQUsNaav0iDC49qpf3UqLUvbV3GxTLE1NK8RUCktb0R3HpRt0YcAcCMn8wOKuH1SjlWpscKKRottPrO9b15MAdYZzue59C3HiRLIXkLP7ezOW8j9urT2bFnzTQr1Vjx48Bm48hVYWRi5Sx99ZZUOPuVdEhnFifXTjvX/en+0Eh9Z6t6YhOEZ3wOFUgJJohGla94gKqBUTGB/HTtKFemDGyx4hms5DrZGIHqdBKgoudFgrYbUTgfCxFFpP7eLSUsKUqj9wiDj5BGB/0/MTszmVZt3zDQ+zp1Ih4TuC1PNkfbWNk311PMmU6OZJ2l5Z2Do9OeKrmNhCNQlhUHV7FievbPPJqivs9tKpMkjfILPhxyqQrd1IukWiPvO6pl+1YjuxHTQ4y68If08wzrkY5Q0Yb48No8RfyZtm1WPDg71gdwIW2lkqKiPAJqpTP48+lim0aYPu4ehxKbsEztvRkaEcCRKik0yoRi1aLIV+N+CxHZCg3qa/PpITJ0GsdAxbGCygisIi5kcNtkfyA4vmRlTqCyqeP1+3El411yw8FhqvllVuAiPLuXESleuu++Txe0bu7TposdJwP3cvuXb3/JdLUTDwrlbt7eJAS9vL/o1SYgx0eC/Q7pi3NW3dBTub6Z9tZZORx+4Xkd4c6mSaJDzE2flOeL6TNfjqELnMTL3UGSUHZzCentDNKXZYuKrTO90O50G0U5IFxmg0mmtnDw67SEIeFXM5bjQaoKSBH+4vHLbXBtSS5/Zki03A1iblzVsjFdhgky8bTQizUIJlGduasEsCwRaW/e88rjdrQm6f/9XbOArWmXd8Xl1rWnGyuWspnACke0UKcHQ/PFO8OwsHzUK+db0amMJ1cYTKzRecnOqikTf4K7BPdUfLHlb7hGkG/6eIjZ8odvdBEXrN55X/yQBi0lJ0CVjfCVkZVPa64Gf5sB3OF14arvJpNuL/zAOgiZkNIZi5hO/haGR5w9NER2ZVGt3kIlMGALvLVsSOoTk4PAVYXfcHRQnr9aHY/6qMIB2yOHtDH44w1jjTrFsOXxL56BqRuEh1Sxw+uL48uLTicdj46pUaAmETDEWy2PcYdTBhZgBi5qIYCSu3kNF11Gz+ZzgGqGcxfzo7tfGEDmoYpkFIjrjZTaeIIEAeJcrFVKljYPU7Ar/9g53l5lXlUeLdr2d0eqYmIxwXspFKJ2EfYPwVXqutz8o/OpXx89Pr2gfyPhMq7LiUxyi6EtlcGw/cS0Ny6t2+dl9HghqjGDiymVVt/7RlJPPJyDrelCVKoiJ9zFGbKnt6bdL5alem1Pm0w54M4gnOuI7sTYmG5kkFzlyjnZF1h9Y6vSxC0p87vEFdUFc+YXAnqXJ9EvxJdb/1QCqJsdXRGF2CLEdSMZ7YKaughTCSXRUdq239N/3rWmVlOoxXjz9jcp/4qgs/gCGajP3bnbdWjhUEC6fzqE9cwG42uRH7l2wMXRva51uGnEpG5dGAv9dWqJenwkbJnxvfEb9o/BoZnJdPqjqkgut3DDsNEUTwVbjGwoM5ecdkiCORNRPcclNfXzs8pkLDFf9E7M7J2yQJZAekpYL1s5ovlCRwEZtvC7JKHBqIr1gMgR0Ejb53/dxzxxav40FBj8eILEzMtlo/dNjqXMpRLTxspiJ2wI6CIQHLGmST1d/Pk/sKRdUv7DZgIqSpaQ0p+lwnamv94Cq0N6O/Yg+9OUw/1omdLsKE7XabCP+xeVwzGUOLpBJ2BsIoiGnatU3JzGCIlOdGpjI2atGYXtcfpjHjRSPNd4ateEh4OiJGgpdg4Npo//bOyXKm+4g7ksnutI9ekJ9hvlEb26bX+wpohliMaEg1mio+eDoRl8U1h04IQbZBf1SQ/SZhLJWgfwLcRt3UZyXf39FobnBYgqwN/7HRRGqu/7dOzLMRCgyLyhEq7XTPtQkWFTdao4GYSsYObLv/BSNqwGv1kvax861ovYxnxYZfKeR9R/PPkSINhAbV+fgfEk+XdXruchIhp9Vui6ycQALxBoMStrQCmqYqm2t8G9K0aBgqoT99ADQJAY0WghA4eKpOWZJYPyqGte/GypEcHmjTUH2V9Y2t/HXzhlKPvE3oBp70jJoCNg6sFllsfDqbFZEFC2hqYkjocTGSuMrKlvrDB8FIpMxB1ung7CN90qqx+jG/WUVmvRGXGN6CcQRJSVBdVuiDUgobma/gH6E5Oa9QBDSVVDJ3r88huuVweYK3vW16yL3Kx+VfTwvmvfnuby4qGfoE/YSC5/1mEbkmXHiN8wRQFzlhR6x6U5chzIV7OdMHKJHjPJ/BANrPNgutCl18+5fFbw2kZj+zRTmaOCQoZdPa5Woa/zwmf6B030ibuG9cTLYR3o8i6UbOUs1e62gKoDv+3BtEGp29bEVvEBI6Tf/8nmQsrYB4BmsQULoU1e9ft7iXjvf/jthrfcVQB9RI1t3Ui3+nljGoSio5FnU157OgXrSO9X4Y8xIwqcgvyzNy9xflAw8KL+VrprRiSWmoa78htrrmF2uei8mgLlBbpZYj23Hwtn+fHS23tv1q9flkBViP8Cf4+nekktug3BizD4gJeh+7OI8P06emM84nD9VJwdcuid/pQWIlmKyO7S3KrDSWpiyqHwjuipZRfAB3SIkJ/lZyLayAcToq7x/pezhBtPQZuPbAFp/SjcjNR5Ci+GFNxM96YwryfjTJEEY4wingOUA76f4u6yyxoHvjTUsTD7vg/EUaovuiMXr7bICaKuqY3MF3J2VtDqZhJFPWl5Os2CPidUl1lb+OeisOe/TdTxi6FMicVafO474kgHN12liruFpIE5o4mVTx3UstJwLVxDU1pQW0SbF62AC5dxF4r/b3BPEw5Y8IZAtcWR/x2Swz2957djmGwmhU+maR7DQqA6V3c53K4lv2ZpQtF6rKhettV6gdRVyAhyC/im8/de506q2Ph/rXHFyo7DCRRkixCL3LJjQ9ySnR0gGzvontf3PztWQr++kCUkAkbfKAvKWrCuSVpi/fNUOd4S71zJWssRwHcAcO3svKgSF0l/+DI5/0DHyEOiNxUtmOz863qlnNmq9XaSpk3WJkGmkFhy1S636A2iJo+4b1XtkUs/t7oiMlVY119v5rj//DX39fcY+bqidcnCLZ9NP/eYQQUPv8rz0DsbMTJJMCbeLxMY/yhjYls3sh2geoJTz6APoibmUqWlqZ4Yf3VbJVhqhAdqt8kZucpQKr3UBgT6jmtnwZbt/ZdwX4iQcv4fhqZ2XXPNg70dSvRAFWadB9iByhh4FSwXctTGeCJq+8/B9hzSGR2vVEN7mympY7MK8oPU+V8VPZLkFd95dX3zHL1P13mhGwRwN/OmFeq4sXLICorztCMcrxSsNOtbz98emnB026zS7PgrtaIigiegNuClpMD2iNv98OXK6wDsFKKwIX+aWpjMhJ2ShOmdhO4MxOAaVHg8asDw4EWIH/sbXr2ol40DYZrmO2HGbET2aQwbE3EcZy51jGSM0GJO6fFZWNe/9EuAEdc8D7yR2g3bRN32x/AThHK8EpViWd+v4zkC3qnVib+izccmsvx2chcnJk2uz0H4KdDMtrkofMt88opWSidv7rr7SCVl1XnV6+EDUnFthhMpWSM9pAMB+OMfgCrFYwhX/r3+H1xf4HYZIYmgdF88rA2Eb/pYGaLfRxj4JyZodrHf8LVsMEPB9P97bXcC+sxtVAHDDfhqyAx8/+RAGYmE0/YOhKn6dzq1lRfH5zBz/rnCPLPFkZ/5/7Tj2oVNyh0taxujmaDya2s9dOY+csbdOA3qdNilnou+4g3q0jOCJ0UPmzSbzq3exHU36FvK4vrysNA/9GUksc0OmobkRa768GPBvTLRBURHibBURG4hFp6BXIeL81B31yNoQzZ9kJjH5EWVafou/sRontPJCY+ZtRgp0gi5TdsiEa671C3VjDPlFOr8lAhgqyN4Wfvwq95VspSvw8B4EgLz54mQ2+YgTao0fvuCVOX4+dZURrl9YfAyB7xsEKy8SwDo/eFEWN1y1/XiaqTuX0V2fBX3r67UTjBuBaS37US2TfrI8acTR4q0Lh/cJNiYNMlzR7ViOsZQ3Cz4wWBnvVhgtJ1duyMb4W/KF7oS9Ak+YkYzdrK89xAkB6t12WN2VUJQOHS54wUdH1L5oRWFZ56iVpJ49F9lcTLv4+zLGiCFvYR34FIYYyKgR+sm3vtLlzb1GsRWGKgGimdz4mKyFiXo9otVjnXyokBabpsbZGJnCCnFArrUbvnWMlX3uiFnwlQzc1rS6Mgdmne0WUf3BFcAXFZXQVizgipxODy5VleYSLSOO1fxCb0gpPC/YFD42m9xXWnD2mWyA11tQqn2Eqwk1K882qCi+NHGTZoDnMBAkbe6k2rBDEuw+MIn7yh5CKIxAU8krMqbkJY7WPSGHPxJE5Ap2phMzyUZBPvLutcXtjqTPt/dUovuzvje3li3QCrrcVB4gXOwSaCpoXmKs64Bbnbj9qYJzTvR/G8gYW+IUzsRP/eRLyB/VH9img/v2KRLNVoL6Hg+iahmBd1j04cytCJsZdvRy1eZkt9tQym+LVeR74fMSAbRUwARfKUUDxzQgSSEbDYMRtEgmluGe+81W3Fdsp+o/j0oU/cLSJ5vBZAgpQafxY2kAuBlRjj3hv2FV7wuCVmt0TxNLfz6IkaJYx1nF8lau5Tkoxf36EvMbXVZZOri1oiG6mwv7fAuSUJfLRMkjLUGYSW7O/h15EuT5hDvuXJzutPY0ur9eISost+k3tNFYfU0eRwjw0BqmJPmf/oN/nOgk6zeIV+7MBaraY2RbJVVr3ycxNBmZqZxFLmyBQUVOAUWEj06rWvnkCfWYSfbXHinJHZq3D9xzfsUQBhN37OZtF2Fy0IIx/sc65+bPN74QzSc2S0wFcAUbHat4AhwmcDyoS1ljPTUp36qm6/iLx5WFln4nwUbOTK1r76W3gS8rr2Q2vWF5a9Cbk52ZhGb4Jdqz4a3JJYEqe9TD5NwBwIcXBcrbOr48kNQ+VOaezl7iWkFrSkrmyOfJKbjQDdIGzWwN1pAvjhO0fji0+E1LR0v4tZDlEW90bMeI0rmqnWuU1Q3DlTIMSD5JZ+34Wa+L7u8PxmXLL/xKpc7fVru4khhOyeIxz6ELWhvRa4QWSZnJxXoIu6f/PFodlqnI/WMrOo1p7cF75gxANjPHgrMVO9Tr6LYB2t6feT8QEryiJehrXFPN2oSCfzwHXfYjvWBThVS2XcuBJu5munrNODPglsyy/wQgyi9pDigbD06jiKUOPqQ6GdQJXe4x7bc10Xysk6egFXNAARmYfnbs+FGLxvYUBwnxnoRhlrAE5VfZRFr6yJeyf7s66BiM7vtJcK/C7xuy2iPNwt87tKtseLEJDSpQzg57tC8mRR1jGQXkD6qNEIFfVAeHCxxeC2dIj50RW1Gv2myoHfSPaVocnnUmFRMzfQF7DzjRABIrL6iTyK7HnrG8jEOKD+Ljr7lzRew4sKvgXjqLtb+z3EbV01ZhZGbjmaX1471q3EaHMRXczOTlBg9VCD4hz21nMjtpXyJm1eYd+HHj24kPxNPW/1LKL9pNvpA7PSX7uwEZCecccZFIUwqK4Q5Qgxm/3V/9ldyE1+98LUYQFE7BYqGy4Xopsw02iewXAnB4LLy7MxbeXuMyrc5nbsjZKFaY6HQB11sl1tvRVjzWDnJmDaugWnt3N4GW/e/hv/cLe2Bfkp4NP0LNzsmGKJF+Zk0qrGa8+EuhzgvbaJ6npHABs0/ph1cv/ZCs5qAqRCQ2Tpr6mTB5MF7JGOd9/eSyrDPRmCSXeK4LYUGuPv7yAtovWBVXhl83M9WSHYQf3xk4KVKyMq+fvxPG6bMld1LU4zf4fDJMDLlZuLgz5Nn2lZkXqw3zNIEwLgj853vnGEiYeU4Yk6XdyI5DZzhq+t56zgzHIhK/FgQJMQ+VTeEZncSTuk6nPiIPYAU6ztKRv1ofDP61d9P6zLFDaURa1fU2rw8PoJI37MmdIxv+qr2wSerxMuwcMIVzPWMJCyFZAjhPRr/Ixs/BCzYimI/9+XFeaX+Ca66pW2/5nh/0gB6oQgzgh1m1RWnzdhr34+DOVW2WXZo5KWpz1LOBMZlfV+qU3r32kW0aKSYDnvNZBfgyuW6ZacaLg+GtItJWTsTaIVzVNxxMLy+qjKLhCMD2wlrgTC8WrDxvce/0gpVWkd73FsZlnLA+T8O5zZ6xQYmQdc+3Ih6RyM5oxEKRNmGaaksqdmQSsP+4c9BfrW8NZpkHUwY0T1SqlGXEfVe8Wvlhtp5nbfYdwOjCvtF/Mi02RAyWROiXgh8ZnN4qPjqJ18pdP5AsVTmufK5bf+dR8pxFhJe070tlN/qdlRGTlbHNBOa4/YJPNtzbHp1+D9efYRGmavkqvqFc2bzFub6TVWNHxKtReql85v5NgKsgPbw8zrGFTfWLYdOGIf1uMkCyMRbPFNAgPnhm1LUtOlHKW9BlftrUD6EvieO/BXTyOxr6WahqZizv30kU8IWUvmVluY4OsEOxmpatEym7y2VTkQvaaUWqdXB/FfMZ7V9i+oiymP4J0OPq3CMhaR6QVvrllOsXjh3vNqBG7/teZhmRUKbDS+l7rT19R/wQirykK7L0BZM5EbEE/6wE6NQKEyKcpIc9hkrAtwnRSrFlbVw4cjLhG9GzaQnsNUgBxvYV0OJ4L8POHrxrc/rY64ZUN53U/u18Y6eQx+F0yjlY1Rm4/6SkYwTlQaW2z2VRPw8Ln7AHWVR/Sm7I+fwlggTyt9Ifq34gYtfja2DN4zZqXp5GkIUaXgen0+jSCDJ9EjguyJm8QLSge0SMEX2gdyLqWiBy8w5JOEakyLdYwwVcTMnH44ztcH7GQ+9vSObCbk8CHIPTm1JvC1Uy/BrJauwMkeNgenP18F6ABxi6/UPc/mWfUfpOVxfSvCEzeuCENaOEtq67bkp4D+TzFyf3S4KKW09SCF1pAygMjpSNelq7XMbYUj3BGj3RVVs6hQ+YAiFHmrAwnAeUlLosaDOWuZlE/430XE3BZ85hl45WzbjCgCXL2Bm0EjY1btQo0ZkUBMGDFh05BbdgoUxF6LGxlkvtmGs52/UUzc9uLuZvBof/b+38u7HV6fv/a407enPq1n/f8CuJcByR+nJlaRLoWVBvtTlfwvPT6ltyXSH+pj1/jbrei2Ks5SHCfcRf4xZ79ZHGOcjEsgeA/9UCfA0aD2+l+PxOqH1RnANq0MwJkz5amx6h2QCRzgy1moWAKeI+BtqcDukiUxkZi0XawQ70EGgkLS3Pv6dt8F11qHzOYtHylBEJD1EB4KKtux23O4ttbkH6xPxzEbmAV7gx/yOeEecU/wzaHZc253UhYxUjV9zI7nDir6E4w67oeqptYfsk2U+L05eEnFIZYqE+EReUZszZuCbQWlzn4tPvYHtxkMvn1lt1ao/JPwbQ8QfnKTcO3tMiIAT2dmKuNu1nkItts6PM0zUf89iAxNpgdVuhbcapCSxfRkxUfjH/5hWYTA20za3Tuiqa930sv9oMbwRbePDcvKUdjXcyNx2LhxGmsWopK+VJ917SWYgHBBj5r6Yg1NE5vxbXnyBXPLcjBm+T45IZxdkdKNm284rYdTvclhC4UWe7itH9+OWleC9nn4p1PLsYnSXEGnXzpdpAlDkkuNnLfZEIg9q/1X2ET9akrlYc11590x43Rn5etDfUZsSSLoNG+VL0aYPlY8dAhaf9FFpaWXd0mzbRCbd3+1KufAqqVun5lnxUahMtqw86FCuztfCWx5WrU0jNy2aWevsDN4L3VRQ7O+cTkj8hh1mgzlbGLzgWs4g7nUI/T0JNE3crMiNTKjep3TTfiRAjm8FWSwPtmtjzRf1FSXSSX4G/OoJjfQ12dM7gWZ3KQ3aGh8RYy7wXvGTZ6w0JJNmzwmRqWaPc4lmqu8UYyInyBgzv01hn8IieqZRlGWsm2OYTKKWFHGSlt9eqF/pTowdvLWBzWK5NZdroZIIXvn9fhOck7cx3mwXLWqDBm75j25tUYO9OQ1sYi+AfhbBbZqrORDaOHaxFaHcPTgwzcwIzY2/kpYFg8VMJFaOiu0misVAC63GaaZGYu46biugGQVfaoW2mCFid5sBXP9VxET7K0+qUKw9OqxSGTxT2461cE1T3atVm2qPN+O/pJpS888P3AMxTZeNniJIqYMBWzJ/GnNzl4CldhaxrG+TLj26S6KKefkL2ETeJss3CwewIErQYh9vJjQ4qLd3z0PtG2TXFgLGsprrrnCeznc7fnRyU3EEJuGhVDy2DrSajdYpBnher1zozYlGQKM359gbRX7xLeXtjwIpzQ2Cw1eLYymrC0mp8DZc2An8MbbJZY0+GFIrgGmJ/GtF08j85vcBa2U84SnwV0f9fiv1BUITwBkHJbSve28MsEGUnLykJEMG/HaBD+kbxWkZ5e70O67er86V/sqGqfBX/ht/05XbLmY6kXTdJzGlFRSbOxKLs2nivLlIelhyQqE7y3rEhcqOeG/qFg2p2IiFZMVQur1OGso1CjaN2Hc2xGAgEKscTorfgyKvcs+A+2W3C3o6IydhqfuhyM3k/putssWFyuXolst4COLKv8QzMJQrWq99xxGD3FaljtFbXrkCIPLsiAYTqVmw8vZN0qDRC18+SBBrzJQp3eTpPUUfTFk6L+rfyYfgixP3puzpabgMUBB34c4SJQD48fk1MfON+cHUyTL1dtm0Z3EvfNDNjCDFcHnqIVaKn4i2YGY2jI2VOTCLDPzZq0D73AW+UpnJIsALPIf/NdtX9KBpTrgNzR486y/Lp/m759cQsTmS/lEWXlojJ0xRrd5A0OILedIZdt5nbQxV4I2cxVvSf33iCfiBEDPAjIDCCQh1AkainyYFcSCvUXu3Sffq83l9i4lbsC7lNpuiYJArevFW8GQwCvLvI0GuNM1fl/9fCCUVsHFpDLOV6dY0A7B0+JeM37uGrthvh2dVfj4hDx49wTNul5nRYKheAwQ61FrFQcHzzTCqAeYGbBAK+9sZHY54V1w/eSRH4jh1jmev1fVVe9ode+TnPSx24sPovSVrc7XJEC6shHbiqFPnZVYK7m9yC+Z+8zrZfAaTBa5ZIReczL+NnVnKPpV3KLw8ppniiMtXOdN5iBXtIPMk9Cnl9f1LKMhfHVkUtIsgS+nDI5ZT5iTylU8KZKDH/K6pvzpzsGVstPcNpgNaeawvCn7DX/SQOmWGpnrMn472YRl2M7u/nI3lTk4Z97rVjjE0MbLByfdzfn4SNSzPZKBpuOQiIPj2cRWqLn7/a8Udl1dFqv3Rw3ZUxaM+Dh79uqhvzoRuhQJMoFSjnCNzGAWuMdzwRYwFFv4kG+zX69QRShHbYNPUFopZVjwvLiM5hDFnEPNvlr7iSmDnEQvkNqW1CUMRbAHwNoLKUt83Eu6FLYe/lJ8LoeVGYfNnY8lfw7YNe5WkLp9tPx91YoZnlpEzSQkPXCvdCkxrrqa7wMh1wYAfpesP+wc0EOOekF6YUlopUZ1qB0OFHd0MYNmNPspkVg+Kc333+tP7zR3gRWNQdBFq8HmXYQ6od8MkoLRWVA23LI4jY5Ix8l1vDztcJfU30vDBFL01sVLCfBl15VzDjUuqN9tLl9Q4jmD4f6yCvuJE19X+5C5q6RLiEFKn7ceyAKkg0Z77QBQ7494fCsPllFaFkncOwL60N1BdJGcQXTjQ0svA8MzXB/o+ONt03XJG2KwbVSgXvyl8D0iqCHZW3V4YzAT0XTNuEOpleNdhVlEra8OFz8uWrHAWCbhmxSD0AUcbxmraptTk+WkNLPQc4Zh+5paH5M29gFZv5OJC+BQdkbkaB8wsj0qtBOw6AOKX9WvtqL9V+m6OCs/OkwpKwsqXiUwjaWgFhBHJP5xuTYb+5srfG9v77drudS7sdA2p0+O3UpOF9kmRtXM38/+OxFAG53E7R0AUzr62tF308QHfGKmjgPMF0g8Q+ycTEQBn8bdrgv2GrZiwY+xnF9a5VJ2aujFpyvbINxmQb0e1sCFF/ZxOqakYXGzlXz7ZnSaFRly/oV3N/J4LolKsWeHn1UOqpavN0hxG07Ektd0xKa1TSQeeydsjLFKLidfPttnRpOAnbsMU8ijXXnfVuvoAEwHi1AsW6uFGVIJ7klXqzUt0JC6EpAUm68AslSXQ+7A==',
+});
+
+export default COMMON_PASSWORDS_FILTER;
@@ -1,8 +1,46 @@
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { SERVICE_WORKER_FILE, getPrecacheCacheName, getPrecacheUrls } from './src/lib/offline.js'
+
+/**
+ * Lists the files of a directory tree, relative to the directory.
+ * @param {string} directory - The directory.
+ * @returns {string[]} - The file paths.
+ */
+const listFiles = (directory) => readdirSync(directory, { recursive: true, withFileTypes: true })
+  .filter(entry => entry.isFile())
+  .map(entry => relative(directory, join(entry.parentPath, entry.name)))
+
+/**
+ * Emits the service worker (src/serviceWorker.js) with the list of every built and public file
+ * to precache, so the production build works offline.
+ * @returns {import('vite').Plugin} - The plugin.
+ */
+const precacheServiceWorker = () => {
+  let publicDir = ''
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const urls = getPrecacheUrls([...Object.keys(bundle), ...(publicDir ? listFiles(publicDir) : [])])
+      const source = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: SERVICE_WORKER_FILE,
+        source: `const PRECACHE_URLS = ${JSON.stringify(urls, null, 2)};\nconst CACHE_NAME = '${getPrecacheCacheName(urls)}';\n\n${source}`,
+      })
+    },
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
   base: '/a_password_generator/', // <-- IMPORTANT: Set this to your repository name
 })